@@ -0,0 +1,147 @@
+/**
+ * Tests para los árboles de comportamiento
+ * Verifica composites, decoradores, blackboard, frecuencia de ticks, carga JSON y percepción
+ */
+
+import World from '../src/core/World.js';
+import System from '../src/core/System.js';
+import BehaviorTreeSystem from '../src/systems/BehaviorTreeSystem.js';
+import AssetSystem from '../src/systems/AssetSystem.js';
+import BehaviorTree, { NodeStatus, BehaviorTreeRegistry } from '../src/ai/BehaviorTree.js';
+import { createBehaviorTree } from '../src/components/logic/BehaviorTree.js';
+
+describe('BehaviorTree', () => {
+  let world;
+  let system;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    world = new World();
+    system = new BehaviorTreeSystem({ rate: 0 });
+    world.registerSystem(system);
+
+    BehaviorTreeRegistry.registerAction('log', (context, params) => {
+      calls.push(params.message);
+      return params.result !== undefined ? params.result : true;
+    });
+  });
+
+  afterEach(() => {
+    world.destroy();
+    BehaviorTreeRegistry.clear();
+  });
+
+  const spawn = (tree, options) => {
+    const entity = world.createEntity().addComponent('behaviorTree', createBehaviorTree(tree, options));
+    world.processEntityQueue();
+    return entity;
+  };
+
+  test('debería reanudar la secuencia en curso y usar el blackboard de la entidad', () => {
+    BehaviorTreeRegistry.define('patrol', {
+      root: {
+        type: 'selector',
+        children: [
+          { type: 'condition', name: 'hasKey', params: { key: 'alert', equals: true } },
+          {
+            type: 'sequence',
+            children: [
+              { type: 'action', name: 'log', params: { message: 'go' } },
+              { type: 'wait', params: { seconds: 1 } },
+              { type: 'action', name: 'setKey', params: { key: 'arrived', value: true } }
+            ]
+          }
+        ]
+      }
+    });
+
+    const guard = spawn('patrol');
+    const other = spawn('patrol', { blackboard: { alert: true } });
+
+    world.update(0.6);
+    world.update(0.6);
+
+    const component = guard.getComponent('behaviorTree');
+    expect(calls).toEqual(['go']);
+    expect(component.status).toBe(NodeStatus.SUCCESS);
+    expect(component.blackboard).toEqual({ arrived: true });
+    expect(other.getComponent('behaviorTree').blackboard).toEqual({ alert: true });
+  });
+
+  test('debería evaluar cada entidad a la frecuencia configurada', () => {
+    BehaviorTreeRegistry.define('tick', { root: { type: 'action', name: 'log', params: { message: 'tick' } } });
+    spawn('tick', { rate: 4 });
+
+    for (let i = 0; i < 10; i++) {
+      world.update(0.1);
+    }
+
+    expect(calls.length).toBe(3);
+  });
+
+  test('debería aplicar parallel y decoradores', () => {
+    const tree = BehaviorTree.fromJSON({
+      name: 'combo',
+      root: {
+        type: 'parallel',
+        params: { success: 'one', failure: 'all' },
+        children: [
+          { type: 'retry', params: { count: 2 }, child: { type: 'action', name: 'log', params: { message: 'r', result: false } } },
+          { type: 'cooldown', params: { seconds: 1 }, child: { type: 'inverter', child: { type: 'condition', name: 'log', params: { message: 'c', result: false } } } }
+        ]
+      }
+    });
+    const instance = tree.createInstance();
+    const context = { deltaTime: 0.5 };
+
+    expect(tree.tick(instance, context)).toBe(NodeStatus.SUCCESS);
+    expect(tree.tick(instance, context)).toBe(NodeStatus.RUNNING); // Cooldown activo, retry en curso
+    expect(tree.tick(instance, context)).toBe(NodeStatus.FAILURE);
+    expect(calls).toEqual(['r', 'c', 'r', 'r']);
+  });
+
+  test('debería cargar árboles JSON desde el AssetSystem y validar su estructura', () => {
+    const assets = new AssetSystem();
+    world.registerSystem(assets);
+
+    const names = assets.registerBehaviorTrees({
+      trees: { idle: { root: { type: 'wait', params: { seconds: 1 } } } }
+    });
+
+    expect(names).toEqual(['idle']);
+    expect(BehaviorTreeRegistry.has('idle')).toBe(true);
+    expect(() => BehaviorTreeRegistry.define('bad', { root: { type: 'dance' } }))
+      .toThrow("Behavior tree 'bad' has unknown node type 'dance'");
+    expect(() => BehaviorTreeRegistry.define('bad', { root: { type: 'inverter', children: [] } }))
+      .toThrow("node 'inverter' expects exactly one child");
+  });
+
+  test('debería usar PhysicsSystem.raycast para la línea de visión', () => {
+    const rays = [];
+    class FakePhysics extends System {
+      constructor() {
+        super('PhysicsSystem');
+      }
+
+      raycast(origin, direction, maxDistance, options) {
+        rays.push({ maxDistance, exclude: options.exclude });
+        return { entity: wall, distance: 2 };
+      }
+    }
+    const physics = new FakePhysics();
+    world.registerSystem(physics);
+
+    const guard = world.createEntity().addComponent('transform', { x: 0, y: 0, z: 0 });
+    const player = world.createEntity().addComponent('transform', { x: 5, y: 0, z: 0 });
+    const wall = world.createEntity();
+    world.processEntityQueue();
+
+    expect(system.canSee(guard, player, 10)).toBe(false);
+    expect(system.canSee(guard, player, 4)).toBe(false);
+    expect(rays).toEqual([{ maxDistance: 5, exclude: guard }]);
+
+    world.unregisterSystem(physics);
+    expect(system.canSee(guard, player.id, 10)).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Tests para el almacenamiento tipado de componentes
+ * Verifica vistas, reubicación al eliminar, migración y serialización
+ */
+
+import World from '../src/core/World.js';
+import TypedComponentStorage from '../src/core/ComponentStorage.js';
+import { ComponentRegistry } from '../src/core/Component.js';
+
+describe('TypedComponentStorage', () => {
+  let world;
+
+  beforeEach(() => {
+    world = new World();
+  });
+
+  afterEach(() => {
+    world.destroy();
+  });
+
+  test('debería leer y escribir los campos a través de la vista', () => {
+    const storage = world.useTypedStorage('transform', { capacity: 1 });
+    const entity = world.createEntity().addComponent('transform', { x: 2, quaternion: { x: 0, y: 0, z: 0, w: 1 } });
+    world.createEntity().addComponent('transform', ComponentRegistry.create('transform', { y: 4 }));
+
+    const transform = entity.getComponent('transform');
+    transform.x += 1;
+    entity.updateComponent('transform', { z: 5 });
+
+    expect(TypedComponentStorage.isView(entity.getComponent('transform'))).toBe(true);
+    expect(storage.fields.x[storage.indexOf(entity)]).toBe(3);
+    expect(transform.z).toBe(5);
+    expect(transform.scaleX).toBe(1); // Valor por defecto de la factory
+    expect(transform.quaternion).toEqual({ x: 0, y: 0, z: 0, w: 1 });
+    expect(storage.capacity).toBe(2);
+    expect({ ...transform }).toMatchObject({ x: 3, y: 0, z: 5 });
+  });
+
+  test('debería reubicar la última entidad al eliminar y conservar los valores de la vista', () => {
+    const storage = world.useTypedStorage('velocity');
+    const [a, b, c] = [1, 2, 3].map(x => world.createEntity().addComponent('velocity', { x }));
+    world.processEntityQueue();
+
+    const removed = a.getComponent('velocity');
+    a.removeComponent('velocity');
+    b.destroy();
+    world.processEntityQueue();
+
+    expect(storage.count).toBe(1);
+    expect(storage.entities).toEqual([c]);
+    expect(c.getComponent('velocity').x).toBe(3);
+    expect(removed.x).toBe(1);
+    expect(storage.get(a)).toBe(null);
+  });
+
+  test('debería migrar componentes existentes y sobrevivir a snapshot/restore', () => {
+    const entity = world.createEntity().addComponent('velocity', { x: 1, y: 2, z: 3 });
+    world.processEntityQueue();
+
+    const storage = world.useTypedStorage('velocity');
+    expect(storage.get(entity)).toBe(entity.getComponent('velocity'));
+
+    const snapshot = world.snapshot();
+    entity.getComponent('velocity').x = 10;
+    world.restore(snapshot);
+
+    const restored = world.getEntity(entity.id).getComponent('velocity');
+    expect(TypedComponentStorage.isView(restored)).toBe(true);
+    expect(restored).toMatchObject({ x: 1, y: 2, z: 3 });
+    expect(storage.count).toBe(1);
+  });
+
+  test('debería rechazar componentes sin campos numéricos', () => {
+    expect(() => world.useTypedStorage('mesh')).toThrow("Component 'mesh' has no numeric fields for typed storage");
+    expect(() => world.useTypedStorage('health')).toThrow('must be registered with a schema');
+  });
+});
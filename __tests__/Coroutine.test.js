@@ -0,0 +1,147 @@
+/**
+ * Tests para las corrutinas
+ * Verifica las instrucciones de espera, sub-corrutinas, cancelación y dueños
+ */
+
+import World from '../src/core/World.js';
+import CoroutineRunner, { wait, waitUntil, waitForEvent, waitFrames } from '../src/core/Coroutine.js';
+import EventEmitter from '../src/utils/EventEmitter.js';
+
+describe('Coroutine', () => {
+  let runner;
+  let emitter;
+
+  beforeEach(() => {
+    emitter = new EventEmitter();
+    runner = new CoroutineRunner({ emitter });
+  });
+
+  test('debería esperar segundos, frames, condiciones y eventos en orden', () => {
+    const steps = [];
+    let open = false;
+
+    runner.start(function* () {
+      steps.push('start');
+      yield wait(1);
+      steps.push('waited');
+      yield waitFrames(2);
+      steps.push('frames');
+      yield waitUntil(() => open);
+      const [who] = yield waitForEvent('enter');
+      steps.push(`enter:${who}`);
+    });
+
+    expect(steps).toEqual(['start']);
+
+    runner.update(0.6);
+    runner.update(0.6);
+    expect(steps).toEqual(['start', 'waited']);
+
+    runner.update(0);
+    runner.update(0);
+    expect(steps).toEqual(['start', 'waited', 'frames']);
+
+    open = true;
+    runner.update(0);
+    emitter.emit('enter', 'player');
+    runner.update(0);
+
+    expect(steps).toEqual(['start', 'waited', 'frames', 'enter:player']);
+    expect(runner.size).toBe(0);
+  });
+
+  test('debería despertar a todas las corrutinas que esperan el mismo evento', () => {
+    const woken = [];
+    ['a', 'b', 'c'].forEach(name => {
+      runner.start(function* () {
+        const [value] = yield waitForEvent('ping');
+        woken.push(`${name}:${value}`);
+      });
+    });
+
+    emitter.emit('ping', 1);
+    runner.update(0);
+
+    expect(woken).toEqual(['a:1', 'b:1', 'c:1']);
+    expect(emitter.events.get('ping') || []).toHaveLength(0);
+    expect(runner.size).toBe(0);
+  });
+
+  test('debería aceptar emisores sin once', () => {
+    const listeners = [];
+    const custom = {
+      on: (name, callback) => listeners.push(callback),
+      off: (name, callback) => listeners.splice(listeners.indexOf(callback), 1),
+      emit: (...args) => listeners.slice().forEach(callback => callback(...args))
+    };
+    const woken = [];
+    ['a', 'b'].forEach(name => {
+      runner.start(function* () {
+        const [value] = yield waitForEvent('ping', custom);
+        woken.push(`${name}:${value}`);
+      });
+    });
+
+    custom.emit(1);
+    custom.emit(2);
+    runner.update(0);
+
+    expect(woken).toEqual(['a:1', 'b:1']);
+    expect(listeners).toHaveLength(0);
+  });
+
+  test('debería esperar a las sub-corrutinas y cancelar en cascada ejecutando finally', () => {
+    const steps = [];
+    function* child() {
+      try {
+        yield wait(1);
+        return 'child-done';
+      } finally {
+        steps.push('child-finally');
+      }
+    }
+
+    const parent = runner.start(function* () {
+      const result = yield child();
+      steps.push(result);
+      yield waitForEvent('never');
+    });
+
+    runner.update(1);
+    runner.update(0);
+    expect(steps).toEqual(['child-finally', 'child-done']);
+
+    parent.cancel();
+    expect(parent.cancelled).toBe(true);
+    expect(emitter.events.get('never') || []).toHaveLength(0);
+    expect(runner.size).toBe(0);
+  });
+
+  test('debería cancelar las corrutinas de una entidad al destruirla', () => {
+    const world = new World();
+    const entity = world.createEntity();
+    const steps = [];
+
+    entity.startCoroutine(function* (self) {
+      try {
+        yield wait(1);
+        steps.push(`ticked:${self.id}`);
+      } finally {
+        steps.push('cleanup');
+      }
+    });
+    world.coroutines.start(function* () {
+      yield waitForEvent('entityRemoved');
+      steps.push('removed event');
+    });
+
+    world.processEntityQueue();
+    entity.destroy();
+    expect(steps).toEqual(['cleanup']);
+
+    world.update(2); // entityRemoved se emite al final del frame
+    world.update(0);
+    expect(steps).toEqual(['cleanup', 'removed event']);
+    world.destroy();
+  });
+});
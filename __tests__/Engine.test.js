@@ -0,0 +1,97 @@
+/**
+ * Tests para Engine
+ * Verifica el game loop de paso fijo e interpolación
+ */
+
+import Engine from '../src/core/Engine.js';
+import System from '../src/core/System.js';
+
+class CountingSystem extends System {
+  constructor() {
+    super('CountingSystem');
+    this.fixedSteps = [];
+    this.updates = 0;
+  }
+
+  fixedUpdate(fixedDeltaTime) {
+    this.fixedSteps.push(fixedDeltaTime);
+  }
+
+  update() {
+    this.updates++;
+  }
+}
+
+describe('Engine', () => {
+  let engine;
+  let system;
+
+  beforeEach(() => {
+    engine = new Engine({ fixedTimeStep: 1 / 60 });
+    system = engine.registerSystem(new CountingSystem());
+
+    // Avanzar manualmente con step()
+    engine.running = true;
+    engine.paused = true;
+  });
+
+  afterEach(() => {
+    engine.destroy();
+  });
+
+  describe('Paso fijo', () => {
+    test('debería ejecutar pasos fijos según el tiempo acumulado', () => {
+      for (let i = 0; i < 10; i++) {
+        engine.step(1 / 144);
+      }
+
+      expect(system.updates).toBe(10);
+      expect(system.fixedSteps).toHaveLength(4);
+      expect(system.fixedSteps.every(dt => dt === 1 / 60)).toBe(true);
+    });
+
+    test('debería exponer el factor de interpolación al world', () => {
+      engine.step(1 / 120);
+
+      expect(engine.alpha).toBeCloseTo(0.5);
+      expect(engine.world.alpha).toBeCloseTo(0.5);
+    });
+
+    test('debería limitar los pasos por frame', () => {
+      engine.config.maxFixedSteps = 3;
+      engine.step(1);
+
+      expect(system.fixedSteps).toHaveLength(3);
+      expect(engine.accumulator).toBeLessThan(1 / 60);
+    });
+
+    test('debería conservar el tiempo acumulado mientras el lockstep espera inputs', () => {
+      let ready = false;
+      engine.world.setFixedStepGate({
+        beforeFixedStep: () => ready,
+        afterFixedStep() {}
+      });
+
+      for (let i = 0; i < 4; i++) {
+        engine.step(1 / 60);
+      }
+      expect(system.fixedSteps).toHaveLength(0);
+      expect(engine.accumulator).toBeCloseTo(4 / 60);
+      expect(engine.alpha).toBe(1);
+
+      // Llegan los inputs: se recuperan los pasos atrasados en un frame
+      ready = true;
+      engine.step(1 / 60);
+      expect(system.fixedSteps).toHaveLength(5);
+      expect(engine.accumulator).toBeLessThan(1 / 60);
+    });
+
+    test('debería permitir cambiar el paso fijo', () => {
+      engine.setFixedTimeStep(1 / 30);
+      engine.step(1 / 30);
+
+      expect(system.fixedSteps).toEqual([1 / 30]);
+      expect(engine.world.fixedDeltaTime).toBe(1 / 30);
+    });
+  });
+});
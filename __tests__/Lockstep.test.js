@@ -0,0 +1,147 @@
+/**
+ * Tests para el modo lockstep determinista
+ * Dos worlds simulan lo mismo intercambiando solo inputs; pasos fijos de 1/60
+ */
+
+import World from '../src/core/World.js';
+import System from '../src/core/System.js';
+import Random from '../src/core/Random.js';
+import LockstepSystem from '../src/systems/LockstepSystem.js';
+import LoopbackTransport from '../src/network/transports/LoopbackTransport.js';
+
+const DT = 1 / 60;
+
+// Movimiento con un poco de azar: solo es reproducible con world.random
+class WanderSystem extends System {
+  constructor() {
+    super('WanderSystem', ['unit']);
+  }
+
+  update() {}
+
+  fixedUpdate(deltaTime) {
+    this.getEntities().forEach(entity => {
+      const unit = entity.getComponent('unit');
+      unit.x += (unit.speed + this.random.range(-1, 1)) * deltaTime;
+    });
+  }
+}
+
+describe('Lockstep', () => {
+  let peers;
+  let link;
+
+  function createPeer(playerId, moves) {
+    const world = new World({ seed: 'partida' });
+    world.registerSystem(new WanderSystem());
+    const lockstep = new LockstepSystem({
+      playerId,
+      players: [1, 2],
+      sample: (input, tick) => ({ speed: moves(tick) }),
+      apply: (inputs, tick, target) => inputs.forEach(({ player, input }) => {
+        if (!input) return;
+        const unit = target.getEntitiesWithTag(`player${player}`)[0];
+        unit.updateComponent('unit', { speed: input.speed });
+      })
+    });
+    world.registerSystem(lockstep);
+    expect(world.deterministic).toBe(true);
+
+    [1, 2].forEach(player => {
+      world.createEntity().addTag(`player${player}`).addComponent('unit', { x: 0, speed: 0 });
+    });
+    world.processEntityQueue();
+    return { world, lockstep };
+  }
+
+  function connect(options) {
+    const [a, b] = LoopbackTransport.createPair(options);
+    peers[0].lockstep.addPeer(2, a);
+    peers[1].lockstep.addPeer(1, b);
+    return a;
+  }
+
+  function step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      peers.forEach(({ world }) => world.fixedUpdate(DT));
+      if (link.manual) link.advance(DT * 1000);
+    }
+  }
+
+  beforeEach(() => {
+    peers = [
+      createPeer(1, tick => (tick % 20 < 10 ? 2 : -1)),
+      createPeer(2, tick => tick % 7)
+    ];
+  });
+
+  afterEach(() => {
+    peers.forEach(({ world }) => world.destroy());
+  });
+
+  test('debería simular lo mismo en ambos peers y esperar a los inputs que no llegaron', () => {
+    link = connect({ latency: 50, manual: true });
+    step(120);
+
+    const [a, b] = peers;
+    expect(a.lockstep.getStats().stalls).toBeGreaterThan(0);
+    expect(a.lockstep.tick).toBeGreaterThan(60);
+    expect(Math.abs(a.lockstep.tick - b.lockstep.tick)).toBeLessThanOrEqual(1);
+
+    // Se deja que el peer atrasado alcance al otro
+    while (a.lockstep.tick !== b.lockstep.tick) step();
+
+    const units = world => world.getAllEntities().map(entity => entity.getComponent('unit'));
+    expect(units(a.world)).toEqual(units(b.world));
+    expect(a.world.random.getState()).toBe(b.world.random.getState());
+    expect(a.lockstep.getStats().desyncs).toBe(0);
+    expect(b.lockstep.getStats().desyncs).toBe(0);
+  });
+
+  test('debería informar qué entidad y componente divergieron', () => {
+    link = connect({});
+    const reports = [];
+    peers[1].lockstep.on('desync', report => reports.push(report));
+
+    step(10);
+    expect(reports).toEqual([]);
+
+    const unit = peers[1].world.getEntitiesWithTag('player1')[0];
+    unit.getComponent('unit').x += 0.5; // Cambio fuera de la simulación compartida
+    step();
+
+    expect(reports).toHaveLength(1);
+    expect(reports[0]).toMatchObject({
+      tick: 10,
+      player: 1,
+      diverged: [{ entity: unit.id, component: 'unit' }],
+      onlyLocal: [],
+      onlyRemote: []
+    });
+    expect(peers[0].lockstep.desyncs[0].diverged).toEqual([{ entity: unit.id, component: 'unit' }]);
+  });
+
+  test('debería repetir la secuencia aleatoria, ordenar las entidades y guardar el estado en snapshots', () => {
+    const a = new Random('semilla');
+    const b = new Random('semilla');
+    const sequence = Array.from({ length: 5 }, () => a.int(1, 100));
+    expect(Array.from({ length: 5 }, () => b.int(1, 100))).toEqual(sequence);
+    expect(a.shuffle([1, 2, 3, 4, 5]).sort()).toEqual([1, 2, 3, 4, 5]);
+
+    const world = new World({ seed: 42 });
+    const [first, second, third] = [1, 2, 3].map(() => world.createEntity().addComponent('unit', { x: 0 }));
+    world.processEntityQueue();
+    // Cambiar de arquetipo y volver altera el orden de inserción
+    first.addComponent('tmp', {});
+    first.removeComponent('tmp');
+    const query = world.query({ all: ['unit'] });
+    world.setDeterministic();
+    expect(query.getEntities().map(entity => entity.id)).toEqual([first.id, second.id, third.id]);
+
+    const saved = world.snapshot();
+    const expected = [world.random.next(), world.random.next()];
+    world.restore(saved);
+    expect([world.random.next(), world.random.next()]).toEqual(expected);
+    world.destroy();
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests para la replicación de red
+ * Verifica los deltas contra la base confirmada, la interpolación y el transporte loopback
+ */
+
+import World from '../src/core/World.js';
+import NetworkServerSystem from '../src/systems/NetworkServerSystem.js';
+import NetworkClientSystem from '../src/systems/NetworkClientSystem.js';
+import LoopbackTransport from '../src/network/transports/LoopbackTransport.js';
+import WebSocketTransport from '../src/network/transports/WebSocketTransport.js';
+import { ReplicationRegistry, createNetworked, diffStates, applyDelta } from '../src/network/Replication.js';
+
+describe('Network', () => {
+  let serverWorld;
+  let clientWorld;
+  let server;
+  let client;
+  let messages;
+
+  beforeEach(() => {
+    ReplicationRegistry.register('transform', { interpolate: ['x', 'rotationY'], angles: ['rotationY'] });
+    ReplicationRegistry.register('health');
+
+    serverWorld = new World();
+    clientWorld = new World();
+    server = new NetworkServerSystem({ sendRate: 10 });
+    serverWorld.registerSystem(server);
+
+    const [serverSide, clientSide] = LoopbackTransport.createPair();
+    messages = [];
+    clientSide.on('message', (message) => messages.push(message));
+
+    client = new NetworkClientSystem(clientSide, { interpolationDelay: 0.1 });
+    clientWorld.registerSystem(client);
+    server.addConnection(serverSide);
+  });
+
+  afterEach(() => {
+    serverWorld.destroy();
+    clientWorld.destroy();
+    ReplicationRegistry.clear();
+  });
+
+  test('debería enviar deltas respecto al último snapshot confirmado', () => {
+    const ship = serverWorld.createEntity()
+      .addComponent('networked', createNetworked({ owner: 1 }))
+      .addComponent('transform', { x: 0, y: 5 })
+      .addComponent('health', { hp: 100 })
+      .addComponent('secret', { code: 42 });
+    serverWorld.processEntityQueue();
+
+    serverWorld.update(0.1);
+    ship.getComponent('transform').x = 10;
+    serverWorld.update(0.1);
+
+    const snapshots = messages.filter(message => message.type === 'snapshot');
+    expect(client.clientId).toBe(1);
+    expect(snapshots[0].baseline).toBeNull();
+    expect(snapshots[0].changed[ship.id].secret).toBeUndefined();
+    expect(snapshots[1].baseline).toBe(1);
+    expect(snapshots[1].changed).toEqual({ [ship.id]: { transform: { x: 10 } } });
+
+    clientWorld.update(0);
+    clientWorld.update(0);
+    const replica = client.getEntity(ship.id);
+    expect(replica.getComponent('networked')).toEqual({ netId: ship.id, owner: 1 });
+    expect(replica.getComponent('health')).toEqual({ hp: 100 });
+    expect(replica.hasComponent('secret')).toBe(false);
+
+    ship.removeComponent('health');
+    serverWorld.update(0.1);
+    expect(messages[messages.length - 1].removedComponents).toEqual({ [ship.id]: ['health'] });
+
+    ship.destroy();
+    serverWorld.processEntityQueue();
+    serverWorld.update(0.1);
+    clientWorld.update(1); // La vista va interpolationDelay por detrás del último snapshot
+    clientWorld.update(0.1);
+    expect(client.getEntity(ship.id)).toBeNull();
+    expect(clientWorld.getEntity(replica.id)).toBeFalsy();
+    expect(server.getStats()).toMatchObject({ clients: 1, fullSnapshots: 1, deltaSnapshots: 3 });
+  });
+
+  test('debería interpolar entre snapshots con el retardo configurado', () => {
+    const ship = serverWorld.createEntity()
+      .addComponent('networked', createNetworked())
+      .addComponent('transform', { x: 0, rotationY: 3 });
+    serverWorld.processEntityQueue();
+
+    serverWorld.update(0.1); // t = 0.1, x = 0
+    Object.assign(ship.getComponent('transform'), { x: 10, rotationY: -3 });
+    serverWorld.update(0.1); // t = 0.2, x = 10
+
+    clientWorld.update(0); // renderTime = 0.1
+    const replica = client.getEntity(ship.id);
+    expect(replica.getComponent('transform').x).toBe(0);
+
+    clientWorld.update(0.05); // renderTime = 0.15
+    const transform = replica.getComponent('transform');
+    expect(transform.x).toBeCloseTo(5);
+    // Por el camino corto (pasando por PI), no por 0
+    expect(Math.abs(transform.rotationY)).toBeGreaterThan(3);
+  });
+
+  test('debería pedir un snapshot completo si falta la base del delta', () => {
+    serverWorld.createEntity()
+      .addComponent('networked', createNetworked())
+      .addComponent('health', { hp: 3 });
+    serverWorld.processEntityQueue();
+
+    serverWorld.update(0.1);
+    client.states.clear();
+    serverWorld.update(0.1);
+    serverWorld.update(0.1);
+
+    expect(client.getStats().resyncs).toBe(1);
+    expect(server.getStats()).toMatchObject({ fullSnapshots: 2, deltaSnapshots: 1 });
+
+    const baseline = { 1: { health: { hp: 3 } }, 2: { health: { hp: 1 } } };
+    const current = { 1: { health: { hp: 2 } }, 3: { health: { hp: 9 } } };
+    expect(applyDelta(baseline, diffStates(baseline, current))).toEqual(current);
+  });
+
+  test('debería encolar en WebSocketTransport solo mientras conecta y descartar tras el cierre', () => {
+    const sent = [];
+    const socket = { readyState: 0, send: data => sent.push(JSON.parse(data)), close() {} };
+    const transport = new WebSocketTransport(socket);
+
+    transport.send({ n: 1 });
+    socket.readyState = 1;
+    socket.onopen();
+    transport.send({ n: 2 });
+    expect(sent).toEqual([{ n: 1 }, { n: 2 }]);
+
+    const originalWarn = console.warn;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args[0]);
+    socket.readyState = 3;
+    socket.onclose();
+    transport.send({ n: 3 });
+    transport.send({ n: 4 });
+    console.warn = originalWarn;
+
+    expect(sent).toHaveLength(2);
+    expect(transport.pending).toHaveLength(0);
+    expect(warnings).toHaveLength(1);
+  });
+});
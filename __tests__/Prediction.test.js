@@ -0,0 +1,132 @@
+/**
+ * Tests para la predicción en el cliente y la reconciliación con el servidor
+ * Usa un loopback con latencia simulada (reloj manual) y pasos fijos de 1/60
+ */
+
+import World from '../src/core/World.js';
+import NetworkServerSystem from '../src/systems/NetworkServerSystem.js';
+import NetworkClientSystem from '../src/systems/NetworkClientSystem.js';
+import ServerInputSystem from '../src/systems/ServerInputSystem.js';
+import PredictionSystem from '../src/systems/PredictionSystem.js';
+import LoopbackTransport from '../src/network/transports/LoopbackTransport.js';
+import { ReplicationRegistry, createNetworked } from '../src/network/Replication.js';
+
+const DT = 1 / 60;
+
+describe('Prediction', () => {
+  let serverWorld;
+  let clientWorld;
+  let prediction;
+  let link;
+  let move;
+  let player;
+
+  const controller = {
+    components: ['transform'],
+    smooth: { transform: ['x'] },
+    sample: () => ({ move }),
+    simulate: (entity, command, deltaTime) => {
+      entity.getComponent('transform').x += command.move * 6 * deltaTime;
+    }
+  };
+
+  function frame(world) {
+    world.beginFrame(DT);
+    world.fixedUpdate(DT);
+    world.update(DT);
+  }
+
+  function step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      frame(clientWorld);
+      frame(serverWorld);
+      link.advance(DT * 1000);
+    }
+  }
+
+  function predicted() {
+    return clientWorld.getSystem('NetworkClientSystem').getEntity(player.id).getComponent('transform').x;
+  }
+
+  beforeEach(() => {
+    ReplicationRegistry.register('transform', { interpolate: ['x'] });
+    move = 0;
+
+    serverWorld = new World();
+    serverWorld.registerSystem(new NetworkServerSystem({ sendRate: 20 }));
+    serverWorld.registerSystem(new ServerInputSystem(controller));
+
+    const [serverSide, clientSide] = LoopbackTransport.createPair({ latency: 100, manual: true });
+    link = clientSide;
+    clientWorld = new World();
+    clientWorld.registerSystem(new NetworkClientSystem(clientSide));
+    prediction = new PredictionSystem(controller, { smoothing: 0.1 });
+    clientWorld.registerSystem(prediction);
+
+    const clientId = serverWorld.getSystem('NetworkServerSystem').addConnection(serverSide);
+    player = serverWorld.createEntity()
+      .addComponent('networked', createNetworked({ owner: clientId }))
+      .addComponent('transform', { x: 0 });
+    serverWorld.processEntityQueue();
+
+    step(20); // welcome + primeros snapshots con 100 ms de latencia
+  });
+
+  afterEach(() => {
+    serverWorld.destroy();
+    clientWorld.destroy();
+    ReplicationRegistry.clear();
+  });
+
+  test('debería mover la entidad propia sin esperar al servidor y coincidir con él al confirmar', () => {
+    move = 1;
+    step(6);
+
+    expect(predicted()).toBeCloseTo(0.6);
+    // El servidor aún no recibió todos los inputs (100 ms de ida)
+    expect(player.getComponent('transform').x).toBeLessThan(0.6);
+
+    move = 0;
+    step(40);
+
+    expect(player.getComponent('transform').x).toBeCloseTo(0.6);
+    expect(predicted()).toBeCloseTo(player.getComponent('transform').x, 6);
+    expect(prediction.getStats()).toMatchObject({ corrections: 0, snaps: 0 });
+    expect(prediction.getStats().replayedInputs).toBeGreaterThan(0);
+  });
+
+  test('debería suavizar las correcciones del servidor y cortar las grandes', () => {
+    step(2);
+    player.getComponent('transform').x += 1; // Empujón que el cliente no predijo
+    step(14);
+
+    // La corrección llegó pero se reparte en varios pasos
+    expect(prediction.getStats().corrections).toBe(1);
+    expect(predicted()).toBeGreaterThan(0);
+    expect(predicted()).toBeLessThan(1);
+
+    step(60);
+    expect(predicted()).toBeCloseTo(1, 3);
+
+    player.getComponent('transform').x += 5; // Más que snapDistance: se corrige de golpe
+    step(16);
+    expect(prediction.getStats().snaps).toBe(1);
+    expect(predicted()).toBeCloseTo(6, 6);
+  });
+
+  test('debería entregar los mensajes del loopback solo al cumplirse la latencia', () => {
+    const [a, b] = LoopbackTransport.createPair({ latency: 50, manual: true });
+    const received = [];
+    b.on('message', (message) => received.push(message.n));
+
+    a.send({ n: 1 });
+    a.advance(30);
+    a.send({ n: 2 });
+    expect(received).toEqual([]);
+
+    b.advance(20);
+    expect(received).toEqual([1]);
+    a.advance(30);
+    expect(received).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests para los prefabs
+ * Verifica instanciación, overrides, anidamiento y propagación de cambios
+ */
+
+import World from '../src/core/World.js';
+import AssetSystem from '../src/systems/AssetSystem.js';
+
+describe('Prefab', () => {
+  let world;
+
+  beforeEach(() => {
+    world = new World();
+    world.registerPrefab('enemy', {
+      components: {
+        transform: { y: 1 },
+        health: { value: 100, max: 100 }
+      },
+      tags: ['enemy']
+    });
+    world.registerPrefab('sword', {
+      components: { weapon: { damage: 5 } }
+    });
+    world.registerPrefab('orc', {
+      extends: 'enemy',
+      components: { health: { value: 150, max: 150 } },
+      children: [{ prefab: 'sword', overrides: { weapon: { damage: 8 } } }]
+    });
+  });
+
+  afterEach(() => {
+    world.destroy();
+  });
+
+  test('debería instanciar con herencia, overrides e hijos', () => {
+    const orc = world.instantiate('orc', { transform: { x: 3 } });
+    world.processEntityQueue();
+
+    expect(orc.hasTag('enemy')).toBe(true);
+    expect(orc.getComponent('health').value).toBe(150);
+    expect(orc.getComponent('transform')).toMatchObject({ x: 3, y: 1, scaleX: 1 });
+
+    const [sword] = orc.getChildren();
+    expect(sword.getComponent('weapon').damage).toBe(8);
+    expect(world.prefabs.getInstances('sword')).toEqual([sword]);
+  });
+
+  test('debería validar contra los schemas de ComponentRegistry', () => {
+    expect(() => world.instantiate('orc', { transform: { x: 'tres' } })).toThrow(
+      "Component 'transform' field 'x' expected type 'number' but got 'string'"
+    );
+    expect(() => world.instantiate('troll')).toThrow("Prefab 'troll' not registered");
+  });
+
+  test('debería propagar cambios solo a los valores no sobrescritos', () => {
+    const plain = world.instantiate('orc');
+    const overridden = world.instantiate('orc', { health: { max: 500 } });
+    const damaged = world.instantiate('orc');
+    world.processEntityQueue();
+    damaged.getComponent('health').value = 20;
+
+    world.updatePrefab('enemy', {
+      components: {
+        transform: { y: 2 },
+        health: { value: 100, max: 100 },
+        armor: { value: 3 }
+      },
+      tags: ['enemy', 'hostile']
+    });
+    world.updatePrefab('orc', {
+      extends: 'enemy',
+      components: { health: { value: 200, max: 200 } }
+    });
+
+    expect(plain.getComponent('transform').y).toBe(2);
+    expect(plain.getComponent('health')).toEqual({ value: 200, max: 200 });
+    expect(plain.getComponent('armor').value).toBe(3);
+    expect(plain.hasTag('hostile')).toBe(true);
+
+    expect(overridden.getComponent('health')).toEqual({ value: 200, max: 500 });
+    expect(damaged.getComponent('health')).toEqual({ value: 20, max: 200 });
+  });
+
+  test('debería cargar prefabs desde JSON mediante AssetSystem', () => {
+    const assets = new AssetSystem();
+    world.registerSystem(assets);
+
+    const names = assets.registerPrefabs({
+      prefabs: {
+        goblinArcher: { extends: 'goblin', components: { bow: { range: 20 } } },
+        goblin: { extends: 'enemy', components: { health: { value: 40, max: 40 } } }
+      }
+    });
+
+    expect(names).toEqual(['goblin', 'goblinArcher']);
+
+    const archer = world.instantiate('goblinArcher');
+    expect(archer.getComponent('health').value).toBe(40);
+    expect(archer.getComponent('bow').range).toBe(20);
+  });
+});
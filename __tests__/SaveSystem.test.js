@@ -0,0 +1,121 @@
+/**
+ * Tests para SaveSystem
+ * Verifica los slots, las migraciones de versión, la exclusión de entidades y los adaptadores
+ */
+
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import World from '../src/core/World.js';
+import SaveSystem, { SaveMode } from '../src/systems/SaveSystem.js';
+import MemoryStorageAdapter from '../src/adapters/memory/MemoryStorageAdapter.js';
+import FileStorageAdapter from '../src/adapters/node/FileStorageAdapter.js';
+
+describe('SaveSystem', () => {
+  let world;
+
+  beforeEach(() => {
+    world = new World();
+  });
+
+  afterEach(() => {
+    world.destroy();
+  });
+
+  test('debería guardar y cargar un slot con jerarquía, relaciones y recursos', async () => {
+    const saves = new SaveSystem(new MemoryStorageAdapter());
+    world.registerSystem(saves);
+
+    const player = world.createEntity().addTag('player').addComponent('transform', { x: 5 });
+    const sword = world.createEntity().addComponent('transform', { x: 1 });
+    sword.setParent(player);
+    player.addRelation('holds', sword, { hand: 'right' });
+    const camera = world.createEntity().addTag('nosave');
+    world.setResource('score', { points: 42 });
+    world.processEntityQueue();
+
+    const header = await saves.save('slot1', { metadata: { level: 'forest' }, thumbnail: 'data:image/png;base64,AA' });
+    expect(header).toMatchObject({ slot: 'slot1', version: 1, entities: 2, metadata: { level: 'forest' } });
+
+    player.getComponent('transform').x = 100;
+    world.setResource('score', { points: 0 });
+
+    const loaded = await saves.load('slot1');
+    const newPlayer = world.getEntitiesWithTag('player')[0];
+    const newSword = newPlayer.getChildren()[0];
+
+    expect(loaded).toHaveLength(2);
+    expect(world.getEntity(player.id)).toBeFalsy();
+    expect(world.getEntity(camera.id)).toBe(camera);
+    expect(newPlayer.getComponent('transform').x).toBe(5);
+    expect(newSword.getComponent('transform').x).toBe(1);
+    expect(newPlayer.getRelationData('holds', newSword)).toEqual({ hand: 'right' });
+    expect(world.getResource('score')).toEqual({ points: 42 });
+
+    expect(await saves.listSlots()).toEqual([header]);
+    await saves.deleteSlot('slot1');
+    expect(await saves.hasSlot('slot1')).toBe(false);
+  });
+
+  test('debería aplicar las migraciones en orden y rechazar versiones desconocidas', async () => {
+    const adapter = new MemoryStorageAdapter();
+    const oldSaves = new SaveSystem(adapter, { version: 1 });
+    world.registerSystem(oldSaves);
+    world.createEntity().addComponent('health', { hp: 10 });
+    world.processEntityQueue();
+    await oldSaves.save('slot1');
+    world.unregisterSystem(oldSaves);
+
+    const saves = new SaveSystem(adapter, {
+      version: 3,
+      migrations: {
+        1: (save) => {
+          save.entities.forEach(entity => {
+            entity.components.forEach(component => {
+              if (component.type === 'health') component.data.max = component.data.hp;
+            });
+          });
+          return save;
+        }
+      }
+    });
+    saves.registerMigration(2, (save) => ({ ...save, resources: { ...save.resources, migrated: true } }));
+    world.registerSystem(saves);
+
+    const [entity] = await saves.load('slot1');
+    expect(entity.getComponent('health')).toEqual({ hp: 10, max: 10 });
+    expect(world.getResource('migrated')).toBe(true);
+    expect(saves.getStats().migrations).toBe(2);
+
+    const newer = new SaveSystem(adapter, { version: 0 });
+    await expect(newer.read('slot1')).rejects.toThrow("Save 'slot1' has version 1, newer than the supported version 0");
+    await expect(saves.load('missing')).rejects.toThrow("Save slot 'missing' does not exist");
+  });
+
+  test('debería guardar solo las entidades marcadas en modo opt-in y persistir en archivos', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'saves-'));
+    const saves = new SaveSystem(new FileStorageAdapter(directory), { mode: SaveMode.OPT_IN, prefix: 'game' });
+    world.registerSystem(saves);
+
+    world.createEntity().addTag('save').addComponent('transform', { x: 3 });
+    const skipped = world.createEntity().addComponent('transform', { x: 9 });
+    world.processEntityQueue();
+
+    try {
+      await saves.save('auto');
+
+      const reader = new SaveSystem(new FileStorageAdapter(directory), { prefix: 'game' });
+      const data = await reader.read('auto');
+
+      expect(data.entities).toHaveLength(1);
+      expect(data.entities[0].components).toEqual([{ type: 'transform', data: { x: 3 } }]);
+      expect((await reader.listSlots()).map(slot => slot.slot)).toEqual(['auto']);
+
+      await saves.load('auto');
+      expect(world.getEntity(skipped.id)).toBe(skipped);
+      expect(world.getEntitiesWithTag('save')).toHaveLength(1);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
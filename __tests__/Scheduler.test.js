@@ -0,0 +1,85 @@
+/**
+ * Tests para el Scheduler
+ * Verifica after, every, nextFrame, cancelación y su integración con el World
+ */
+
+import Scheduler from '../src/core/Scheduler.js';
+import World from '../src/core/World.js';
+
+describe('Scheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new Scheduler();
+  });
+
+  test('debería ejecutar after en tiempo de juego y en orden de vencimiento', () => {
+    const calls = [];
+    scheduler.after(1, () => calls.push('b'));
+    scheduler.after(0.5, () => calls.push('a'));
+
+    scheduler.update(0.4);
+    expect(calls).toEqual([]);
+
+    scheduler.update(0.7);
+    expect(calls).toEqual(['a', 'b']);
+    expect(scheduler.size).toBe(0);
+  });
+
+  test('debería repetir every una vez por intervalo y poder cancelarse', () => {
+    let count = 0;
+    const handle = scheduler.every(0.25, () => count++);
+
+    scheduler.update(0.6);
+    expect(count).toBe(2);
+    expect(handle.remaining).toBeCloseTo(0.15);
+
+    handle.cancel();
+    scheduler.update(1);
+    expect(count).toBe(2);
+    expect(handle.active).toBe(false);
+  });
+
+  test('debería ejecutar nextFrame en el siguiente update aunque se programe durante uno', () => {
+    const frames = [];
+    scheduler.nextFrame(() => {
+      frames.push(scheduler.frame);
+      scheduler.nextFrame(() => frames.push(scheduler.frame));
+    });
+
+    scheduler.update(0);
+    scheduler.update(0);
+
+    expect(frames).toEqual([1, 2]);
+  });
+
+  test('debería cancelar juntos los temporizadores de un grupo', () => {
+    let count = 0;
+    const group = scheduler.group();
+    group.after(1, () => count++);
+    group.every(1, () => count++);
+    scheduler.after(1, () => count++);
+
+    group.cancelAll();
+    scheduler.update(1);
+
+    expect(count).toBe(1);
+    expect(() => scheduler.every(0, () => {})).toThrow('Scheduler.every expects seconds > 0');
+  });
+
+  test('debería resolver wait con el tiempo del world', async () => {
+    const world = new World();
+    let done = false;
+    world.scheduler.wait(0.5).then(() => { done = true; });
+
+    world.update(0.3);
+    await Promise.resolve();
+    expect(done).toBe(false);
+
+    world.update(0.3);
+    await Promise.resolve();
+    expect(done).toBe(true);
+
+    world.destroy();
+  });
+});
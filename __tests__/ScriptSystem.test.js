@@ -0,0 +1,126 @@
+/**
+ * Tests para ScriptSystem
+ * Verifica el ciclo de vida de los scripts, el acceso a componentes y las colisiones
+ */
+
+import World from '../src/core/World.js';
+import ScriptSystem from '../src/systems/ScriptSystem.js';
+import { Script, ScriptRegistry, createScript, createScripts } from '../src/components/logic/Script.js';
+
+describe('ScriptSystem', () => {
+  let world;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    world = new World();
+    world.registerSystem(new ScriptSystem());
+
+    class Mover extends Script {
+      onStart() {
+        calls.push('start');
+      }
+
+      onUpdate(deltaTime) {
+        this.getComponent('transform').x += this.params.speed * deltaTime;
+      }
+
+      onFixedUpdate() {
+        calls.push('fixed');
+      }
+
+      onCollision(other, data) {
+        calls.push(`hit:${other.id}:${data.started}`);
+      }
+
+      onDestroy() {
+        calls.push('destroy');
+      }
+    }
+
+    ScriptRegistry.register('mover', Mover);
+    ScriptRegistry.register('logger', {
+      onStart() {
+        calls.push(`logger sees ${this.getScript('mover').name}`);
+      }
+    });
+  });
+
+  afterEach(() => {
+    world.destroy();
+    ScriptRegistry.clear();
+  });
+
+  test('debería llamar a onStart una vez antes de onUpdate y dar acceso a los componentes', () => {
+    const entity = world.createEntity()
+      .addComponent('transform', { x: 0 })
+      .addComponent('script', createScript('mover', { speed: 2 }));
+    world.processEntityQueue();
+
+    world.update(0.5);
+    world.update(0.5);
+
+    expect(calls).toEqual(['start']);
+    expect(entity.getComponent('transform').x).toBe(2);
+  });
+
+  test('debería ejecutar onFixedUpdate, reenviar colisiones y llamar a onDestroy', () => {
+    const entity = world.createEntity()
+      .addComponent('transform', {})
+      .addComponent('script', createScripts(['mover', { name: 'logger' }]));
+    const other = world.createEntity();
+    world.processEntityQueue();
+
+    world.fixedUpdate(1 / 60);
+    world.emit('collisionStart', entity, other, { entity, other, started: true });
+    entity.destroy();
+    world.processEntityQueue();
+
+    expect(calls).toEqual(['start', 'logger sees mover', 'fixed', `hit:${other.id}:true`, 'destroy']);
+  });
+
+  test('debería llamar a onDestroy al quitar el componente y aislar los errores de los hooks', () => {
+    const errors = [];
+    const originalError = console.error;
+    console.error = (...args) => errors.push(args[0]);
+
+    ScriptRegistry.register('broken', {
+      onUpdate() {
+        throw new Error('boom');
+      }
+    });
+
+    const entity = world.createEntity()
+      .addComponent('transform', { x: 0 })
+      .addComponent('script', createScripts(['broken', { name: 'mover', params: { speed: 1 } }]));
+    world.processEntityQueue();
+
+    world.update(1);
+    entity.removeComponent('script');
+
+    console.error = originalError;
+    expect(errors).toEqual(["Error in script 'broken' onUpdate (entity " + entity.id + '):']);
+    expect(entity.getComponent('transform').x).toBe(1);
+    expect(calls).toEqual(['start', 'destroy']);
+  });
+
+  test('debería poder leer los demás componentes en onDestroy al destruir la entidad', () => {
+    ScriptRegistry.register('dropper', {
+      onDestroy() {
+        const transform = this.getComponent('transform');
+        calls.push(`drop at ${transform && transform.x}`);
+      }
+    });
+
+    const entity = world.createEntity()
+      .addComponent('transform', { x: 7 })
+      .addComponent('script', createScript('dropper'));
+    world.processEntityQueue();
+
+    world.update(0.016);
+    entity.destroy();
+    world.processEntityQueue();
+
+    expect(calls).toEqual(['drop at 7']);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * Tests para el índice espacial (SpatialHash, Octree y consultas del world)
+ * Los resultados se comparan con una búsqueda lineal sobre los mismos puntos
+ */
+
+import World from '../src/core/World.js';
+import System from '../src/core/System.js';
+import Random from '../src/core/Random.js';
+import SpatialHash from '../src/spatial/SpatialHash.js';
+import Octree from '../src/spatial/Octree.js';
+import AudioSystem from '../src/systems/AudioSystem.js';
+import AssetSystem, { AssetType } from '../src/systems/AssetSystem.js';
+
+const ids = items => items.map(item => item.id).sort((a, b) => a - b);
+
+describe('Spatial', () => {
+  test.each([
+    ['SpatialHash', () => new SpatialHash({ cellSize: 8 })],
+    ['Octree', () => new Octree({ bounds: { min: { x: -20, y: -20, z: -20 }, max: { x: 20, y: 20, z: 20 } }, maxItems: 4 })]
+  ])('%s debería dar los mismos resultados que una búsqueda lineal', (name, create) => {
+    const random = new Random(7);
+    const index = create();
+    const points = Array.from({ length: 300 }, (_, id) => ({
+      id, x: random.range(-60, 60), y: random.range(-10, 10), z: random.range(-60, 60)
+    }));
+    points.forEach(point => index.insert(point, point.x, point.y, point.z));
+
+    // Mover algunos (fuera de los límites iniciales del octree) y quitar otros
+    points.slice(0, 50).forEach(point => {
+      point.x += random.range(-30, 30);
+      index.update(point, point.x, point.y, point.z);
+    });
+    const removed = points.splice(250, 50);
+    removed.forEach(point => index.remove(point));
+    expect(index.size).toBe(250);
+
+    const center = { x: 5, y: 0, z: -3 };
+    const distance = point => Math.hypot(point.x - center.x, point.y - center.y, point.z - center.z);
+
+    expect(ids(index.queryRadius(center, 25))).toEqual(ids(points.filter(point => distance(point) <= 25)));
+
+    const min = { x: -10, y: -5, z: 0 };
+    const max = { x: 30, y: 5, z: 40 };
+    const inside = point => ['x', 'y', 'z'].every(axis => point[axis] >= min[axis] && point[axis] <= max[axis]);
+    expect(ids(index.queryBox(min, max))).toEqual(ids(points.filter(inside)));
+
+    const sorted = [...points].sort((a, b) => distance(a) - distance(b));
+    expect(index.nearest(center, { count: 5 }).map(result => result.item)).toEqual(sorted.slice(0, 5));
+    const even = index.nearest(center, { filter: point => point.id % 2 === 0 });
+    expect(even[0].item).toBe(sorted.find(point => point.id % 2 === 0));
+    expect(even[0].distance).toBeCloseTo(distance(even[0].item));
+    expect(index.nearest({ x: 500, y: 0, z: 500 }, { maxDistance: 10 })).toEqual([]);
+  });
+
+  test('debería seguir las entidades del world y filtrar por tags y componentes', () => {
+    const world = new World();
+    const at = (x, z, tag) => {
+      const entity = world.createEntity().addComponent('transform', { x, y: 0, z });
+      if (tag) entity.addTag(tag);
+      return entity;
+    };
+    const enemy = at(3, 0, 'enemy').addComponent('health', { value: 10 });
+    const farEnemy = at(40, 0, 'enemy');
+    const crate = at(-2, 1);
+    world.processEntityQueue();
+
+    expect(world.queryRadius({ x: 0, z: 0 }, 5)).toEqual(expect.arrayContaining([enemy, crate]));
+    expect(world.queryRadius({ x: 0, z: 0 }, 5, { tags: 'enemy' })).toEqual([enemy]);
+    expect(world.queryBox({ x: 0, y: -1, z: -1 }, { x: 50, y: 1, z: 1 }, { components: ['health'] })).toEqual([enemy]);
+    expect(world.nearest({ x: 30, z: 0 })).toBe(farEnemy);
+
+    // Entidad movida, entidad eliminada y entidad nueva
+    farEnemy.getComponent('transform').x = 1;
+    farEnemy.markChanged('transform');
+    world.removeEntity(enemy);
+    const late = at(0, 4, 'enemy');
+    world.processEntityQueue();
+
+    expect(world.nearest({ x: 0, z: 0 }, { tags: ['enemy'], count: 2 })).toEqual([farEnemy, late]);
+    expect(world.queryRadius({ x: 0, z: 0 }, 100)).not.toContain(enemy);
+
+    // Mismos resultados tras cambiar a un octree
+    world.setSpatialIndex({ type: 'octree', maxItems: 1 });
+    expect(world.nearest({ x: 0, z: 0 }, { tags: ['enemy'], count: 2 })).toEqual([farEnemy, late]);
+    expect(world.getSpatialIndex().getStats()).toMatchObject({ type: 'octree', tracked: 3 });
+    expect(() => world.setSpatialIndex({ type: 'grid' })).toThrow('Unknown spatial index type');
+    world.destroy();
+  });
+
+  test('debería reindexar solo las entidades cuyo transform cambió', () => {
+    const world = new World();
+    const entities = Array.from({ length: 50 }, (_, i) =>
+      world.createEntity().addComponent('transform', { x: i * 2, y: 0, z: 0 }));
+    const runner = entities[0];
+    world.processEntityQueue();
+
+    class RunnerSystem extends System {
+      constructor() {
+        super('RunnerSystem', ['transform']);
+      }
+
+      process() {
+        runner.getComponent('transform').x -= 1;
+        runner.markChanged('transform');
+      }
+    }
+    world.registerSystem(new RunnerSystem());
+
+    const index = world.getSpatialIndex();
+    for (let frame = 1; frame <= 3; frame++) {
+      world.update(0.016);
+      expect(world.nearest({ x: -frame, y: 0, z: 0 })).toBe(runner);
+    }
+    expect(index.getStats()).toMatchObject({ syncs: 3, processed: 3, moved: 3 });
+
+    // Un cambio directo sin markChanged solo se ve al releer todo
+    entities[10].getComponent('transform').x = -50;
+    expect(world.nearest({ x: -50, y: 0, z: 0 })).toBe(runner);
+    index.sync(true);
+    expect(world.nearest({ x: -50, y: 0, z: 0 })).toBe(entities[10]);
+    world.destroy();
+  });
+
+  test('debería silenciar en AudioSystem las fuentes más lejanas que cullDistance', () => {
+    const volumes = new Map();
+    const adapter = {
+      init() {},
+      destroy() {},
+      loadSound: async uri => ({ uri }),
+      unloadSound() {},
+      playSound(sound, options) { volumes.set(sound, options.volume); },
+      stopSound() {},
+      setVolume(sound, volume) { volumes.set(sound, volume); }
+    };
+
+    const world = new World();
+    const audio = new AudioSystem(adapter, { cullDistance: 20 });
+    world.registerSystem(audio);
+    const culledEvents = [];
+    audio.on('soundCulled', event => culledEvents.push(event.instanceId));
+
+    const sound = {};
+    audio.sounds.set('engine', { id: 'engine', sound, category: 'sfx', loaded: true });
+    const instanceId = audio.playSound('engine', { is3D: true, maxDistance: 50, position3D: { x: 5, y: 0, z: 0 } });
+    const car = world.createEntity()
+      .addComponent('transform', { x: 5, y: 0, z: 0 })
+      .addComponent('audioSource', { instanceId, is3D: true });
+    world.processEntityQueue();
+
+    world.update(0.016);
+    expect(volumes.get(sound)).toBeGreaterThan(0);
+
+    // Los cambios directos del transform se ven en el siguiente frame
+    car.getComponent('transform').x = 30;
+    world.update(0.016);
+    expect(culledEvents).toEqual([instanceId]);
+    expect(volumes.get(sound)).toBe(0);
+    expect(audio.getStats()).toMatchObject({ audible: 0, culled: 1 });
+
+    car.getComponent('transform').x = 10;
+    world.update(0.016);
+    expect(volumes.get(sound)).toBeCloseTo(1 - 9 / 49);
+    expect(audio.getStats().culled).toBe(0);
+    world.destroy();
+  });
+
+  test('debería precargar en AssetSystem los assets de las entidades cercanas y liberarlos al alejarse', async () => {
+    const world = new World();
+    const assets = new AssetSystem();
+    world.registerSystem(assets);
+    assets.registerAsset('castle', AssetType.DATA, '/data/castle.json');
+    assets.cache.set('/data/castle.json', { towers: 4 }); // Sin red: ya en caché
+
+    world.createEntity()
+      .addComponent('transform', { x: 100, y: 0, z: 0 })
+      .addComponent('preload', { assets: ['castle'] });
+    world.processEntityQueue();
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const check = async (x) => {
+      assets.setPreloadOrigin(x, 0, 0);
+      assets.update(assets.config.preloadInterval);
+      await flush();
+    };
+
+    // Desactivada por defecto: ni precarga ni índice espacial
+    await check(100);
+    expect(assets.preloaded.size).toBe(0);
+    expect(world.spatial).toBeNull();
+
+    assets.config.preloadDistance = 50;
+    await check(0);
+    expect(assets.preloaded.size).toBe(0);
+
+    await check(60);
+    expect(assets.preloaded.get('castle')).toBe('loaded');
+    expect(assets.assets.get('castle').data).toEqual({ towers: 4 });
+
+    // Dentro del margen de histéresis se conserva; fuera se libera
+    await check(45);
+    expect(assets.preloaded.has('castle')).toBe(true);
+    await check(20);
+    expect(assets.preloaded.has('castle')).toBe(false);
+    expect(assets.assets.get('castle').status).toBe('unloaded');
+    world.destroy();
+  });
+
+  test('debería reutilizar en AssetSystem la carga en curso si la entidad se aleja y vuelve', async () => {
+    const world = new World();
+    const assets = new AssetSystem();
+    world.registerSystem(assets);
+    assets.registerAsset('theme', AssetType.AUDIO, '/audio/theme.mp3'); // Carga asíncrona sin red
+    assets.config.preloadDistance = 50;
+
+    world.createEntity()
+      .addComponent('transform', { x: 0, y: 0, z: 0 })
+      .addComponent('preload', { assets: ['theme'] });
+    world.processEntityQueue();
+
+    const check = (x) => {
+      assets.setPreloadOrigin(x, 0, 0);
+      assets.update(assets.config.preloadInterval);
+    };
+
+    // Cerca, lejos y cerca otra vez antes de que termine la carga
+    check(10);
+    check(100);
+    expect(assets.preloaded.get('theme')).toBe('releasing');
+    check(10);
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    const asset = assets.assets.get('theme');
+    expect(assets.preloaded.get('theme')).toBe('loaded');
+    expect(asset.status).toBe('loaded');
+    expect(asset.refCount).toBe(1);
+
+    check(100);
+    expect(assets.preloaded.has('theme')).toBe(false);
+    expect(asset.status).toBe('unloaded');
+    world.destroy();
+  });
+
+  test('debería reintentar en AssetSystem una precarga fallida solo tras salir del radio', async () => {
+    const world = new World();
+    const assets = new AssetSystem();
+    world.registerSystem(assets);
+    assets.registerAsset('ruins', 'hologram', '/data/ruins.bin'); // Tipo sin cargador: falla
+    assets.config.preloadDistance = 50;
+
+    const attempts = [];
+    assets.on('assetLoadError', event => attempts.push(event.id));
+
+    world.createEntity()
+      .addComponent('transform', { x: 0, y: 0, z: 0 })
+      .addComponent('preload', { assets: ['ruins'] });
+    world.processEntityQueue();
+
+    const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+    const check = async (x) => {
+      assets.setPreloadOrigin(x, 0, 0);
+      assets.update(assets.config.preloadInterval);
+      await flush();
+    };
+
+    await check(10);
+    await check(20);
+    expect(assets.preloaded.get('ruins')).toBe('failed');
+    expect(attempts).toEqual(['ruins']);
+
+    await check(100);
+    expect(assets.preloaded.has('ruins')).toBe(false);
+    await check(10);
+    expect(attempts).toEqual(['ruins', 'ruins']);
+    world.destroy();
+  });
+});
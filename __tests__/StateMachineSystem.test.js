@@ -0,0 +1,93 @@
+/**
+ * Tests para StateMachineSystem
+ * Verifica estado inicial, eventos con guardas, transiciones temporizadas y eventos emitidos
+ */
+
+import World from '../src/core/World.js';
+import StateMachineSystem from '../src/systems/StateMachineSystem.js';
+import {
+  StateMachineRegistry,
+  createStateMachine
+} from '../src/components/logic/StateMachine.js';
+
+describe('StateMachineSystem', () => {
+  let world;
+  let system;
+  let calls;
+
+  beforeEach(() => {
+    calls = [];
+    world = new World();
+    system = new StateMachineSystem();
+    world.registerSystem(system);
+
+    StateMachineRegistry.define('door', {
+      initial: 'closed',
+      states: {
+        closed: {
+          onEnter: () => calls.push('enter:closed'),
+          onExit: () => calls.push('exit:closed'),
+          transitions: [{ event: 'open', to: 'open', guard: (entity) => !entity.hasTag('locked') }]
+        },
+        open: {
+          onEnter: (entity, machine, { event }) => calls.push(`enter:open:${event}`),
+          onUpdate: (entity, machine) => calls.push(`update:open:${machine.time}`),
+          transitions: [{ after: 1, to: 'closed' }]
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    world.destroy();
+    StateMachineRegistry.clear();
+  });
+
+  test('debería entrar en el estado inicial y respetar las guardas de los eventos', () => {
+    const door = world.createEntity().addComponent('stateMachine', createStateMachine('door')).addTag('locked');
+    world.processEntityQueue();
+    world.update(0.1);
+
+    system.send(door, 'open');
+    world.update(0.1);
+    expect(system.getState(door)).toBe('closed');
+
+    door.removeTag('locked');
+    system.send(door, 'open');
+    world.update(0.1);
+
+    expect(system.getState(door)).toBe('open');
+    expect(calls).toEqual(['enter:closed', 'exit:closed', 'enter:open:open', 'update:open:0.1']);
+  });
+
+  test('debería ejecutar transiciones temporizadas y emitir stateChanged en entidad y world', () => {
+    const door = world.createEntity().addComponent('stateMachine', createStateMachine('door', { state: 'open' }));
+    const entityEvents = [];
+    const worldEvents = [];
+    door.on('stateChanged', ({ from, to }) => entityEvents.push(`${from}->${to}`));
+    world.on('stateChanged', (entity, { to }) => worldEvents.push([entity, to]));
+    world.processEntityQueue();
+
+    world.update(0.6);
+    expect(system.getState(door)).toBe('open');
+
+    world.update(0.6);
+    expect(system.getState(door)).toBe('closed');
+    expect(entityEvents).toEqual(['open->closed']);
+    expect(worldEvents).toEqual([[door, 'closed']]);
+    expect(system.getDebugInfo().history).toMatchObject([{ entity: door.id, from: 'open', to: 'closed', event: null }]);
+  });
+
+  test('debería validar las definiciones y los estados forzados', () => {
+    expect(() => StateMachineRegistry.define('broken', { initial: 'a', states: { a: { transitions: [{ to: 'b' }] } } }))
+      .toThrow("State machine 'broken' transition from 'a' to unknown state 'b'");
+
+    const door = world.createEntity().addComponent('stateMachine', createStateMachine('door'));
+    world.processEntityQueue();
+    world.update(0.1);
+
+    expect(() => system.setState(door, 'ajar')).toThrow("State machine 'door' has no state 'ajar'");
+    system.setState(door, 'open');
+    expect(door.getComponent('stateMachine')).toMatchObject({ state: 'open', previous: 'closed', time: 0 });
+  });
+});
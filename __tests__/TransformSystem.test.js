@@ -0,0 +1,104 @@
+/**
+ * Tests para TransformSystem
+ * Verifica la jerarquía padre/hijo y las transformaciones de mundo
+ */
+
+import World from '../src/core/World.js';
+import TransformSystem from '../src/systems/TransformSystem.js';
+
+describe('TransformSystem', () => {
+  let world;
+  let transformSystem;
+
+  const createEntity = (transform = {}) => {
+    return world.createEntity().addComponent('transform', {
+      x: 0, y: 0, z: 0,
+      rotationX: 0, rotationY: 0, rotationZ: 0,
+      scaleX: 1, scaleY: 1, scaleZ: 1,
+      ...transform
+    });
+  };
+
+  beforeEach(() => {
+    world = new World();
+    transformSystem = new TransformSystem();
+    world.registerSystem(transformSystem);
+  });
+
+  afterEach(() => {
+    world.destroy();
+  });
+
+  describe('Jerarquía', () => {
+    test('debería componer la transformación del padre', () => {
+      const tank = createEntity({ x: 10, rotationY: Math.PI / 2 });
+      const turret = createEntity({ y: 1, z: 2 });
+      turret.setParent(tank);
+
+      world.update(0.016);
+
+      const worldTransform = turret.getComponent('transform').world;
+      expect(worldTransform.x).toBeCloseTo(12);
+      expect(worldTransform.y).toBeCloseTo(1);
+      expect(worldTransform.z).toBeCloseTo(0);
+      expect(worldTransform.rotationY).toBeCloseTo(Math.PI / 2);
+    });
+
+    test('debería recalcular solo los subárboles modificados', () => {
+      const a = createEntity();
+      const b = createEntity();
+      createEntity().setParent(a);
+      createEntity().setParent(b);
+
+      world.update(0.016);
+      expect(transformSystem.stats.recomputed).toBe(4);
+
+      world.update(0.016);
+      expect(transformSystem.stats.recomputed).toBe(0);
+
+      a.getComponent('transform').x = 5;
+      world.update(0.016);
+      expect(transformSystem.stats.recomputed).toBe(2);
+    });
+
+    test('no debería serializar la transformación de mundo', () => {
+      const parent = createEntity({ x: 1 });
+      const child = createEntity();
+      child.setParent(parent);
+
+      world.update(0.016);
+
+      const json = JSON.parse(JSON.stringify(child.toJSON()));
+      expect(json.parent).toBe(parent.id);
+      expect(json.components[0].data.world).toBeUndefined();
+    });
+
+    test('debería impedir ciclos en la jerarquía', () => {
+      const parent = createEntity();
+      const child = createEntity();
+      child.setParent(parent);
+
+      const warn = console.warn;
+      console.warn = () => {};
+      parent.setParent(child);
+      console.warn = warn;
+
+      expect(parent.parent).toBeNull();
+    });
+
+    test('debería destruir los hijos en cascada', () => {
+      const parent = createEntity();
+      const child = createEntity();
+      const grandChild = createEntity();
+      child.setParent(parent);
+      grandChild.setParent(child);
+      world.processEntityQueue();
+
+      parent.destroy();
+      world.processEntityQueue();
+
+      expect(world.entities.size).toBe(0);
+      expect(transformSystem.roots.size).toBe(0);
+    });
+  });
+});
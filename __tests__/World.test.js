@@ -0,0 +1,557 @@
+/**
+ * Tests para World
+ * Verifica la gestión de entidades y las consultas cacheadas
+ */
+
+import World from '../src/core/World.js';
+import Entity from '../src/core/Entity.js';
+import System, { SystemPhase } from '../src/core/System.js';
+import EntityHandle from '../src/core/EntityHandle.js';
+
+describe('World', () => {
+  let world;
+
+  beforeEach(() => {
+    world = new World();
+  });
+
+  afterEach(() => {
+    world.destroy();
+  });
+
+  describe('Consultas cacheadas', () => {
+    test('debería devolver solo entidades ya procesadas', () => {
+      world.createEntity().addComponent('transform', {});
+
+      expect(world.getEntitiesWithComponents('transform')).toHaveLength(0);
+
+      world.processEntityQueue();
+
+      expect(world.getEntitiesWithComponents('transform')).toHaveLength(1);
+    });
+
+    test('debería actualizar la consulta al agregar y quitar componentes', () => {
+      const entity = world.createEntity().addComponent('transform', {});
+      world.processEntityQueue();
+
+      expect(world.getEntitiesWithComponents('transform', 'mesh')).toHaveLength(0);
+
+      entity.addComponent('mesh', {});
+      expect(world.getEntitiesWithComponents('mesh', 'transform')).toEqual([entity]);
+
+      entity.removeComponent('transform');
+      expect(world.getEntitiesWithComponents('transform', 'mesh')).toHaveLength(0);
+    });
+
+    test('debería excluir entidades inactivas y eliminadas', () => {
+      const a = world.createEntity().addComponent('transform', {});
+      const b = world.createEntity().addComponent('transform', {});
+      world.processEntityQueue();
+
+      a.active = false;
+      expect(world.getEntitiesWithComponents('transform')).toEqual([b]);
+
+      b.destroy();
+      expect(world.getEntitiesWithComponents('transform')).toHaveLength(0);
+
+      world.processEntityQueue();
+      expect(world.entityIndex.get('transform').size).toBe(1);
+    });
+
+    test('debería quitar del índice de tags las entidades destruidas', () => {
+      const enemy = world.createEntity().addTag('enemy');
+      const removed = world.createEntity().addTag('enemy');
+      world.processEntityQueue();
+
+      enemy.destroy();
+      world.removeEntity(removed);
+      world.processEntityQueue();
+
+      expect(world.getEntitiesWithTag('enemy')).toHaveLength(0);
+      expect(world.tagIndex.get('enemy').size).toBe(0);
+    });
+
+    test('debería reutilizar el resultado mientras no haya cambios', () => {
+      world.createEntity().addComponent('transform', {});
+      world.processEntityQueue();
+
+      const first = world.getEntitiesWithComponents('transform');
+      const second = world.getEntitiesWithComponents('transform');
+
+      expect(second).toBe(first);
+    });
+
+    test('debería reportar consultas y aciertos en las estadísticas', () => {
+      world.getEntitiesWithComponents('transform');
+      world.getEntitiesWithComponents('transform');
+      world.getEntitiesWithComponents('transform', 'mesh');
+
+      const stats = world.getStats();
+
+      expect(stats.queries).toBe(2);
+      expect(stats.queryHits).toBe(1);
+      expect(stats.queryMisses).toBe(2);
+    });
+  });
+
+  describe('Consultas con descriptor', () => {
+    test('debería aplicar términos all, any y none', () => {
+      const mesh = world.createEntity().addComponent('transform', {}).addComponent('mesh', {});
+      const sprite = world.createEntity().addComponent('transform', {}).addComponent('sprite', {});
+      world.createEntity().addComponent('transform', {});
+      world.createEntity()
+        .addComponent('transform', {})
+        .addComponent('mesh', {})
+        .addComponent('disabled', {});
+      world.processEntityQueue();
+
+      const result = world.getEntitiesWithComponents({
+        all: ['transform'],
+        any: ['mesh', 'sprite'],
+        none: ['disabled']
+      });
+
+      expect(result).toHaveLength(2);
+      expect(result).toEqual(expect.arrayContaining([mesh, sprite]));
+    });
+
+    test('debería compartir la consulta sin importar el orden', () => {
+      const a = world.query({ any: ['mesh', 'sprite'], none: ['disabled'] });
+      const b = world.query({ none: ['disabled'], any: ['sprite', 'mesh'] });
+
+      expect(b).toBe(a);
+    });
+
+    test('debería publicar added y removed por frame', () => {
+      const query = world.query({ all: ['transform'], none: ['disabled'] });
+      const entity = world.createEntity().addComponent('transform', {});
+
+      world.update(0.016);
+      expect(query.added.size).toBe(0);
+
+      world.update(0.016);
+      expect(Array.from(query.added)).toEqual([entity]);
+
+      entity.addComponent('disabled', {});
+      world.update(0.016);
+      expect(query.added.size).toBe(0);
+      expect(Array.from(query.removed)).toEqual([entity]);
+
+      world.update(0.016);
+      expect(query.removed.size).toBe(0);
+    });
+
+    test('debería cancelar cambios que se anulan dentro del frame', () => {
+      const query = world.query('transform');
+      const entity = world.createEntity().addComponent('transform', {});
+      world.update(0.016);
+      world.update(0.016);
+
+      entity.removeComponent('transform');
+      entity.addComponent('transform', {});
+      world.update(0.016);
+
+      expect(query.added.size).toBe(0);
+      expect(query.removed.size).toBe(0);
+    });
+  });
+
+  describe('Planificación de sistemas', () => {
+    const createSystem = (name, log, priority = 0, options = {}) => {
+      const system = new System(name, [], priority, options);
+      system.update = () => log.push(name);
+      return system;
+    };
+
+    test('debería ejecutar las fases en orden', () => {
+      const log = [];
+      world.registerSystem(createSystem('Render', log, 100, { phase: SystemPhase.RENDER }));
+      world.registerSystem(createSystem('Late', log, 100, { phase: SystemPhase.LATE_UPDATE }));
+      world.registerSystem(createSystem('Logic', log));
+      world.registerSystem(createSystem('Input', log, 0, { phase: SystemPhase.PRE_UPDATE }));
+
+      world.update(0.016);
+
+      expect(log).toEqual(['Input', 'Logic', 'Late', 'Render']);
+    });
+
+    test('debería respetar before/after por encima de la prioridad', () => {
+      const log = [];
+      world.registerSystem(createSystem('A', log, 100, { after: ['B'] }));
+      world.registerSystem(createSystem('B', log, 0));
+      world.registerSystem(createSystem('C', log, 50, { before: ['B'] }));
+
+      world.update(0.016);
+
+      expect(log).toEqual(['C', 'B', 'A']);
+      expect(world.getSchedule().update).toEqual(['C', 'B', 'A']);
+    });
+
+    test('debería lanzar un error claro ante un ciclo', () => {
+      world.registerSystem(createSystem('A', [], 0, { before: ['B'] }));
+
+      expect(() => {
+        world.registerSystem(createSystem('B', [], 0, { before: ['A'] }));
+      }).toThrow('System ordering cycle detected: A -> B -> A');
+
+      expect(world.systems.map(system => system.name)).toEqual(['A']);
+    });
+  });
+
+  describe('Snapshot', () => {
+    class CounterSystem extends System {
+      constructor() {
+        super('CounterSystem');
+        this.count = 0;
+      }
+
+      snapshot() {
+        return { count: this.count };
+      }
+
+      restore(state) {
+        this.count = state.count;
+      }
+    }
+
+    test('debería restaurar entidades, tags, jerarquía e ids', () => {
+      const parent = world.createEntity().addComponent('transform', { x: 1 }).addTag('player');
+      const child = world.createEntity().addComponent('health', { value: 10 });
+      child.setParent(parent);
+      world.processEntityQueue();
+
+      const snapshot = world.snapshot();
+
+      child.getComponent('health').value = 0;
+      parent.destroy();
+      world.createEntity();
+      world.processEntityQueue();
+
+      world.restore(snapshot);
+
+      const restoredParent = world.getEntity(parent.id);
+      const restoredChild = world.getEntity(child.id);
+      expect(world.entities.size).toBe(2);
+      expect(restoredParent.hasTag('player')).toBe(true);
+      expect(world.getEntitiesWithTag('player')).toEqual([restoredParent]);
+      expect(restoredChild.getComponent('health').value).toBe(10);
+      expect(restoredChild.parent).toBe(restoredParent);
+      expect(world.createEntity().id).toBe(snapshot.entityAllocator.nextIndex);
+    });
+
+    test('debería restaurar snapshots de la versión 1 sin estado de handles', () => {
+      const first = world.createEntity().addComponent('health', { value: 1 });
+      const second = world.createEntity().addComponent('health', { value: 2 });
+      world.processEntityQueue();
+      first.destroy();
+      world.processEntityQueue();
+
+      const { entityAllocator, ...snapshot } = world.snapshot();
+      expect(entityAllocator).toBeDefined();
+
+      world.createEntity();
+      world.processEntityQueue();
+      world.restore({ ...snapshot, version: 1 });
+
+      const restored = world.getEntity(second.id);
+      expect(restored.getComponent('health').value).toBe(2);
+      expect(world.isAlive(first.id)).toBe(false);
+
+      // Los índices libres se reutilizan con una generación nueva, nunca con un id vivo
+      const created = world.createEntity();
+      world.processEntityQueue();
+      expect(created.id).not.toBe(second.id);
+      expect(created.id).not.toBe(first.id);
+      expect(world.getEntity(second.id)).toBe(restored);
+    });
+
+    test('debería notificar a los sistemas la eliminación de las entidades inactivas al restaurar', () => {
+      const removed = [];
+      class TrackerSystem extends System {
+        constructor() {
+          super('TrackerSystem', ['body']);
+        }
+
+        onEntityRemoved(entity) {
+          removed.push(entity);
+        }
+      }
+      world.registerSystem(new TrackerSystem());
+
+      const sleeping = world.createEntity().addComponent('body', { mass: 1 });
+      world.processEntityQueue();
+      const snapshot = world.snapshot();
+
+      sleeping.active = false;
+      world.restore(snapshot);
+
+      expect(removed).toContain(sleeping);
+      expect(world.getEntity(sleeping.id)).not.toBe(sleeping);
+      expect(world.getEntity(sleeping.id).active).toBe(true);
+    });
+
+    test('debería guardar y restaurar el estado de los sistemas', () => {
+      const counter = new CounterSystem();
+      world.registerSystem(counter);
+      counter.count = 3;
+
+      const snapshot = JSON.parse(JSON.stringify(world.snapshot()));
+      counter.count = 8;
+
+      world.restore(snapshot);
+      expect(counter.count).toBe(3);
+    });
+  });
+
+  describe('Comandos diferidos', () => {
+    test('debería aplicar los cambios estructurales al terminar la fase', () => {
+      const seen = [];
+
+      class SpawnSystem extends System {
+        constructor() {
+          super('SpawnSystem', ['health']);
+        }
+
+        process(entities) {
+          entities.forEach(entity => {
+            if (!entity.hasComponent('burning')) {
+              this.commands.addComponent(entity, 'burning', {});
+              this.commands.createEntity().addComponent('health', { value: 1 });
+            }
+          });
+          seen.push([entities.length, world.getEntitiesWithComponents('burning').length]);
+        }
+      }
+
+      world.createEntity().addComponent('health', { value: 10 });
+      world.processEntityQueue();
+      world.registerSystem(new SpawnSystem());
+
+      world.update(0.016);
+      expect(world.getEntitiesWithComponents('burning')).toHaveLength(1);
+      expect(world.getEntitiesWithComponents('health')).toHaveLength(2);
+
+      world.update(0.016);
+      expect(seen).toEqual([[1, 0], [2, 1]]);
+    });
+
+    test('debería descartar comandos sobre entidades destruidas', () => {
+      const entity = world.createEntity();
+      world.processEntityQueue();
+
+      world.commands.destroyEntity(entity);
+      world.commands.addTag(entity, 'ghost');
+      world.flushCommands();
+
+      expect(world.commands.getStats()).toMatchObject({ flushed: 1, skipped: 1, pending: 0 });
+    });
+
+    test('debería liberar los handles reservados al descartar los comandos', () => {
+      const discarded = world.commands.createEntity();
+      world.commands.clear();
+
+      const next = world.createEntity();
+      world.processEntityQueue();
+
+      expect(EntityHandle.getIndex(next.id)).toBe(EntityHandle.getIndex(discarded.id));
+      expect(next.id).not.toBe(discarded.id);
+      expect(world.isAlive(discarded)).toBe(false);
+    });
+  });
+
+  describe('Handles generacionales', () => {
+    test('debería invalidar handles viejos aunque el índice se recicle', () => {
+      const first = world.createEntity();
+      world.processEntityQueue();
+      const staleHandle = first.id;
+
+      first.destroy();
+      expect(world.isAlive(first)).toBe(false);
+      expect(world.getEntity(staleHandle)).toBeNull();
+
+      world.processEntityQueue();
+      const recycled = world.createEntity();
+      world.processEntityQueue();
+
+      expect(EntityHandle.getIndex(recycled.id)).toBe(EntityHandle.getIndex(staleHandle));
+      expect(recycled.id).not.toBe(staleHandle);
+      expect(world.getEntity(staleHandle)).toBeNull();
+      expect(world.isAlive(staleHandle)).toBe(false);
+      expect(world.isAlive(recycled.id)).toBe(true);
+      expect(world.getEntity(recycled.id)).toBe(recycled);
+    });
+  });
+
+  describe('Detección de cambios', () => {
+    test('debería filtrar por componentes cambiados desde la ejecución anterior', () => {
+      const seen = [];
+
+      class HealthBarSystem extends System {
+        constructor() {
+          super('HealthBarSystem', { changed: ['health'] });
+        }
+
+        process(entities) {
+          seen.push(entities.map(entity => entity.getComponent('health').value));
+        }
+      }
+
+      const a = world.createEntity().addComponent('health', { value: 10 });
+      const b = world.createEntity().addComponent('health', { value: 20 });
+      world.processEntityQueue();
+      world.registerSystem(new HealthBarSystem());
+
+      world.update(0.016);
+      world.update(0.016);
+
+      a.updateComponent('health', { value: 5 });
+      b.getComponent('health').value = 15;
+      world.update(0.016);
+
+      b.markChanged('health');
+      world.update(0.016);
+
+      expect(seen).toEqual([[10, 20], [], [5], [15]]);
+    });
+
+    test('debería notificar a los observadores', () => {
+      const events = [];
+      const entity = world.createEntity();
+      world.processEntityQueue();
+
+      const stop = world.observe('health', 'changed', (target, health) => {
+        events.push([target.id, health.value]);
+      });
+      world.observe('health', 'removed', target => events.push([target.id, 'removed']));
+
+      entity.addComponent('health', { value: 3 });
+      entity.updateComponent('health', { value: 2 });
+      stop();
+      entity.updateComponent('health', { value: 1 });
+      entity.removeComponent('health');
+
+      expect(events).toEqual([[entity.id, 2], [entity.id, 'removed']]);
+      expect(() => world.observe('health', 'updated', () => {})).toThrow("Unknown observe event 'updated'");
+    });
+  });
+
+  describe('Relaciones', () => {
+    test('debería consultar las relaciones en ambos sentidos y limpiarlas al destruir', () => {
+      const player = world.createEntity();
+      const orc = world.createEntity().addRelation('targets', player, { priority: 2 });
+      const archer = world.createEntity().addRelation('targets', player).addRelation('targets', orc);
+      world.processEntityQueue();
+
+      expect(world.getEntitiesWithRelation('targets', player)).toEqual([orc, archer]);
+      expect(archer.getRelationTargets('targets')).toEqual([player, orc]);
+      expect(orc.getRelationData('targets', player)).toEqual({ priority: 2 });
+
+      player.destroy();
+      world.processEntityQueue();
+
+      expect(world.getEntitiesWithRelation('targets', player)).toEqual([]);
+      expect(orc.hasRelation('targets')).toBe(false);
+      expect(archer.getRelationTargets('targets')).toEqual([orc]);
+
+      archer.destroy();
+      world.processEntityQueue();
+
+      expect(world.getEntitiesWithRelation('targets')).toEqual([]);
+    });
+
+    test('debería conservar las relaciones en toJSON/fromJSON y snapshot', () => {
+      const station = world.createEntity();
+      const ship = world.createEntity().addRelation('dockedAt', station, { bay: 3 });
+      world.processEntityQueue();
+
+      const json = ship.toJSON();
+      expect(json.relations).toEqual([{ relation: 'dockedAt', target: station.id, data: { bay: 3 } }]);
+
+      const copy = Entity.fromJSON(world, json);
+      expect(copy.getRelationTarget('dockedAt')).toBe(station);
+
+      const snapshot = world.snapshot();
+      world.restore(snapshot);
+
+      const restoredShip = world.getEntity(ship.id);
+      const restoredStation = world.getEntity(station.id);
+      expect(restoredShip.getRelationData('dockedAt', restoredStation)).toEqual({ bay: 3 });
+      expect(world.getEntitiesWithRelation('dockedAt', restoredStation)).toContain(restoredShip);
+    });
+  });
+
+  describe('Profiling', () => {
+    test('debería medir tiempo y entidades de cada sistema en una ventana móvil', () => {
+      class SlowSystem extends System {
+        constructor() {
+          super('SlowSystem', ['health']);
+        }
+
+        fixedUpdate() {}
+
+        process() {
+          const end = performance.now() + 2;
+          while (performance.now() < end) { /* Simular trabajo */ }
+        }
+      }
+
+      world.createEntity().addComponent('health', { value: 1 });
+      world.createEntity().addComponent('health', { value: 2 });
+      world.processEntityQueue();
+      world.registerSystem(new SlowSystem());
+
+      world.fixedUpdate(1 / 60);
+      world.update(0.016);
+      world.update(0.016);
+
+      const profile = world.getProfile();
+      const slow = profile.systems[0];
+
+      expect(slow.label).toBe('SlowSystem');
+      expect(slow.calls).toBe(2);
+      expect(slow.entities).toBe(2);
+      expect(slow.time.avg).toBeGreaterThanOrEqual(2);
+      expect(profile.frameTime.last).toBeGreaterThanOrEqual(slow.time.last);
+      expect(profile.systems.map(entry => entry.label)).toContain('SlowSystem.fixedUpdate');
+
+      world.profiler.reset();
+      expect(world.getProfile().systems).toEqual([]);
+    });
+  });
+
+  describe('Recursos', () => {
+    test('debería guardar recursos y notificar sus cambios', () => {
+      const changes = [];
+      const stop = world.watchResource('gameSettings', (value, previous) => changes.push([value, previous]));
+
+      world.setResource('gameSettings', { difficulty: 'normal', volume: 1 });
+      world.updateResource('gameSettings', { volume: 0.5 });
+      stop();
+      world.removeResource('gameSettings');
+
+      expect(changes).toEqual([
+        [{ difficulty: 'normal', volume: 1 }, undefined],
+        [{ difficulty: 'normal', volume: 0.5 }, { difficulty: 'normal', volume: 1 }]
+      ]);
+      expect(world.hasResource('gameSettings')).toBe(false);
+      expect(world.getResource('gameSettings', { volume: 1 })).toEqual({ volume: 1 });
+    });
+
+    test('debería incluir los recursos serializables en snapshot/restore', () => {
+      const renderer = { domElement: {} };
+      world.setResource('gameSettings', { difficulty: 'hard' });
+      world.setResource('renderer', renderer, { serialize: false });
+
+      const snapshot = world.snapshot();
+      expect(snapshot.resources).toEqual({ gameSettings: { difficulty: 'hard' } });
+
+      world.updateResource('gameSettings', { difficulty: 'easy' });
+      world.setResource('score', 10);
+      world.restore(snapshot);
+
+      expect(world.getResource('gameSettings')).toEqual({ difficulty: 'hard' });
+      expect(world.hasResource('score')).toBe(false);
+      expect(world.getResource('renderer')).toBe(renderer);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Tests para el módulo de matemáticas
+ * Verifica cuaterniones, matrices y rayos
+ */
+
+import { Vec3, Quat, Mat4, Ray } from '../src/math/index.js';
+import { TransformHelpers } from '../src/components/3d/Transform.js';
+
+describe('Math', () => {
+  describe('Quat', () => {
+    test('debería convertir Euler a cuaternión y de vuelta', () => {
+      const euler = Quat.fromEuler(0.3, -0.5, 1.2).toEuler();
+
+      expect(euler.x).toBeCloseTo(0.3);
+      expect(euler.y).toBeCloseTo(-0.5);
+      expect(euler.z).toBeCloseTo(1.2);
+    });
+
+    test('debería interpolar con slerp por el camino más corto', () => {
+      const a = new Quat();
+      const b = new Quat().setFromAxisAngle({ x: 0, y: 1, z: 0 }, Math.PI / 2);
+      const half = Quat.slerp(a, b, 0.5);
+
+      const expected = new Quat().setFromAxisAngle({ x: 0, y: 1, z: 0 }, Math.PI / 4);
+      expect(Math.abs(half.dot(expected))).toBeCloseTo(1);
+    });
+
+    test('debería rotar vectores', () => {
+      const q = new Quat().setFromAxisAngle({ x: 0, y: 0, z: 1 }, Math.PI / 2);
+      const v = new Vec3(1, 0, 0).applyQuat(q);
+
+      expect(v.x).toBeCloseTo(0);
+      expect(v.y).toBeCloseTo(1);
+    });
+  });
+
+  describe('Mat4', () => {
+    test('debería componer y descomponer con cuaternión', () => {
+      const quaternion = new Quat().setFromAxisAngle({ x: 1, y: 0, z: 0 }, 0.7);
+      const out = new Mat4()
+        .composeTransform({ x: 1, y: 2, z: 3, quaternion, scaleX: 2, scaleY: 2, scaleZ: 2 })
+        .decomposeTransform();
+
+      expect(out.y).toBeCloseTo(2);
+      expect(out.scaleX).toBeCloseTo(2);
+      expect(out.rotationX).toBeCloseTo(0.7);
+      expect(Math.abs(quaternion.dot(out.quaternion))).toBeCloseTo(1);
+    });
+
+    test('debería orientar -Z hacia el objetivo con lookAt', () => {
+      const transform = { x: 0, y: 0, z: 0, rotationX: 0, rotationY: 0, rotationZ: 0 };
+      TransformHelpers.lookAt(transform, { x: 10, y: 0, z: 0 });
+
+      const forward = new Vec3(0, 0, -1).applyQuat(transform.quaternion);
+      expect(forward.x).toBeCloseTo(1);
+      expect(transform.rotationY).toBeCloseTo(-Math.PI / 2);
+    });
+  });
+
+  describe('Ray', () => {
+    test('debería intersectar esferas, cajas y planos', () => {
+      const ray = new Ray({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: -2 });
+
+      expect(ray.intersectSphere({ x: 0, y: 0, z: -10 }, 2)).toBeCloseTo(8);
+      expect(ray.intersectBox({ x: -1, y: -1, z: -6 }, { x: 1, y: 1, z: -4 })).toBeCloseTo(4);
+      expect(ray.intersectPlane({ x: 0, y: 0, z: 1 }, 5)).toBeCloseTo(5);
+      expect(ray.intersectSphere({ x: 5, y: 0, z: -10 }, 1)).toBeNull();
+    });
+  });
+});
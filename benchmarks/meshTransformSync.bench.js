@@ -0,0 +1,85 @@
+/**
+ * Benchmark: sincronización de transforms en MeshSystem
+ * Compara componentes como objetos con el almacenamiento tipado (world.useTypedStorage)
+ * Los dos caminos escriben posición, rotación y escala de cada mesh en cada frame
+ *
+ * Uso: npm run bench [-- entidades iteraciones]
+ */
+
+import World from '../src/core/World.js';
+import MeshSystem from '../src/systems/MeshSystem.js';
+import { MeshComponent } from '../src/components/3d/Mesh.js';
+import { ComponentRegistry } from '../src/core/Component.js';
+
+const ENTITY_COUNT = Number(process.argv[2]) || 10000;
+const ITERATIONS = Number(process.argv[3]) || 200;
+const WARMUP = 20;
+
+/**
+ * Crea un world con entidades y meshes (geometría y material compartidos por la caché)
+ * El sistema se registra normalmente: consultas y almacenamiento tipado reales
+ */
+function createScene(typed) {
+  const world = new World();
+  if (typed) {
+    world.useTypedStorage('transform', { capacity: ENTITY_COUNT });
+  }
+
+  const system = new MeshSystem();
+  system.config.enableInterpolation = false;
+  world.registerSystem(system);
+
+  for (let i = 0; i < ENTITY_COUNT; i++) {
+    world.createEntity()
+      .addComponent(
+        'transform',
+        ComponentRegistry.create('transform', { x: i, y: i * 0.5, z: -i, rotationY: i * 0.01 })
+      )
+      .addComponent('mesh', new MeshComponent({ geometryType: 'box', materialType: 'basic' }));
+  }
+  world.processEntityQueue();
+
+  return { world, system };
+}
+
+/**
+ * Mide el tiempo medio por frame de _updateTransforms
+ */
+function measure(typed) {
+  const { world, system } = createScene(typed);
+  const entities = world.getAllEntities();
+
+  const frame = (n) => {
+    // Movimiento simple para que los valores cambien entre frames
+    for (let i = 0; i < entities.length; i++) {
+      entities[i].getComponent('transform').y = n;
+    }
+    system._updateTransforms();
+  };
+
+  for (let n = 0; n < WARMUP; n++) frame(n);
+
+  const start = performance.now();
+  for (let n = 0; n < ITERATIONS; n++) frame(n);
+  const syncStart = performance.now();
+  for (let n = 0; n < ITERATIONS; n++) system._updateTransforms();
+  const end = performance.now();
+
+  world.destroy();
+
+  return {
+    frame: (syncStart - start) / ITERATIONS,
+    sync: (end - syncStart) / ITERATIONS
+  };
+}
+
+const plain = measure(false);
+const typed = measure(true);
+
+console.log(`MeshSystem transform sync - ${ENTITY_COUNT} entidades, ${ITERATIONS} iteraciones`);
+console.table({
+  objects: { 'sync (ms)': plain.sync.toFixed(3), 'move + sync (ms)': plain.frame.toFixed(3) },
+  typed: { 'sync (ms)': typed.sync.toFixed(3), 'move + sync (ms)': typed.frame.toFixed(3) }
+});
+console.log(`Speed-up sync: x${(plain.sync / typed.sync).toFixed(2)}`);
+console.log(`Speed-up move + sync: x${(plain.frame / typed.frame).toFixed(2)}`);
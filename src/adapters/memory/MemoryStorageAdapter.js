@@ -0,0 +1,40 @@
+/**
+ * MemoryStorageAdapter
+ * Adaptador de almacenamiento en memoria (tests y plataformas sin persistencia)
+ * Todos los adaptadores de almacenamiento exponen la misma interfaz asíncrona:
+ * getItem(key), setItem(key, value), removeItem(key) y keys(prefix) con valores string
+ */
+
+class MemoryStorageAdapter {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+
+  /**
+   * Claves guardadas que empiezan con un prefijo
+   */
+  async keys(prefix = '') {
+    return Array.from(this.items.keys()).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Borra todo el contenido
+   */
+  async clear() {
+    this.items.clear();
+  }
+}
+
+export default MemoryStorageAdapter;
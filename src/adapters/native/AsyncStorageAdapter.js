@@ -0,0 +1,57 @@
+/**
+ * AsyncStorageAdapter
+ * Adaptador de almacenamiento para React Native y Expo usando
+ * @react-native-async-storage/async-storage (dependencia opcional: hay que instalarla)
+ */
+
+class AsyncStorageAdapter {
+  constructor() {
+    this.AsyncStorage = null;
+  }
+
+  /**
+   * Carga el módulo la primera vez que se usa
+   */
+  async _getStorage() {
+    if (!this.AsyncStorage) {
+      let module;
+      try {
+        module = await import('@react-native-async-storage/async-storage');
+      } catch (error) {
+        throw new Error(
+          'AsyncStorageAdapter needs @react-native-async-storage/async-storage: ' +
+          'run `npx expo install @react-native-async-storage/async-storage` ' +
+          '(or `npm install @react-native-async-storage/async-storage`)'
+        );
+      }
+      this.AsyncStorage = module.default || module;
+    }
+    return this.AsyncStorage;
+  }
+
+  async getItem(key) {
+    const storage = await this._getStorage();
+    return storage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    const storage = await this._getStorage();
+    await storage.setItem(key, String(value));
+  }
+
+  async removeItem(key) {
+    const storage = await this._getStorage();
+    await storage.removeItem(key);
+  }
+
+  /**
+   * Claves guardadas que empiezan con un prefijo
+   */
+  async keys(prefix = '') {
+    const storage = await this._getStorage();
+    const keys = await storage.getAllKeys();
+    return keys.filter(key => key.startsWith(prefix));
+  }
+}
+
+export default AsyncStorageAdapter;
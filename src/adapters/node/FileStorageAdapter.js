@@ -0,0 +1,75 @@
+/**
+ * FileStorageAdapter
+ * Adaptador de almacenamiento para Node usando un archivo por clave en un directorio
+ * (herramientas, servidores dedicados y tests)
+ */
+
+class FileStorageAdapter {
+  /**
+   * @param {string} directory - Directorio donde se guardan los archivos
+   */
+  constructor(directory) {
+    if (!directory) {
+      throw new Error('FileStorageAdapter needs a directory');
+    }
+    this.directory = directory;
+    this.fs = null;
+    this.path = null;
+  }
+
+  /**
+   * Carga fs/path y crea el directorio la primera vez que se usa
+   */
+  async _init() {
+    if (!this.fs) {
+      this.fs = await import('fs/promises');
+      this.path = await import('path');
+      await this.fs.mkdir(this.directory, { recursive: true });
+    }
+  }
+
+  /**
+   * Ruta del archivo de una clave (codificada para ser un nombre de archivo válido)
+   */
+  _file(key) {
+    return this.path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  async getItem(key) {
+    await this._init();
+    try {
+      return await this.fs.readFile(this._file(key), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async setItem(key, value) {
+    await this._init();
+    // Escribe en un temporal y renombra: un corte a mitad no deja la partida a medias
+    const file = this._file(key);
+    const temp = `${file}.tmp`;
+    await this.fs.writeFile(temp, String(value), 'utf8');
+    await this.fs.rename(temp, file);
+  }
+
+  async removeItem(key) {
+    await this._init();
+    await this.fs.rm(this._file(key), { force: true });
+  }
+
+  /**
+   * Claves guardadas que empiezan con un prefijo
+   */
+  async keys(prefix = '') {
+    await this._init();
+    const files = await this.fs.readdir(this.directory);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+      .filter(key => key.startsWith(prefix));
+  }
+}
+
+export default FileStorageAdapter;
@@ -0,0 +1,97 @@
+/**
+ * IndexedDBStorageAdapter
+ * Adaptador de almacenamiento para navegadores web usando IndexedDB
+ * Sin el límite de tamaño de localStorage (útil para partidas grandes o con miniaturas)
+ */
+
+class IndexedDBStorageAdapter {
+  /**
+   * @param {Object} options - Opciones
+   * @param {string} options.database - Nombre de la base de datos
+   * @param {string} options.store - Nombre del object store
+   */
+  constructor(options = {}) {
+    this.database = options.database || 'game-engine';
+    this.store = options.store || 'storage';
+    this.db = null;
+    this._opening = null;
+  }
+
+  /**
+   * Abre la base de datos (una sola vez)
+   */
+  _open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (this._opening) return this._opening;
+
+    this._opening = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(this.database, 1);
+
+      request.onupgradeneeded = () => {
+        if (!request.result.objectStoreNames.contains(this.store)) {
+          request.result.createObjectStore(this.store);
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => {
+        this._opening = null;
+        reject(request.error);
+      };
+    });
+
+    return this._opening;
+  }
+
+  /**
+   * Ejecuta una operación en una transacción y resuelve con su resultado
+   */
+  async _request(mode, operation) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.store, mode);
+      const request = operation(transaction.objectStore(this.store));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  async getItem(key) {
+    const value = await this._request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this._request('readwrite', store => store.put(String(value), key));
+  }
+
+  async removeItem(key) {
+    await this._request('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Claves guardadas que empiezan con un prefijo
+   */
+  async keys(prefix = '') {
+    const keys = await this._request('readonly', store => store.getAllKeys());
+    return keys.map(String).filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * Cierra la base de datos
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this._opening = null;
+  }
+}
+
+export default IndexedDBStorageAdapter;
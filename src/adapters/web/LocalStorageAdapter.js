@@ -0,0 +1,47 @@
+/**
+ * LocalStorageAdapter
+ * Adaptador de almacenamiento para navegadores web usando localStorage
+ * Síncrono por debajo; expone la interfaz asíncrona común de los adaptadores de almacenamiento
+ */
+
+class LocalStorageAdapter {
+  /**
+   * @param {Storage} storage - Almacenamiento a usar (por defecto window.localStorage)
+   */
+  constructor(storage = null) {
+    this.storage = storage || window.localStorage;
+  }
+
+  async getItem(key) {
+    return this.storage.getItem(key);
+  }
+
+  async setItem(key, value) {
+    try {
+      this.storage.setItem(key, String(value));
+    } catch (error) {
+      // QuotaExceededError: las partidas con miniatura pueden superar el límite (~5 MB)
+      throw new Error(`localStorage could not store '${key}': ${error.message}`);
+    }
+  }
+
+  async removeItem(key) {
+    this.storage.removeItem(key);
+  }
+
+  /**
+   * Claves guardadas que empiezan con un prefijo
+   */
+  async keys(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key !== null && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+}
+
+export default LocalStorageAdapter;
@@ -0,0 +1,629 @@
+/**
+ * BehaviorTree
+ * Runtime de árboles de comportamiento para IA de NPCs
+ * Los árboles se definen en JSON y se compilan una vez; el estado de ejecución
+ * (hijo en curso, contadores, esperas) vive en cada instancia, así un mismo árbol
+ * se comparte entre todas las entidades que lo usan
+ *
+ * @example
+ * {
+ *   "name": "guard",
+ *   "root": {
+ *     "type": "selector",
+ *     "children": [
+ *       { "type": "sequence", "children": [
+ *         { "type": "condition", "name": "canSee", "params": { "target": "player" } },
+ *         { "type": "action", "name": "chase" }
+ *       ]},
+ *       { "type": "action", "name": "patrol" }
+ *     ]
+ *   }
+ * }
+ */
+
+/**
+ * NodeStatus - Resultado de ejecutar un nodo
+ */
+const NodeStatus = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',
+  RUNNING: 'running'
+};
+
+/**
+ * Blackboard - Memoria de un árbol, propia de cada entidad
+ * Envuelve el objeto 'blackboard' del componente (se serializa con el world)
+ */
+class Blackboard {
+  constructor(data = {}) {
+    this.data = data;
+  }
+
+  get(key, defaultValue = undefined) {
+    return key in this.data ? this.data[key] : defaultValue;
+  }
+
+  set(key, value) {
+    this.data[key] = value;
+    return this;
+  }
+
+  has(key) {
+    return key in this.data;
+  }
+
+  delete(key) {
+    return delete this.data[key];
+  }
+
+  clear() {
+    Object.keys(this.data).forEach(key => delete this.data[key]);
+  }
+
+  toJSON() {
+    return { ...this.data };
+  }
+}
+
+/**
+ * Nodo base
+ */
+class BTNode {
+  constructor(definition = {}, children = []) {
+    this.type = definition.type;
+    this.name = definition.name || definition.type;
+    this.params = definition.params || {};
+    this.children = children;
+  }
+
+  /**
+   * Ejecuta el nodo
+   * @param {BehaviorTreeInstance} instance - Estado de ejecución de la entidad
+   * @param {Object} context - { entity, world, blackboard, deltaTime, ... }
+   * @returns {string} NodeStatus
+   */
+  tick(instance, context) {
+    return NodeStatus.FAILURE;
+  }
+
+  /**
+   * Olvida el estado de ejecución del nodo y sus descendientes
+   * Se llama al terminar el nodo o cuando un padre abandona la rama
+   */
+  reset(instance) {
+    instance.state.delete(this);
+    this.children.forEach(child => child.reset(instance));
+  }
+
+  /**
+   * Obtiene (o crea) el estado del nodo en una instancia
+   */
+  getState(instance, create) {
+    let state = instance.state.get(this);
+    if (!state) {
+      state = create();
+      instance.state.set(this, state);
+    }
+    return state;
+  }
+}
+
+// ===== Composites =====
+
+/**
+ * Sequence - Ejecuta los hijos en orden hasta que uno falla
+ * Con reactive: true vuelve a evaluar desde el primero en cada tick
+ */
+class Sequence extends BTNode {
+  constructor(definition, children) {
+    super(definition, children);
+    this.reactive = definition.reactive || false;
+  }
+
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ index: 0 }));
+    const start = this.reactive ? 0 : state.index;
+
+    for (let i = start; i < this.children.length; i++) {
+      const status = this.children[i].tick(instance, context);
+
+      if (status === NodeStatus.RUNNING) {
+        // Una rama reactiva puede abandonar el hijo que estaba en curso
+        if (this.reactive && state.index > i) this.children[state.index].reset(instance);
+        state.index = i;
+        return status;
+      }
+      if (status === NodeStatus.FAILURE) {
+        this.reset(instance);
+        return status;
+      }
+    }
+
+    this.reset(instance);
+    return NodeStatus.SUCCESS;
+  }
+}
+
+/**
+ * Selector - Ejecuta los hijos en orden hasta que uno tiene éxito
+ * Con reactive: true vuelve a evaluar desde el primero en cada tick (prioridades)
+ */
+class Selector extends BTNode {
+  constructor(definition, children) {
+    super(definition, children);
+    this.reactive = definition.reactive || false;
+  }
+
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ index: 0 }));
+    const start = this.reactive ? 0 : state.index;
+
+    for (let i = start; i < this.children.length; i++) {
+      const status = this.children[i].tick(instance, context);
+
+      if (status === NodeStatus.RUNNING) {
+        if (this.reactive && state.index > i) this.children[state.index].reset(instance);
+        state.index = i;
+        return status;
+      }
+      if (status === NodeStatus.SUCCESS) {
+        this.reset(instance);
+        return status;
+      }
+    }
+
+    this.reset(instance);
+    return NodeStatus.FAILURE;
+  }
+}
+
+/**
+ * Parallel - Ejecuta todos los hijos en cada tick
+ * params.success: 'all' (por defecto) o 'one' hijos con éxito para terminar con éxito
+ * params.failure: 'one' (por defecto) o 'all' hijos fallidos para terminar con fallo
+ */
+class Parallel extends BTNode {
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ results: new Array(this.children.length).fill(null) }));
+    const successPolicy = this.params.success || 'all';
+    const failurePolicy = this.params.failure || 'one';
+
+    this.children.forEach((child, index) => {
+      // Los hijos que ya terminaron no se vuelven a ejecutar
+      if (state.results[index] === null || state.results[index] === NodeStatus.RUNNING) {
+        state.results[index] = child.tick(instance, context);
+      }
+    });
+
+    const successes = state.results.filter(status => status === NodeStatus.SUCCESS).length;
+    const failures = state.results.filter(status => status === NodeStatus.FAILURE).length;
+    const total = this.children.length;
+
+    let status = NodeStatus.RUNNING;
+    if (failurePolicy === 'one' ? failures > 0 : failures === total) {
+      status = NodeStatus.FAILURE;
+    } else if (successPolicy === 'one' ? successes > 0 : successes === total) {
+      status = NodeStatus.SUCCESS;
+    } else if (successes + failures === total) {
+      // Todos terminaron sin cumplir ninguna política
+      status = NodeStatus.FAILURE;
+    }
+
+    if (status !== NodeStatus.RUNNING) {
+      this.reset(instance);
+    }
+    return status;
+  }
+}
+
+// ===== Decorators =====
+
+/**
+ * Decorador base (un solo hijo)
+ */
+class Decorator extends BTNode {
+  get child() {
+    return this.children[0];
+  }
+}
+
+/**
+ * Inverter - Invierte SUCCESS y FAILURE
+ */
+class Inverter extends Decorator {
+  tick(instance, context) {
+    const status = this.child.tick(instance, context);
+    if (status === NodeStatus.SUCCESS) return NodeStatus.FAILURE;
+    if (status === NodeStatus.FAILURE) return NodeStatus.SUCCESS;
+    return status;
+  }
+}
+
+/**
+ * Succeeder - Termina con éxito aunque el hijo falle
+ */
+class Succeeder extends Decorator {
+  tick(instance, context) {
+    const status = this.child.tick(instance, context);
+    return status === NodeStatus.RUNNING ? status : NodeStatus.SUCCESS;
+  }
+}
+
+/**
+ * Repeat - Repite el hijo params.count veces (infinito si no se indica)
+ * Falla si el hijo falla
+ */
+class Repeat extends Decorator {
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ count: 0 }));
+    const limit = this.params.count !== undefined ? this.params.count : Infinity;
+
+    const status = this.child.tick(instance, context);
+    if (status === NodeStatus.FAILURE) {
+      this.reset(instance);
+      return status;
+    }
+
+    if (status === NodeStatus.SUCCESS) {
+      state.count++;
+      if (state.count >= limit) {
+        this.reset(instance);
+        return NodeStatus.SUCCESS;
+      }
+    }
+
+    return NodeStatus.RUNNING;
+  }
+}
+
+/**
+ * Retry - Reintenta el hijo hasta params.count veces mientras falle
+ */
+class Retry extends Decorator {
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ attempts: 0 }));
+    const limit = this.params.count !== undefined ? this.params.count : 3;
+
+    const status = this.child.tick(instance, context);
+    if (status === NodeStatus.SUCCESS) {
+      this.reset(instance);
+      return status;
+    }
+
+    if (status === NodeStatus.FAILURE) {
+      state.attempts++;
+      if (state.attempts >= limit) {
+        this.reset(instance);
+        return NodeStatus.FAILURE;
+      }
+    }
+
+    return NodeStatus.RUNNING;
+  }
+}
+
+/**
+ * Cooldown - Tras terminar el hijo, falla durante params.seconds
+ */
+class Cooldown extends Decorator {
+  tick(instance, context) {
+    const readyAt = instance.cooldowns.get(this) || 0;
+    if (instance.time < readyAt) {
+      return NodeStatus.FAILURE;
+    }
+
+    const status = this.child.tick(instance, context);
+    if (status !== NodeStatus.RUNNING) {
+      instance.cooldowns.set(this, instance.time + (this.params.seconds || 0));
+    }
+    return status;
+  }
+}
+
+/**
+ * Timeout - Falla si el hijo sigue en curso tras params.seconds
+ */
+class Timeout extends Decorator {
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ elapsed: 0 }));
+    state.elapsed += context.deltaTime;
+
+    if (state.elapsed > (this.params.seconds || 0)) {
+      this.reset(instance);
+      return NodeStatus.FAILURE;
+    }
+
+    const status = this.child.tick(instance, context);
+    if (status !== NodeStatus.RUNNING) {
+      this.reset(instance);
+    }
+    return status;
+  }
+}
+
+// ===== Hojas =====
+
+/**
+ * Action - Llama a una función registrada con BehaviorTreeRegistry.registerAction()
+ * La función recibe (context, params) y devuelve un NodeStatus o un booleano
+ */
+class Action extends BTNode {
+  tick(instance, context) {
+    const action = BehaviorTreeRegistry.getAction(this.name);
+    if (!action) {
+      if (!instance.warned.has(this.name)) {
+        instance.warned.add(this.name);
+        console.warn(`Behavior tree action '${this.name}' is not registered`);
+      }
+      return NodeStatus.FAILURE;
+    }
+
+    const result = action(context, this.params);
+    if (result === true) return NodeStatus.SUCCESS;
+    if (result === false || result === undefined) return NodeStatus.FAILURE;
+    return result;
+  }
+}
+
+/**
+ * Condition - Como Action, pero nunca queda en curso
+ */
+class Condition extends Action {
+  tick(instance, context) {
+    const status = super.tick(instance, context);
+    return status === NodeStatus.SUCCESS ? status : NodeStatus.FAILURE;
+  }
+}
+
+/**
+ * Wait - Queda en curso durante params.seconds
+ */
+class Wait extends BTNode {
+  tick(instance, context) {
+    const state = this.getState(instance, () => ({ elapsed: 0 }));
+    state.elapsed += context.deltaTime;
+
+    if (state.elapsed >= (this.params.seconds || 0)) {
+      this.reset(instance);
+      return NodeStatus.SUCCESS;
+    }
+    return NodeStatus.RUNNING;
+  }
+}
+
+/**
+ * Tipos de nodo disponibles en JSON: type -> { NodeClass, children: número de hijos esperado }
+ */
+const NodeTypes = new Map([
+  ['sequence', { NodeClass: Sequence, children: 'many' }],
+  ['selector', { NodeClass: Selector, children: 'many' }],
+  ['parallel', { NodeClass: Parallel, children: 'many' }],
+  ['inverter', { NodeClass: Inverter, children: 'one' }],
+  ['succeeder', { NodeClass: Succeeder, children: 'one' }],
+  ['repeat', { NodeClass: Repeat, children: 'one' }],
+  ['retry', { NodeClass: Retry, children: 'one' }],
+  ['cooldown', { NodeClass: Cooldown, children: 'one' }],
+  ['timeout', { NodeClass: Timeout, children: 'one' }],
+  ['action', { NodeClass: Action, children: 'none' }],
+  ['condition', { NodeClass: Condition, children: 'none' }],
+  ['wait', { NodeClass: Wait, children: 'none' }]
+]);
+
+/**
+ * Estado de ejecución de un árbol para una entidad
+ */
+class BehaviorTreeInstance {
+  constructor(tree, blackboard) {
+    this.tree = tree;
+    this.blackboard = blackboard;
+    this.state = new Map(); // node -> estado de ejecución
+    this.cooldowns = new Map(); // node -> tiempo en el que vuelve a estar disponible
+    this.warned = new Set();
+    this.time = 0;
+    this.status = null;
+    this.ticks = 0;
+  }
+
+  /**
+   * Reinicia la ejecución (el blackboard se conserva)
+   */
+  reset() {
+    this.state.clear();
+    this.cooldowns.clear();
+    this.status = null;
+  }
+}
+
+/**
+ * BehaviorTree - Árbol compilado a partir de su JSON
+ */
+class BehaviorTree {
+  constructor(name, root) {
+    this.name = name;
+    this.root = root;
+  }
+
+  /**
+   * Compila un árbol desde JSON ({ name, root })
+   * @throws {Error} Si un nodo tiene un tipo desconocido o un número de hijos inválido
+   */
+  static fromJSON(json, name = json.name) {
+    if (!json || !json.root) {
+      throw new Error(`Behavior tree '${name}' requires a root node`);
+    }
+    return new BehaviorTree(name, BehaviorTree.compileNode(json.root, name));
+  }
+
+  /**
+   * Compila un nodo y sus hijos
+   */
+  static compileNode(definition, treeName) {
+    const nodeType = NodeTypes.get(definition.type);
+    if (!nodeType) {
+      throw new Error(`Behavior tree '${treeName}' has unknown node type '${definition.type}'`);
+    }
+
+    const children = definition.child ? [definition.child] : (definition.children || []);
+    const valid = {
+      many: children.length > 0,
+      one: children.length === 1,
+      none: children.length === 0
+    }[nodeType.children];
+
+    if (!valid) {
+      const expected = { many: 'at least one child', one: 'exactly one child', none: 'no children' }[nodeType.children];
+      throw new Error(`Behavior tree '${treeName}' node '${definition.type}' expects ${expected}`);
+    }
+    if ((definition.type === 'action' || definition.type === 'condition') && !definition.name) {
+      throw new Error(`Behavior tree '${treeName}' ${definition.type} node requires a name`);
+    }
+
+    return new nodeType.NodeClass(
+      definition,
+      children.map(child => BehaviorTree.compileNode(child, treeName))
+    );
+  }
+
+  /**
+   * Crea el estado de ejecución para una entidad
+   */
+  createInstance(blackboard = new Blackboard()) {
+    return new BehaviorTreeInstance(this, blackboard);
+  }
+
+  /**
+   * Ejecuta un tick del árbol
+   * @param {BehaviorTreeInstance} instance - Estado de la entidad
+   * @param {Object} context - Contexto que reciben las acciones
+   * @returns {string} NodeStatus de la raíz
+   */
+  tick(instance, context) {
+    instance.time += context.deltaTime;
+    instance.ticks++;
+    instance.status = this.root.tick(instance, context);
+    return instance.status;
+  }
+}
+
+/**
+ * Registro de árboles y acciones
+ */
+const BehaviorTreeRegistry = {
+  trees: new Map(),
+  actions: new Map(),
+
+  /**
+   * Compila y registra (o reemplaza) un árbol
+   * @param {string} name - Nombre del árbol
+   * @param {Object} json - { root }
+   */
+  define(name, json) {
+    const tree = BehaviorTree.fromJSON(json, name);
+    this.trees.set(name, tree);
+    return tree;
+  },
+
+  /**
+   * Registra los árboles de un JSON
+   * Acepta un árbol ({ name, root }) o un paquete ({ trees: { guard: { root }, ... } })
+   * @returns {string[]} Nombres registrados
+   */
+  load(data) {
+    const entries = data.trees ? Object.entries(data.trees) : [[data.name, data]];
+
+    return entries.map(([name, json]) => {
+      if (!name) throw new Error('Behavior tree JSON requires a name');
+      this.define(name, json);
+      return name;
+    });
+  },
+
+  /**
+   * Obtiene un árbol
+   */
+  get(name) {
+    return this.trees.get(name) || null;
+  },
+
+  /**
+   * Verifica si un árbol está registrado
+   */
+  has(name) {
+    return this.trees.has(name);
+  },
+
+  /**
+   * Registra una acción o condición
+   * @param {string} name - Nombre usado en el JSON
+   * @param {Function} fn - (context, params) => NodeStatus | boolean
+   */
+  registerAction(name, fn) {
+    if (typeof fn !== 'function') {
+      throw new Error(`Behavior tree action '${name}' must be a function`);
+    }
+    this.actions.set(name, fn);
+  },
+
+  /**
+   * Obtiene una acción
+   */
+  getAction(name) {
+    return this.actions.get(name) || null;
+  },
+
+  /**
+   * Registra un tipo de nodo propio para usarlo en JSON
+   * @param {string} type - Tipo en el JSON
+   * @param {Function} NodeClass - Subclase de BTNode
+   * @param {string} children - 'many', 'one' o 'none'
+   */
+  registerNodeType(type, NodeClass, children = 'none') {
+    NodeTypes.set(type, { NodeClass, children });
+  },
+
+  /**
+   * Limpia árboles y acciones (las acciones incluidas se vuelven a registrar)
+   */
+  clear() {
+    this.trees.clear();
+    this.actions.clear();
+    registerBuiltinActions();
+  }
+};
+
+/**
+ * Acciones incluidas
+ */
+function registerBuiltinActions() {
+  // Percepción: línea de visión hasta la entidad guardada en blackboard[params.target]
+  BehaviorTreeRegistry.registerAction('canSee', (context, params) =>
+    context.canSee(context.blackboard.get(params.target), params.maxDistance)
+  );
+
+  // Verifica una clave del blackboard (params.equals opcional)
+  BehaviorTreeRegistry.registerAction('hasKey', (context, params) => {
+    if (!context.blackboard.has(params.key)) return false;
+    return !('equals' in params) || context.blackboard.get(params.key) === params.equals;
+  });
+
+  // Escribe una clave del blackboard
+  BehaviorTreeRegistry.registerAction('setKey', (context, params) => {
+    context.blackboard.set(params.key, params.value);
+    return true;
+  });
+}
+
+registerBuiltinActions();
+
+export default BehaviorTree;
+export {
+  NodeStatus,
+  Blackboard,
+  BTNode,
+  Sequence,
+  Selector,
+  Parallel,
+  Decorator,
+  BehaviorTreeInstance,
+  BehaviorTreeRegistry
+};
@@ -0,0 +1,15 @@
+/**
+ * AI Index
+ * Exporta el runtime de árboles de comportamiento
+ */
+
+export {
+  default as BehaviorTree,
+  NodeStatus,
+  Blackboard,
+  BTNode,
+  Decorator,
+  BehaviorTreeInstance,
+  BehaviorTreeRegistry
+} from './BehaviorTree.js';
+export { createBehaviorTree } from '../components/logic/BehaviorTree.js';
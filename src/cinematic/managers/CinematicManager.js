@@ -7,6 +7,8 @@ import { CinematicState, CinematicEvent } from '../types';
 import { getGlobalEventBus } from '../core/EventBus';
 import { TimelineEngine } from '../core/TimelineEngine';
 import { AnimationEngine } from '../core/AnimationEngine';
+import Scheduler from '../../core/Scheduler.js';
+import CoroutineRunner from '../../core/Coroutine.js';
 
 /**
  * Clase Cinematic - Representa una cinemática completa
@@ -22,6 +24,12 @@ export class Cinematic {
     this.animationEngine = new AnimationEngine();
     this.eventBus = config.eventBus || getGlobalEventBus();
 
+    // Temporizadores de la cinemática: avanzan con update(), se pausan con ella
+    this.scheduler = new Scheduler();
+
+    // Corrutinas de la cinemática (waitForEvent escucha su eventBus); se cancelan al detenerla o saltarla
+    this.coroutines = new CoroutineRunner({ emitter: this.eventBus });
+
     // Configuración
     this.skippable = config.skippable !== false;
     this.autoStart = config.autoStart || false;
@@ -216,10 +224,23 @@ export class Cinematic {
     // Detener animaciones
     this.animationEngine.stopAll();
 
+    // Cancelar temporizadores y corrutinas pendientes
+    this.scheduler.clear();
+    this.coroutines.clear();
+
     // Limpiar efectos
     this._clearEffects();
   }
 
+  /**
+   * Inicia una corrutina de la cinemática
+   * @example cinematic.startCoroutine(function* () { yield wait(2); titleTimeline.play(); })
+   * @param {Function|Iterator} routine - Función generadora (recibe la cinemática) o generador
+   */
+  startCoroutine(routine) {
+    return this.coroutines.start(routine, { owner: this });
+  }
+
   /**
    * Saltar la cinemática
    */
@@ -273,6 +294,10 @@ export class Cinematic {
     // Actualizar animaciones
     this.animationEngine.update(deltaTime);
 
+    // Ejecutar temporizadores vencidos y avanzar corrutinas
+    this.scheduler.update(deltaTime);
+    this.coroutines.update(deltaTime);
+
     // Actualizar efectos
     this._updateEffects(deltaTime);
 
@@ -342,6 +367,8 @@ export class Cinematic {
   cleanup() {
     this.timelineEngine.clear();
     this.animationEngine.clear();
+    this.scheduler.clear();
+    this.coroutines.clear();
     this._clearEffects();
     this.loadedAssets.clear();
 
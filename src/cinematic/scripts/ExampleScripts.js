@@ -47,9 +47,9 @@ export const introScript = {
     });
 
     // Reproducir título después del logo
-    setTimeout(() => {
+    cinematic.scheduler.after(5, () => {
       titleTimeline.play();
-    }, 5000);
+    });
   },
 
   // Actualización cada frame
@@ -135,7 +135,7 @@ export const combatCinematic = {
     });
 
     // ACTO 2: Aparición del enemigo (3-7s)
-    setTimeout(() => {
+    cinematic.scheduler.after(3, () => {
       const act2Timeline = cinematic.timelineEngine.create({
         id: 'act2',
         duration: 4000,
@@ -172,10 +172,10 @@ export const combatCinematic = {
           }
         ]
       });
-    }, 3000);
+    });
 
     // ACTO 3: Confrontación (7-12s)
-    setTimeout(() => {
+    cinematic.scheduler.after(7, () => {
       const act3Timeline = cinematic.timelineEngine.create({
         id: 'act3',
         duration: 5000,
@@ -211,10 +211,10 @@ export const combatCinematic = {
         hero,
         enemy
       });
-    }, 7000);
+    });
 
     // ACTO 4: Final (12-15s)
-    setTimeout(() => {
+    cinematic.scheduler.after(12, () => {
       const act4Timeline = cinematic.timelineEngine.create({
         id: 'act4',
         duration: 3000,
@@ -237,7 +237,7 @@ export const combatCinematic = {
           cinematic.complete();
         }
       });
-    }, 12000);
+    });
   },
 
   onComplete: (cinematic) => {
@@ -289,7 +289,7 @@ export const dialogueCinematic = {
   onStart: async (cinematic) => {
     // Timeline para cada línea de diálogo
     cinematic.dialogue.forEach((line, index) => {
-      setTimeout(() => {
+      cinematic.scheduler.after(line.time / 1000, () => {
         // Mostrar texto
         cinematic.eventBus.emit(CinematicEvent.CUSTOM, {
           type: 'show_dialogue',
@@ -310,12 +310,12 @@ export const dialogueCinematic = {
         }
 
         // Ocultar texto después de la duración
-        setTimeout(() => {
+        cinematic.scheduler.after(line.duration / 1000, () => {
           cinematic.eventBus.emit(CinematicEvent.CUSTOM, {
             type: 'hide_dialogue'
           });
-        }, line.duration);
-      }, line.time);
+        });
+      });
     });
   },
 
@@ -355,7 +355,7 @@ export const cameraEffectsScript = {
     });
 
     // Efecto 2: Slow zoom (2-6s)
-    setTimeout(() => {
+    cinematic.scheduler.after(2, () => {
       const zoomTimeline = cinematic.timelineEngine.create({
         id: 'zoom',
         duration: 4000,
@@ -375,10 +375,10 @@ export const cameraEffectsScript = {
           }
         ]
       });
-    }, 2000);
+    });
 
     // Efecto 3: Orbit (6-12s)
-    setTimeout(() => {
+    cinematic.scheduler.after(6, () => {
       const orbitTimeline = cinematic.timelineEngine.create({
         id: 'orbit',
         duration: 6000,
@@ -406,7 +406,7 @@ export const cameraEffectsScript = {
           cinematic.complete();
         }
       });
-    }, 6000);
+    });
   }
 };
 
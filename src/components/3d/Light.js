@@ -3,15 +3,14 @@
  * Representa una fuente de luz en la escena 3D
  */
 
-import Component from '../../core/Component.js';
 import * as THREE from 'three';
 
 /**
  * Componente Light - Datos de una fuente de luz
  */
-export class LightComponent extends Component {
+export class LightComponent {
   constructor(options = {}) {
-    super('light');
+    this.type = 'light';
 
     // Tipo de luz
     this.lightType = options.lightType || 'directional'; // directional, point, spot, ambient, hemisphere
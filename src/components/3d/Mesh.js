@@ -3,15 +3,14 @@
  * Representa una malla 3D que puede ser renderizada
  */
 
-import Component from '../../core/Component.js';
 import * as THREE from 'three';
 
 /**
  * Componente Mesh - Datos de una malla 3D
  */
-export class MeshComponent extends Component {
+export class MeshComponent {
   constructor(options = {}) {
-    super('mesh');
+    this.type = 'mesh';
 
     // Geometría
     this.geometry = options.geometry || null;
@@ -48,22 +47,25 @@ export class MeshComponent extends Component {
    */
   createGeometry() {
     switch (this.geometryType) {
-      case 'box':
+      case 'box': {
         const { width = 1, height = 1, depth = 1 } = this.geometryParams;
         this.geometryObject = new THREE.BoxGeometry(width, height, depth);
         break;
+      }
 
-      case 'sphere':
+      case 'sphere': {
         const { radius = 0.5, widthSegments = 32, heightSegments = 16 } = this.geometryParams;
         this.geometryObject = new THREE.SphereGeometry(radius, widthSegments, heightSegments);
         break;
+      }
 
-      case 'plane':
+      case 'plane': {
         const { width = 1, height = 1, widthSegments = 1, heightSegments = 1 } = this.geometryParams;
         this.geometryObject = new THREE.PlaneGeometry(width, height, widthSegments, heightSegments);
         break;
+      }
 
-      case 'cylinder':
+      case 'cylinder': {
         const {
           radiusTop = 0.5,
           radiusBottom = 0.5,
@@ -77,16 +79,19 @@ export class MeshComponent extends Component {
           radialSegments
         );
         break;
+      }
 
-      case 'cone':
+      case 'cone': {
         const { radius = 0.5, height = 1, radialSegments = 32 } = this.geometryParams;
         this.geometryObject = new THREE.ConeGeometry(radius, height, radialSegments);
         break;
+      }
 
-      case 'torus':
+      case 'torus': {
         const { radius = 1, tube = 0.4, radialSegments = 16, tubularSegments = 100 } = this.geometryParams;
         this.geometryObject = new THREE.TorusGeometry(radius, tube, radialSegments, tubularSegments);
         break;
+      }
 
       case 'custom':
         if (this.geometry) {
@@ -106,12 +111,13 @@ export class MeshComponent extends Component {
    */
   createMaterial() {
     switch (this.materialType) {
-      case 'basic':
+      case 'basic': {
         const { color = 0xffffff, wireframe = false } = this.materialParams;
         this.materialObject = new THREE.MeshBasicMaterial({ color, wireframe });
         break;
+      }
 
-      case 'lambert':
+      case 'lambert': {
         const {
           color = 0xffffff,
           emissive = 0x000000,
@@ -125,8 +131,9 @@ export class MeshComponent extends Component {
           wireframe
         });
         break;
+      }
 
-      case 'phong':
+      case 'phong': {
         const {
           color = 0xffffff,
           emissive = 0x000000,
@@ -142,8 +149,9 @@ export class MeshComponent extends Component {
           wireframe
         });
         break;
+      }
 
-      case 'standard':
+      case 'standard': {
         const {
           color = 0xffffff,
           metalness = 0,
@@ -161,8 +169,9 @@ export class MeshComponent extends Component {
           wireframe
         });
         break;
+      }
 
-      case 'physical':
+      case 'physical': {
         const {
           color = 0xffffff,
           metalness = 0,
@@ -184,8 +193,9 @@ export class MeshComponent extends Component {
           wireframe
         });
         break;
+      }
 
-      case 'toon':
+      case 'toon': {
         const { color = 0xffffff, gradientMap = null, wireframe = false } = this.materialParams;
         this.materialObject = new THREE.MeshToonMaterial({
           color,
@@ -193,14 +203,16 @@ export class MeshComponent extends Component {
           wireframe
         });
         break;
+      }
 
-      case 'matcap':
+      case 'matcap': {
         const { matcap = null, wireframe = false } = this.materialParams;
         this.materialObject = new THREE.MeshMatcapMaterial({
           matcap,
           wireframe
         });
         break;
+      }
 
       case 'custom':
         if (this.material) {
@@ -4,6 +4,14 @@
  */
 
 import { ComponentRegistry } from '../../core/Component.js';
+import Quat from '../../math/Quat.js';
+import Vec3 from '../../math/Vec3.js';
+import Mat4 from '../../math/Mat4.js';
+
+const _quat = new Quat();
+const _delta = new Quat();
+const _euler = {};
+const _lookAt = new Mat4();
 
 // Ya está registrado en Component.js, aquí proporcionamos helpers
 
@@ -40,24 +48,107 @@ export const TransformHelpers = {
 
   /**
    * Establece la rotación (en radianes)
+   * Si el transform usa cuaternión, también se actualiza
    */
   setRotation(transform, x, y, z) {
     transform.rotationX = x;
     transform.rotationY = y;
     transform.rotationZ = z;
+
+    if (transform.quaternion) {
+      _quat.setFromEuler(x, y, z);
+      TransformHelpers._writeQuaternion(transform, _quat, false);
+    }
+
     return transform;
   },
 
   /**
    * Rota el transform
+   * Con cuaternión la rotación se compone (sin gimbal lock)
    */
   rotate(transform, dx, dy, dz) {
+    if (transform.quaternion) {
+      _delta.setFromEuler(dx, dy, dz);
+      _quat.copy(transform.quaternion).multiply(_delta).normalize();
+      return TransformHelpers._writeQuaternion(transform, _quat);
+    }
+
     transform.rotationX += dx;
     transform.rotationY += dy;
     transform.rotationZ += dz;
     return transform;
   },
 
+  /**
+   * Obtiene la rotación como cuaternión
+   * Usa el cuaternión del transform si existe, si no lo calcula desde Euler
+   * @param {Object} transform - Transform
+   * @param {Quat} out - Cuaternión destino (opcional)
+   */
+  getQuaternion(transform, out = new Quat()) {
+    if (transform.quaternion) {
+      return out.copy(transform.quaternion);
+    }
+
+    return out.setFromEuler(
+      transform.rotationX || 0,
+      transform.rotationY || 0,
+      transform.rotationZ || 0
+    );
+  },
+
+  /**
+   * Establece la rotación como cuaternión
+   * A partir de aquí el cuaternión es la rotación autoritativa del transform
+   */
+  setQuaternion(transform, x, y, z, w) {
+    return TransformHelpers._writeQuaternion(transform, _quat.set(x, y, z, w).normalize());
+  },
+
+  /**
+   * Rota alrededor de un eje (en espacio local)
+   */
+  rotateAxisAngle(transform, axis, angle) {
+    TransformHelpers.getQuaternion(transform, _quat);
+    _delta.setFromAxisAngle(new Vec3().copy(axis).normalize(), angle);
+    _quat.multiply(_delta).normalize();
+    return TransformHelpers._writeQuaternion(transform, _quat);
+  },
+
+  /**
+   * Orienta el transform hacia un punto (su eje -Z apunta al objetivo)
+   */
+  lookAt(transform, target, up) {
+    _lookAt.lookAt(transform, target, up);
+    _quat.setFromRotationMatrix(_lookAt);
+    return TransformHelpers._writeQuaternion(transform, _quat);
+  },
+
+  /**
+   * Escribe el cuaternión y mantiene los ángulos de Euler sincronizados
+   * @private
+   */
+  _writeQuaternion(transform, q, syncEuler = true) {
+    if (!transform.quaternion) {
+      transform.quaternion = { x: 0, y: 0, z: 0, w: 1 };
+    }
+
+    transform.quaternion.x = q.x;
+    transform.quaternion.y = q.y;
+    transform.quaternion.z = q.z;
+    transform.quaternion.w = q.w;
+
+    if (syncEuler) {
+      q.toEuler(_euler);
+      transform.rotationX = _euler.x;
+      transform.rotationY = _euler.y;
+      transform.rotationZ = _euler.z;
+    }
+
+    return transform;
+  },
+
   /**
    * Establece la escala
    */
@@ -69,13 +160,21 @@ export const TransformHelpers = {
   },
 
   /**
-   * Obtiene la distancia a otro transform
+   * Obtiene la transformación en espacio de mundo
+   * Para entidades sin jerarquía coincide con la local
+   */
+  getWorldTransform(transform) {
+    return transform.world || transform;
+  },
+
+  /**
+   * Obtiene la distancia a otro transform (en espacio de mundo)
    */
   distanceTo(transform1, transform2) {
-    const dx = transform2.x - transform1.x;
-    const dy = transform2.y - transform1.y;
-    const dz = transform2.z - transform1.z;
-    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+    return Vec3.distance(
+      TransformHelpers.getWorldTransform(transform1),
+      TransformHelpers.getWorldTransform(transform2)
+    );
   }
 };
 
@@ -0,0 +1,37 @@
+/**
+ * BehaviorTree Component
+ * Asigna a una entidad un árbol de comportamiento registrado (BehaviorTreeRegistry)
+ * El blackboard es propio de la entidad y se serializa con el componente
+ *
+ * @example
+ * entity.addComponent('behaviorTree', createBehaviorTree('guard', {
+ *   blackboard: { patrolPoints: [[0, 0, 0], [10, 0, 0]] },
+ *   rate: 5
+ * }));
+ */
+
+import { ComponentRegistry } from '../../core/Component.js';
+
+ComponentRegistry.register('behaviorTree', {
+  tree: { type: 'string', required: true },
+  rate: { type: 'number', required: false, validate: (rate) => rate >= 0 }
+}, (data) => ({
+  tree: data.tree, // Nombre del árbol en BehaviorTreeRegistry
+  blackboard: data.blackboard ? { ...data.blackboard } : {},
+  rate: data.rate !== undefined ? data.rate : null, // Ticks por segundo (null: el del sistema)
+  enabled: data.enabled !== undefined ? data.enabled : true,
+  status: data.status || null // Resultado del último tick de la raíz
+}));
+
+/**
+ * Crea un componente BehaviorTree
+ * @param {string} tree - Nombre del árbol
+ * @param {Object} options - Opciones (blackboard, rate, enabled)
+ */
+export function createBehaviorTree(tree, options = {}) {
+  return ComponentRegistry.create('behaviorTree', { tree, ...options });
+}
+
+export default {
+  createBehaviorTree
+};
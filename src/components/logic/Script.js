@@ -0,0 +1,167 @@
+/**
+ * Script Component
+ * Comportamiento propio de una entidad sin escribir un System
+ * El componente solo guarda qué scripts usa la entidad (nombre y parámetros);
+ * ScriptSystem crea las instancias y llama a sus hooks
+ *
+ * @example
+ * class Spinner extends Script {
+ *   onUpdate(deltaTime) {
+ *     this.getComponent('transform').rotationY += this.params.speed * deltaTime;
+ *   }
+ * }
+ * ScriptRegistry.register('spinner', Spinner);
+ * entity.addComponent('script', createScript('spinner', { speed: 2 }));
+ */
+
+import { ComponentRegistry } from '../../core/Component.js';
+
+/**
+ * Script - Clase base de los scripts
+ * Los hooks son opcionales: onStart, onUpdate, onFixedUpdate, onCollision, onCollisionEnd, onDestroy
+ */
+export class Script {
+  constructor() {
+    // Los asigna ScriptSystem al crear la instancia
+    this.name = null;
+    this.entity = null;
+    this.world = null;
+    this.params = {};
+    this.enabled = true;
+    this.started = false;
+  }
+
+  /**
+   * Obtiene un componente de la entidad
+   */
+  getComponent(type) {
+    return this.entity.getComponent(type);
+  }
+
+  /**
+   * Verifica si la entidad tiene un componente
+   */
+  hasComponent(type) {
+    return this.entity.hasComponent(type);
+  }
+
+  /**
+   * Obtiene otro script de la misma entidad
+   */
+  getScript(name) {
+    const system = this.world.getSystem('ScriptSystem');
+    return system ? system.getScript(this.entity, name) : null;
+  }
+
+  /**
+   * Temporizadores en tiempo de juego del world
+   */
+  get scheduler() {
+    return this.world.scheduler;
+  }
+
+  /**
+   * Buffer de comandos del world (cambios estructurales durante los hooks)
+   */
+  get commands() {
+    return this.world.commands;
+  }
+}
+
+/**
+ * Registro de scripts
+ * Acepta subclases de Script u objetos con hooks (como los scripts de cinemáticas)
+ */
+export const ScriptRegistry = {
+  scripts: new Map(),
+
+  /**
+   * Registra un script
+   * @param {string} name - Nombre usado en el componente
+   * @param {Function|Object} script - Subclase de Script u objeto { onStart, onUpdate, ... }
+   */
+  register(name, script) {
+    if (typeof script !== 'function' && (typeof script !== 'object' || script === null)) {
+      throw new Error(`Script '${name}' must be a Script class or an object with hooks`);
+    }
+    if (this.scripts.has(name)) {
+      console.warn(`Script '${name}' already registered, replacing it`);
+    }
+    this.scripts.set(name, script);
+  },
+
+  /**
+   * Verifica si un script está registrado
+   */
+  has(name) {
+    return this.scripts.has(name);
+  },
+
+  /**
+   * Crea una instancia de un script registrado
+   * @returns {Script|null} null si no está registrado
+   */
+  create(name) {
+    const script = this.scripts.get(name);
+    if (!script) return null;
+
+    return typeof script === 'function'
+      ? new script()
+      : Object.assign(new Script(), script);
+  },
+
+  /**
+   * Limpia el registro
+   */
+  clear() {
+    this.scripts.clear();
+  }
+};
+
+/**
+ * Normaliza una entrada del componente: 'name' o { name, params, enabled }
+ */
+function normalizeEntry(entry) {
+  if (typeof entry === 'string') {
+    return { name: entry, params: {}, enabled: true };
+  }
+  return {
+    name: entry.name,
+    params: entry.params ? { ...entry.params } : {},
+    enabled: entry.enabled !== undefined ? entry.enabled : true
+  };
+}
+
+ComponentRegistry.register('script', {
+  scripts: {
+    required: true,
+    validate: (scripts) => Array.isArray(scripts) &&
+      scripts.every(entry => typeof entry === 'string' || (entry && typeof entry.name === 'string'))
+  }
+}, (data) => ({
+  scripts: data.scripts.map(normalizeEntry)
+}));
+
+/**
+ * Crea un componente Script con un solo script
+ * @param {string} name - Nombre registrado en ScriptRegistry
+ * @param {Object} params - Parámetros (this.params en el script)
+ */
+export function createScript(name, params = {}) {
+  return ComponentRegistry.create('script', { scripts: [{ name, params }] });
+}
+
+/**
+ * Crea un componente Script con varios scripts
+ * @param {Array<string|Object>} scripts - Nombres o { name, params, enabled }
+ */
+export function createScripts(scripts) {
+  return ComponentRegistry.create('script', { scripts });
+}
+
+export default {
+  Script,
+  ScriptRegistry,
+  createScript,
+  createScripts
+};
@@ -0,0 +1,148 @@
+/**
+ * StateMachine Component
+ * Máquina de estados declarativa (enemigos, puertas, modos de juego...)
+ * El componente solo guarda el estado actual; StateMachineSystem ejecuta las
+ * transiciones y los callbacks de la definición
+ *
+ * @example
+ * StateMachineRegistry.define('door', {
+ *   initial: 'closed',
+ *   states: {
+ *     closed: { transitions: [{ event: 'open', to: 'opening', guard: (e) => !e.hasTag('locked') }] },
+ *     opening: { onEnter: (e) => playSound(e), transitions: [{ after: 1, to: 'open' }] },
+ *     open: { transitions: [{ after: 3, to: 'closed' }] }
+ *   }
+ * });
+ * entity.addComponent('stateMachine', createStateMachine('door'));
+ */
+
+import { ComponentRegistry } from '../../core/Component.js';
+
+/**
+ * Valida una definición de máquina de estados
+ * @throws {Error} Si el estado inicial o el destino de una transición no existen
+ */
+function validateDefinition(definition, name = 'inline') {
+  if (!definition || typeof definition.states !== 'object' || definition.states === null) {
+    throw new Error(`State machine '${name}' must define states`);
+  }
+
+  const states = definition.states;
+  if (!(definition.initial in states)) {
+    throw new Error(`State machine '${name}' initial state '${definition.initial}' is not defined`);
+  }
+
+  Object.entries(states).forEach(([stateName, state]) => {
+    (state.transitions || []).forEach(transition => {
+      if (!(transition.to in states)) {
+        throw new Error(`State machine '${name}' transition from '${stateName}' to unknown state '${transition.to}'`);
+      }
+    });
+  });
+
+  return definition;
+}
+
+/**
+ * Registro de definiciones con nombre
+ * Los componentes que referencian una definición por nombre son serializables
+ * (World.snapshot() descarta las funciones de las definiciones en línea)
+ */
+export const StateMachineRegistry = {
+  definitions: new Map(),
+
+  /**
+   * Registra (o reemplaza) una definición
+   * @param {string} name - Nombre de la máquina
+   * @param {Object} definition - { initial, states: { [nombre]: { onEnter, onExit, onUpdate, transitions } } }
+   */
+  define(name, definition) {
+    this.definitions.set(name, validateDefinition(definition, name));
+    return definition;
+  },
+
+  /**
+   * Obtiene una definición
+   */
+  get(name) {
+    return this.definitions.get(name) || null;
+  },
+
+  /**
+   * Verifica si una definición está registrada
+   */
+  has(name) {
+    return this.definitions.has(name);
+  },
+
+  /**
+   * Limpia el registro
+   */
+  clear() {
+    this.definitions.clear();
+  }
+};
+
+ComponentRegistry.register('stateMachine', {
+  machine: {
+    required: true,
+    validate: (machine) => typeof machine === 'string' || (typeof machine === 'object' && machine !== null)
+  },
+  state: { type: 'string', required: false }
+}, (data) => ({
+  machine: data.machine, // Nombre registrado o definición en línea
+  state: data.state || null, // null hasta que el sistema entra en el estado inicial
+  previous: data.previous || null,
+  time: data.time || 0, // Segundos en el estado actual
+  transitions: data.transitions || 0, // Transiciones realizadas
+  events: data.events ? [...data.events] : [] // Eventos pendientes de procesar
+}));
+
+/**
+ * Crea un componente StateMachine
+ * @param {string|Object} machine - Nombre registrado en StateMachineRegistry o definición en línea
+ * @param {Object} options - Opciones (state: estado inicial alternativo)
+ */
+export function createStateMachine(machine, options = {}) {
+  if (typeof machine === 'object' && machine !== null) {
+    validateDefinition(machine);
+  }
+
+  return ComponentRegistry.create('stateMachine', { machine, ...options });
+}
+
+/**
+ * Helpers para manipular máquinas de estados
+ */
+export const StateMachineHelpers = {
+  /**
+   * Resuelve la definición de un componente
+   */
+  getDefinition(stateMachine) {
+    if (typeof stateMachine.machine === 'string') {
+      return StateMachineRegistry.get(stateMachine.machine);
+    }
+    return stateMachine.machine;
+  },
+
+  /**
+   * Encola un evento (se procesa en el próximo update del sistema)
+   */
+  send(stateMachine, event, payload = null) {
+    stateMachine.events.push({ event, payload });
+    return stateMachine;
+  },
+
+  /**
+   * Verifica si la máquina está en un estado
+   */
+  is(stateMachine, state) {
+    return stateMachine.state === state;
+  }
+};
+
+export default {
+  StateMachineRegistry,
+  createStateMachine,
+  StateMachineHelpers
+};
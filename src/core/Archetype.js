@@ -0,0 +1,26 @@
+/**
+ * Archetype
+ * Agrupa las entidades que comparten exactamente el mismo conjunto de componentes
+ * Cada arquetipo conoce las consultas que lo cumplen
+ */
+
+class Archetype {
+  constructor(types = []) {
+    this.types = new Set(types);
+    this.key = Archetype.createKey(this.types);
+    this.entities = new Set();
+    this.queries = new Set();
+
+    // Transiciones cacheadas: '+type' / '-type' -> Archetype
+    this.edges = new Map();
+  }
+
+  /**
+   * Genera la clave única de un conjunto de tipos
+   */
+  static createKey(types) {
+    return Array.from(types).sort().join(',');
+  }
+}
+
+export default Archetype;
@@ -0,0 +1,186 @@
+/**
+ * CommandBuffer
+ * Registra cambios estructurales (entidades, componentes, tags, jerarquía) para aplicarlos más tarde
+ * El World lo vacía en puntos de sincronización: al terminar cada fase del frame
+ */
+
+import Entity from './Entity.js';
+
+class CommandBuffer {
+  constructor(world) {
+    this.world = world;
+    this.commands = [];
+
+    this.stats = {
+      recorded: 0,
+      flushed: 0,
+      skipped: 0
+    };
+  }
+
+  /**
+   * Crea una entidad que se agrega al world en el próximo flush
+   * La entidad devuelta puede configurarse directamente (aún no está indexada)
+   * @returns {Entity}
+   */
+  createEntity() {
+    const entity = new Entity(this.world);
+    this._record('spawn', entity);
+    return entity;
+  }
+
+  /**
+   * Destruye una entidad (y sus hijas) en el próximo flush
+   */
+  destroyEntity(entity) {
+    return this._record('destroy', entity);
+  }
+
+  /**
+   * Agrega un componente en el próximo flush
+   */
+  addComponent(entity, type, data = {}) {
+    return this._record('addComponent', entity, type, data);
+  }
+
+  /**
+   * Elimina un componente en el próximo flush
+   */
+  removeComponent(entity, type) {
+    return this._record('removeComponent', entity, type);
+  }
+
+  /**
+   * Agrega un tag en el próximo flush
+   */
+  addTag(entity, tag) {
+    return this._record('addTag', entity, tag);
+  }
+
+  /**
+   * Elimina un tag en el próximo flush
+   */
+  removeTag(entity, tag) {
+    return this._record('removeTag', entity, tag);
+  }
+
+  /**
+   * Cambia el padre en el próximo flush
+   */
+  setParent(entity, parent) {
+    return this._record('setParent', entity, parent);
+  }
+
+  /**
+   * Ejecuta una función arbitraria en el próximo flush
+   */
+  run(callback) {
+    return this._record('run', null, callback);
+  }
+
+  /**
+   * Registra un comando
+   */
+  _record(type, entity, ...args) {
+    this.commands.push({ type, entity, args });
+    this.stats.recorded++;
+    return this;
+  }
+
+  /**
+   * Número de comandos pendientes
+   */
+  get size() {
+    return this.commands.length;
+  }
+
+  /**
+   * Aplica los comandos en orden de registro
+   * Los comandos registrados durante el flush se aplican en el mismo flush
+   * Los comandos sobre entidades ya eliminadas se descartan
+   */
+  flush() {
+    const commands = this.commands;
+
+    for (let i = 0; i < commands.length; i++) {
+      const { type, entity, args } = commands[i];
+
+      if (entity && type !== 'spawn' && !this._isAlive(entity)) {
+        this.stats.skipped++;
+        continue;
+      }
+
+      this._apply(type, entity, args);
+      this.stats.flushed++;
+    }
+
+    this.commands = [];
+  }
+
+  /**
+   * Aplica un comando
+   */
+  _apply(type, entity, args) {
+    switch (type) {
+      case 'spawn':
+        this.world.addEntity(entity);
+        break;
+      case 'destroy':
+        entity.destroy();
+        break;
+      case 'addComponent':
+        entity.addComponent(args[0], args[1]);
+        break;
+      case 'removeComponent':
+        entity.removeComponent(args[0]);
+        break;
+      case 'addTag':
+        entity.addTag(args[0]);
+        break;
+      case 'removeTag':
+        entity.removeTag(args[0]);
+        break;
+      case 'setParent':
+        entity.setParent(args[0]);
+        break;
+      case 'run':
+        args[0](this.world);
+        break;
+      default:
+        console.warn(`Unknown command '${type}'`);
+    }
+  }
+
+  /**
+   * Verifica si la entidad sigue en el world (o pendiente de agregarse)
+   */
+  _isAlive(entity) {
+    return this.world.isAlive(entity) || this.world.isPending(entity);
+  }
+
+  /**
+   * Descarta los comandos pendientes
+   * Las entidades creadas con createEntity que no llegaron al world devuelven su handle
+   */
+  clear() {
+    this.commands.forEach(({ type, entity }) => {
+      if (type !== 'spawn') return;
+
+      this.world.storages.forEach(storage => storage.free(entity));
+      this.world.entityAllocator.free(entity.id);
+    });
+    this.commands = [];
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      pending: this.commands.length
+    };
+  }
+}
+
+export default CommandBuffer;
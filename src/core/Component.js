@@ -112,20 +112,35 @@ ComponentRegistry.register('transform', {
   rotationX: { type: 'number', required: false },
   rotationY: { type: 'number', required: false },
   rotationZ: { type: 'number', required: false },
+  // Cuaternión opcional { x, y, z, w }; si existe tiene prioridad sobre rotationX/Y/Z
+  quaternion: {
+    type: 'object',
+    required: false,
+    validate: (q) => q !== null && ['x', 'y', 'z', 'w'].every(key => typeof q[key] === 'number')
+  },
   scaleX: { type: 'number', required: false },
   scaleY: { type: 'number', required: false },
   scaleZ: { type: 'number', required: false }
-}, (data) => ({
-  x: data.x || 0,
-  y: data.y || 0,
-  z: data.z || 0,
-  rotationX: data.rotationX || 0,
-  rotationY: data.rotationY || 0,
-  rotationZ: data.rotationZ || 0,
-  scaleX: data.scaleX !== undefined ? data.scaleX : 1,
-  scaleY: data.scaleY !== undefined ? data.scaleY : 1,
-  scaleZ: data.scaleZ !== undefined ? data.scaleZ : 1
-}));
+}, (data) => {
+  const transform = {
+    x: data.x || 0,
+    y: data.y || 0,
+    z: data.z || 0,
+    rotationX: data.rotationX || 0,
+    rotationY: data.rotationY || 0,
+    rotationZ: data.rotationZ || 0,
+    scaleX: data.scaleX !== undefined ? data.scaleX : 1,
+    scaleY: data.scaleY !== undefined ? data.scaleY : 1,
+    scaleZ: data.scaleZ !== undefined ? data.scaleZ : 1
+  };
+
+  if (data.quaternion) {
+    const { x, y, z, w } = data.quaternion;
+    transform.quaternion = { x, y, z, w };
+  }
+
+  return transform;
+});
 
 ComponentRegistry.register('velocity', {
   x: { type: 'number', required: false },
@@ -0,0 +1,239 @@
+/**
+ * ComponentStorage
+ * Almacenamiento en estructura de arrays (SoA) para componentes numéricos
+ * Cada campo numérico del schema vive en un typed array; las entidades ocupan
+ * posiciones contiguas para que los sistemas puedan recorrerlos sin indirecciones
+ *
+ * entity.getComponent() devuelve una vista: un objeto cuyos campos numéricos leen y
+ * escriben en los arrays. Los campos no numéricos (ej: transform.quaternion) y las
+ * propiedades extra se guardan en la propia vista como en un componente normal.
+ */
+
+import { ComponentRegistry } from './Component.js';
+
+// Marca de las vistas (no enumerable)
+const VIEW = Symbol('componentView');
+
+class TypedComponentStorage {
+  /**
+   * @param {string} type - Tipo de componente registrado con schema
+   * @param {Object} options - Opciones
+   * @param {number} options.capacity - Capacidad inicial (crece al doble al llenarse)
+   * @param {Function} options.arrayType - Constructor del typed array (Float64Array por defecto)
+   * @throws {Error} Si el tipo no tiene schema o ningún campo numérico
+   */
+  constructor(type, options = {}) {
+    const componentType = ComponentRegistry.types.get(type);
+
+    if (!componentType || !componentType.schema) {
+      throw new Error(`Component '${type}' must be registered with a schema to use typed storage`);
+    }
+
+    this.type = type;
+    this.factory = componentType.factory;
+    this.fieldNames = Object.entries(componentType.schema)
+      .filter(([, validator]) => validator.type === 'number')
+      .map(([name]) => name);
+
+    if (this.fieldNames.length === 0) {
+      throw new Error(`Component '${type}' has no numeric fields for typed storage`);
+    }
+
+    this.arrayType = options.arrayType || Float64Array;
+    this.capacity = Math.max(1, options.capacity || 256);
+    this.count = 0;
+
+    // Cambia cada vez que una posición pasa a otra entidad (caches por índice)
+    this.layoutVersion = 0;
+
+    // Columnas: campo -> typed array
+    this.fields = {};
+    this.fieldNames.forEach(name => {
+      this.fields[name] = new this.arrayType(this.capacity);
+    });
+
+    // Posición i: entidad y vista que la ocupan
+    this.entities = [];
+    this.views = [];
+    this.viewsByEntity = new Map();
+
+    this._descriptors = this._createDescriptors();
+  }
+
+  /**
+   * Verifica si un objeto es una vista de un almacenamiento tipado
+   */
+  static isView(component) {
+    return component !== null && typeof component === 'object' && component[VIEW] === true;
+  }
+
+  /**
+   * Guarda los datos de un componente y devuelve su vista
+   * Si faltan campos numéricos se aplica la factory registrada (valores por defecto)
+   */
+  allocate(entity, data = {}) {
+    if (this.viewsByEntity.has(entity)) {
+      this.free(entity);
+    }
+
+    const source = this.fieldNames.every(name => typeof data[name] === 'number')
+      ? data
+      : this.factory(data);
+
+    if (this.count === this.capacity) {
+      this._grow(this.capacity * 2);
+    }
+
+    const index = this.count++;
+    const view = Object.defineProperties({}, this._descriptors);
+    view._index = index;
+
+    this.fieldNames.forEach(name => {
+      this.fields[name][index] = typeof source[name] === 'number' ? source[name] : 0;
+    });
+
+    // Campos no numéricos y propiedades extra
+    Object.keys(source).forEach(key => {
+      if (!(key in this.fields)) {
+        view[key] = source[key];
+      }
+    });
+
+    this.entities[index] = entity;
+    this.views[index] = view;
+    this.viewsByEntity.set(entity, view);
+    this.layoutVersion++;
+
+    return view;
+  }
+
+  /**
+   * Libera la posición de una entidad (la última ocupa su lugar)
+   * La vista liberada conserva sus valores como propiedades normales
+   */
+  free(entity) {
+    const view = this.viewsByEntity.get(entity);
+    if (!view) return false;
+
+    const index = view._index;
+    const last = this.count - 1;
+
+    this._detach(view);
+    this.viewsByEntity.delete(entity);
+
+    if (index !== last) {
+      this.fieldNames.forEach(name => {
+        const column = this.fields[name];
+        column[index] = column[last];
+      });
+
+      const moved = this.views[last];
+      moved._index = index;
+      this.entities[index] = this.entities[last];
+      this.views[index] = moved;
+    }
+
+    this.entities.length = last;
+    this.views.length = last;
+    this.count = last;
+    this.layoutVersion++;
+
+    return true;
+  }
+
+  /**
+   * Obtiene la vista de una entidad
+   */
+  get(entity) {
+    return this.viewsByEntity.get(entity) || null;
+  }
+
+  /**
+   * Posición de una entidad en los arrays (-1 si no está)
+   */
+  indexOf(entity) {
+    const view = this.viewsByEntity.get(entity);
+    return view ? view._index : -1;
+  }
+
+  /**
+   * Descriptores de propiedad compartidos por todas las vistas
+   * Los campos numéricos son enumerables para que spread, Object.assign y JSON funcionen
+   */
+  _createDescriptors() {
+    const storage = this;
+    const descriptors = {
+      [VIEW]: { value: true },
+      _index: { value: -1, writable: true }
+    };
+
+    this.fieldNames.forEach(name => {
+      descriptors[name] = {
+        enumerable: true,
+        configurable: true,
+        get() {
+          return storage.fields[name][this._index];
+        },
+        set(value) {
+          storage.fields[name][this._index] = value;
+        }
+      };
+    });
+
+    return descriptors;
+  }
+
+  /**
+   * Convierte los campos de una vista en propiedades normales con su valor actual
+   */
+  _detach(view) {
+    this.fieldNames.forEach(name => {
+      Object.defineProperty(view, name, {
+        value: this.fields[name][view._index],
+        enumerable: true,
+        writable: true,
+        configurable: true
+      });
+    });
+    view._index = -1;
+  }
+
+  /**
+   * Amplía la capacidad de las columnas
+   */
+  _grow(capacity) {
+    this.fieldNames.forEach(name => {
+      const column = new this.arrayType(capacity);
+      column.set(this.fields[name]);
+      this.fields[name] = column;
+    });
+    this.capacity = capacity;
+  }
+
+  /**
+   * Vacía el almacenamiento
+   */
+  clear() {
+    this.views.forEach(view => this._detach(view));
+    this.entities = [];
+    this.views = [];
+    this.viewsByEntity.clear();
+    this.count = 0;
+    this.layoutVersion++;
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      type: this.type,
+      count: this.count,
+      capacity: this.capacity,
+      fields: this.fieldNames.length,
+      bytes: this.capacity * this.fieldNames.length * this.arrayType.BYTES_PER_ELEMENT
+    };
+  }
+}
+
+export default TypedComponentStorage;
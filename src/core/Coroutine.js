@@ -0,0 +1,370 @@
+/**
+ * Coroutine
+ * Secuencias escritas como funciones generadoras que avanzan con el reloj del juego
+ *
+ * @example
+ * entity.startCoroutine(function* (guard) {
+ *   yield walkTo(guard, door);          // Otra corrutina: espera a que termine
+ *   yield wait(2);                      // Segundos de juego
+ *   door.open();
+ *   yield waitUntil(() => playerInside());
+ *   const [entity] = yield waitForEvent('entityAdded');
+ *   yield waitFrames(1);
+ * });
+ *
+ * También se puede hacer yield de una promesa (se reanuda con su valor) o de
+ * null/undefined (espera al próximo frame)
+ */
+
+/**
+ * Espera unos segundos de juego
+ */
+export function wait(seconds) {
+  return { type: 'wait', seconds };
+}
+
+/**
+ * Espera hasta que el predicado devuelva true (se evalúa una vez por frame)
+ */
+export function waitUntil(predicate) {
+  if (typeof predicate !== 'function') {
+    throw new Error('waitUntil expects a predicate function');
+  }
+  return { type: 'waitUntil', predicate };
+}
+
+/**
+ * Espera a que se emita un evento; la corrutina se reanuda con sus argumentos (array)
+ * @param {string} name - Nombre del evento
+ * @param {Object} emitter - Emisor con once/off, u on/off (por defecto el del runner: world o cinemática)
+ */
+export function waitForEvent(name, emitter = null) {
+  return { type: 'waitForEvent', name, emitter };
+}
+
+/**
+ * Espera un número de frames
+ */
+export function waitFrames(frames) {
+  return { type: 'waitFrames', frames };
+}
+
+/**
+ * Coroutine - Referencia cancelable a una corrutina en ejecución
+ */
+class Coroutine {
+  constructor(runner, id, iterator, owner) {
+    this.runner = runner;
+    this.id = id;
+    this.iterator = iterator;
+    this.owner = owner;
+    this.waiting = null; // Instrucción en curso
+    this.running = false; // Dentro de iterator.next()
+    this.done = false;
+    this.cancelled = false;
+    this.result = undefined;
+  }
+
+  /**
+   * Cancela la corrutina (se ejecutan sus bloques finally)
+   */
+  cancel() {
+    this.runner.cancel(this);
+  }
+}
+
+class CoroutineRunner {
+  /**
+   * @param {Object} options - Opciones
+   * @param {Object} options.emitter - Emisor por defecto para waitForEvent
+   */
+  constructor(options = {}) {
+    this.emitter = options.emitter || null;
+    this.frame = 0;
+    this.coroutines = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Inicia una corrutina
+   * Se ejecuta de inmediato hasta su primer yield
+   * @param {Function|Iterator} routine - Función generadora (recibe el owner) o generador ya creado
+   * @param {Object} options - Opciones
+   * @param {*} options.owner - Entidad o cinemática dueña (se cancela con cancelOwner)
+   * @returns {Coroutine}
+   */
+  start(routine, options = {}) {
+    const owner = options.owner !== undefined ? options.owner : null;
+    const iterator = typeof routine === 'function' ? routine(owner) : routine;
+
+    if (!iterator || typeof iterator.next !== 'function') {
+      throw new Error('Coroutine expects a generator function or an iterator');
+    }
+
+    const coroutine = new Coroutine(this, this._nextId++, iterator, owner);
+    this.coroutines.push(coroutine);
+    this._resume(coroutine, undefined);
+    return coroutine;
+  }
+
+  /**
+   * Avanza las corrutinas que ya pueden continuar
+   * @param {number} deltaTime - Delta del frame (en segundos, ya escalado)
+   */
+  update(deltaTime) {
+    this.frame++;
+
+    // Copia: las corrutinas pueden iniciar o cancelar otras
+    this.coroutines.slice().forEach(coroutine => {
+      if (coroutine.done) return;
+
+      const waiting = coroutine.waiting;
+      // Las instrucciones creadas durante este update empiezan a contar en el siguiente
+      if (waiting.frame >= this.frame) return;
+
+      let ready;
+      try {
+        ready = this._isReady(waiting, deltaTime);
+      } catch (error) {
+        console.error('Error in coroutine:', error);
+        this.cancel(coroutine);
+        return;
+      }
+
+      if (ready) {
+        this._resume(coroutine, waiting.value);
+      }
+    });
+  }
+
+  /**
+   * Verifica (y avanza) la instrucción en curso
+   */
+  _isReady(waiting, deltaTime) {
+    switch (waiting.type) {
+      case 'wait':
+        waiting.remaining -= deltaTime;
+        return waiting.remaining <= 0;
+
+      case 'waitFrames':
+        waiting.remaining--;
+        return waiting.remaining <= 0;
+
+      case 'waitUntil':
+        return Boolean(waiting.predicate());
+
+      case 'waitForEvent':
+        // Sin once el listener se quita aquí, fuera de emit
+        if (waiting.ready && !waiting.once) {
+          waiting.emitter.off(waiting.name, waiting.listener);
+        }
+        return waiting.ready;
+
+      case 'promise':
+        return waiting.ready;
+
+      case 'coroutine':
+        if (waiting.child.done) {
+          waiting.value = waiting.child.result;
+          return true;
+        }
+        return false;
+
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Continúa la corrutina hasta su próximo yield
+   */
+  _resume(coroutine, value) {
+    coroutine.waiting = null;
+
+    try {
+      coroutine.running = true;
+      let step;
+      try {
+        step = coroutine.iterator.next(value);
+      } finally {
+        coroutine.running = false;
+      }
+
+      // Cancelada desde su propio código (p. ej. destruyó a su dueño)
+      if (coroutine.done) return;
+
+      if (step.done) {
+        coroutine.result = step.value;
+        this._finish(coroutine);
+        return;
+      }
+
+      coroutine.waiting = this._createWaiting(step.value, coroutine);
+    } catch (error) {
+      console.error('Error in coroutine:', error);
+      this.cancel(coroutine);
+    }
+  }
+
+  /**
+   * Convierte el valor de un yield en una instrucción de espera
+   */
+  _createWaiting(instruction, coroutine) {
+    const waiting = { type: 'frame', frame: this.frame, value: undefined };
+
+    if (instruction === null || instruction === undefined) {
+      return waiting;
+    }
+
+    // yield de otro generador o de una corrutina ya iniciada
+    if (instruction instanceof Coroutine || typeof instruction.next === 'function') {
+      waiting.type = 'coroutine';
+      waiting.child = instruction instanceof Coroutine
+        ? instruction
+        : this.start(instruction, { owner: coroutine.owner });
+      return waiting;
+    }
+
+    if (typeof instruction.then === 'function') {
+      waiting.type = 'promise';
+      waiting.ready = false;
+      instruction.then(
+        result => { waiting.value = result; waiting.ready = true; },
+        error => { console.error('Error in coroutine promise:', error); waiting.ready = true; }
+      );
+      return waiting;
+    }
+
+    switch (instruction.type) {
+      case 'wait':
+        waiting.type = 'wait';
+        waiting.remaining = instruction.seconds;
+        return waiting;
+
+      case 'waitFrames':
+        waiting.type = 'waitFrames';
+        waiting.remaining = instruction.frames;
+        return waiting;
+
+      case 'waitUntil':
+        waiting.type = 'waitUntil';
+        waiting.predicate = instruction.predicate;
+        return waiting;
+
+      case 'waitForEvent': {
+        const emitter = instruction.emitter || this.emitter;
+        if (!emitter) {
+          throw new Error(`waitForEvent('${instruction.name}') needs an emitter`);
+        }
+
+        waiting.type = 'waitForEvent';
+        waiting.ready = false;
+        waiting.emitter = emitter;
+        waiting.name = instruction.name;
+        waiting.listener = (...args) => {
+          if (waiting.ready) return;
+          waiting.value = args;
+          waiting.ready = true;
+        };
+        // Quitarse con off dentro de emit saltaría al siguiente listener: once o, si el
+        // emisor no lo tiene, on y off al reanudar (_isReady)
+        waiting.once = typeof emitter.once === 'function';
+        if (waiting.once) {
+          emitter.once(instruction.name, waiting.listener);
+        } else {
+          emitter.on(instruction.name, waiting.listener);
+        }
+        return waiting;
+      }
+
+      default:
+        console.warn(`Unknown coroutine instruction '${instruction.type}', waiting one frame`);
+        return waiting;
+    }
+  }
+
+  /**
+   * Libera los recursos de una instrucción (listeners de eventos)
+   */
+  _cleanupWaiting(waiting) {
+    if (waiting && waiting.type === 'waitForEvent' && (!waiting.ready || !waiting.once)) {
+      waiting.emitter.off(waiting.name, waiting.listener);
+    }
+  }
+
+  /**
+   * Marca la corrutina como terminada y la quita de la lista
+   */
+  _finish(coroutine) {
+    coroutine.done = true;
+    coroutine.waiting = null;
+
+    const index = this.coroutines.indexOf(coroutine);
+    if (index !== -1) {
+      this.coroutines.splice(index, 1);
+    }
+  }
+
+  /**
+   * Cancela una corrutina (y la sub-corrutina que esté esperando)
+   * @returns {boolean} false si ya había terminado
+   */
+  cancel(coroutine) {
+    if (!coroutine || coroutine.done) return false;
+
+    const waiting = coroutine.waiting;
+    this._cleanupWaiting(waiting);
+    coroutine.cancelled = true;
+    this._finish(coroutine);
+
+    if (waiting && waiting.type === 'coroutine') {
+      this.cancel(waiting.child);
+    }
+
+    // Ejecuta los bloques finally del generador (no se puede si está en ejecución)
+    if (coroutine.running) return true;
+    try {
+      coroutine.iterator.return();
+    } catch (error) {
+      console.error('Error in coroutine:', error);
+    }
+    return true;
+  }
+
+  /**
+   * Cancela todas las corrutinas de un dueño
+   * @returns {number} Corrutinas canceladas
+   */
+  cancelOwner(owner) {
+    const owned = this.coroutines.filter(coroutine => coroutine.owner === owner);
+    owned.forEach(coroutine => this.cancel(coroutine));
+    return owned.length;
+  }
+
+  /**
+   * Número de corrutinas en ejecución
+   */
+  get size() {
+    return this.coroutines.length;
+  }
+
+  /**
+   * Cancela todas las corrutinas
+   */
+  clear() {
+    this.coroutines.slice().forEach(coroutine => this.cancel(coroutine));
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      frame: this.frame,
+      coroutines: this.coroutines.length
+    };
+  }
+}
+
+export default CoroutineRunner;
+export { Coroutine };
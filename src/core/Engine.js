@@ -15,12 +15,16 @@ class Engine extends EventEmitter {
     this.config = {
       targetFPS: 60,
       maxDeltaTime: 0.1, // Máximo delta time para evitar spiral of death
+      fixedTimeStep: 1 / 60, // Paso fijo de simulación (en segundos)
+      maxFixedSteps: 5, // Máximo de pasos fijos por frame
       timeScale: 1.0,
       autoStart: false,
       ...config
     };
 
     this.world = new World();
+    this.world.fixedDeltaTime = this.config.fixedTimeStep;
+    this.world.profiler.frameBudget = 1000 / this.config.targetFPS;
     this.poolManager = new PoolManager();
 
     this.running = false;
@@ -33,6 +37,12 @@ class Engine extends EventEmitter {
     this.fpsUpdateTime = 0;
     this.fpsFrameCount = 0;
 
+    // Simulación de paso fijo
+    this.accumulator = 0;
+    this.fixedTime = 0;
+    this.fixedFrameCount = 0;
+    this.alpha = 0; // Factor de interpolación entre los dos últimos pasos fijos
+
     this.rafId = null;
 
     // Bind del update para requestAnimationFrame
@@ -120,10 +130,6 @@ class Engine extends EventEmitter {
     // Aplicar time scale
     deltaTime *= this.config.timeScale;
 
-    this.deltaTime = deltaTime;
-    this.time += deltaTime;
-    this.frameCount++;
-
     // Calcular FPS
     this.fpsFrameCount++;
     if (currentTime - this.fpsUpdateTime >= 1000) {
@@ -135,19 +141,53 @@ class Engine extends EventEmitter {
 
     // Actualizar world y sistemas
     this.emit('beforeUpdate', deltaTime);
-    this.world.update(deltaTime);
+    this._advance(deltaTime);
     this.emit('afterUpdate', deltaTime);
   }
 
   /**
-   * Ejecuta un solo step (útil para debugging)
+   * Avanza la simulación un frame
+   * preUpdate, luego el acumulador en pasos fijos y por último update/lateUpdate/render
    */
-  step(deltaTime = 1 / 60) {
-    if (!this.paused) return;
+  _advance(deltaTime) {
+    const fixedTimeStep = this.config.fixedTimeStep;
 
-    this.world.update(deltaTime);
+    this.deltaTime = deltaTime;
     this.time += deltaTime;
     this.frameCount++;
+
+    this.accumulator += deltaTime;
+
+    this.world.beginFrame(deltaTime);
+
+    let steps = 0;
+    while (this.accumulator >= fixedTimeStep && steps < this.config.maxFixedSteps) {
+      // En lockstep el paso se salta mientras falten inputs: se reintenta el próximo frame
+      // (el tiempo acumulado se conserva para recuperarlo al llegar los inputs)
+      if (!this.world.fixedUpdate(fixedTimeStep)) break;
+      this.accumulator -= fixedTimeStep;
+      this.fixedTime += fixedTimeStep;
+      this.fixedFrameCount++;
+      steps++;
+    }
+
+    // Descartar el tiempo que no se pudo simular para evitar spiral of death
+    if (steps === this.config.maxFixedSteps && this.accumulator >= fixedTimeStep) {
+      this.accumulator %= fixedTimeStep;
+    }
+
+    this.alpha = Math.min(this.accumulator / fixedTimeStep, 1);
+    this.world.alpha = this.alpha;
+    this.world.update(deltaTime);
+  }
+
+  /**
+   * Ejecuta un solo step (útil para debugging)
+   */
+  step(deltaTime = this.config.fixedTimeStep) {
+    if (!this.paused) return;
+
+    this._advance(deltaTime);
   }
 
   /**
@@ -164,6 +204,13 @@ class Engine extends EventEmitter {
     return this.world.getEntity(id);
   }
 
+  /**
+   * Verifica si un handle de entidad sigue vivo
+   */
+  isAlive(handle) {
+    return this.world.isAlive(handle);
+  }
+
   /**
    * Elimina una entidad
    */
@@ -173,9 +220,11 @@ class Engine extends EventEmitter {
 
   /**
    * Registra un sistema
+   * @param {System} system - Sistema a registrar
+   * @param {Object} options - Planificación (phase, before, after, priority)
    */
-  registerSystem(system) {
-    this.world.registerSystem(system);
+  registerSystem(system, options) {
+    this.world.registerSystem(system, options);
     return system;
   }
 
@@ -193,6 +242,21 @@ class Engine extends EventEmitter {
     return this.world.getSystem(name);
   }
 
+  /**
+   * Temporizadores en tiempo de juego (se detienen con pause() y escalan con setTimeScale())
+   * @example engine.scheduler.after(3, () => spawnBoss())
+   */
+  get scheduler() {
+    return this.world.scheduler;
+  }
+
+  /**
+   * Corrutinas en tiempo de juego (avanzan con el mismo reloj que el scheduler)
+   */
+  get coroutines() {
+    return this.world.coroutines;
+  }
+
   /**
    * Establece el time scale
    */
@@ -201,6 +265,21 @@ class Engine extends EventEmitter {
     this.emit('timeScaleChanged', this.config.timeScale);
   }
 
+  /**
+   * Establece el paso fijo de simulación
+   * @param {number} seconds - Duración del paso (ej: 1 / 60)
+   */
+  setFixedTimeStep(seconds) {
+    if (!(seconds > 0)) {
+      console.warn(`Invalid fixed time step: ${seconds}`);
+      return;
+    }
+
+    this.config.fixedTimeStep = seconds;
+    this.world.fixedDeltaTime = seconds;
+    this.emit('fixedTimeStepChanged', seconds);
+  }
+
   /**
    * Obtiene estadísticas del engine
    */
@@ -212,6 +291,9 @@ class Engine extends EventEmitter {
       deltaTime: this.deltaTime,
       fps: this.fps,
       frameCount: this.frameCount,
+      fixedTimeStep: this.config.fixedTimeStep,
+      fixedFrameCount: this.fixedFrameCount,
+      alpha: this.alpha,
       timeScale: this.config.timeScale,
       world: this.world.stats,
       pools: this.poolManager.stats
@@ -234,6 +316,10 @@ class Engine extends EventEmitter {
     this.fps = 0;
     this.fpsUpdateTime = 0;
     this.fpsFrameCount = 0;
+    this.accumulator = 0;
+    this.fixedTime = 0;
+    this.fixedFrameCount = 0;
+    this.alpha = 0;
 
     this.emit('reset');
 
@@ -4,15 +4,101 @@
  * Siguiendo el patrón Entity-Component-System puro
  */
 
-let nextEntityId = 1;
+import { EntityAllocator } from './EntityHandle.js';
+import TypedComponentStorage from './ComponentStorage.js';
+import EventEmitter from '../utils/EventEmitter.js';
+
+// Asignador para entidades creadas sin world
+const defaultAllocator = new EntityAllocator();
 
 class Entity {
   constructor(world) {
-    this.id = nextEntityId++;
+    // Handle generacional (índice + generación), lo asigna el world
+    this.id = world ? world.entityAllocator.allocate() : defaultAllocator.allocate();
     this.world = world;
     this.components = new Map();
-    this.active = true;
+    this._active = true;
     this.tags = new Set();
+
+    // Versión (tick del world) del último cambio de cada componente
+    this.componentVersions = new Map();
+
+    // Jerarquía
+    this.parent = null;
+    this.children = new Set();
+
+    // Relaciones con otras entidades: relation -> Map<Entity, data>
+    this.relations = new Map();
+
+    // Emisor de eventos propio (se crea al registrar el primer listener)
+    this._emitter = null;
+  }
+
+  /**
+   * Estado activo de la entidad
+   * Las entidades inactivas no aparecen en las consultas del world
+   */
+  get active() {
+    return this._active;
+  }
+
+  set active(value) {
+    if (this._active === value) return;
+
+    this._active = value;
+    if (this.world) {
+      this.world.onEntityActiveChanged(this);
+    }
+  }
+
+  /**
+   * Registra un listener en los eventos de la entidad
+   * @example enemy.on('stateChanged', ({ from, to }) => ...)
+   * @returns {Function} Función para eliminar el listener
+   */
+  on(event, callback, options) {
+    if (!this._emitter) {
+      this._emitter = new EventEmitter();
+    }
+    return this._emitter.on(event, callback, options);
+  }
+
+  /**
+   * Elimina un listener
+   */
+  off(event, callback) {
+    if (this._emitter) {
+      this._emitter.off(event, callback);
+    }
+  }
+
+  /**
+   * Emite un evento a los listeners de la entidad
+   */
+  emit(event, ...args) {
+    if (this._emitter) {
+      this._emitter.emit(event, ...args);
+    }
+  }
+
+  /**
+   * Inicia una corrutina propia de la entidad (se cancela al destruirla)
+   * @example enemy.startCoroutine(function* (self) { yield wait(2); self.addTag('angry'); })
+   * @param {Function|Iterator} routine - Función generadora (recibe la entidad) o generador
+   * @returns {Coroutine}
+   */
+  startCoroutine(routine) {
+    if (!this.world) {
+      throw new Error(`Entity ${this.id} must belong to a world to start coroutines`);
+    }
+    return this.world.coroutines.start(routine, { owner: this });
+  }
+
+  /**
+   * Cancela todas las corrutinas de la entidad
+   */
+  stopCoroutines() {
+    return this.world ? this.world.coroutines.cancelOwner(this) : 0;
   }
 
   /**
@@ -26,7 +112,8 @@ class Entity {
       return this;
     }
 
-    this.components.set(type, data);
+    // Con almacenamiento tipado el world devuelve una vista sobre sus arrays
+    this.components.set(type, this.world ? this.world.storeComponent(this, type, data) : data);
 
     // Notificar al world que se agregó un componente
     if (this.world) {
@@ -66,6 +153,7 @@ class Entity {
     }
 
     this.components.delete(type);
+    this.componentVersions.delete(type);
 
     // Notificar al world
     if (this.world) {
@@ -85,11 +173,42 @@ class Entity {
     }
 
     const current = this.components.get(type);
-    this.components.set(type, { ...current, ...data });
+    if (TypedComponentStorage.isView(current)) {
+      Object.assign(current, data);
+    } else {
+      this.components.set(type, { ...current, ...data });
+    }
+
+    if (this.world) {
+      this.world.onComponentChanged(this, type);
+    }
+
+    return this;
+  }
+
+  /**
+   * Marca un componente como modificado
+   * Necesario tras modificar sus datos en el sitio (ej: transform.x += 1) para que
+   * los filtros changed y los observadores lo detecten
+   */
+  markChanged(type) {
+    if (!this.components.has(type)) return this;
+
+    if (this.world) {
+      this.world.onComponentChanged(this, type);
+    }
 
     return this;
   }
 
+  /**
+   * Obtiene la versión (tick del world) del último cambio de un componente
+   * @returns {number} 0 si no tiene el componente
+   */
+  getComponentVersion(type) {
+    return this.componentVersions.get(type) || 0;
+  }
+
   /**
    * Agrega un tag a la entidad
    */
@@ -120,15 +239,190 @@ class Entity {
   }
 
   /**
-   * Destruye la entidad
+   * Agrega una relación con otra entidad (ej: 'targets', 'ownedBy')
+   * Si la relación ya existe se reemplazan sus datos
+   * @example archer.addRelation('targets', orc, { priority: 2 })
+   * @param {string} relation - Nombre de la relación
+   * @param {Entity} target - Entidad destino
+   * @param {Object} data - Datos asociados al par (opcional)
+   */
+  addRelation(relation, target, data = {}) {
+    if (!(target instanceof Entity)) {
+      console.warn(`Entity ${this.id} relation '${relation}' target must be an entity`);
+      return this;
+    }
+
+    let targets = this.relations.get(relation);
+    if (!targets) {
+      targets = new Map();
+      this.relations.set(relation, targets);
+    }
+
+    const exists = targets.has(target);
+    targets.set(target, data);
+
+    if (!exists && this.world) {
+      this.world.onRelationAdded(this, relation, target);
+    }
+
+    return this;
+  }
+
+  /**
+   * Elimina una relación
+   * @param {string} relation - Nombre de la relación
+   * @param {Entity} target - Entidad destino (sin ella se eliminan todos los destinos)
+   */
+  removeRelation(relation, target) {
+    const targets = this.relations.get(relation);
+    if (!targets) return this;
+
+    const removed = target === undefined ? Array.from(targets.keys()) : [target];
+
+    removed.forEach(entity => {
+      if (!targets.delete(entity)) return;
+
+      if (this.world) {
+        this.world.onRelationRemoved(this, relation, entity);
+      }
+    });
+
+    if (targets.size === 0) {
+      this.relations.delete(relation);
+    }
+
+    return this;
+  }
+
+  /**
+   * Verifica si tiene una relación (con un destino concreto o con cualquiera)
+   */
+  hasRelation(relation, target) {
+    const targets = this.relations.get(relation);
+    if (!targets) return false;
+
+    return target === undefined ? targets.size > 0 : targets.has(target);
+  }
+
+  /**
+   * Obtiene los destinos de una relación
+   * @returns {Entity[]}
+   */
+  getRelationTargets(relation) {
+    const targets = this.relations.get(relation);
+    return targets ? Array.from(targets.keys()) : [];
+  }
+
+  /**
+   * Obtiene el primer destino de una relación (útil en relaciones de un solo destino)
+   * @returns {Entity|null}
+   */
+  getRelationTarget(relation) {
+    const targets = this.relations.get(relation);
+    return targets && targets.size > 0 ? targets.keys().next().value : null;
+  }
+
+  /**
+   * Obtiene los datos de un par relación-destino
+   */
+  getRelationData(relation, target) {
+    const targets = this.relations.get(relation);
+    return targets ? targets.get(target) : undefined;
+  }
+
+  /**
+   * Establece el padre de la entidad (null para desvincularla)
+   * El transform de la entidad pasa a ser local respecto al padre
+   */
+  setParent(parent) {
+    if (parent === this.parent) return this;
+
+    if (parent === this || (parent && parent.isDescendantOf(this))) {
+      console.warn(`Entity ${this.id} cannot be parented to itself or a descendant`);
+      return this;
+    }
+
+    const previous = this.parent;
+
+    if (previous) {
+      previous.children.delete(this);
+    }
+
+    this.parent = parent || null;
+
+    if (this.parent) {
+      this.parent.children.add(this);
+    }
+
+    if (this.world) {
+      this.world.onParentChanged(this, previous, this.parent);
+    }
+
+    return this;
+  }
+
+  /**
+   * Agrega una entidad hija
+   */
+  addChild(child) {
+    child.setParent(this);
+    return this;
+  }
+
+  /**
+   * Elimina una entidad hija
+   */
+  removeChild(child) {
+    if (this.children.has(child)) {
+      child.setParent(null);
+    }
+    return this;
+  }
+
+  /**
+   * Obtiene las entidades hijas
+   */
+  getChildren() {
+    return Array.from(this.children);
+  }
+
+  /**
+   * Verifica si la entidad desciende de otra
+   */
+  isDescendantOf(ancestor) {
+    let current = this.parent;
+    while (current) {
+      if (current === ancestor) return true;
+      current = current.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Destruye la entidad y, en cascada, a sus hijas
    */
   destroy() {
+    this.getChildren().forEach(child => child.destroy());
+    this.setParent(null);
+
     if (this.world) {
+      // Aviso previo: los componentes aún se pueden leer (onDestroy de los scripts)
+      this.world.emit('entityDestroying', this);
+      // Las relaciones (en ambos sentidos) se limpian al procesar la cola
       this.world.removeEntity(this);
+    } else {
+      this.relations.clear();
     }
     this.components.clear();
+    if (this.world) {
+      this.tags.forEach(tag => this.world.onTagRemoved(this, tag));
+    }
     this.tags.clear();
     this.active = false;
+
+    if (this._emitter) {
+      this._emitter.removeAllListeners();
+    }
   }
 
   /**
@@ -145,6 +439,11 @@ class Entity {
     // Copiar tags
     this.tags.forEach(tag => clone.addTag(tag));
 
+    // Copiar relaciones salientes
+    this.relations.forEach((targets, relation) => {
+      targets.forEach((data, target) => clone.addRelation(relation, target, { ...data }));
+    });
+
     return clone;
   }
 
@@ -155,19 +454,41 @@ class Entity {
     return {
       id: this.id,
       active: this.active,
+      parent: this.parent ? this.parent.id : null,
       tags: Array.from(this.tags),
       components: Array.from(this.components.entries()).map(([type, data]) => ({
         type,
         data
-      }))
+      })),
+      relations: this._relationsToJSON()
     };
   }
 
+  /**
+   * Serializa las relaciones salientes (los destinos como ids)
+   */
+  _relationsToJSON() {
+    const relations = [];
+    this.relations.forEach((targets, relation) => {
+      targets.forEach((data, target) => {
+        relations.push({ relation, target: target.id, data });
+      });
+    });
+    return relations;
+  }
+
   /**
    * Deserializa desde JSON
+   * @param {World} world - World destino
+   * @param {Object} json - Datos de toJSON()
+   * @param {Object} options - Opciones
+   * @param {boolean} options.keepId - Conserva el id serializado (World.restore)
    */
-  static fromJSON(world, json) {
+  static fromJSON(world, json, options = {}) {
     const entity = new Entity(world);
+    if (options.keepId) {
+      entity.id = json.id;
+    }
     entity.active = json.active;
 
     // Restaurar tags
@@ -178,8 +499,36 @@ class Entity {
       entity.addComponent(type, data);
     });
 
+    // Restaurar padre si ya existe en el world
+    if (json.parent !== null && json.parent !== undefined && world) {
+      const parent = world.getEntity(json.parent);
+      if (parent) {
+        entity.setParent(parent);
+      }
+    }
+
+    // Restaurar relaciones cuyos destinos ya existen en el world
+    if (world) {
+      entity.restoreRelations(json.relations);
+    }
+
     return entity;
   }
+
+  /**
+   * Restaura relaciones serializadas con toJSON() resolviendo los ids en el world
+   * Los destinos que no existen se ignoran
+   * @param {Object[]} relations - [{ relation, target, data }]
+   */
+  restoreRelations(relations = []) {
+    relations.forEach(({ relation, target, data }) => {
+      const targetEntity = this.world.getEntity(target);
+      if (targetEntity) {
+        this.addRelation(relation, targetEntity, data);
+      }
+    });
+    return this;
+  }
 }
 
 export default Entity;
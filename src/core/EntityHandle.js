@@ -0,0 +1,161 @@
+/**
+ * EntityHandle
+ * Ids de entidad generacionales: un número que empaqueta índice y generación
+ * Al liberar un índice su generación aumenta, así los handles viejos nunca coinciden con los nuevos
+ */
+
+// Bits reservados para el índice (hasta ~4M entidades vivas a la vez)
+const INDEX_BITS = 22;
+const INDEX_RANGE = 2 ** INDEX_BITS;
+const MAX_GENERATION = Math.floor(Number.MAX_SAFE_INTEGER / INDEX_RANGE);
+
+/**
+ * Helpers para empaquetar y desempaquetar handles
+ * El handle es un entero seguro de JS: generation * 2^22 + index
+ */
+const EntityHandle = {
+  INDEX_BITS,
+
+  pack(index, generation) {
+    return generation * INDEX_RANGE + index;
+  },
+
+  getIndex(handle) {
+    return handle % INDEX_RANGE;
+  },
+
+  getGeneration(handle) {
+    return Math.floor(handle / INDEX_RANGE);
+  },
+
+  /**
+   * Verifica que un valor tenga forma de handle
+   */
+  isValid(handle) {
+    return Number.isSafeInteger(handle) && handle > 0;
+  }
+};
+
+/**
+ * EntityAllocator - Reparte handles y recicla índices liberados
+ * Los índices liberados se reutilizan en orden FIFO para espaciar su reutilización
+ */
+class EntityAllocator {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Obtiene un handle nuevo
+   * @throws {Error} Si se agotan los índices
+   */
+  allocate() {
+    let index;
+
+    if (this.freeIndices.length > 0) {
+      index = this.freeIndices.shift();
+    } else {
+      index = this.nextIndex++;
+      if (index >= INDEX_RANGE) {
+        throw new Error(`Entity index limit reached (${INDEX_RANGE - 1})`);
+      }
+      this.generations[index] = 0;
+    }
+
+    return EntityHandle.pack(index, this.generations[index]);
+  }
+
+  /**
+   * Libera un handle; su índice queda disponible con la siguiente generación
+   * @returns {boolean} false si el handle ya no era actual
+   */
+  free(handle) {
+    if (!this.isCurrent(handle)) return false;
+
+    const index = EntityHandle.getIndex(handle);
+    const generation = this.generations[index] + 1;
+
+    // Generación agotada: el índice se retira para no repetir handles
+    if (generation > MAX_GENERATION) {
+      this.generations[index] = MAX_GENERATION + 1;
+      return true;
+    }
+
+    this.generations[index] = generation;
+    this.freeIndices.push(index);
+    return true;
+  }
+
+  /**
+   * Verifica si el handle corresponde a la generación actual de su índice
+   * Un handle liberado nunca vuelve a ser actual
+   */
+  isCurrent(handle) {
+    if (!EntityHandle.isValid(handle)) return false;
+
+    const index = EntityHandle.getIndex(handle);
+    return index < this.nextIndex && this.generations[index] === EntityHandle.getGeneration(handle);
+  }
+
+  /**
+   * Reinicia el asignador (el primer handle es 1)
+   */
+  reset() {
+    this.nextIndex = 1;
+    this.generations = [0];
+    this.freeIndices = [];
+  }
+
+  /**
+   * Serializa el estado (World.snapshot)
+   */
+  toJSON() {
+    return {
+      nextIndex: this.nextIndex,
+      generations: this.generations.slice(),
+      freeIndices: this.freeIndices.slice()
+    };
+  }
+
+  /**
+   * Reconstruye el estado a partir de los handles vivos (snapshots sin entityAllocator)
+   * Los índices libres pasan a la generación siguiente: los handles anteriores quedan obsoletos
+   * @param {number[]} handles - Handles de las entidades vivas
+   */
+  rebuild(handles) {
+    const live = new Map();
+    handles.forEach(handle => live.set(EntityHandle.getIndex(handle), EntityHandle.getGeneration(handle)));
+
+    const previous = this.generations;
+    this.nextIndex = Math.max(1, ...Array.from(live.keys(), index => index + 1));
+    this.generations = [0];
+    this.freeIndices = [];
+
+    for (let index = 1; index < this.nextIndex; index++) {
+      if (live.has(index)) {
+        this.generations[index] = live.get(index);
+        continue;
+      }
+
+      const generation = previous[index] !== undefined ? previous[index] + 1 : 0;
+      this.generations[index] = Math.min(generation, MAX_GENERATION + 1);
+      if (generation <= MAX_GENERATION) {
+        this.freeIndices.push(index);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Restaura el estado (World.restore)
+   */
+  fromJSON(state) {
+    this.nextIndex = state.nextIndex;
+    this.generations = state.generations.slice();
+    this.freeIndices = state.freeIndices.slice();
+    return this;
+  }
+}
+
+export default EntityHandle;
+export { EntityAllocator };
@@ -0,0 +1,349 @@
+/**
+ * Prefab
+ * Plantillas de entidades con componentes, tags y prefabs hijos
+ * Los cambios en un prefab se propagan a las instancias que no sobrescribieron esos valores
+ */
+
+import { ComponentRegistry } from './Component.js';
+
+/**
+ * Copia profunda de objetos planos y arrays
+ * Otros objetos (ej: vectores de three.js) se comparten por referencia
+ */
+function cloneData(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneData);
+  }
+
+  if (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const copy = {};
+    for (const key of Object.keys(value)) {
+      copy[key] = cloneData(value[key]);
+    }
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * Igualdad profunda de datos de componentes
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * PrefabRegistry - Prefabs registrados en un world
+ *
+ * Definición de un prefab:
+ * {
+ *   extends: 'enemy',                          // Prefab base (opcional)
+ *   components: { health: { value: 100 } },   // Datos por defecto de cada componente
+ *   tags: ['enemy'],
+ *   children: [{ prefab: 'sword', overrides: { transform: { x: 1 } } }]
+ * }
+ *
+ * Los hijos pueden referenciar otro prefab o definirse en línea ({ components, tags, children }).
+ * Los cambios en la lista de hijos no se propagan a instancias existentes.
+ */
+class PrefabRegistry {
+  constructor(world) {
+    this.world = world;
+    this.prefabs = new Map(); // name -> definición
+    this.instances = new Map(); // entity -> { prefab, overrides }
+  }
+
+  /**
+   * Registra un prefab
+   * @throws {Error} Si la definición no es válida
+   */
+  register(name, definition) {
+    if (this.prefabs.has(name)) {
+      console.warn(`Prefab '${name}' already registered`);
+      return;
+    }
+
+    const normalized = this._normalize(definition);
+    this.prefabs.set(name, normalized);
+
+    try {
+      this.validate(name);
+    } catch (error) {
+      this.prefabs.delete(name);
+      throw error;
+    }
+  }
+
+  /**
+   * Verifica si un prefab está registrado
+   */
+  has(name) {
+    return this.prefabs.has(name);
+  }
+
+  /**
+   * Obtiene la definición registrada de un prefab
+   */
+  get(name) {
+    return this.prefabs.get(name) || null;
+  }
+
+  /**
+   * Valida un prefab (herencia y componentes) contra ComponentRegistry
+   * Los prefabs hijos se validan al instanciar, pueden registrarse después
+   * @throws {Error} Si no es válido
+   */
+  validate(name) {
+    const resolved = this.resolve(name);
+
+    Object.entries(resolved.components).forEach(([type, data]) => {
+      this._buildComponent(type, data);
+    });
+
+    return true;
+  }
+
+  /**
+   * Resuelve la herencia de un prefab
+   * @returns {Object} { components, tags, children } con los datos combinados
+   * @throws {Error} Si el prefab no existe o la herencia forma un ciclo
+   */
+  resolve(name, visited = []) {
+    const definition = this.prefabs.get(name);
+
+    if (!definition) {
+      throw new Error(`Prefab '${name}' not registered`);
+    }
+
+    if (visited.includes(name)) {
+      throw new Error(`Prefab inheritance cycle detected: ${[...visited, name].join(' -> ')}`);
+    }
+
+    const base = definition.extends
+      ? this.resolve(definition.extends, [...visited, name])
+      : { components: {}, tags: [], children: [] };
+
+    const components = cloneData(base.components);
+    Object.entries(definition.components).forEach(([type, data]) => {
+      components[type] = { ...(components[type] || {}), ...cloneData(data) };
+    });
+
+    return {
+      components,
+      tags: Array.from(new Set([...base.tags, ...definition.tags])),
+      children: [...base.children, ...definition.children]
+    };
+  }
+
+  /**
+   * Crea una entidad a partir de un prefab
+   * @param {string} name - Nombre del prefab
+   * @param {Object} overrides - Datos por componente que sustituyen a los del prefab
+   * @returns {Entity} Entidad creada (se agrega al world al procesar la cola)
+   * @throws {Error} Si el prefab no existe o los datos no cumplen los schemas
+   */
+  instantiate(name, overrides = {}) {
+    const resolved = this.resolve(name);
+    const entity = this._createEntity(resolved, overrides);
+
+    this.instances.set(entity, { prefab: name, overrides: cloneData(overrides) });
+
+    return entity;
+  }
+
+  /**
+   * Crea la entidad y sus hijos
+   */
+  _createEntity(resolved, overrides) {
+    // Validar todo antes de crear nada
+    const components = {};
+    const types = new Set([...Object.keys(resolved.components), ...Object.keys(overrides)]);
+    types.forEach(type => {
+      components[type] = this._buildComponent(type, {
+        ...(resolved.components[type] || {}),
+        ...cloneData(overrides[type] || {})
+      });
+    });
+
+    const entity = this.world.createEntity();
+    resolved.tags.forEach(tag => entity.addTag(tag));
+    Object.entries(components).forEach(([type, data]) => entity.addComponent(type, data));
+
+    resolved.children.forEach(child => {
+      const childEntity = child.prefab
+        ? this.instantiate(child.prefab, child.overrides || {})
+        : this._createEntity(this._normalize(child), child.overrides || {});
+      childEntity.setParent(entity);
+    });
+
+    return entity;
+  }
+
+  /**
+   * Construye los datos de un componente validándolos si el tipo está registrado
+   */
+  _buildComponent(type, data) {
+    if (!ComponentRegistry.has(type)) {
+      return cloneData(data);
+    }
+
+    return ComponentRegistry.create(type, cloneData(data));
+  }
+
+  /**
+   * Actualiza la definición de un prefab y propaga los cambios
+   * Las instancias (también las de prefabs que lo extienden) reciben los valores nuevos
+   * salvo en los campos sobrescritos al instanciar o modificados desde entonces
+   * @throws {Error} Si la nueva definición no es válida (el prefab no cambia)
+   */
+  update(name, definition) {
+    if (!this.prefabs.has(name)) {
+      throw new Error(`Prefab '${name}' not registered`);
+    }
+
+    const affected = this._getDependents(name);
+    const before = new Map(affected.map(prefab => [prefab, this.resolve(prefab)]));
+
+    const previous = this.prefabs.get(name);
+    this.prefabs.set(name, this._normalize(definition));
+
+    try {
+      affected.forEach(prefab => this.validate(prefab));
+    } catch (error) {
+      this.prefabs.set(name, previous);
+      throw error;
+    }
+
+    this.instances.forEach((instance, entity) => {
+      if (before.has(instance.prefab)) {
+        this._propagate(entity, instance, before.get(instance.prefab), this.resolve(instance.prefab));
+      }
+    });
+  }
+
+  /**
+   * Prefabs afectados por un cambio (el propio y los que lo extienden)
+   */
+  _getDependents(name) {
+    const result = [name];
+
+    for (let i = 0; i < result.length; i++) {
+      this.prefabs.forEach((definition, prefab) => {
+        if (definition.extends === result[i] && !result.includes(prefab)) {
+          result.push(prefab);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Aplica a una instancia la diferencia entre dos versiones de su prefab
+   */
+  _propagate(entity, instance, before, after) {
+    const types = new Set([...Object.keys(before.components), ...Object.keys(after.components)]);
+
+    types.forEach(type => {
+      const overrides = instance.overrides[type];
+      const current = entity.getComponent(type);
+
+      if (!(type in after.components)) {
+        // Quitado del prefab: solo se elimina si la instancia no lo sobrescribió
+        if (current && !overrides) entity.removeComponent(type);
+        return;
+      }
+
+      const newData = this._buildComponent(type, { ...after.components[type], ...(overrides || {}) });
+
+      if (!(type in before.components)) {
+        // Nuevo en el prefab
+        if (!current) entity.addComponent(type, newData);
+        return;
+      }
+
+      if (!current) return; // Eliminado de la instancia: es un cambio propio
+
+      const oldData = this._buildComponent(type, { ...before.components[type], ...(overrides || {}) });
+      const keys = new Set([...Object.keys(oldData), ...Object.keys(newData)]);
+      let changed = false;
+
+      keys.forEach(key => {
+        if (overrides && key in overrides) return;
+        if (isEqual(oldData[key], newData[key])) return;
+        if (!isEqual(current[key], oldData[key])) return; // Modificado en la instancia
+
+        if (key in newData) {
+          current[key] = cloneData(newData[key]);
+        } else {
+          delete current[key];
+        }
+        changed = true;
+      });
+
+      if (changed) entity.markChanged(type);
+    });
+
+    before.tags.forEach(tag => {
+      if (!after.tags.includes(tag)) entity.removeTag(tag);
+    });
+    after.tags.forEach(tag => {
+      if (!before.tags.includes(tag)) entity.addTag(tag);
+    });
+  }
+
+  /**
+   * Deja de seguir una entidad (al eliminarla del world)
+   */
+  untrack(entity) {
+    this.instances.delete(entity);
+  }
+
+  /**
+   * Obtiene el prefab del que se instanció una entidad
+   */
+  getInstanceInfo(entity) {
+    return this.instances.get(entity) || null;
+  }
+
+  /**
+   * Obtiene las instancias vivas de un prefab
+   */
+  getInstances(name) {
+    const result = [];
+    this.instances.forEach((instance, entity) => {
+      if (instance.prefab === name) result.push(entity);
+    });
+    return result;
+  }
+
+  /**
+   * Normaliza una definición de prefab
+   */
+  _normalize(definition = {}) {
+    return {
+      extends: definition.extends || null,
+      components: cloneData(definition.components || {}),
+      tags: [...(definition.tags || [])],
+      children: cloneData(definition.children || [])
+    };
+  }
+
+  /**
+   * Limpia los prefabs y las instancias
+   */
+  clear() {
+    this.prefabs.clear();
+    this.instances.clear();
+  }
+}
+
+export default PrefabRegistry;
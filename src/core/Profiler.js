@@ -0,0 +1,200 @@
+/**
+ * Profiler
+ * Mide cada ejecución de sistema del World: tiempo, entidades procesadas y memoria asignada
+ * Guarda una ventana móvil de muestras por sistema y método (update, fixedUpdate...)
+ */
+
+/**
+ * Lee el heap usado (null si el entorno no lo expone)
+ */
+function readHeap() {
+  if (typeof performance !== 'undefined' && performance.memory) {
+    return performance.memory.usedJSHeapSize;
+  }
+  if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+    return process.memoryUsage().heapUsed;
+  }
+  return null;
+}
+
+/**
+ * Reloj en milisegundos
+ */
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+/**
+ * Ventana móvil de valores numéricos
+ */
+class RollingWindow {
+  constructor(size) {
+    this.values = new Float64Array(size);
+    this.index = 0;
+    this.count = 0;
+    this.last = 0;
+  }
+
+  push(value) {
+    this.values[this.index] = value;
+    this.index = (this.index + 1) % this.values.length;
+    this.count = Math.min(this.count + 1, this.values.length);
+    this.last = value;
+  }
+
+  summary() {
+    let total = 0;
+    let max = 0;
+
+    for (let i = 0; i < this.count; i++) {
+      total += this.values[i];
+      if (this.values[i] > max) max = this.values[i];
+    }
+
+    return {
+      avg: this.count > 0 ? total / this.count : 0,
+      max,
+      last: this.last
+    };
+  }
+}
+
+class Profiler {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number} options.windowSize - Muestras guardadas por sistema (120 por defecto)
+   * @param {boolean} options.trackAllocations - Mide la variación del heap en cada ejecución
+   * @param {number} options.frameBudget - Presupuesto de frame en ms (16.67 por defecto)
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.windowSize = options.windowSize || 120;
+    this.trackAllocations = options.trackAllocations !== undefined ? options.trackAllocations : true;
+    this.frameBudget = options.frameBudget || 1000 / 60;
+
+    this.entries = new Map(); // label -> { system, method, time, entities, allocated, calls }
+    this.frameTime = new RollingWindow(this.windowSize);
+    this._frameTotal = 0;
+  }
+
+  /**
+   * Inicia la medición de una ejecución
+   * @returns {Object} Muestra para end()
+   */
+  begin() {
+    return {
+      start: now(),
+      heap: this.trackAllocations ? readHeap() : null
+    };
+  }
+
+  /**
+   * Termina la medición de una ejecución
+   * @param {System} system - Sistema medido
+   * @param {string} method - Método ejecutado
+   * @param {Object} sample - Muestra devuelta por begin()
+   * @param {number} entityCount - Entidades que cumplen la consulta del sistema
+   */
+  end(system, method, sample, entityCount) {
+    const time = now() - sample.start;
+    const entry = this._getEntry(system, method);
+
+    entry.time.push(time);
+    entry.entities.push(entityCount);
+    entry.calls++;
+
+    if (sample.heap !== null) {
+      // Una recolección de basura durante la ejecución da variaciones negativas
+      entry.allocated.push(Math.max(0, readHeap() - sample.heap));
+    }
+
+    this._frameTotal += time;
+  }
+
+  /**
+   * Cierra el frame actual (tiempo total de sistemas)
+   */
+  endFrame() {
+    this.frameTime.push(this._frameTotal);
+    this._frameTotal = 0;
+  }
+
+  /**
+   * Obtiene (o crea) la entrada de un sistema y método
+   */
+  _getEntry(system, method) {
+    const label = method === 'update' ? system.name : `${system.name}.${method}`;
+    let entry = this.entries.get(label);
+
+    if (!entry) {
+      entry = {
+        label,
+        system,
+        method,
+        calls: 0,
+        time: new RollingWindow(this.windowSize),
+        entities: new RollingWindow(this.windowSize),
+        allocated: new RollingWindow(this.windowSize)
+      };
+      this.entries.set(label, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Obtiene el perfil de la ventana actual
+   * Los sistemas se ordenan de más a menos costosos (tiempo medio)
+   * Tiempos en ms, memoria en bytes
+   */
+  getProfile() {
+    const frame = this.frameTime.summary();
+
+    const systems = Array.from(this.entries.values()).map(entry => {
+      const time = entry.time.summary();
+
+      return {
+        name: entry.system.name,
+        method: entry.method,
+        label: entry.label,
+        phase: entry.system.phase,
+        calls: entry.calls,
+        time,
+        entities: entry.entities.last,
+        allocated: entry.allocated.count > 0 ? entry.allocated.summary() : null,
+        budgetShare: time.avg / this.frameBudget,
+        overBudget: time.max > this.frameBudget
+      };
+    });
+
+    systems.sort((a, b) => b.time.avg - a.time.avg);
+
+    return {
+      windowSize: this.windowSize,
+      frameBudget: this.frameBudget,
+      frameTime: frame,
+      overBudget: frame.max > this.frameBudget,
+      systems
+    };
+  }
+
+  /**
+   * Olvida las muestras de un sistema (al eliminarlo del world)
+   */
+  removeSystem(system) {
+    this.entries.forEach((entry, label) => {
+      if (entry.system === system) this.entries.delete(label);
+    });
+  }
+
+  /**
+   * Borra todas las muestras
+   */
+  reset() {
+    this.entries.clear();
+    this.frameTime = new RollingWindow(this.windowSize);
+    this._frameTotal = 0;
+  }
+}
+
+export default Profiler;
@@ -0,0 +1,224 @@
+/**
+ * Query
+ * Consulta cacheada sobre las entidades del world
+ * Se mantiene de forma incremental cuando las entidades cambian de arquetipo
+ *
+ * Descriptor de consulta:
+ *   { all: ['transform'], any: ['mesh', 'sprite'], none: ['disabled'], changed: ['transform'] }
+ * - all: la entidad debe tener todos los componentes
+ * - any: la entidad debe tener al menos uno (si la lista no está vacía)
+ * - none: la entidad no debe tener ninguno
+ * - changed: alguno de estos componentes cambió desde la última ejecución del sistema
+ *   (los tipos de changed se exigen también en all)
+ */
+
+class Query {
+  constructor(descriptor = {}) {
+    const { all, any, none, changed } = Query.normalize(descriptor);
+
+    this.all = all;
+    this.any = any;
+    this.none = none;
+    this.changed = changed;
+    this.componentTypes = all; // Compatibilidad con consultas planas
+    this.key = Query.createKey(this);
+    this.entities = new Set();
+    this.hits = 0;
+
+    // Entidades que empezaron/dejaron de cumplir la consulta en el frame anterior
+    this.added = new Set();
+    this.removed = new Set();
+
+    this._pendingAdded = new Set();
+    this._pendingRemoved = new Set();
+    this._list = [];
+    this._dirty = true;
+    this.ordered = false; // Ordenar por id (World.setDeterministic)
+  }
+
+  /**
+   * Normaliza un descriptor de consulta
+   * Acepta un objeto { all, any, none }, un array de tipos o un solo tipo
+   */
+  static normalize(descriptor) {
+    if (descriptor === null || descriptor === undefined) {
+      return { all: [], any: [], none: [], changed: [] };
+    }
+
+    if (typeof descriptor === 'string' || Array.isArray(descriptor)) {
+      return { all: [].concat(descriptor), any: [], none: [], changed: [] };
+    }
+
+    const all = [].concat(descriptor.all || []);
+    const changed = [].concat(descriptor.changed || []);
+
+    // Un componente cambiado debe existir
+    changed.forEach(type => {
+      if (!all.includes(type)) all.push(type);
+    });
+
+    return {
+      all,
+      any: [].concat(descriptor.any || []),
+      none: [].concat(descriptor.none || []),
+      changed
+    };
+  }
+
+  /**
+   * Genera la clave única de una consulta (independiente del orden)
+   */
+  static createKey(descriptor) {
+    const { all, any, none, changed } = Query.normalize(descriptor);
+    let key = [...all].sort().join(',');
+
+    if (any.length > 0) {
+      key += `|any:${[...any].sort().join(',')}`;
+    }
+    if (none.length > 0) {
+      key += `|none:${[...none].sort().join(',')}`;
+    }
+    if (changed.length > 0) {
+      key += `|changed:${[...changed].sort().join(',')}`;
+    }
+
+    return key;
+  }
+
+  /**
+   * Verifica si un descriptor está vacío (cumple cualquier entidad)
+   */
+  static isEmpty(descriptor) {
+    const { all, any, none } = Query.normalize(descriptor);
+    return all.length === 0 && any.length === 0 && none.length === 0;
+  }
+
+  /**
+   * Verifica si un conjunto de tipos cumple un descriptor ya normalizado
+   * @param {Object} descriptor - Descriptor { all, any, none }
+   * @param {Set<string>|Map<string, *>} types - Cualquier colección con has()
+   */
+  static test(descriptor, types) {
+    const { all, any, none } = descriptor;
+
+    if (!all.every(type => types.has(type))) return false;
+    if (any.length > 0 && !any.some(type => types.has(type))) return false;
+    if (none.some(type => types.has(type))) return false;
+
+    return true;
+  }
+
+  /**
+   * Verifica si un conjunto de tipos de componentes cumple la consulta
+   * @param {Set<string>|Map<string, *>} types - Tipos de componentes de un arquetipo
+   */
+  matches(types) {
+    return Query.test(this, types);
+  }
+
+  /**
+   * Agrega una entidad al resultado
+   */
+  add(entity) {
+    this.entities.add(entity);
+    this._dirty = true;
+
+    if (this._pendingRemoved.has(entity)) {
+      this._pendingRemoved.delete(entity);
+    } else {
+      this._pendingAdded.add(entity);
+    }
+  }
+
+  /**
+   * Elimina una entidad del resultado
+   */
+  remove(entity) {
+    if (!this.entities.delete(entity)) return;
+
+    this._dirty = true;
+
+    if (this._pendingAdded.has(entity)) {
+      this._pendingAdded.delete(entity);
+    } else {
+      this._pendingRemoved.add(entity);
+    }
+  }
+
+  /**
+   * Publica los cambios acumulados como added/removed del nuevo frame
+   * Se llama al inicio de cada World.update
+   */
+  swapChanges() {
+    const added = this.added;
+    const removed = this.removed;
+
+    this.added = this._pendingAdded;
+    this.removed = this._pendingRemoved;
+
+    added.clear();
+    removed.clear();
+    this._pendingAdded = added;
+    this._pendingRemoved = removed;
+  }
+
+  /**
+   * Marca el resultado para reconstruirse en la próxima lectura
+   */
+  invalidate() {
+    this._dirty = true;
+  }
+
+  /**
+   * Obtiene las entidades activas que cumplen la consulta
+   * El array se reutiliza mientras no haya cambios estructurales
+   * @param {number} sinceTick - Con filtro changed: solo entidades cambiadas después de este tick
+   */
+  getEntities(sinceTick) {
+    const list = this._getList();
+
+    if (this.changed.length === 0 || sinceTick === undefined) {
+      return list;
+    }
+
+    return list.filter(entity =>
+      this.changed.some(type => entity.getComponentVersion(type) > sinceTick)
+    );
+  }
+
+  /**
+   * Lista cacheada de entidades activas
+   */
+  _getList() {
+    if (this._dirty) {
+      const list = [];
+      for (const entity of this.entities) {
+        if (entity.active) {
+          list.push(entity);
+        }
+      }
+      if (this.ordered) {
+        list.sort((a, b) => a.id - b.id);
+      }
+      this._list = list;
+      this._dirty = false;
+    }
+
+    return this._list;
+  }
+
+  /**
+   * Vacía el resultado
+   */
+  clear() {
+    this.entities.clear();
+    this.added.clear();
+    this.removed.clear();
+    this._pendingAdded.clear();
+    this._pendingRemoved.clear();
+    this._list = [];
+    this._dirty = false;
+  }
+}
+
+export default Query;
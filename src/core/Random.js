@@ -0,0 +1,110 @@
+/**
+ * Random
+ * Generador de números pseudoaleatorios con semilla (mulberry32)
+ * Misma semilla y misma secuencia de llamadas = mismos resultados en cualquier plataforma;
+ * necesario para lockstep y repeticiones (Math.random() no se puede reproducir)
+ *
+ * @example
+ * world.random.seed(1234);
+ * const damage = world.random.int(5, 10);
+ * const target = world.random.pick(enemies);
+ */
+
+class Random {
+  /**
+   * @param {number|string} seed - Semilla (por defecto una aleatoria)
+   */
+  constructor(seed = null) {
+    this.state = 0;
+    this.seed(seed !== null && seed !== undefined ? seed : Math.floor(Math.random() * 0x100000000));
+  }
+
+  /**
+   * Reinicia la secuencia con una semilla
+   * @param {number|string} seed - Número o texto (se convierte con un hash)
+   */
+  seed(seed) {
+    this.state = typeof seed === 'string' ? Random.hashString(seed) : seed >>> 0;
+    return this;
+  }
+
+  /**
+   * Siguiente número en [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Número real en [min, max)
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Entero en [min, max] (ambos incluidos)
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * true con probabilidad p
+   */
+  chance(p) {
+    return this.next() < p;
+  }
+
+  /**
+   * Elemento al azar de un array (undefined si está vacío)
+   */
+  pick(array) {
+    return array.length > 0 ? array[Math.floor(this.next() * array.length)] : undefined;
+  }
+
+  /**
+   * Mezcla un array en el sitio (Fisher-Yates)
+   */
+  shuffle(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+      const j = Math.floor(this.next() * (i + 1));
+      [array[i], array[j]] = [array[j], array[i]];
+    }
+    return array;
+  }
+
+  /**
+   * Estado interno (para snapshots y rollback)
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Restaura un estado obtenido con getState()
+   */
+  setState(state) {
+    this.state = state >>> 0;
+    return this;
+  }
+
+  /**
+   * Hash FNV-1a de 32 bits de un texto
+   * @returns {number} Entero sin signo
+   */
+  static hashString(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+export default Random;
@@ -0,0 +1,222 @@
+/**
+ * Scheduler
+ * Temporizadores en tiempo de juego: after, every y nextFrame
+ * Avanza con el delta del frame, así respeta Engine.pause() y setTimeScale()
+ * (a diferencia de setTimeout, que usa tiempo real)
+ */
+
+/**
+ * TimerHandle - Referencia cancelable a un temporizador
+ */
+class TimerHandle {
+  constructor(scheduler, id, callback, time, interval) {
+    this.scheduler = scheduler;
+    this.id = id;
+    this.callback = callback;
+    this.time = time; // Tiempo de juego en el que vence
+    this.interval = interval; // null si se ejecuta una sola vez
+    this.frame = scheduler.frame + 1; // Nunca vence en el mismo update en que se creó
+    this.calls = 0;
+    this.active = true;
+  }
+
+  /**
+   * Cancela el temporizador
+   */
+  cancel() {
+    this.scheduler.cancel(this);
+  }
+
+  /**
+   * Segundos de juego que faltan para que venza
+   */
+  get remaining() {
+    return Math.max(0, this.time - this.scheduler.time);
+  }
+}
+
+class Scheduler {
+  constructor() {
+    this.time = 0; // Tiempo de juego acumulado (en segundos)
+    this.frame = 0;
+    this.timers = [];
+    this._nextId = 1;
+  }
+
+  /**
+   * Ejecuta una función tras unos segundos de juego
+   * @example scheduler.after(2, () => door.open())
+   * @param {number} seconds - Retraso (en segundos de juego)
+   * @param {Function} callback - (handle) => void
+   * @returns {TimerHandle}
+   * @throws {Error} Si el retraso no es un número >= 0
+   */
+  after(seconds, callback) {
+    if (typeof seconds !== 'number' || !(seconds >= 0)) {
+      throw new Error(`Scheduler.after expects seconds >= 0 (got ${seconds})`);
+    }
+
+    return this._add(callback, seconds, null);
+  }
+
+  /**
+   * Ejecuta una función cada cierto tiempo de juego
+   * Si un frame abarca varios intervalos la función se ejecuta una vez por intervalo
+   * @example const spawner = scheduler.every(5, spawnWave); spawner.cancel();
+   * @param {number} seconds - Intervalo (en segundos de juego)
+   * @param {Function} callback - (handle) => void
+   * @returns {TimerHandle}
+   * @throws {Error} Si el intervalo no es un número > 0
+   */
+  every(seconds, callback) {
+    if (typeof seconds !== 'number' || !(seconds > 0)) {
+      throw new Error(`Scheduler.every expects seconds > 0 (got ${seconds})`);
+    }
+
+    return this._add(callback, seconds, seconds);
+  }
+
+  /**
+   * Ejecuta una función al inicio del próximo frame
+   * @returns {TimerHandle}
+   */
+  nextFrame(callback) {
+    return this._add(callback, 0, null);
+  }
+
+  /**
+   * Promesa que se resuelve tras unos segundos de juego
+   * @example await scheduler.wait(1.5)
+   */
+  wait(seconds) {
+    return new Promise(resolve => this.after(seconds, () => resolve()));
+  }
+
+  /**
+   * Agrega un temporizador
+   */
+  _add(callback, delay, interval) {
+    if (typeof callback !== 'function') {
+      throw new Error('Scheduler callback must be a function');
+    }
+
+    const handle = new TimerHandle(this, this._nextId++, callback, this.time + delay, interval);
+    this.timers.push(handle);
+    return handle;
+  }
+
+  /**
+   * Cancela un temporizador
+   * @returns {boolean} false si ya no estaba activo
+   */
+  cancel(handle) {
+    if (!handle || !handle.active) return false;
+
+    handle.active = false;
+    const index = this.timers.indexOf(handle);
+    if (index !== -1) {
+      this.timers.splice(index, 1);
+    }
+    return true;
+  }
+
+  /**
+   * Avanza el tiempo de juego y ejecuta los temporizadores vencidos
+   * Se ejecutan por orden de vencimiento (y de creación si coinciden)
+   * @param {number} deltaTime - Delta del frame (en segundos, ya escalado)
+   */
+  update(deltaTime) {
+    this.time += deltaTime;
+    this.frame++;
+
+    const due = this.timers.filter(timer => this._isDue(timer));
+    if (due.length === 0) return;
+
+    due.sort((a, b) => a.time - b.time || a.id - b.id);
+
+    due.forEach(timer => {
+      // Repetir mientras siga vencido (un frame largo puede abarcar varios intervalos)
+      while (timer.active && this._isDue(timer)) {
+        timer.calls++;
+
+        if (timer.interval === null) {
+          this.cancel(timer);
+        } else {
+          timer.time += timer.interval;
+        }
+
+        try {
+          timer.callback(timer);
+        } catch (error) {
+          console.error('Error in scheduled callback:', error);
+        }
+      }
+    });
+  }
+
+  /**
+   * Verifica si un temporizador debe ejecutarse en este update
+   */
+  _isDue(timer) {
+    return timer.frame <= this.frame && timer.time <= this.time;
+  }
+
+  /**
+   * Crea un grupo de temporizadores que se cancelan juntos
+   * Útil para ligar temporizadores a un componente, una entidad o un hook de React
+   * @example const timers = scheduler.group(); timers.after(1, fn); timers.cancelAll();
+   */
+  group() {
+    const handles = new Set();
+    const track = (handle) => {
+      handles.add(handle);
+      return handle;
+    };
+    // Los temporizadores de una sola vez salen del grupo al ejecutarse
+    const wrap = (callback) => (handle) => {
+      if (!handle.active) handles.delete(handle);
+      callback(handle);
+    };
+
+    return {
+      after: (seconds, callback) => track(this.after(seconds, wrap(callback))),
+      every: (seconds, callback) => track(this.every(seconds, wrap(callback))),
+      nextFrame: (callback) => track(this.nextFrame(wrap(callback))),
+      cancelAll: () => {
+        handles.forEach(handle => this.cancel(handle));
+        handles.clear();
+      }
+    };
+  }
+
+  /**
+   * Número de temporizadores activos
+   */
+  get size() {
+    return this.timers.length;
+  }
+
+  /**
+   * Cancela todos los temporizadores
+   */
+  clear() {
+    this.timers.forEach(timer => {
+      timer.active = false;
+    });
+    this.timers = [];
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      time: this.time,
+      frame: this.frame,
+      timers: this.timers.length
+    };
+  }
+}
+
+export default Scheduler;
+export { TimerHandle };
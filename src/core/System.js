@@ -4,13 +4,76 @@
  * Los sistemas contienen toda la lógica y operan sobre entidades con componentes específicos
  */
 
+import Query from './Query.js';
+
+/**
+ * SystemPhase - Fases del frame en las que puede ejecutarse un sistema
+ * Se ejecutan en este orden; fixedUpdate puede correr cero o más veces por frame
+ */
+const SystemPhase = {
+  PRE_UPDATE: 'preUpdate',
+  FIXED_UPDATE: 'fixedUpdate',
+  UPDATE: 'update',
+  LATE_UPDATE: 'lateUpdate',
+  RENDER: 'render'
+};
+
 class System {
-  constructor(name, componentTypes = [], priority = 0) {
+  /**
+   * @param {string} name - Nombre del sistema
+   * @param {string|string[]|Object} componentTypes - Tipos requeridos o descriptor { all, any, none }
+   * @param {number} priority - Prioridad de ejecución (desempate dentro de las restricciones)
+   * @param {Object} options - Planificación
+   * @param {string} options.phase - Fase en la que se llama a update() (SystemPhase)
+   * @param {string[]} options.before - Sistemas que deben ejecutarse después de este
+   * @param {string[]} options.after - Sistemas que deben ejecutarse antes de este
+   */
+  constructor(name, componentTypes = [], priority = 0, options = {}) {
     this.name = name;
-    this.componentTypes = Array.isArray(componentTypes) ? componentTypes : [componentTypes];
+    this.queryDescriptor = Query.normalize(componentTypes);
+    this.componentTypes = this.queryDescriptor.all;
     this.priority = priority;
+    this.phase = options.phase || SystemPhase.UPDATE;
+    this.before = [].concat(options.before || []);
+    this.after = [].concat(options.after || []);
     this.enabled = true;
     this.world = null;
+
+    // Tick del world en la última ejecución de cada método (filtros changed)
+    this.changeTicks = {};
+  }
+
+  /**
+   * Buffer de comandos del world
+   * Usar para cambios estructurales mientras se itera: se aplican al terminar la fase
+   * @example this.commands.addComponent(entity, 'burning', { time: 2 })
+   */
+  get commands() {
+    return this.world ? this.world.commands : null;
+  }
+
+  /**
+   * Temporizadores en tiempo de juego del world
+   * @example this.scheduler.after(2, () => this.commands.destroyEntity(entity))
+   */
+  get scheduler() {
+    return this.world ? this.world.scheduler : null;
+  }
+
+  /**
+   * Corrutinas en tiempo de juego del world
+   * @example this.coroutines.start(function* () { yield wait(1); ... })
+   */
+  get coroutines() {
+    return this.world ? this.world.coroutines : null;
+  }
+
+  /**
+   * Números aleatorios con semilla del world (reproducibles, a diferencia de Math.random)
+   * @example const roll = this.random.int(1, 6);
+   */
+  get random() {
+    return this.world ? this.world.random : null;
   }
 
   /**
@@ -23,7 +86,7 @@ class System {
 
   /**
    * Actualización del sistema
-   * Se llama cada frame
+   * Se llama cada frame en la fase del sistema (por defecto 'update')
    * @param {number} deltaTime - Tiempo transcurrido desde el último frame (en segundos)
    */
   update(deltaTime) {
@@ -33,6 +96,16 @@ class System {
     this.process(entities, deltaTime);
   }
 
+  /**
+   * Actualización de paso fijo
+   * Se llama en la fase fixedUpdate, cero o más veces por frame con un delta constante
+   * Usar para física y lógica determinista
+   * @param {number} fixedDeltaTime - Duración del paso fijo (en segundos)
+   */
+  fixedUpdate(fixedDeltaTime) {
+    // Opcional: implementar en clases hijas
+  }
+
   /**
    * Procesa las entidades relevantes
    * Este método debe ser implementado por las clases hijas
@@ -47,11 +120,50 @@ class System {
   getEntities() {
     if (!this.world) return [];
 
-    if (this.componentTypes.length === 0) {
+    if (Query.isEmpty(this.queryDescriptor)) {
       return this.world.getAllEntities();
     }
 
-    return this.world.getEntitiesWithComponents(...this.componentTypes);
+    return this.world.getEntitiesWithComponents(this.queryDescriptor);
+  }
+
+  /**
+   * Obtiene la consulta cacheada del sistema
+   */
+  getQuery() {
+    if (!this.world) return null;
+    return this.world.query(this.queryDescriptor);
+  }
+
+  /**
+   * Entidades que empezaron a cumplir la consulta desde el frame anterior
+   */
+  getAddedEntities() {
+    const query = this.getQuery();
+    return query ? Array.from(query.added) : [];
+  }
+
+  /**
+   * Entidades que dejaron de cumplir la consulta desde el frame anterior
+   */
+  getRemovedEntities() {
+    const query = this.getQuery();
+    return query ? Array.from(query.removed) : [];
+  }
+
+  /**
+   * Verifica si un componente de la entidad cambió desde la ejecución anterior del sistema
+   */
+  hasChanged(entity, type) {
+    if (!this.world) return true;
+    return entity.getComponentVersion(type) > this.world.getChangeSince();
+  }
+
+  /**
+   * Verifica si una entidad cumple la consulta del sistema
+   */
+  matchesEntity(entity) {
+    return Query.test(this.queryDescriptor, entity.components);
   }
 
   /**
@@ -76,6 +188,24 @@ class System {
     this.enabled = false;
   }
 
+  /**
+   * Guarda el estado propio del sistema para World.snapshot()
+   * Debe devolver datos serializables a JSON; las entidades se referencian por id
+   * @returns {*} Estado del sistema (null si no tiene nada que guardar)
+   */
+  snapshot() {
+    return null;
+  }
+
+  /**
+   * Restaura el estado guardado por snapshot()
+   * Se llama desde World.restore() cuando las entidades ya están reconstruidas
+   * @param {*} state - Estado devuelto por snapshot()
+   */
+  restore(state) {
+    // Opcional: implementar en clases hijas
+  }
+
   /**
    * Limpieza del sistema
    * Se llama cuando el sistema se elimina del world
@@ -100,3 +230,4 @@ class System {
 }
 
 export default System;
+export { SystemPhase };
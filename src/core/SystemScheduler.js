@@ -0,0 +1,138 @@
+/**
+ * SystemScheduler
+ * Calcula el orden de ejecución de los sistemas y los agrupa por fases
+ * Respeta las restricciones before/after (por nombre) mediante orden topológico
+ * y usa la prioridad como desempate
+ */
+
+import System, { SystemPhase } from './System.js';
+
+const PHASES = Object.values(SystemPhase);
+
+/**
+ * Ordena los sistemas respetando before/after
+ * Las restricciones que nombran sistemas no registrados se ignoran
+ * @param {System[]} systems - Sistemas en orden de registro
+ * @returns {System[]} Sistemas ordenados
+ * @throws {Error} Si las restricciones forman un ciclo
+ */
+function sortSystems(systems) {
+  const byName = new Map();
+  systems.forEach(system => byName.set(system.name, system));
+
+  const edges = new Map(systems.map(system => [system, new Set()]));
+  const inDegree = new Map(systems.map(system => [system, 0]));
+
+  const addEdge = (from, to) => {
+    if (!from || !to || from === to || edges.get(from).has(to)) return;
+    edges.get(from).add(to);
+    inDegree.set(to, inDegree.get(to) + 1);
+  };
+
+  systems.forEach(system => {
+    (system.before || []).forEach(name => addEdge(system, byName.get(name)));
+    (system.after || []).forEach(name => addEdge(byName.get(name), system));
+  });
+
+  // Kahn: entre los sistemas listos gana la mayor prioridad, luego el orden de registro
+  const index = new Map(systems.map((system, i) => [system, i]));
+  const ready = systems.filter(system => inDegree.get(system) === 0);
+  const sorted = [];
+
+  while (ready.length > 0) {
+    let best = 0;
+    for (let i = 1; i < ready.length; i++) {
+      const a = ready[i];
+      const b = ready[best];
+      if (a.priority > b.priority || (a.priority === b.priority && index.get(a) < index.get(b))) {
+        best = i;
+      }
+    }
+
+    const system = ready.splice(best, 1)[0];
+    sorted.push(system);
+
+    edges.get(system).forEach(next => {
+      inDegree.set(next, inDegree.get(next) - 1);
+      if (inDegree.get(next) === 0) {
+        ready.push(next);
+      }
+    });
+  }
+
+  if (sorted.length < systems.length) {
+    const remaining = systems.filter(system => !sorted.includes(system));
+    const cycle = findCycle(remaining, edges);
+    throw new Error(
+      `System ordering cycle detected: ${cycle.map(system => system.name).join(' -> ')}`
+    );
+  }
+
+  return sorted;
+}
+
+/**
+ * Encuentra un ciclo entre los sistemas que no pudieron ordenarse
+ */
+function findCycle(remaining, edges) {
+  const pending = new Set(remaining);
+  const visiting = [];
+  const visited = new Set();
+
+  const visit = (system) => {
+    const position = visiting.indexOf(system);
+    if (position !== -1) {
+      return [...visiting.slice(position), system];
+    }
+    if (visited.has(system)) return null;
+
+    visiting.push(system);
+    for (const next of edges.get(system)) {
+      if (!pending.has(next)) continue;
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    visiting.pop();
+    visited.add(system);
+
+    return null;
+  };
+
+  for (const system of remaining) {
+    const cycle = visit(system);
+    if (cycle) return cycle;
+  }
+
+  return remaining;
+}
+
+/**
+ * Construye el plan de ejecución por fases
+ * Cada entrada indica qué método llamar en cada sistema:
+ * - update() en la fase del sistema
+ * - fixedUpdate() en la fase fixedUpdate si el sistema lo implementa
+ * @param {System[]} systems - Sistemas en orden de registro
+ * @returns {{ order: System[], phases: Map<string, Array<{system: System, method: string}>> }}
+ */
+function buildSchedule(systems) {
+  const order = sortSystems(systems);
+  const phases = new Map(PHASES.map(phase => [phase, []]));
+
+  order.forEach(system => {
+    const phase = system.phase || SystemPhase.UPDATE;
+    if (!phases.has(phase)) {
+      throw new Error(`Unknown phase '${phase}' for system '${system.name}'`);
+    }
+
+    if (typeof system.fixedUpdate === 'function' &&
+        system.fixedUpdate !== System.prototype.fixedUpdate) {
+      phases.get(SystemPhase.FIXED_UPDATE).push({ system, method: 'fixedUpdate' });
+    }
+
+    phases.get(phase).push({ system, method: 'update' });
+  });
+
+  return { order, phases };
+}
+
+export { PHASES, sortSystems, buildSchedule };
@@ -5,17 +5,99 @@
  */
 
 import Entity from './Entity.js';
+import { EntityAllocator } from './EntityHandle.js';
+import Query from './Query.js';
+import Archetype from './Archetype.js';
+import PrefabRegistry from './Prefab.js';
+import CommandBuffer from './CommandBuffer.js';
+import Profiler from './Profiler.js';
+import Scheduler from './Scheduler.js';
+import CoroutineRunner from './Coroutine.js';
+import Random from './Random.js';
+import SpatialIndex from '../spatial/SpatialIndex.js';
+import TypedComponentStorage from './ComponentStorage.js';
+import { SystemPhase } from './System.js';
+import { PHASES, buildSchedule } from './SystemScheduler.js';
 import EventEmitter from '../utils/EventEmitter.js';
 
 class World extends EventEmitter {
-  constructor() {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number|string} options.seed - Semilla de world.random (por defecto aleatoria)
+   * @param {boolean} options.deterministic - Iterar las entidades ordenadas por id (setDeterministic)
+   * @param {Object} options.spatial - Opciones del índice espacial (setSpatialIndex)
+   */
+  constructor(options = {}) {
     super();
     this.entities = new Map();
-    this.systems = [];
+    this.systems = []; // Ordenados según el plan de ejecución
+    this.schedule = new Map(PHASES.map(phase => [phase, []])); // fase -> [{ system, method }]
+    this._registeredSystems = []; // Orden de registro (desempate del plan)
+    this._frameStarted = false;
     this.entityIndex = new Map(); // Índice por componentes para búsqueda rápida
     this.tagIndex = new Map(); // Índice por tags
+    this.relationIndex = new Map(); // relation -> Map<target, Set<source>>
     this.entitiesToAdd = [];
+    this._pendingAdd = new Set(); // Mismas entidades que entitiesToAdd (búsqueda O(1))
     this.entitiesToRemove = [];
+    this._pendingRemoval = new Set(); // Mismas entidades que entitiesToRemove (búsqueda O(1))
+
+    // Handles generacionales de las entidades
+    this.entityAllocator = new EntityAllocator();
+
+    // Paso fijo de simulación e interpolación (los establece el Engine)
+    this.fixedDeltaTime = 1 / 60;
+    this.alpha = 0;
+
+    // Arquetipos y consultas cacheadas
+    this.archetypes = new Map(); // key -> Archetype
+    this.entityArchetypes = new Map(); // entity -> Archetype
+    this.queries = new Map(); // key -> Query
+    this.queryStats = {
+      hits: 0,
+      misses: 0
+    };
+
+    // Prefabs registrados e instancias
+    this.prefabs = new PrefabRegistry(this);
+
+    // Cambios estructurales diferidos (se aplican al terminar cada fase)
+    this.commands = new CommandBuffer(this);
+
+    // Recursos: estado global compartido entre sistemas (name -> valor)
+    this.resources = new Map();
+    this._unserializedResources = new Set(); // Recursos excluidos de snapshot()
+
+    // Temporizadores en tiempo de juego (after, every, nextFrame)
+    this.scheduler = new Scheduler();
+
+    // Corrutinas en tiempo de juego (waitForEvent escucha los eventos del world)
+    this.coroutines = new CoroutineRunner({ emitter: this });
+
+    // Números aleatorios reproducibles (incluido en snapshot())
+    this.random = new Random(options.seed);
+
+    // Modo determinista: consultas y listas de entidades ordenadas por id
+    this.deterministic = Boolean(options.deterministic);
+
+    // Condición para ejecutar cada paso fijo (lockstep: esperar los inputs de todos)
+    this._fixedStepGate = null;
+
+    // Índice espacial (queryRadius, queryBox, nearest); se crea con la primera consulta
+    this._spatialOptions = options.spatial || {};
+    this.spatial = null;
+
+    // Tiempo, entidades y memoria de cada sistema (ventana móvil)
+    this.profiler = new Profiler();
+
+    // Almacenamiento tipado (SoA) opcional por tipo de componente
+    this.storages = new Map(); // type -> TypedComponentStorage
+
+    // Detección de cambios: cada ejecución de sistema avanza el tick
+    this.changeTick = 1;
+    this._frameStartTick = 0;
+    this._changeSince = null; // Tick de referencia del sistema en ejecución
+    this._observers = new EventEmitter();
   }
 
   /**
@@ -24,6 +106,7 @@ class World extends EventEmitter {
   createEntity() {
     const entity = new Entity(this);
     this.entitiesToAdd.push(entity);
+    this._pendingAdd.add(entity);
     return entity;
   }
 
@@ -37,6 +120,14 @@ class World extends EventEmitter {
     }
 
     this.entitiesToAdd.push(entity);
+    this._pendingAdd.add(entity);
+  }
+
+  /**
+   * Verifica si una entidad está en cola para agregarse al world
+   */
+  isPending(entity) {
+    return this._pendingAdd.has(entity);
   }
 
   /**
@@ -49,7 +140,11 @@ class World extends EventEmitter {
 
     if (!entity) return;
 
-    if (!this.entitiesToRemove.includes(entity)) {
+    // Sus corrutinas no deben avanzar aunque la entidad siga en el world hasta el final del frame
+    this.coroutines.cancelOwner(entity);
+
+    if (!this._pendingRemoval.has(entity)) {
+      this._pendingRemoval.add(entity);
       this.entitiesToRemove.push(entity);
     }
   }
@@ -67,64 +162,397 @@ class World extends EventEmitter {
       this._notifySystemsEntityAdded(entity);
     });
     this.entitiesToAdd = [];
+    this._pendingAdd.clear();
 
     // Eliminar entidades
     this.entitiesToRemove.forEach(entity => {
+      // Desvincular de la jerarquía (Entity.destroy ya lo hace en cascada)
+      entity.getChildren().forEach(child => child.setParent(null));
+      entity.setParent(null);
+      this._removeRelations(entity);
+
       this._unindexEntity(entity);
-      this.entities.delete(entity.id);
+      this.prefabs.untrack(entity);
+      this.storages.forEach(storage => storage.free(entity));
+      if (this.entities.get(entity.id) === entity) {
+        this.entities.delete(entity.id);
+        this.entityAllocator.free(entity.id);
+      }
       this.emit('entityRemoved', entity);
       this._notifySystemsEntityRemoved(entity);
     });
     this.entitiesToRemove = [];
+    this._pendingRemoval.clear();
+  }
+
+  /**
+   * Registra un prefab
+   * @param {string} name - Nombre del prefab
+   * @param {Object} definition - { extends, components, tags, children }
+   * @throws {Error} Si los componentes no cumplen los schemas de ComponentRegistry
+   */
+  registerPrefab(name, definition) {
+    this.prefabs.register(name, definition);
+  }
+
+  /**
+   * Actualiza un prefab y propaga los cambios a las instancias
+   */
+  updatePrefab(name, definition) {
+    this.prefabs.update(name, definition);
+  }
+
+  /**
+   * Crea una entidad (y sus hijos) a partir de un prefab
+   * @example world.instantiate('orc', { health: { value: 50 }, transform: { x: 3 } })
+   * @param {string} name - Nombre del prefab
+   * @param {Object} overrides - Datos por componente que sustituyen a los del prefab
+   * @returns {Entity}
+   */
+  instantiate(name, overrides = {}) {
+    return this.prefabs.instantiate(name, overrides);
+  }
+
+  /**
+   * Establece un recurso del world (estado global, ej: configuración del juego)
+   * Notifica a los observadores de watchResource() y emite 'resourceChanged'
+   * @example world.setResource('gameSettings', { difficulty: 'hard', volume: 0.8 })
+   * @param {string} name - Nombre del recurso
+   * @param {*} value - Valor (debe ser serializable a JSON salvo con serialize: false)
+   * @param {Object} options - Opciones
+   * @param {boolean} options.serialize - Incluirlo en snapshot() (true por defecto)
+   */
+  setResource(name, value, options = {}) {
+    const previous = this.resources.get(name);
+    this.resources.set(name, value);
+
+    if (options.serialize === false) {
+      this._unserializedResources.add(name);
+    } else if (options.serialize === true) {
+      this._unserializedResources.delete(name);
+    }
+
+    this._emitResourceChanged(name, value, previous);
+    return value;
+  }
+
+  /**
+   * Obtiene un recurso
+   * @param {string} name - Nombre del recurso
+   * @param {*} defaultValue - Valor si el recurso no existe
+   */
+  getResource(name, defaultValue = undefined) {
+    return this.resources.has(name) ? this.resources.get(name) : defaultValue;
+  }
+
+  /**
+   * Verifica si existe un recurso
+   */
+  hasResource(name) {
+    return this.resources.has(name);
+  }
+
+  /**
+   * Combina datos en un recurso de tipo objeto y notifica el cambio
+   * @example world.updateResource('gameSettings', { volume: 0.5 })
+   */
+  updateResource(name, data) {
+    if (!this.resources.has(name)) {
+      console.warn(`Resource '${name}' does not exist`);
+      return undefined;
+    }
+
+    const previous = this.resources.get(name);
+    const value = { ...previous, ...data };
+    this.resources.set(name, value);
+
+    this._emitResourceChanged(name, value, previous);
+    return value;
   }
 
   /**
-   * Obtiene una entidad por ID
+   * Elimina un recurso
    */
-  getEntity(id) {
-    return this.entities.get(id);
+  removeResource(name) {
+    if (!this.resources.has(name)) return false;
+
+    const previous = this.resources.get(name);
+    this.resources.delete(name);
+    this._unserializedResources.delete(name);
+
+    this._emitResourceChanged(name, undefined, previous);
+    return true;
+  }
+
+  /**
+   * Observa los cambios de un recurso
+   * @example const stop = world.watchResource('gameSettings', (settings, previous) => { ... })
+   * @param {string} name - Nombre del recurso
+   * @param {Function} callback - (value, previous) => void; value es undefined al eliminarlo
+   * @returns {Function} Función para dejar de observar
+   */
+  watchResource(name, callback) {
+    return this._observers.on(`resource:${name}`, callback);
+  }
+
+  /**
+   * Notifica el cambio de un recurso
+   */
+  _emitResourceChanged(name, value, previous) {
+    this.emit('resourceChanged', name, value, previous);
+    this._observers.emit(`resource:${name}`, value, previous);
+  }
+
+  /**
+   * Obtiene una entidad por su handle
+   * Devuelve null si el handle es viejo (entidad eliminada, índice reciclado) o si la
+   * entidad está pendiente de eliminarse
+   */
+  getEntity(handle) {
+    const entity = this.entities.get(handle);
+
+    if (!entity || this._pendingRemoval.has(entity)) {
+      return null;
+    }
+
+    return entity;
+  }
+
+  /**
+   * Verifica si un handle (o entidad) sigue vivo en el world
+   * @param {number|Entity} handle - Handle o entidad
+   */
+  isAlive(handle) {
+    if (handle === null || handle === undefined) return false;
+
+    if (typeof handle === 'number') {
+      return this.getEntity(handle) !== null;
+    }
+
+    return this.getEntity(handle.id) === handle;
   }
 
   /**
    * Obtiene todas las entidades
    */
   getAllEntities() {
-    return Array.from(this.entities.values()).filter(e => e.active);
+    const entities = Array.from(this.entities.values()).filter(e => e.active);
+    return this.deterministic ? entities.sort((a, b) => a.id - b.id) : entities;
   }
 
   /**
    * Obtiene entidades con componentes específicos
+   * Acepta una lista de tipos o un descriptor { all, any, none }
+   * El resultado se cachea y se mantiene de forma incremental
    */
   getEntitiesWithComponents(...componentTypes) {
-    if (componentTypes.length === 0) {
+    const descriptor = this._toDescriptor(componentTypes);
+
+    if (Query.isEmpty(descriptor)) {
       return this.getAllEntities();
     }
 
-    // Usar índice para búsqueda más eficiente
-    const firstType = componentTypes[0];
-    const candidates = this.entityIndex.get(firstType) || new Set();
+    return this.query(descriptor).getEntities(this.getChangeSince());
+  }
+
+  /**
+   * Obtiene (o crea) la consulta cacheada
+   * @example world.query('transform', 'mesh')
+   * @example world.query({ all: ['transform'], any: ['mesh', 'sprite'], none: ['disabled'] })
+   */
+  query(...componentTypes) {
+    const descriptor = this._toDescriptor(componentTypes);
+    const key = Query.createKey(descriptor);
+    let query = this.queries.get(key);
 
-    const result = [];
-    for (const entity of candidates) {
-      if (entity.active && entity.hasComponents(...componentTypes)) {
-        result.push(entity);
+    if (query) {
+      query.hits++;
+      this.queryStats.hits++;
+      return query;
+    }
+
+    query = new Query(descriptor);
+    query.ordered = this.deterministic;
+    this.queries.set(key, query);
+    this.queryStats.misses++;
+
+    // Poblar con los arquetipos existentes (sin contarlo como cambio del frame)
+    this.archetypes.forEach(archetype => {
+      if (query.matches(archetype.types)) {
+        archetype.queries.add(query);
+        archetype.entities.forEach(entity => query.entities.add(entity));
       }
+    });
+
+    return query;
+  }
+
+  /**
+   * Convierte los argumentos de una consulta en un descriptor
+   */
+  _toDescriptor(args) {
+    if (args.length === 1 && args[0] !== null && typeof args[0] === 'object') {
+      return args[0];
     }
 
-    return result;
+    return args;
   }
 
   /**
    * Obtiene entidades con un tag específico
    */
   getEntitiesWithTag(tag) {
-    return Array.from(this.tagIndex.get(tag) || []);
+    const entities = Array.from(this.tagIndex.get(tag) || []);
+    return this.deterministic ? entities.sort((a, b) => a.id - b.id) : entities;
+  }
+
+  /**
+   * Obtiene el índice espacial (lo crea con las opciones del constructor si no existe)
+   * @returns {SpatialIndex}
+   */
+  getSpatialIndex() {
+    if (!this.spatial) {
+      this.spatial = new SpatialIndex(this, this._spatialOptions);
+    }
+    return this.spatial;
+  }
+
+  /**
+   * Reemplaza el índice espacial
+   * @example world.setSpatialIndex({ type: 'octree', bounds: { min: { x: -500, y: 0, z: -500 }, max: { x: 500, y: 100, z: 500 } } })
+   * @param {Object} options - { type: 'hash' | 'octree', cellSize, bounds, maxItems, structure, component }
+   * @returns {SpatialIndex}
+   */
+  setSpatialIndex(options = {}) {
+    if (this.spatial) {
+      this.spatial.destroy();
+    }
+    this._spatialOptions = options;
+    this.spatial = new SpatialIndex(this, options);
+    return this.spatial;
+  }
+
+  /**
+   * Entidades a distancia <= radius de un punto
+   * @example world.queryRadius(transform, 10, { tags: ['enemy'], components: ['health'] })
+   * @param {Object} center - { x, y, z } (también un transform o un Vec3)
+   * @param {number} radius - Radio
+   * @param {Object} options - { tags, components, filter, includeInactive }
+   * @returns {Entity[]}
+   */
+  queryRadius(center, radius, options = {}) {
+    return this.getSpatialIndex().queryRadius(center, radius, options);
+  }
+
+  /**
+   * Entidades dentro de una caja alineada a los ejes
+   * @param {Object} min - Esquina mínima { x, y, z }
+   * @param {Object} max - Esquina máxima { x, y, z }
+   * @param {Object} options - { tags, components, filter, includeInactive }
+   * @returns {Entity[]}
+   */
+  queryBox(min, max, options = {}) {
+    return this.getSpatialIndex().queryBox(min, max, options);
+  }
+
+  /**
+   * Entidad más cercana a un punto
+   * Con options.count devuelve un array con las count más cercanas, ordenadas por distancia
+   * @example world.nearest(transform, { tags: ['enemy'], maxDistance: 30 })
+   * @param {Object} point - { x, y, z }
+   * @param {Object} options - { count, maxDistance, tags, components, filter, includeInactive }
+   * @returns {Entity|null|Entity[]}
+   */
+  nearest(point, options = {}) {
+    const found = this.getSpatialIndex().nearest(point, options).map(result => result.entity);
+    if (options.count !== undefined) {
+      return found;
+    }
+    return found.length > 0 ? found[0] : null;
+  }
+
+  /**
+   * Obtiene las entidades que tienen una relación con un destino
+   * @example world.getEntitiesWithRelation('targets', player) // quién apunta al jugador
+   * @param {string} relation - Nombre de la relación
+   * @param {Entity} target - Entidad destino (sin ella: todas las que tienen la relación)
+   * @returns {Entity[]}
+   */
+  getEntitiesWithRelation(relation, target) {
+    const index = this.relationIndex.get(relation);
+    if (!index) return [];
+
+    if (target !== undefined) {
+      return Array.from(index.get(target) || []);
+    }
+
+    const sources = new Set();
+    index.forEach(entities => entities.forEach(entity => sources.add(entity)));
+    return Array.from(sources);
+  }
+
+  /**
+   * Obtiene los destinos de una relación en todo el world
+   * @returns {Entity[]}
+   */
+  getRelationTargets(relation) {
+    const index = this.relationIndex.get(relation);
+    return index ? Array.from(index.keys()) : [];
+  }
+
+  /**
+   * Callback cuando se agrega una relación
+   */
+  onRelationAdded(entity, relation, target) {
+    if (!this.relationIndex.has(relation)) {
+      this.relationIndex.set(relation, new Map());
+    }
+
+    const index = this.relationIndex.get(relation);
+    if (!index.has(target)) {
+      index.set(target, new Set());
+    }
+    index.get(target).add(entity);
+
+    this.emit('relationAdded', entity, relation, target);
+  }
+
+  /**
+   * Callback cuando se elimina una relación
+   */
+  onRelationRemoved(entity, relation, target) {
+    const index = this.relationIndex.get(relation);
+    const sources = index && index.get(target);
+
+    if (sources) {
+      sources.delete(entity);
+      if (sources.size === 0) index.delete(target);
+      if (index.size === 0) this.relationIndex.delete(relation);
+    }
+
+    this.emit('relationRemoved', entity, relation, target);
+  }
+
+  /**
+   * Elimina las relaciones de una entidad en ambos sentidos (al eliminarla del world)
+   */
+  _removeRelations(entity) {
+    Array.from(entity.relations.keys()).forEach(relation => entity.removeRelation(relation));
+
+    Array.from(this.relationIndex.entries()).forEach(([relation, index]) => {
+      const sources = index.get(entity);
+      if (sources) {
+        Array.from(sources).forEach(source => source.removeRelation(relation, entity));
+      }
+    });
   }
 
   /**
    * Indexa una entidad por sus componentes
    */
   _indexEntity(entity) {
+    this._moveToArchetype(entity, this._getArchetype(Array.from(entity.components.keys())));
+
     entity.components.forEach((data, type) => {
       if (!this.entityIndex.has(type)) {
         this.entityIndex.set(type, new Set());
@@ -144,47 +572,234 @@ class World extends EventEmitter {
    * Desindexar una entidad
    */
   _unindexEntity(entity) {
-    entity.components.forEach((data, type) => {
+    // Entity.destroy vacía los componentes, el arquetipo conserva los tipos
+    const archetype = this.entityArchetypes.get(entity);
+    const types = archetype ? archetype.types : entity.components.keys();
+
+    for (const type of types) {
       const index = this.entityIndex.get(type);
       if (index) {
         index.delete(entity);
       }
-    });
+    }
 
-    entity.tags.forEach(tag => {
-      const index = this.tagIndex.get(tag);
-      if (index) {
-        index.delete(entity);
+    this._moveToArchetype(entity, null);
+
+    // Con Entity.destroy los tags ya se desindexaron antes de vaciarse
+    entity.tags.forEach(tag => this.onTagRemoved(entity, tag));
+  }
+
+  /**
+   * Activa el almacenamiento en typed arrays para un componente numérico
+   * Los campos numéricos del schema pasan a columnas contiguas; getComponent() devuelve
+   * una vista con la misma forma que el componente. Conviene activarlo antes de crear
+   * entidades: los componentes existentes se migran y sus objetos anteriores dejan de usarse.
+   * @example world.useTypedStorage('transform', { capacity: 4096 })
+   * @param {string} type - Tipo registrado en ComponentRegistry con schema
+   * @param {Object} options - { capacity, arrayType }
+   * @returns {TypedComponentStorage}
+   * @throws {Error} Si el tipo no tiene schema o campos numéricos
+   */
+  useTypedStorage(type, options = {}) {
+    if (this.storages.has(type)) {
+      console.warn(`Component '${type}' already uses typed storage`);
+      return this.storages.get(type);
+    }
+
+    const storage = new TypedComponentStorage(type, options);
+    this.storages.set(type, storage);
+
+    [...this.entities.values(), ...this.entitiesToAdd].forEach(entity => {
+      if (entity.hasComponent(type)) {
+        entity.components.set(type, storage.allocate(entity, entity.getComponent(type)));
       }
     });
+
+    return storage;
+  }
+
+  /**
+   * Obtiene el almacenamiento tipado de un componente (null si usa objetos)
+   */
+  getComponentStorage(type) {
+    return this.storages.get(type) || null;
+  }
+
+  /**
+   * Guarda los datos de un componente nuevo (lo llama Entity.addComponent)
+   * @returns {*} La vista del almacenamiento tipado o los mismos datos
+   */
+  storeComponent(entity, type, data) {
+    const storage = this.storages.get(type);
+    return storage ? storage.allocate(entity, data) : data;
   }
 
   /**
    * Callback cuando se agrega un componente a una entidad
    */
   onComponentAdded(entity, type) {
-    if (!this.entityIndex.has(type)) {
-      this.entityIndex.set(type, new Set());
+    // Las entidades pendientes se indexan al procesar la cola
+    if (this.entityArchetypes.has(entity)) {
+      if (!this.entityIndex.has(type)) {
+        this.entityIndex.set(type, new Set());
+      }
+      this.entityIndex.get(type).add(entity);
+      this._transitionArchetype(entity, type, true);
     }
-    this.entityIndex.get(type).add(entity);
+    entity.componentVersions.set(type, this.changeTick);
     this.emit('componentAdded', entity, type);
+    this._observers.emit(`added:${type}`, entity, entity.getComponent(type));
   }
 
   /**
    * Callback cuando se elimina un componente
    */
   onComponentRemoved(entity, type) {
+    const storage = this.storages.get(type);
+    if (storage) {
+      storage.free(entity);
+    }
+
     const index = this.entityIndex.get(type);
     if (index) {
       index.delete(entity);
     }
+    this._transitionArchetype(entity, type, false);
     this.emit('componentRemoved', entity, type);
+    this._observers.emit(`removed:${type}`, entity, null);
+  }
+
+  /**
+   * Callback cuando cambian los datos de un componente (updateComponent/markChanged)
+   */
+  onComponentChanged(entity, type) {
+    entity.componentVersions.set(type, this.changeTick);
+    this.emit('componentChanged', entity, type);
+    this._observers.emit(`changed:${type}`, entity, entity.getComponent(type));
+  }
+
+  /**
+   * Observa los cambios de un tipo de componente
+   * @example const stop = world.observe('health', 'changed', (entity, health) => { ... })
+   * @param {string} type - Tipo de componente
+   * @param {string} event - 'added', 'removed' o 'changed'
+   * @param {Function} callback - (entity, data) => void
+   * @returns {Function} Función para dejar de observar
+   * @throws {Error} Si el evento no existe
+   */
+  observe(type, event, callback) {
+    if (!World.OBSERVE_EVENTS.includes(event)) {
+      throw new Error(`Unknown observe event '${event}' (expected ${World.OBSERVE_EVENTS.join(', ')})`);
+    }
+
+    return this._observers.on(`${event}:${type}`, callback);
+  }
+
+  /**
+   * Tick desde el que se consideran los cambios en los filtros changed
+   * Dentro de un sistema: su ejecución anterior; fuera: el inicio del frame actual
+   */
+  getChangeSince() {
+    return this._changeSince !== null ? this._changeSince : this._frameStartTick;
+  }
+
+  /**
+   * Callback cuando cambia el padre de una entidad
+   */
+  onParentChanged(entity, previousParent, parent) {
+    this.emit('parentChanged', entity, previousParent, parent);
+  }
+
+  /**
+   * Callback cuando cambia el estado activo de una entidad
+   */
+  onEntityActiveChanged(entity) {
+    const archetype = this.entityArchetypes.get(entity);
+    if (archetype) {
+      archetype.queries.forEach(query => query.invalidate());
+    }
+  }
+
+  /**
+   * Obtiene (o crea) el arquetipo para un conjunto de tipos
+   */
+  _getArchetype(types) {
+    const key = Archetype.createKey(types);
+    let archetype = this.archetypes.get(key);
+
+    if (!archetype) {
+      archetype = new Archetype(types);
+      this.queries.forEach(query => {
+        if (query.matches(archetype.types)) {
+          archetype.queries.add(query);
+        }
+      });
+      this.archetypes.set(key, archetype);
+    }
+
+    return archetype;
+  }
+
+  /**
+   * Mueve una entidad indexada al arquetipo resultante de agregar/quitar un tipo
+   */
+  _transitionArchetype(entity, type, added) {
+    const current = this.entityArchetypes.get(entity);
+    if (!current) return; // Aún no está en el world
+
+    const edgeKey = `${added ? '+' : '-'}${type}`;
+    let next = current.edges.get(edgeKey);
+
+    if (!next) {
+      const types = new Set(current.types);
+      if (added) {
+        types.add(type);
+      } else {
+        types.delete(type);
+      }
+      next = this._getArchetype(types);
+      current.edges.set(edgeKey, next);
+    }
+
+    this._moveToArchetype(entity, next);
+  }
+
+  /**
+   * Cambia el arquetipo de una entidad y actualiza las consultas afectadas
+   * @param {Archetype|null} archetype - Nuevo arquetipo (null para sacarla del world)
+   */
+  _moveToArchetype(entity, archetype) {
+    const previous = this.entityArchetypes.get(entity) || null;
+    if (previous === archetype) return;
+
+    if (previous) {
+      previous.entities.delete(entity);
+      previous.queries.forEach(query => {
+        if (!archetype || !archetype.queries.has(query)) {
+          query.remove(entity);
+        }
+      });
+    }
+
+    if (archetype) {
+      archetype.entities.add(entity);
+      archetype.queries.forEach(query => {
+        if (!previous || !previous.queries.has(query)) {
+          query.add(entity);
+        }
+      });
+      this.entityArchetypes.set(entity, archetype);
+    } else {
+      this.entityArchetypes.delete(entity);
+    }
   }
 
   /**
    * Callback cuando se agrega un tag
    */
   onTagAdded(entity, tag) {
+    if (!this.entityArchetypes.has(entity)) return; // Se indexa al procesar la cola
+
     if (!this.tagIndex.has(tag)) {
       this.tagIndex.set(tag, new Set());
     }
@@ -203,18 +818,35 @@ class World extends EventEmitter {
 
   /**
    * Registra un sistema
+   * @param {System} system - Sistema a registrar
+   * @param {Object} options - Sobrescribe la planificación del sistema
+   * @param {string} options.phase - Fase en la que se llama a update()
+   * @param {string[]} options.before - Sistemas que deben ejecutarse después
+   * @param {string[]} options.after - Sistemas que deben ejecutarse antes
+   * @param {number} options.priority - Prioridad (desempate)
+   * @throws {Error} Si las restricciones forman un ciclo o la fase no existe
    */
-  registerSystem(system) {
+  registerSystem(system, options = {}) {
     if (this.systems.includes(system)) {
       console.warn(`System '${system.name}' already registered`);
       return;
     }
 
-    system.init(this);
-    this.systems.push(system);
+    if (options.phase !== undefined) system.phase = options.phase;
+    if (options.before !== undefined) system.before = [].concat(options.before);
+    if (options.after !== undefined) system.after = [].concat(options.after);
+    if (options.priority !== undefined) system.priority = options.priority;
 
-    // Ordenar por prioridad (mayor prioridad primero)
-    this.systems.sort((a, b) => b.priority - a.priority);
+    // Validar el plan antes de inicializar el sistema
+    this._registeredSystems.push(system);
+    try {
+      this._rebuildSchedule();
+    } catch (error) {
+      this._registeredSystems.pop();
+      throw error;
+    }
+
+    system.init(this);
 
     this.emit('systemRegistered', system);
   }
@@ -223,14 +855,38 @@ class World extends EventEmitter {
    * Elimina un sistema
    */
   unregisterSystem(system) {
-    const index = this.systems.indexOf(system);
+    const index = this._registeredSystems.indexOf(system);
     if (index !== -1) {
       system.destroy();
-      this.systems.splice(index, 1);
+      this.profiler.removeSystem(system);
+      this._registeredSystems.splice(index, 1);
+      this._rebuildSchedule();
       this.emit('systemUnregistered', system);
     }
   }
 
+  /**
+   * Recalcula el orden de ejecución de los sistemas
+   */
+  _rebuildSchedule() {
+    const { order, phases } = buildSchedule(this._registeredSystems);
+    this.systems = order;
+    this.schedule = phases;
+  }
+
+  /**
+   * Obtiene el plan de ejecución (nombres de sistemas por fase)
+   */
+  getSchedule() {
+    const result = {};
+    this.schedule.forEach((entries, phase) => {
+      result[phase] = entries.map(({ system, method }) =>
+        method === 'update' ? system.name : `${system.name}.${method}`
+      );
+    });
+    return result;
+  }
+
   /**
    * Obtiene un sistema por nombre
    */
@@ -239,18 +895,161 @@ class World extends EventEmitter {
   }
 
   /**
-   * Actualiza todos los sistemas
+   * Ejecuta los sistemas de una fase en orden
+   * @param {string} phase - Fase (SystemPhase)
+   * @param {number} deltaTime - Delta de la fase (en segundos)
    */
-  update(deltaTime) {
-    // Actualizar sistemas
-    this.systems.forEach(system => {
+  runPhase(phase, deltaTime) {
+    const entries = this.schedule.get(phase);
+    if (!entries) return;
+
+    for (const { system, method } of entries) {
       if (system.enabled) {
-        system.update(deltaTime);
+        this._runSystem(system, method, deltaTime);
       }
+    }
+
+    // Punto de sincronización: aplicar los cambios estructurales registrados
+    this.flushCommands();
+  }
+
+  /**
+   * Ejecuta un método de sistema con su tick de referencia para los filtros changed
+   */
+  _runSystem(system, method, deltaTime) {
+    const since = system.changeTicks[method] || 0;
+    const tick = ++this.changeTick;
+
+    const sample = this.profiler.enabled ? this.profiler.begin() : null;
+
+    this._changeSince = since;
+    try {
+      system[method](deltaTime);
+    } finally {
+      this._changeSince = null;
+      system.changeTicks[method] = tick;
+      // Los cambios hechos fuera de los sistemas reciben un tick posterior
+      this.changeTick++;
+
+      if (sample) {
+        this.profiler.end(system, method, sample, this._countSystemEntities(system));
+      }
+    }
+  }
+
+  /**
+   * Número de entidades que cumplen la consulta de un sistema (sin crear consultas)
+   */
+  _countSystemEntities(system) {
+    if (Query.isEmpty(system.queryDescriptor)) {
+      return this.entities.size;
+    }
+
+    const query = this.queries.get(Query.createKey(system.queryDescriptor));
+    return query ? query.entities.size : 0;
+  }
+
+  /**
+   * Obtiene el perfil de los sistemas en la ventana móvil del profiler
+   * Tiempo (ms), entidades y memoria asignada (bytes) por sistema y método
+   * @example world.getProfile().systems[0] // El sistema más costoso
+   * @returns {Object} { windowSize, frameBudget, frameTime, overBudget, systems }
+   */
+  getProfile() {
+    return this.profiler.getProfile();
+  }
+
+  /**
+   * Aplica los comandos diferidos de world.commands
+   * Se llama al terminar cada fase; puede llamarse manualmente fuera del frame
+   */
+  flushCommands() {
+    if (this.commands.size > 0) {
+      this.commands.flush();
+    }
+  }
+
+  /**
+   * Inicia un frame: publica los cambios de las consultas y ejecuta preUpdate
+   * El Engine la llama antes de los pasos fijos; update() la llama si no se hizo
+   */
+  beginFrame(deltaTime) {
+    // Publicar los cambios de las consultas acumulados desde el frame anterior
+    this.queries.forEach(query => query.swapChanges());
+    this._frameStartTick = this.changeTick;
+
+    // Temporizadores vencidos y corrutinas (sus cambios estructurales se aplican con los de preUpdate)
+    this.scheduler.update(deltaTime);
+    this.coroutines.update(deltaTime);
+
+    this.runPhase(SystemPhase.PRE_UPDATE, deltaTime);
+    this._frameStarted = true;
+  }
+
+  /**
+   * Ejecuta un paso fijo de simulación (fase fixedUpdate)
+   * @param {number} fixedDeltaTime - Duración del paso (en segundos)
+   */
+  fixedUpdate(fixedDeltaTime) {
+    const gate = this._fixedStepGate;
+    if (gate && !gate.beforeFixedStep(fixedDeltaTime)) {
+      return false;
+    }
+
+    this.runPhase(SystemPhase.FIXED_UPDATE, fixedDeltaTime);
+
+    if (gate) {
+      gate.afterFixedStep(fixedDeltaTime);
+    }
+    return true;
+  }
+
+  /**
+   * Establece la condición de los pasos fijos (una sola a la vez)
+   * beforeFixedStep() devuelve false para saltar el paso; afterFixedStep() se llama al terminarlo
+   * @param {Object|null} gate - { beforeFixedStep(dt), afterFixedStep(dt) } o null para quitarla
+   */
+  setFixedStepGate(gate) {
+    if (gate && this._fixedStepGate && this._fixedStepGate !== gate) {
+      throw new Error('World already has a fixed step gate');
+    }
+    this._fixedStepGate = gate;
+  }
+
+  /**
+   * Activa el modo determinista: las consultas, getAllEntities() y getEntitiesWithTag()
+   * devuelven las entidades ordenadas por id (el orden de los Set depende del historial
+   * de cambios de arquetipo, que puede variar entre máquinas)
+   */
+  setDeterministic(enabled = true) {
+    this.deterministic = enabled;
+    this.queries.forEach(query => {
+      query.ordered = enabled;
+      query.invalidate();
     });
+  }
 
-    // Procesar cola de entidades
+  /**
+   * Actualiza todos los sistemas
+   * Ejecuta las fases update, lateUpdate y render y procesa la cola de entidades
+   */
+  update(deltaTime) {
+    if (!this._frameStarted) {
+      this.beginFrame(deltaTime);
+    }
+
+    this.runPhase(SystemPhase.UPDATE, deltaTime);
+    this.runPhase(SystemPhase.LATE_UPDATE, deltaTime);
+    this.runPhase(SystemPhase.RENDER, deltaTime);
+
+    // Procesar cola de entidades (incluye las creadas por comandos)
+    this.flushCommands();
     this.processEntityQueue();
+    this._frameStarted = false;
+
+    if (this.profiler.enabled) {
+      this.profiler.endFrame();
+    }
   }
 
   /**
@@ -258,8 +1057,7 @@ class World extends EventEmitter {
    */
   _notifySystemsEntityAdded(entity) {
     this.systems.forEach(system => {
-      if (system.componentTypes.length === 0 ||
-          entity.hasComponents(...system.componentTypes)) {
+      if (system.matchesEntity(entity)) {
         system.onEntityAdded(entity);
       }
     });
@@ -274,15 +1072,161 @@ class World extends EventEmitter {
     });
   }
 
+  /**
+   * Guarda el estado completo del world
+   * Incluye entidades (componentes, tags, jerarquía), el contador de ids, los recursos
+   * serializables y el estado que cada sistema aporte con System.snapshot().
+   * El resultado es serializable a JSON.
+   * @returns {Object} Snapshot
+   */
+  snapshot() {
+    // Incluir las entidades pendientes de agregar y omitir las pendientes de eliminar
+    const entities = [...this.entities.values(), ...this.entitiesToAdd]
+      .filter(entity => !this._pendingRemoval.has(entity));
+
+    const systems = {};
+    this._registeredSystems.forEach(system => {
+      const state = system.snapshot();
+      if (state !== null && state !== undefined) {
+        systems[system.name] = state;
+      }
+    });
+
+    const prefabInstances = [];
+    entities.forEach(entity => {
+      const instance = this.prefabs.getInstanceInfo(entity);
+      if (instance) {
+        prefabInstances.push({ entity: entity.id, ...instance });
+      }
+    });
+
+    return this._cloneData({
+      version: World.SNAPSHOT_VERSION,
+      entityAllocator: this.entityAllocator.toJSON(),
+      entities: entities.map(entity => entity.toJSON()),
+      prefabInstances,
+      resources: this.getSerializableResources(),
+      random: this.random.getState(),
+      systems
+    });
+  }
+
+  /**
+   * Recursos incluidos en snapshot() (los creados sin serialize: false)
+   * @returns {Object} nombre -> valor (sin copiar)
+   */
+  getSerializableResources() {
+    const resources = {};
+    this.resources.forEach((value, name) => {
+      if (!this._unserializedResources.has(name)) {
+        resources[name] = value;
+      }
+    });
+    return resources;
+  }
+
+  /**
+   * Restaura un snapshot creado con snapshot()
+   * Reemplaza todas las entidades (conservando sus ids) y llama a System.restore()
+   * en cada sistema registrado que tenga estado guardado
+   * @param {Object} snapshot - Snapshot a restaurar (no se modifica)
+   */
+  restore(snapshot) {
+    if (!snapshot || !Array.isArray(snapshot.entities)) {
+      throw new Error('Invalid world snapshot');
+    }
+
+    if (snapshot.version > World.SNAPSHOT_VERSION) {
+      console.warn(`World snapshot version ${snapshot.version} is newer than ${World.SNAPSHOT_VERSION}`);
+    }
+
+    const data = this._cloneData(snapshot);
+
+    this.clear();
+    this.entitiesToAdd = [];
+    this._pendingAdd.clear();
+    this.entitiesToRemove = [];
+    this._pendingRemoval.clear();
+
+    // Primero las entidades, después la jerarquía y las relaciones (pueden apuntar a entidades posteriores)
+    const restored = data.entities.map(json =>
+      Entity.fromJSON(this, { ...json, parent: null, relations: [] }, { keepId: true })
+    );
+    this.entitiesToAdd.push(...restored);
+    this.processEntityQueue();
+
+    data.entities.forEach((json, index) => {
+      if (json.parent !== null && json.parent !== undefined) {
+        const parent = this.getEntity(json.parent);
+        if (parent) {
+          restored[index].setParent(parent);
+        }
+      }
+      restored[index].restoreRelations(json.relations);
+    });
+
+    // Vínculos con los prefabs (para propagar cambios)
+    (data.prefabInstances || []).forEach(({ entity, prefab, overrides }) => {
+      const restoredEntity = this.getEntity(entity);
+      if (restoredEntity) {
+        this.prefabs.instances.set(restoredEntity, { prefab, overrides });
+      }
+    });
+
+    // Las entidades previas ya no existen: los handles vuelven al estado guardado
+    // (la versión 1 no lo guardaba: se reconstruye con los ids restaurados)
+    if (data.entityAllocator) {
+      this.entityAllocator.fromJSON(data.entityAllocator);
+    } else {
+      this.entityAllocator.rebuild(restored.map(entity => entity.id));
+    }
+
+    if (data.random !== undefined) {
+      this.random.setState(data.random);
+    }
+
+    // Recursos serializables: se reemplazan por los guardados (los no serializables se conservan)
+    const savedResources = data.resources || {};
+    Array.from(this.resources.keys()).forEach(name => {
+      if (!this._unserializedResources.has(name) && !(name in savedResources)) {
+        this.removeResource(name);
+      }
+    });
+    Object.entries(savedResources).forEach(([name, value]) => {
+      this.setResource(name, value, { serialize: true });
+    });
+
+    this._registeredSystems.forEach(system => {
+      if (data.systems && system.name in data.systems) {
+        system.restore(data.systems[system.name]);
+      }
+    });
+
+    this.emit('restored', snapshot);
+  }
+
+  /**
+   * Copia profunda de datos serializables
+   */
+  _cloneData(data) {
+    return JSON.parse(JSON.stringify(data));
+  }
+
   /**
    * Limpia el world
    */
   clear() {
-    this.getAllEntities().forEach(entity => entity.destroy());
+    this.commands.clear();
+    // También las inactivas: los sistemas deben liberar su estado (onEntityRemoved)
+    Array.from(this.entities.values()).forEach(entity => entity.destroy());
     this.processEntityQueue();
     this.entities.clear();
     this.entityIndex.clear();
     this.tagIndex.clear();
+    this.relationIndex.clear();
+    this.archetypes.clear();
+    this.entityArchetypes.clear();
+    this.queries.forEach(query => query.clear());
   }
 
   /**
@@ -291,7 +1235,22 @@ class World extends EventEmitter {
   destroy() {
     this.clear();
     this.systems.forEach(system => system.destroy());
-    this.systems = [];
+    this.prefabs.clear();
+    this.resources.clear();
+    this._unserializedResources.clear();
+    this.scheduler.clear();
+    this.coroutines.clear();
+    this._fixedStepGate = null;
+    if (this.spatial) {
+      this.spatial.destroy();
+      this.spatial = null;
+    }
+    this.profiler.reset();
+    this.storages.forEach(storage => storage.clear());
+    this.storages.clear();
+    this._observers.removeAllListeners();
+    this._registeredSystems = [];
+    this._rebuildSchedule();
     this.removeAllListeners();
   }
 
@@ -303,9 +1262,39 @@ class World extends EventEmitter {
       entities: this.entities.size,
       systems: this.systems.length,
       pendingAdd: this.entitiesToAdd.length,
-      pendingRemove: this.entitiesToRemove.length
+      pendingRemove: this.entitiesToRemove.length,
+      archetypes: this.archetypes.size,
+      relations: this.relationIndex.size,
+      resources: this.resources.size,
+      queries: this.queries.size,
+      queryHits: this.queryStats.hits,
+      queryMisses: this.queryStats.misses,
+      pendingCommands: this.commands.size,
+      typedStorages: this.storages.size
+    };
+  }
+
+  /**
+   * Obtiene estadísticas del world
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      queryDetails: Array.from(this.queries.values()).map(query => ({
+        query: query.key,
+        entities: query.entities.size,
+        hits: query.hits
+      })),
+      storageDetails: Array.from(this.storages.values()).map(storage => storage.getStats())
     };
   }
 }
 
+// Eventos admitidos por World.observe()
+World.OBSERVE_EVENTS = ['added', 'removed', 'changed'];
+
+// Versión del formato de World.snapshot()
+// 2: estado de los handles (entityAllocator)
+World.SNAPSHOT_VERSION = 2;
+
 export default World;
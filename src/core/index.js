@@ -6,5 +6,21 @@
 export { default as Engine } from './Engine.js';
 export { default as World } from './World.js';
 export { default as Entity } from './Entity.js';
-export { default as System } from './System.js';
+export { default as EntityHandle, EntityAllocator } from './EntityHandle.js';
+export { default as System, SystemPhase } from './System.js';
+export { default as Query } from './Query.js';
+export { default as PrefabRegistry } from './Prefab.js';
+export { default as CommandBuffer } from './CommandBuffer.js';
+export { default as Profiler } from './Profiler.js';
+export { default as Scheduler, TimerHandle } from './Scheduler.js';
+export {
+  default as CoroutineRunner,
+  Coroutine,
+  wait,
+  waitUntil,
+  waitForEvent,
+  waitFrames
+} from './Coroutine.js';
+export { default as Random } from './Random.js';
+export { default as TypedComponentStorage } from './ComponentStorage.js';
 export { ComponentRegistry } from './Component.js';
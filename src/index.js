@@ -25,6 +25,28 @@ export { default as AssetSystem } from './systems/AssetSystem.js';
 export { default as CameraSystem } from './systems/CameraSystem.js';
 export { default as SkyboxSystem } from './systems/SkyboxSystem.js';
 export { default as DebugSystem } from './systems/DebugSystem.js';
+export { default as TransformSystem } from './systems/TransformSystem.js';
+export { default as StateMachineSystem } from './systems/StateMachineSystem.js';
+export { default as BehaviorTreeSystem } from './systems/BehaviorTreeSystem.js';
+export { default as ScriptSystem } from './systems/ScriptSystem.js';
+export { default as SaveSystem, SaveMode } from './systems/SaveSystem.js';
+export { default as NetworkServerSystem } from './systems/NetworkServerSystem.js';
+export { default as NetworkClientSystem } from './systems/NetworkClientSystem.js';
+export { default as ServerInputSystem } from './systems/ServerInputSystem.js';
+export { default as PredictionSystem } from './systems/PredictionSystem.js';
+export { default as LockstepSystem } from './systems/LockstepSystem.js';
+
+// AI
+export * from './ai/index.js';
+
+// Network
+export * from './network/index.js';
+
+// Spatial
+export * from './spatial/index.js';
+
+// Math
+export * from './math/index.js';
 
 // Utils
 export { default as Platform } from './utils/Platform.js';
@@ -41,6 +63,8 @@ export { default as Camera3D } from './components/Camera3D.js';
 export { default as Ground } from './components/Ground.js';
 export { default as MeshComponent } from './components/3d/Mesh.js';
 export { default as LightComponent } from './components/3d/Light.js';
+export { StateMachineRegistry, createStateMachine, StateMachineHelpers } from './components/logic/StateMachine.js';
+export { Script, ScriptRegistry, createScript, createScripts } from './components/logic/Script.js';
 
 // Cinematic System
 export * from './cinematic/index.js';
@@ -58,6 +82,11 @@ export { default as WebAudioAdapter } from './adapters/web/WebAudioAdapter.js';
 export { default as ExpoInputAdapter } from './adapters/expo/ExpoInputAdapter.js';
 export { default as ExpoAudioAdapter } from './adapters/expo/ExpoAudioAdapter.js';
 export { default as NativeInputAdapter } from './adapters/native/NativeInputAdapter.js';
+export { default as LocalStorageAdapter } from './adapters/web/LocalStorageAdapter.js';
+export { default as IndexedDBStorageAdapter } from './adapters/web/IndexedDBStorageAdapter.js';
+export { default as AsyncStorageAdapter } from './adapters/native/AsyncStorageAdapter.js';
+export { default as FileStorageAdapter } from './adapters/node/FileStorageAdapter.js';
+export { default as MemoryStorageAdapter } from './adapters/memory/MemoryStorageAdapter.js';
 
 /**
  * Factory para crear un Engine configurado automáticamente según la plataforma
@@ -65,6 +94,10 @@ export { default as NativeInputAdapter } from './adapters/native/NativeInputAdap
 import Engine from './core/Engine.js';
 import InputSystem from './systems/InputSystem.js';
 import AudioSystem from './systems/AudioSystem.js';
+import TransformSystem from './systems/TransformSystem.js';
+import StateMachineSystem from './systems/StateMachineSystem.js';
+import BehaviorTreeSystem from './systems/BehaviorTreeSystem.js';
+import ScriptSystem from './systems/ScriptSystem.js';
 import Platform from './utils/Platform.js';
 
 // Importación dinámica de adaptadores según plataforma
@@ -91,6 +124,27 @@ async function getAudioAdapter() {
   }
 }
 
+/**
+ * Crea el adaptador de almacenamiento de la plataforma (para SaveSystem)
+ * IndexedDB en web si está disponible, AsyncStorage en nativo y memoria en el resto
+ * @returns {Promise<Object>} Adaptador de almacenamiento
+ */
+export async function createStorageAdapter() {
+  if (Platform.isExpo || Platform.isNative) {
+    const { default: AsyncStorageAdapter } = await import('./adapters/native/AsyncStorageAdapter.js');
+    return new AsyncStorageAdapter();
+  } else if (Platform.isWeb && typeof window.indexedDB !== 'undefined') {
+    const { default: IndexedDBStorageAdapter } = await import('./adapters/web/IndexedDBStorageAdapter.js');
+    return new IndexedDBStorageAdapter();
+  } else if (Platform.isWeb) {
+    const { default: LocalStorageAdapter } = await import('./adapters/web/LocalStorageAdapter.js');
+    return new LocalStorageAdapter();
+  } else {
+    const { default: MemoryStorageAdapter } = await import('./adapters/memory/MemoryStorageAdapter.js');
+    return new MemoryStorageAdapter();
+  }
+}
+
 /**
  * Crea un engine con todos los sistemas básicos configurados
  * @param {Object} config - Configuración del engine
@@ -121,6 +175,22 @@ export async function createEngine(config = {}) {
     engine.registerSystem(audioSystem);
   }
 
+  // Registrar sistema de scripts
+  const scriptSystem = new ScriptSystem();
+  engine.registerSystem(scriptSystem);
+
+  // Registrar sistema de árboles de comportamiento
+  const behaviorTreeSystem = new BehaviorTreeSystem();
+  engine.registerSystem(behaviorTreeSystem);
+
+  // Registrar sistema de máquinas de estados
+  const stateMachineSystem = new StateMachineSystem();
+  engine.registerSystem(stateMachineSystem);
+
+  // Registrar sistema de jerarquía de transformaciones
+  const transformSystem = new TransformSystem();
+  engine.registerSystem(transformSystem);
+
   // Registrar sistema de renderizado
   const renderSystem = new RenderSystem();
   engine.registerSystem(renderSystem);
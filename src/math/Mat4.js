@@ -0,0 +1,323 @@
+/**
+ * Mat4
+ * Matriz 4x4 column-major (mismo layout que three.js / WebGL)
+ * No depende de three.js
+ */
+
+import Quat from './Quat.js';
+import Vec3 from './Vec3.js';
+
+const _quat = new Quat();
+const _x = new Vec3();
+const _y = new Vec3();
+const _z = new Vec3();
+
+class Mat4 {
+  constructor() {
+    this.elements = new Float64Array(16);
+    this.identity();
+  }
+
+  /**
+   * Establece la matriz identidad
+   */
+  identity() {
+    const te = this.elements;
+    te.fill(0);
+    te[0] = te[5] = te[10] = te[15] = 1;
+    return this;
+  }
+
+  /**
+   * Copia otra matriz
+   */
+  copy(m) {
+    this.elements.set(m.elements);
+    return this;
+  }
+
+  /**
+   * Crea una copia
+   */
+  clone() {
+    return new Mat4().copy(this);
+  }
+
+  /**
+   * Compone la matriz a partir de posición, rotación y escala
+   * Si el transform tiene cuaternión se usa en lugar de los ángulos de Euler (orden XYZ)
+   * @param {Object} transform - { x, y, z, rotationX, rotationY, rotationZ, quaternion?, scaleX, scaleY, scaleZ }
+   */
+  composeTransform(transform) {
+    const q = transform.quaternion || _quat.setFromEuler(
+      transform.rotationX || 0,
+      transform.rotationY || 0,
+      transform.rotationZ || 0
+    );
+
+    return this.compose(
+      transform.x || 0,
+      transform.y || 0,
+      transform.z || 0,
+      q.x, q.y, q.z, q.w,
+      transform.scaleX !== undefined ? transform.scaleX : 1,
+      transform.scaleY !== undefined ? transform.scaleY : 1,
+      transform.scaleZ !== undefined ? transform.scaleZ : 1
+    );
+  }
+
+  /**
+   * Matriz de rotación que orienta el eje -Z desde eye hacia target (convención de cámaras de three.js)
+   */
+  lookAt(eye, target, up = { x: 0, y: 1, z: 0 }) {
+    const te = this.elements;
+
+    Vec3.sub(eye, target, _z);
+    if (_z.lengthSq() === 0) _z.z = 1;
+    _z.normalize();
+
+    Vec3.cross(up, _z, _x);
+
+    // up paralelo a la dirección: desplazar ligeramente
+    if (_x.lengthSq() === 0) {
+      if (Math.abs(up.z) === 1) {
+        _z.x += 0.0001;
+      } else {
+        _z.z += 0.0001;
+      }
+      _z.normalize();
+      Vec3.cross(up, _z, _x);
+    }
+
+    _x.normalize();
+    Vec3.cross(_z, _x, _y);
+
+    te[0] = _x.x; te[4] = _y.x; te[8] = _z.x;
+    te[1] = _x.y; te[5] = _y.y; te[9] = _z.y;
+    te[2] = _x.z; te[6] = _y.z; te[10] = _z.z;
+
+    return this;
+  }
+
+  /**
+   * Compone la matriz a partir de posición, cuaternión y escala
+   */
+  compose(px, py, pz, qx, qy, qz, qw, sx, sy, sz) {
+    const te = this.elements;
+
+    const x2 = qx + qx, y2 = qy + qy, z2 = qz + qz;
+    const xx = qx * x2, xy = qx * y2, xz = qx * z2;
+    const yy = qy * y2, yz = qy * z2, zz = qz * z2;
+    const wx = qw * x2, wy = qw * y2, wz = qw * z2;
+
+    te[0] = (1 - (yy + zz)) * sx;
+    te[1] = (xy + wz) * sx;
+    te[2] = (xz - wy) * sx;
+    te[3] = 0;
+
+    te[4] = (xy - wz) * sy;
+    te[5] = (1 - (xx + zz)) * sy;
+    te[6] = (yz + wx) * sy;
+    te[7] = 0;
+
+    te[8] = (xz + wy) * sz;
+    te[9] = (yz - wx) * sz;
+    te[10] = (1 - (xx + yy)) * sz;
+    te[11] = 0;
+
+    te[12] = px;
+    te[13] = py;
+    te[14] = pz;
+    te[15] = 1;
+
+    return this;
+  }
+
+  /**
+   * this = a * b
+   */
+  multiplyMatrices(a, b) {
+    const ae = a.elements;
+    const be = b.elements;
+    const te = this.elements;
+
+    const a11 = ae[0], a12 = ae[4], a13 = ae[8], a14 = ae[12];
+    const a21 = ae[1], a22 = ae[5], a23 = ae[9], a24 = ae[13];
+    const a31 = ae[2], a32 = ae[6], a33 = ae[10], a34 = ae[14];
+    const a41 = ae[3], a42 = ae[7], a43 = ae[11], a44 = ae[15];
+
+    const b11 = be[0], b12 = be[4], b13 = be[8], b14 = be[12];
+    const b21 = be[1], b22 = be[5], b23 = be[9], b24 = be[13];
+    const b31 = be[2], b32 = be[6], b33 = be[10], b34 = be[14];
+    const b41 = be[3], b42 = be[7], b43 = be[11], b44 = be[15];
+
+    te[0] = a11 * b11 + a12 * b21 + a13 * b31 + a14 * b41;
+    te[4] = a11 * b12 + a12 * b22 + a13 * b32 + a14 * b42;
+    te[8] = a11 * b13 + a12 * b23 + a13 * b33 + a14 * b43;
+    te[12] = a11 * b14 + a12 * b24 + a13 * b34 + a14 * b44;
+
+    te[1] = a21 * b11 + a22 * b21 + a23 * b31 + a24 * b41;
+    te[5] = a21 * b12 + a22 * b22 + a23 * b32 + a24 * b42;
+    te[9] = a21 * b13 + a22 * b23 + a23 * b33 + a24 * b43;
+    te[13] = a21 * b14 + a22 * b24 + a23 * b34 + a24 * b44;
+
+    te[2] = a31 * b11 + a32 * b21 + a33 * b31 + a34 * b41;
+    te[6] = a31 * b12 + a32 * b22 + a33 * b32 + a34 * b42;
+    te[10] = a31 * b13 + a32 * b23 + a33 * b33 + a34 * b43;
+    te[14] = a31 * b14 + a32 * b24 + a33 * b34 + a34 * b44;
+
+    te[3] = a41 * b11 + a42 * b21 + a43 * b31 + a44 * b41;
+    te[7] = a41 * b12 + a42 * b22 + a43 * b32 + a44 * b42;
+    te[11] = a41 * b13 + a42 * b23 + a43 * b33 + a44 * b43;
+    te[15] = a41 * b14 + a42 * b24 + a43 * b34 + a44 * b44;
+
+    return this;
+  }
+
+  /**
+   * this = this * m
+   */
+  multiply(m) {
+    return this.multiplyMatrices(this, m);
+  }
+
+  /**
+   * Determinante
+   */
+  determinant() {
+    const te = this.elements;
+
+    const n11 = te[0], n12 = te[4], n13 = te[8], n14 = te[12];
+    const n21 = te[1], n22 = te[5], n23 = te[9], n24 = te[13];
+    const n31 = te[2], n32 = te[6], n33 = te[10], n34 = te[14];
+    const n41 = te[3], n42 = te[7], n43 = te[11], n44 = te[15];
+
+    return (
+      n41 * (n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34) +
+      n42 * (n11 * n23 * n34 - n11 * n24 * n33 + n14 * n21 * n33 - n13 * n21 * n34 + n13 * n24 * n31 - n14 * n23 * n31) +
+      n43 * (n11 * n24 * n32 - n11 * n22 * n34 - n14 * n21 * n32 + n12 * n21 * n34 + n14 * n22 * n31 - n12 * n24 * n31) +
+      n44 * (-n13 * n22 * n31 - n11 * n23 * n32 + n11 * n22 * n33 + n13 * n21 * n32 - n12 * n21 * n33 + n12 * n23 * n31)
+    );
+  }
+
+  /**
+   * Invierte la matriz (identidad si no es invertible)
+   */
+  invert() {
+    const te = this.elements;
+
+    const n11 = te[0], n21 = te[1], n31 = te[2], n41 = te[3];
+    const n12 = te[4], n22 = te[5], n32 = te[6], n42 = te[7];
+    const n13 = te[8], n23 = te[9], n33 = te[10], n43 = te[11];
+    const n14 = te[12], n24 = te[13], n34 = te[14], n44 = te[15];
+
+    const t11 = n23 * n34 * n42 - n24 * n33 * n42 + n24 * n32 * n43 - n22 * n34 * n43 - n23 * n32 * n44 + n22 * n33 * n44;
+    const t12 = n14 * n33 * n42 - n13 * n34 * n42 - n14 * n32 * n43 + n12 * n34 * n43 + n13 * n32 * n44 - n12 * n33 * n44;
+    const t13 = n13 * n24 * n42 - n14 * n23 * n42 + n14 * n22 * n43 - n12 * n24 * n43 - n13 * n22 * n44 + n12 * n23 * n44;
+    const t14 = n14 * n23 * n32 - n13 * n24 * n32 - n14 * n22 * n33 + n12 * n24 * n33 + n13 * n22 * n34 - n12 * n23 * n34;
+
+    const det = n11 * t11 + n21 * t12 + n31 * t13 + n41 * t14;
+
+    if (det === 0) {
+      return this.identity();
+    }
+
+    const detInv = 1 / det;
+
+    te[0] = t11 * detInv;
+    te[1] = (n24 * n33 * n41 - n23 * n34 * n41 - n24 * n31 * n43 + n21 * n34 * n43 + n23 * n31 * n44 - n21 * n33 * n44) * detInv;
+    te[2] = (n22 * n34 * n41 - n24 * n32 * n41 + n24 * n31 * n42 - n21 * n34 * n42 - n22 * n31 * n44 + n21 * n32 * n44) * detInv;
+    te[3] = (n23 * n32 * n41 - n22 * n33 * n41 - n23 * n31 * n42 + n21 * n33 * n42 + n22 * n31 * n43 - n21 * n32 * n43) * detInv;
+
+    te[4] = t12 * detInv;
+    te[5] = (n13 * n34 * n41 - n14 * n33 * n41 + n14 * n31 * n43 - n11 * n34 * n43 - n13 * n31 * n44 + n11 * n33 * n44) * detInv;
+    te[6] = (n14 * n32 * n41 - n12 * n34 * n41 - n14 * n31 * n42 + n11 * n34 * n42 + n12 * n31 * n44 - n11 * n32 * n44) * detInv;
+    te[7] = (n12 * n33 * n41 - n13 * n32 * n41 + n13 * n31 * n42 - n11 * n33 * n42 - n12 * n31 * n43 + n11 * n32 * n43) * detInv;
+
+    te[8] = t13 * detInv;
+    te[9] = (n14 * n23 * n41 - n13 * n24 * n41 - n14 * n21 * n43 + n11 * n24 * n43 + n13 * n21 * n44 - n11 * n23 * n44) * detInv;
+    te[10] = (n12 * n24 * n41 - n14 * n22 * n41 + n14 * n21 * n42 - n11 * n24 * n42 - n12 * n21 * n44 + n11 * n22 * n44) * detInv;
+    te[11] = (n13 * n22 * n41 - n12 * n23 * n41 - n13 * n21 * n42 + n11 * n23 * n42 + n12 * n21 * n43 - n11 * n22 * n43) * detInv;
+
+    te[12] = t14 * detInv;
+    te[13] = (n13 * n24 * n31 - n14 * n23 * n31 + n14 * n21 * n33 - n11 * n24 * n33 - n13 * n21 * n34 + n11 * n23 * n34) * detInv;
+    te[14] = (n14 * n22 * n31 - n12 * n24 * n31 - n14 * n21 * n32 + n11 * n24 * n32 + n12 * n21 * n34 - n11 * n22 * n34) * detInv;
+    te[15] = (n12 * n23 * n31 - n13 * n22 * n31 + n13 * n21 * n32 - n11 * n23 * n32 - n12 * n21 * n33 + n11 * n22 * n33) * detInv;
+
+    return this;
+  }
+
+  /**
+   * Transforma un punto { x, y, z } por la matriz
+   * @param {Object} point - Punto de entrada
+   * @param {Object} out - Punto destino (puede ser el mismo)
+   */
+  transformPoint(point, out = {}) {
+    const te = this.elements;
+    const x = point.x, y = point.y, z = point.z;
+    const w = 1 / (te[3] * x + te[7] * y + te[11] * z + te[15] || 1);
+
+    out.x = (te[0] * x + te[4] * y + te[8] * z + te[12]) * w;
+    out.y = (te[1] * x + te[5] * y + te[9] * z + te[13]) * w;
+    out.z = (te[2] * x + te[6] * y + te[10] * z + te[14]) * w;
+
+    return out;
+  }
+
+  /**
+   * Descompone la matriz en posición, rotación (Euler XYZ y cuaternión) y escala
+   * @param {Object} out - Objeto destino (se crea si no se pasa)
+   */
+  decomposeTransform(out = {}) {
+    const te = this.elements;
+
+    let sx = Math.hypot(te[0], te[1], te[2]);
+    const sy = Math.hypot(te[4], te[5], te[6]);
+    const sz = Math.hypot(te[8], te[9], te[10]);
+
+    // Escala negativa: invertir un eje
+    if (this.determinant() < 0) sx = -sx;
+
+    out.x = te[12];
+    out.y = te[13];
+    out.z = te[14];
+
+    // Matriz de rotación pura
+    const m11 = sx ? te[0] / sx : 1;
+    const m12 = sy ? te[4] / sy : 0;
+    const m13 = sz ? te[8] / sz : 0;
+    const m22 = sy ? te[5] / sy : 1;
+    const m23 = sz ? te[9] / sz : 0;
+    const m32 = sy ? te[6] / sy : 0;
+    const m33 = sz ? te[10] / sz : 1;
+
+    out.rotationY = Math.asin(Math.max(-1, Math.min(1, m13)));
+
+    if (Math.abs(m13) < 0.9999999) {
+      out.rotationX = Math.atan2(-m23, m33);
+      out.rotationZ = Math.atan2(-m12, m11);
+    } else {
+      out.rotationX = Math.atan2(m32, m22);
+      out.rotationZ = 0;
+    }
+
+    // Cuaternión desde la matriz de rotación pura
+    const m21 = sx ? te[1] / sx : 0;
+    const m31 = sx ? te[2] / sx : 0;
+    _quat.setFromRotationComponents(m11, m12, m13, m21, m22, m23, m31, m32, m33);
+
+    const q = out.quaternion || (out.quaternion = {});
+    q.x = _quat.x;
+    q.y = _quat.y;
+    q.z = _quat.z;
+    q.w = _quat.w;
+
+    out.scaleX = sx;
+    out.scaleY = sy;
+    out.scaleZ = sz;
+
+    return out;
+  }
+}
+
+export default Mat4;
@@ -0,0 +1,52 @@
+/**
+ * MathUtils
+ * Funciones numéricas comunes del engine
+ */
+
+const MathUtils = {
+  EPSILON: 1e-6,
+
+  /**
+   * Limita un valor a un rango
+   */
+  clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  },
+
+  /**
+   * Interpolación lineal
+   */
+  lerp(a, b, t) {
+    return a + (b - a) * t;
+  },
+
+  /**
+   * Inversa de lerp: posición de value entre a y b (0..1)
+   */
+  inverseLerp(a, b, value) {
+    return a !== b ? (value - a) / (b - a) : 0;
+  },
+
+  /**
+   * Grados a radianes
+   */
+  degToRad(degrees) {
+    return degrees * Math.PI / 180;
+  },
+
+  /**
+   * Radianes a grados
+   */
+  radToDeg(radians) {
+    return radians * 180 / Math.PI;
+  },
+
+  /**
+   * Compara dos números con tolerancia
+   */
+  approxEqual(a, b, epsilon = MathUtils.EPSILON) {
+    return Math.abs(a - b) <= epsilon;
+  }
+};
+
+export default MathUtils;
@@ -0,0 +1,267 @@
+/**
+ * Quat
+ * Cuaternión de rotación (x, y, z, w)
+ * Compatible con los cuaterniones de three.js y Rapier ({ x, y, z, w })
+ * Los ángulos de Euler usan orden XYZ, igual que three.js
+ */
+
+class Quat {
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+
+  set(x, y, z, w) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+    return this;
+  }
+
+  copy(q) {
+    this.x = q.x;
+    this.y = q.y;
+    this.z = q.z;
+    this.w = q.w;
+    return this;
+  }
+
+  clone() {
+    return new Quat(this.x, this.y, this.z, this.w);
+  }
+
+  identity() {
+    return this.set(0, 0, 0, 1);
+  }
+
+  /**
+   * Establece la rotación a partir de ángulos de Euler (radianes, orden XYZ)
+   */
+  setFromEuler(x, y, z) {
+    const c1 = Math.cos(x / 2), c2 = Math.cos(y / 2), c3 = Math.cos(z / 2);
+    const s1 = Math.sin(x / 2), s2 = Math.sin(y / 2), s3 = Math.sin(z / 2);
+
+    this.x = s1 * c2 * c3 + c1 * s2 * s3;
+    this.y = c1 * s2 * c3 - s1 * c2 * s3;
+    this.z = c1 * c2 * s3 + s1 * s2 * c3;
+    this.w = c1 * c2 * c3 - s1 * s2 * s3;
+
+    return this;
+  }
+
+  /**
+   * Establece la rotación a partir de un eje normalizado y un ángulo
+   */
+  setFromAxisAngle(axis, angle) {
+    const half = angle / 2;
+    const s = Math.sin(half);
+
+    this.x = axis.x * s;
+    this.y = axis.y * s;
+    this.z = axis.z * s;
+    this.w = Math.cos(half);
+
+    return this;
+  }
+
+  /**
+   * Establece la rotación a partir de la parte 3x3 de una Mat4 sin escala
+   */
+  setFromRotationMatrix(m) {
+    const te = m.elements;
+    return this.setFromRotationComponents(
+      te[0], te[4], te[8],
+      te[1], te[5], te[9],
+      te[2], te[6], te[10]
+    );
+  }
+
+  /**
+   * Establece la rotación a partir de los elementos (fila, columna) de una matriz de rotación pura
+   */
+  setFromRotationComponents(m11, m12, m13, m21, m22, m23, m31, m32, m33) {
+    const trace = m11 + m22 + m33;
+
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1.0);
+      this.w = 0.25 / s;
+      this.x = (m32 - m23) * s;
+      this.y = (m13 - m31) * s;
+      this.z = (m21 - m12) * s;
+    } else if (m11 > m22 && m11 > m33) {
+      const s = 2.0 * Math.sqrt(1.0 + m11 - m22 - m33);
+      this.w = (m32 - m23) / s;
+      this.x = 0.25 * s;
+      this.y = (m12 + m21) / s;
+      this.z = (m13 + m31) / s;
+    } else if (m22 > m33) {
+      const s = 2.0 * Math.sqrt(1.0 + m22 - m11 - m33);
+      this.w = (m13 - m31) / s;
+      this.x = (m12 + m21) / s;
+      this.y = 0.25 * s;
+      this.z = (m23 + m32) / s;
+    } else {
+      const s = 2.0 * Math.sqrt(1.0 + m33 - m11 - m22);
+      this.w = (m21 - m12) / s;
+      this.x = (m13 + m31) / s;
+      this.y = (m23 + m32) / s;
+      this.z = 0.25 * s;
+    }
+
+    return this;
+  }
+
+  /**
+   * Convierte a ángulos de Euler (radianes, orden XYZ)
+   * @param {Object} out - Objeto destino { x, y, z }
+   */
+  toEuler(out = {}) {
+    const { x, y, z, w } = this;
+
+    const m11 = 1 - 2 * (y * y + z * z);
+    const m12 = 2 * (x * y - w * z);
+    const m13 = 2 * (x * z + w * y);
+    const m22 = 1 - 2 * (x * x + z * z);
+    const m23 = 2 * (y * z - w * x);
+    const m32 = 2 * (y * z + w * x);
+    const m33 = 1 - 2 * (x * x + y * y);
+
+    out.y = Math.asin(Math.max(-1, Math.min(1, m13)));
+
+    if (Math.abs(m13) < 0.9999999) {
+      out.x = Math.atan2(-m23, m33);
+      out.z = Math.atan2(-m12, m11);
+    } else {
+      out.x = Math.atan2(m32, m22);
+      out.z = 0;
+    }
+
+    return out;
+  }
+
+  /**
+   * this = this * q
+   */
+  multiply(q) {
+    return Quat.multiply(this, q, this);
+  }
+
+  /**
+   * this = q * this
+   */
+  premultiply(q) {
+    return Quat.multiply(q, this, this);
+  }
+
+  /**
+   * Inversa (conjugado para cuaterniones unitarios)
+   */
+  invert() {
+    this.x = -this.x;
+    this.y = -this.y;
+    this.z = -this.z;
+    return this;
+  }
+
+  dot(q) {
+    return this.x * q.x + this.y * q.y + this.z * q.z + this.w * q.w;
+  }
+
+  length() {
+    return Math.sqrt(this.dot(this));
+  }
+
+  normalize() {
+    const length = this.length();
+
+    if (length === 0) {
+      return this.identity();
+    }
+
+    const inv = 1 / length;
+    this.x *= inv;
+    this.y *= inv;
+    this.z *= inv;
+    this.w *= inv;
+
+    return this;
+  }
+
+  /**
+   * Producto de cuaterniones: out = a * b
+   */
+  static multiply(a, b, out = new Quat()) {
+    const ax = a.x, ay = a.y, az = a.z, aw = a.w;
+    const bx = b.x, by = b.y, bz = b.z, bw = b.w;
+
+    out.x = ax * bw + aw * bx + ay * bz - az * by;
+    out.y = ay * bw + aw * by + az * bx - ax * bz;
+    out.z = az * bw + aw * bz + ax * by - ay * bx;
+    out.w = aw * bw - ax * bx - ay * by - az * bz;
+
+    return out;
+  }
+
+  /**
+   * Interpolación esférica entre dos rotaciones
+   */
+  static slerp(a, b, t, out = new Quat()) {
+    let bx = b.x, by = b.y, bz = b.z, bw = b.w;
+    let cosHalfTheta = a.x * bx + a.y * by + a.z * bz + a.w * bw;
+
+    // Tomar el camino más corto
+    if (cosHalfTheta < 0) {
+      bx = -bx; by = -by; bz = -bz; bw = -bw;
+      cosHalfTheta = -cosHalfTheta;
+    }
+
+    if (cosHalfTheta >= 1.0) {
+      out.x = a.x;
+      out.y = a.y;
+      out.z = a.z;
+      out.w = a.w;
+      return out;
+    }
+
+    const sqrSinHalfTheta = 1.0 - cosHalfTheta * cosHalfTheta;
+
+    // Ángulo muy pequeño: interpolación lineal normalizada
+    if (sqrSinHalfTheta <= Number.EPSILON) {
+      const s = 1 - t;
+      const x = s * a.x + t * bx;
+      const y = s * a.y + t * by;
+      const z = s * a.z + t * bz;
+      const w = s * a.w + t * bw;
+      const inv = 1 / Math.sqrt(x * x + y * y + z * z + w * w);
+      out.x = x * inv;
+      out.y = y * inv;
+      out.z = z * inv;
+      out.w = w * inv;
+      return out;
+    }
+
+    const sinHalfTheta = Math.sqrt(sqrSinHalfTheta);
+    const halfTheta = Math.atan2(sinHalfTheta, cosHalfTheta);
+    const ratioA = Math.sin((1 - t) * halfTheta) / sinHalfTheta;
+    const ratioB = Math.sin(t * halfTheta) / sinHalfTheta;
+
+    out.x = a.x * ratioA + bx * ratioB;
+    out.y = a.y * ratioA + by * ratioB;
+    out.z = a.z * ratioA + bz * ratioB;
+    out.w = a.w * ratioA + bw * ratioB;
+
+    return out;
+  }
+
+  /**
+   * Crea un cuaternión desde ángulos de Euler
+   */
+  static fromEuler(x, y, z) {
+    return new Quat().setFromEuler(x, y, z);
+  }
+}
+
+export default Quat;
@@ -0,0 +1,114 @@
+/**
+ * Ray
+ * Rayo con origen y dirección normalizada
+ * Las intersecciones devuelven la distancia a lo largo del rayo o null
+ */
+
+import Vec3 from './Vec3.js';
+
+const _v = new Vec3();
+
+class Ray {
+  constructor(origin = { x: 0, y: 0, z: 0 }, direction = { x: 0, y: 0, z: -1 }) {
+    this.origin = new Vec3().copy(origin);
+    this.direction = new Vec3().copy(direction).normalize();
+  }
+
+  set(origin, direction) {
+    this.origin.copy(origin);
+    this.direction.copy(direction).normalize();
+    return this;
+  }
+
+  /**
+   * Punto a una distancia t del origen
+   */
+  at(t, out = new Vec3()) {
+    out.x = this.origin.x + this.direction.x * t;
+    out.y = this.origin.y + this.direction.y * t;
+    out.z = this.origin.z + this.direction.z * t;
+    return out;
+  }
+
+  /**
+   * Distancia mínima entre el rayo y un punto
+   */
+  distanceToPoint(point) {
+    const t = Vec3.sub(point, this.origin, _v).dot(this.direction);
+
+    if (t < 0) {
+      return Vec3.distance(this.origin, point);
+    }
+
+    return Vec3.distance(this.at(t, _v), point);
+  }
+
+  /**
+   * Intersección con una esfera
+   */
+  intersectSphere(center, radius) {
+    Vec3.sub(center, this.origin, _v);
+    const tca = _v.dot(this.direction);
+    const d2 = _v.dot(_v) - tca * tca;
+    const radius2 = radius * radius;
+
+    if (d2 > radius2) return null;
+
+    const thc = Math.sqrt(radius2 - d2);
+    const t0 = tca - thc;
+    const t1 = tca + thc;
+
+    if (t1 < 0) return null;
+
+    // Origen dentro de la esfera
+    return t0 < 0 ? t1 : t0;
+  }
+
+  /**
+   * Intersección con una caja alineada a los ejes { min, max }
+   */
+  intersectBox(min, max) {
+    let tmin = -Infinity;
+    let tmax = Infinity;
+
+    for (const axis of ['x', 'y', 'z']) {
+      const origin = this.origin[axis];
+      const direction = this.direction[axis];
+
+      if (direction === 0) {
+        if (origin < min[axis] || origin > max[axis]) return null;
+        continue;
+      }
+
+      const inv = 1 / direction;
+      let t0 = (min[axis] - origin) * inv;
+      let t1 = (max[axis] - origin) * inv;
+      if (t0 > t1) [t0, t1] = [t1, t0];
+
+      tmin = Math.max(tmin, t0);
+      tmax = Math.min(tmax, t1);
+
+      if (tmin > tmax) return null;
+    }
+
+    if (tmax < 0) return null;
+
+    return tmin >= 0 ? tmin : tmax;
+  }
+
+  /**
+   * Intersección con un plano definido por normal y constante (normal · p + constant = 0)
+   */
+  intersectPlane(normal, constant = 0) {
+    const denominator = Vec3.dot(normal, this.direction);
+
+    if (denominator === 0) {
+      return null;
+    }
+
+    const t = -(Vec3.dot(normal, this.origin) + constant) / denominator;
+    return t >= 0 ? t : null;
+  }
+}
+
+export default Ray;
@@ -0,0 +1,94 @@
+/**
+ * Vec2
+ * Vector 2D
+ * Los métodos estáticos aceptan cualquier objeto { x, y }
+ */
+
+class Vec2 {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  set(x, y) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    return this;
+  }
+
+  clone() {
+    return new Vec2(this.x, this.y);
+  }
+
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    return this;
+  }
+
+  sub(v) {
+    this.x -= v.x;
+    this.y -= v.y;
+    return this;
+  }
+
+  scale(s) {
+    this.x *= s;
+    this.y *= s;
+    return this;
+  }
+
+  dot(v) {
+    return this.x * v.x + this.y * v.y;
+  }
+
+  lengthSq() {
+    return this.x * this.x + this.y * this.y;
+  }
+
+  length() {
+    return Math.sqrt(this.lengthSq());
+  }
+
+  normalize() {
+    const length = this.length();
+    return length > 0 ? this.scale(1 / length) : this;
+  }
+
+  distanceTo(v) {
+    return Vec2.distance(this, v);
+  }
+
+  /**
+   * Distancia entre dos puntos
+   */
+  static distance(a, b) {
+    return Math.sqrt(Vec2.distanceSq(a, b));
+  }
+
+  /**
+   * Distancia al cuadrado (evita la raíz al comparar)
+   */
+  static distanceSq(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    return dx * dx + dy * dy;
+  }
+
+  /**
+   * Interpolación lineal entre dos vectores
+   */
+  static lerp(a, b, t, out = new Vec2()) {
+    out.x = a.x + (b.x - a.x) * t;
+    out.y = a.y + (b.y - a.y) * t;
+    return out;
+  }
+}
+
+export default Vec2;
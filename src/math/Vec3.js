@@ -0,0 +1,154 @@
+/**
+ * Vec3
+ * Vector 3D
+ * Los métodos estáticos aceptan cualquier objeto { x, y, z } (transforms, vectores de three.js, Rapier)
+ */
+
+class Vec3 {
+  constructor(x = 0, y = 0, z = 0) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+  }
+
+  set(x, y, z) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    return this;
+  }
+
+  copy(v) {
+    this.x = v.x;
+    this.y = v.y;
+    this.z = v.z;
+    return this;
+  }
+
+  clone() {
+    return new Vec3(this.x, this.y, this.z);
+  }
+
+  add(v) {
+    this.x += v.x;
+    this.y += v.y;
+    this.z += v.z;
+    return this;
+  }
+
+  sub(v) {
+    this.x -= v.x;
+    this.y -= v.y;
+    this.z -= v.z;
+    return this;
+  }
+
+  scale(s) {
+    this.x *= s;
+    this.y *= s;
+    this.z *= s;
+    return this;
+  }
+
+  dot(v) {
+    return this.x * v.x + this.y * v.y + this.z * v.z;
+  }
+
+  cross(v) {
+    return Vec3.cross(this, v, this);
+  }
+
+  lengthSq() {
+    return this.x * this.x + this.y * this.y + this.z * this.z;
+  }
+
+  length() {
+    return Math.sqrt(this.lengthSq());
+  }
+
+  normalize() {
+    const length = this.length();
+    return length > 0 ? this.scale(1 / length) : this;
+  }
+
+  distanceTo(v) {
+    return Vec3.distance(this, v);
+  }
+
+  /**
+   * Rota el vector por un cuaternión
+   */
+  applyQuat(q) {
+    const { x, y, z } = this;
+
+    // t = 2 * cross(q.xyz, v)
+    const tx = 2 * (q.y * z - q.z * y);
+    const ty = 2 * (q.z * x - q.x * z);
+    const tz = 2 * (q.x * y - q.y * x);
+
+    // v' = v + w * t + cross(q.xyz, t)
+    this.x = x + q.w * tx + q.y * tz - q.z * ty;
+    this.y = y + q.w * ty + q.z * tx - q.x * tz;
+    this.z = z + q.w * tz + q.x * ty - q.y * tx;
+
+    return this;
+  }
+
+  /**
+   * Transforma el vector como punto por una matriz
+   */
+  applyMat4(m) {
+    m.transformPoint(this, this);
+    return this;
+  }
+
+  /**
+   * Distancia entre dos puntos
+   */
+  static distance(a, b) {
+    return Math.sqrt(Vec3.distanceSq(a, b));
+  }
+
+  /**
+   * Distancia al cuadrado (evita la raíz al comparar)
+   */
+  static distanceSq(a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const dz = b.z - a.z;
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  static dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+  }
+
+  static cross(a, b, out = new Vec3()) {
+    const x = a.y * b.z - a.z * b.y;
+    const y = a.z * b.x - a.x * b.z;
+    const z = a.x * b.y - a.y * b.x;
+    out.x = x;
+    out.y = y;
+    out.z = z;
+    return out;
+  }
+
+  static sub(a, b, out = new Vec3()) {
+    out.x = a.x - b.x;
+    out.y = a.y - b.y;
+    out.z = a.z - b.z;
+    return out;
+  }
+
+  /**
+   * Interpolación lineal entre dos vectores
+   */
+  static lerp(a, b, t, out = new Vec3()) {
+    out.x = a.x + (b.x - a.x) * t;
+    out.y = a.y + (b.y - a.y) * t;
+    out.z = a.z + (b.z - a.z) * t;
+    return out;
+  }
+}
+
+export default Vec3;
@@ -0,0 +1,11 @@
+/**
+ * Módulo de matemáticas
+ * Vectores, cuaterniones, matrices y rayos sin dependencia de three.js
+ */
+
+export { default as MathUtils } from './MathUtils.js';
+export { default as Vec2 } from './Vec2.js';
+export { default as Vec3 } from './Vec3.js';
+export { default as Quat } from './Quat.js';
+export { default as Mat4 } from './Mat4.js';
+export { default as Ray } from './Ray.js';
@@ -0,0 +1,105 @@
+/**
+ * Checksum
+ * Huellas del estado del world para detectar desincronizaciones en lockstep
+ * Cada componente tiene su propio hash ('idEntidad:tipo'), así un desync se puede
+ * localizar comparando las tablas de dos peers
+ */
+
+import Random from '../core/Random.js';
+
+/**
+ * JSON con las claves ordenadas (dos objetos iguales dan el mismo texto aunque sus
+ * campos se hayan creado en distinto orden)
+ */
+export function stableStringify(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : stableStringify(item))).join(',')}]`;
+  }
+
+  const fields = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+  return `{${fields.join(',')}}`;
+}
+
+/**
+ * Calcula la huella del world
+ * @param {World} world - World
+ * @param {Object} options - Opciones
+ * @param {string[]} options.components - Tipos a incluir (null: todos)
+ * @param {string[]} options.ignore - Tipos a excluir (datos de presentación: mesh, light...)
+ * @returns {Object} { hash, parts: { 'id:tipo' | 'random' | 'resource:nombre': hash }, skipped: [tipos] }
+ */
+export function computeChecksum(world, options = {}) {
+  const include = options.components ? new Set(options.components) : null;
+  const ignore = new Set(options.ignore || []);
+  const parts = {};
+  const skipped = new Set();
+
+  const entities = Array.from(world.entities.values()).sort((a, b) => a.id - b.id);
+  entities.forEach(entity => {
+    Array.from(entity.components.keys()).sort().forEach(type => {
+      const data = entity.components.get(type);
+      if ((include && !include.has(type)) || ignore.has(type) || skipped.has(type)) return;
+
+      let text;
+      try {
+        text = stableStringify(data);
+      } catch (error) {
+        // Referencias circulares (objetos de three.js, etc.): el tipo no entra en la huella
+        skipped.add(type);
+        return;
+      }
+      parts[`${entity.id}:${type}`] = Random.hashString(text);
+    });
+  });
+
+  parts.random = world.random.getState();
+  const resources = world.getSerializableResources();
+  Object.keys(resources).sort().forEach(name => {
+    parts[`resource:${name}`] = Random.hashString(stableStringify(resources[name]));
+  });
+
+  // Las claves ya están en un orden estable (entidades por id y tipos, después random y recursos)
+  const hash = Random.hashString(Object.keys(parts).map(key => `${key}=${parts[key]}`).join(';'));
+  return { hash, parts, skipped: Array.from(skipped) };
+}
+
+/**
+ * Compara las tablas de dos checksums
+ * @returns {Object} { diverged: [{ entity, component }], onlyLocal: [clave], onlyRemote: [clave] }
+ */
+export function compareChecksums(localParts, remoteParts) {
+  const diverged = [];
+  const onlyLocal = [];
+  const onlyRemote = [];
+
+  Object.keys(localParts).forEach(key => {
+    if (!(key in remoteParts)) {
+      onlyLocal.push(key);
+    } else if (localParts[key] !== remoteParts[key]) {
+      const [entity, component] = key.includes(':') && !key.startsWith('resource:')
+        ? key.split(':')
+        : [null, key];
+      diverged.push({ entity: entity !== null ? Number(entity) : null, component });
+    }
+  });
+
+  Object.keys(remoteParts).forEach(key => {
+    if (!(key in localParts)) {
+      onlyRemote.push(key);
+    }
+  });
+
+  return { diverged, onlyLocal, onlyRemote };
+}
+
+export default {
+  stableStringify,
+  computeChecksum,
+  compareChecksums
+};
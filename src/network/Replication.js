@@ -0,0 +1,231 @@
+/**
+ * Replication
+ * Qué se replica por red y cómo se comprimen e interpolan los snapshots
+ *
+ * Un snapshot de replicación es un objeto { netId: { tipo: datos } } con los componentes
+ * marcados en ReplicationRegistry de las entidades con el componente 'networked'.
+ * El servidor envía deltas respecto al último snapshot confirmado por cada cliente:
+ * solo las entidades, componentes y campos que cambiaron.
+ *
+ * @example
+ * ReplicationRegistry.register('transform', { interpolate: ['x', 'y', 'z', 'quaternion'], angles: ['rotationY'] });
+ * ReplicationRegistry.register('health');
+ * entity.addComponent('networked', createNetworked({ owner: clientId }));
+ */
+
+import { ComponentRegistry } from '../core/Component.js';
+import MathUtils from '../math/MathUtils.js';
+import Quat from '../math/Quat.js';
+
+/**
+ * Registro de componentes replicados
+ */
+export const ReplicationRegistry = {
+  types: new Map(),
+
+  /**
+   * Marca un tipo de componente para replicarlo
+   * @param {string} type - Tipo de componente
+   * @param {Object} options - Opciones
+   * @param {string[]} options.interpolate - Campos a interpolar en el cliente
+   *   (números: lineal; cuaterniones { x, y, z, w }: esférica)
+   * @param {string[]} options.angles - Campos numéricos en radianes (interpolan por el camino corto)
+   */
+  register(type, options = {}) {
+    this.types.set(type, {
+      interpolate: options.interpolate || [],
+      angles: options.angles || []
+    });
+  },
+
+  /**
+   * Verifica si un tipo se replica
+   */
+  has(type) {
+    return this.types.has(type);
+  },
+
+  /**
+   * Obtiene las opciones de un tipo replicado
+   */
+  get(type) {
+    return this.types.get(type) || null;
+  },
+
+  /**
+   * Deja de replicar un tipo
+   */
+  unregister(type) {
+    this.types.delete(type);
+  },
+
+  /**
+   * Limpia el registro (conserva 'networked')
+   */
+  clear() {
+    this.types.clear();
+    this.register('networked');
+  }
+};
+
+// Entidades replicadas: netId lo asigna el servidor (su id de entidad), owner es el clientId dueño
+ComponentRegistry.register('networked', {
+  owner: { type: 'number', required: false }
+}, (data) => ({
+  netId: data.netId !== undefined ? data.netId : null,
+  owner: data.owner !== undefined ? data.owner : null
+}));
+
+ReplicationRegistry.register('networked');
+
+/**
+ * Crea un componente Networked
+ * @param {Object} options - Opciones (owner)
+ */
+export function createNetworked(options = {}) {
+  return ComponentRegistry.create('networked', options);
+}
+
+/**
+ * Compara dos valores serializables
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Campos de un componente que cambiaron respecto a la base
+ * @returns {Object|null} null si no cambió nada
+ */
+function diffComponent(base, current) {
+  let changes = null;
+  Object.keys(current).forEach(field => {
+    if (!isEqual(base[field], current[field])) {
+      changes = changes || {};
+      changes[field] = current[field];
+    }
+  });
+  return changes;
+}
+
+/**
+ * Calcula el delta entre dos snapshots de replicación
+ * @param {Object} baseline - Snapshot confirmado por el cliente ({} para un envío completo)
+ * @param {Object} current - Snapshot actual
+ * @returns {Object} { changed, removedComponents, removed }
+ */
+export function diffStates(baseline, current) {
+  const changed = {};
+  const removedComponents = {};
+  const removed = [];
+
+  Object.keys(current).forEach(netId => {
+    const base = baseline[netId];
+    const components = current[netId];
+
+    if (!base) {
+      changed[netId] = components;
+      return;
+    }
+
+    Object.keys(components).forEach(type => {
+      const changes = base[type] ? diffComponent(base[type], components[type]) : components[type];
+      if (changes) {
+        changed[netId] = changed[netId] || {};
+        changed[netId][type] = changes;
+      }
+    });
+
+    const missing = Object.keys(base).filter(type => !(type in components));
+    if (missing.length > 0) {
+      removedComponents[netId] = missing;
+    }
+  });
+
+  Object.keys(baseline).forEach(netId => {
+    if (!(netId in current)) {
+      removed.push(netId);
+    }
+  });
+
+  return { changed, removedComponents, removed };
+}
+
+/**
+ * Reconstruye un snapshot aplicando un delta sobre su base
+ * Los componentes sin cambios conservan la referencia de la base (el cliente la usa
+ * para saber qué actualizar)
+ * @param {Object} baseline - Snapshot base
+ * @param {Object} delta - Resultado de diffStates()
+ * @returns {Object} Snapshot nuevo (la base no se modifica)
+ */
+export function applyDelta(baseline, delta) {
+  const state = { ...baseline };
+
+  (delta.removed || []).forEach(netId => {
+    delete state[netId];
+  });
+
+  Object.entries(delta.removedComponents || {}).forEach(([netId, types]) => {
+    if (!state[netId]) return;
+    state[netId] = { ...state[netId] };
+    types.forEach(type => delete state[netId][type]);
+  });
+
+  Object.entries(delta.changed || {}).forEach(([netId, components]) => {
+    const base = baseline[netId];
+    // Una entidad nueva llega completa
+    if (!base || (delta.removed || []).includes(netId)) {
+      state[netId] = components;
+      return;
+    }
+
+    state[netId] = { ...state[netId] };
+    Object.entries(components).forEach(([type, changes]) => {
+      state[netId][type] = base[type] ? { ...base[type], ...changes } : changes;
+    });
+  });
+
+  return state;
+}
+
+/**
+ * Interpola un componente replicado entre dos snapshots
+ * Los campos no interpolados toman el valor de 'from'
+ * @returns {Object} Datos interpolados (from si no hay nada que interpolar)
+ */
+export function interpolateComponent(type, from, to, t) {
+  const options = ReplicationRegistry.get(type);
+  if (!options || from === to || options.interpolate.length === 0) return from;
+
+  const result = { ...from };
+  options.interpolate.forEach(field => {
+    const a = from[field];
+    const b = to[field];
+
+    if (typeof a === 'number' && typeof b === 'number') {
+      if (options.angles.includes(field)) {
+        // Diferencia en (-PI, PI]: gira por el camino más corto
+        const delta = Math.atan2(Math.sin(b - a), Math.cos(b - a));
+        result[field] = a + delta * t;
+      } else {
+        result[field] = MathUtils.lerp(a, b, t);
+      }
+    } else if (a && b && typeof a.w === 'number' && typeof b.w === 'number') {
+      const q = Quat.slerp(a, b, t);
+      result[field] = { x: q.x, y: q.y, z: q.z, w: q.w };
+    }
+  });
+
+  return result;
+}
+
+export default {
+  ReplicationRegistry,
+  createNetworked,
+  diffStates,
+  applyDelta,
+  interpolateComponent
+};
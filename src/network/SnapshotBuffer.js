@@ -0,0 +1,99 @@
+/**
+ * SnapshotBuffer
+ * Buffer de interpolación del cliente: guarda los snapshots recibidos con su tiempo de
+ * servidor y devuelve el estado en un instante pasado, interpolando entre los dos vecinos
+ */
+
+import { interpolateComponent } from './Replication.js';
+
+class SnapshotBuffer {
+  /**
+   * @param {number} capacity - Snapshots máximos guardados
+   */
+  constructor(capacity = 32) {
+    this.capacity = capacity;
+    this.entries = []; // [{ tick, time, state }] ordenados por tiempo
+  }
+
+  /**
+   * Agrega un snapshot (los que llegan tarde o repetidos se ignoran)
+   * @returns {boolean} false si se ignoró
+   */
+  push(tick, time, state) {
+    const last = this.entries[this.entries.length - 1];
+    if (last && time <= last.time) return false;
+
+    this.entries.push({ tick, time, state });
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+    return true;
+  }
+
+  /**
+   * Tiempo del snapshot más reciente
+   */
+  get latestTime() {
+    const last = this.entries[this.entries.length - 1];
+    return last ? last.time : null;
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Estado en un instante (sin extrapolar: más allá del último snapshot devuelve el último)
+   * Las entidades aparecen y desaparecen con el snapshot anterior al instante
+   * @param {number} time - Tiempo de servidor
+   * @returns {Object|null} { netId: { tipo: datos } }
+   */
+  sample(time) {
+    if (this.entries.length === 0) return null;
+
+    let index = this.entries.length - 1;
+    while (index > 0 && this.entries[index].time > time) {
+      index--;
+    }
+
+    const from = this.entries[index];
+    const to = this.entries[index + 1];
+    if (!to || time <= from.time) return from.state;
+
+    const t = (time - from.time) / (to.time - from.time);
+    const state = {};
+
+    Object.entries(from.state).forEach(([netId, components]) => {
+      const next = to.state[netId];
+      if (!next) {
+        state[netId] = components;
+        return;
+      }
+
+      state[netId] = {};
+      Object.entries(components).forEach(([type, data]) => {
+        state[netId][type] = next[type] ? interpolateComponent(type, data, next[type], t) : data;
+      });
+    });
+
+    return state;
+  }
+
+  /**
+   * Descarta los snapshots que ya no se necesitan para interpolar en 'time'
+   */
+  prune(time) {
+    while (this.entries.length > 2 && this.entries[1].time <= time) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Vacía el buffer
+   */
+  clear() {
+    this.entries = [];
+  }
+}
+
+export default SnapshotBuffer;
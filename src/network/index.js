@@ -0,0 +1,17 @@
+/**
+ * Network Index
+ * Exporta la replicación de estado, los checksums de lockstep y los transportes
+ */
+
+export {
+  ReplicationRegistry,
+  createNetworked,
+  diffStates,
+  applyDelta,
+  interpolateComponent
+} from './Replication.js';
+export { stableStringify, computeChecksum, compareChecksums } from './Checksum.js';
+export { default as SnapshotBuffer } from './SnapshotBuffer.js';
+export { default as LoopbackTransport } from './transports/LoopbackTransport.js';
+export { default as WebSocketTransport } from './transports/WebSocketTransport.js';
+export { default as WebRTCTransport } from './transports/WebRTCTransport.js';
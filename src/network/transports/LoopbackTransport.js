@@ -0,0 +1,108 @@
+/**
+ * LoopbackTransport
+ * Transporte en el mismo proceso: dos extremos conectados entre sí (tests, servidor local)
+ *
+ * Interfaz común de los transportes:
+ * - send(message): envía un objeto serializable a JSON
+ * - close(): cierra la conexión
+ * - connected: true si se puede enviar
+ * - eventos 'open', 'message' (message), 'close' y 'error' (error)
+ *
+ * @example
+ * const [serverSide, clientSide] = LoopbackTransport.createPair({ latency: 50 });
+ * server.addConnection(serverSide);
+ * const client = new NetworkClientSystem(clientSide);
+ *
+ * Con manual: true la latencia se simula con un reloj propio del par, que avanza con
+ * advance(ms): los tests son deterministas y no dependen de temporizadores reales
+ */
+
+import EventEmitter from '../../utils/EventEmitter.js';
+
+class LoopbackTransport extends EventEmitter {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number} options.latency - Retardo de entrega en milisegundos (0: síncrono)
+   * @param {boolean} options.manual - Entregar solo al llamar a advance()
+   */
+  constructor(options = {}) {
+    super();
+    this.latency = options.latency || 0;
+    this.manual = options.manual || false;
+    this.peer = null;
+    this.connected = false;
+    this.link = null; // Reloj y mensajes en vuelo compartidos por el par (modo manual)
+  }
+
+  /**
+   * Crea dos extremos conectados
+   * @returns {LoopbackTransport[]} [a, b]
+   */
+  static createPair(options = {}) {
+    const a = new LoopbackTransport(options);
+    const b = new LoopbackTransport(options);
+    a.peer = b;
+    b.peer = a;
+    a.link = b.link = { time: 0, inFlight: [] };
+    a.connected = true;
+    b.connected = true;
+    return [a, b];
+  }
+
+  /**
+   * Envía un mensaje al otro extremo
+   * Se copia como JSON: lo que no sea serializable falla igual que en un transporte real
+   */
+  send(message) {
+    if (!this.connected) {
+      console.warn('LoopbackTransport: send on a closed transport');
+      return;
+    }
+
+    const peer = this.peer;
+    const data = JSON.parse(JSON.stringify(message));
+
+    if (this.manual) {
+      this.link.inFlight.push({ deliverAt: this.link.time + this.latency, peer, data });
+    } else if (this.latency > 0) {
+      setTimeout(() => {
+        if (peer.connected) peer.emit('message', data);
+      }, this.latency);
+    } else {
+      peer.emit('message', data);
+    }
+  }
+
+  /**
+   * Avanza el reloj simulado del par y entrega los mensajes que llegan (modo manual)
+   * @param {number} milliseconds - Tiempo transcurrido
+   */
+  advance(milliseconds) {
+    const link = this.link;
+    link.time += milliseconds;
+
+    // En orden de envío: cada extremo recibe sus mensajes en el orden en que salieron
+    const due = link.inFlight.filter(message => message.deliverAt <= link.time);
+    link.inFlight = link.inFlight.filter(message => message.deliverAt > link.time);
+
+    due.forEach(({ peer, data }) => {
+      if (peer.connected) peer.emit('message', data);
+    });
+  }
+
+  /**
+   * Cierra ambos extremos
+   */
+  close() {
+    if (!this.connected) return;
+
+    this.connected = false;
+    this.emit('close');
+
+    if (this.peer && this.peer.connected) {
+      this.peer.close();
+    }
+  }
+}
+
+export default LoopbackTransport;
@@ -0,0 +1,41 @@
+/**
+ * WebRTCTransport
+ * Transporte sobre un RTCDataChannel ya negociado (la señalización es tarea del juego)
+ * Con un canal no ordenado y sin reintentos ({ ordered: false, maxRetransmits: 0 }) los
+ * snapshots perdidos no bloquean a los siguientes: los deltas se calculan sobre el
+ * último snapshot confirmado
+ *
+ * @example
+ * const channel = peerConnection.createDataChannel('game', { ordered: false, maxRetransmits: 0 });
+ * const client = new NetworkClientSystem(new WebRTCTransport(channel));
+ */
+
+import WebSocketTransport from './WebSocketTransport.js';
+
+class WebRTCTransport extends WebSocketTransport {
+  /**
+   * @param {RTCDataChannel} channel - Canal de datos
+   */
+  constructor(channel) {
+    if (!channel || typeof channel === 'string') {
+      throw new Error('WebRTCTransport expects an RTCDataChannel');
+    }
+    super(channel);
+  }
+
+  /**
+   * Canal de datos envuelto
+   */
+  get channel() {
+    return this.socket;
+  }
+
+  /**
+   * Verifica si el canal está abierto
+   */
+  get connected() {
+    return this.socket.readyState === 'open';
+  }
+}
+
+export default WebRTCTransport;
@@ -0,0 +1,95 @@
+/**
+ * WebSocketTransport
+ * Transporte sobre WebSocket (navegador y React Native)
+ * En el servidor puede envolver un socket ya conectado con la misma API (p. ej. el paquete ws)
+ * Los mensajes viajan como JSON; los envíos anteriores a la apertura se encolan y los
+ * posteriores al cierre se descartan
+ *
+ * @example
+ * const client = new NetworkClientSystem(new WebSocketTransport('wss://game.example.com'));
+ * wss.on('connection', socket => server.addConnection(new WebSocketTransport(socket)));
+ */
+
+import EventEmitter from '../../utils/EventEmitter.js';
+
+class WebSocketTransport extends EventEmitter {
+  /**
+   * @param {string|Object} target - URL o socket existente
+   * @param {Object} options - Opciones
+   * @param {string|string[]} options.protocols - Subprotocolos (solo con URL)
+   */
+  constructor(target, options = {}) {
+    super();
+    this.socket = typeof target === 'string' ? new WebSocket(target, options.protocols) : target;
+    this.pending = []; // Mensajes enviados antes de abrir
+    this._warnedClosed = false;
+
+    this._bind();
+  }
+
+  /**
+   * Conecta los callbacks del socket con los eventos del transporte
+   */
+  _bind() {
+    this.socket.onopen = () => {
+      this.pending.forEach(data => this.socket.send(data));
+      this.pending = [];
+      this.emit('open');
+    };
+
+    this.socket.onmessage = (event) => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        console.warn('Invalid network message:', error);
+        return;
+      }
+      this.emit('message', message);
+    };
+
+    this.socket.onclose = () => {
+      this.pending = [];
+      this.emit('close');
+    };
+    this.socket.onerror = (error) => this.emit('error', error);
+  }
+
+  /**
+   * Verifica si el socket está abierto
+   */
+  get connected() {
+    return this.socket.readyState === 1; // WebSocket.OPEN
+  }
+
+  /**
+   * Envía un mensaje (se encola mientras conecta; se descarta si el socket se está cerrando o está cerrado)
+   */
+  send(message) {
+    const readyState = this.socket.readyState;
+    if (readyState === 2 || readyState === 3) { // WebSocket.CLOSING / WebSocket.CLOSED
+      if (!this._warnedClosed) {
+        this._warnedClosed = true;
+        console.warn('WebSocketTransport: socket is closed, dropping messages');
+      }
+      return;
+    }
+
+    const data = JSON.stringify(message);
+    if (this.connected) {
+      this.socket.send(data);
+    } else {
+      this.pending.push(data);
+    }
+  }
+
+  /**
+   * Cierra el socket
+   */
+  close() {
+    this.pending = [];
+    this.socket.close();
+  }
+}
+
+export default WebSocketTransport;
@@ -4,7 +4,7 @@
  * Compatible con Web, React Native y Expo
  */
 
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { Canvas } from '@react-three/fiber';
 import Platform from '../utils/Platform.js';
 
@@ -83,4 +83,53 @@ export function useEngine(engine) {
   };
 }
 
+/**
+ * Hook para temporizadores en tiempo de juego
+ * Devuelve un grupo del scheduler del engine que se cancela al desmontar
+ * @example const timers = useScheduler(engine); timers.after(2, () => setVisible(false));
+ */
+export function useScheduler(engine) {
+  const group = useMemo(() => engine.scheduler.group(), [engine]);
+
+  useEffect(() => () => group.cancelAll(), [group]);
+
+  return group;
+}
+
+/**
+ * Hook equivalente a setTimeout en tiempo de juego (respeta pausa y time scale)
+ * @param {Engine} engine - Engine
+ * @param {number|null} seconds - Retraso en segundos de juego (null para no programarlo)
+ * @param {Function} callback - Función a ejecutar
+ */
+export function useGameTimeout(engine, seconds, callback) {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (seconds === null || seconds === undefined) return;
+
+    const handle = engine.scheduler.after(seconds, () => callbackRef.current());
+    return () => handle.cancel();
+  }, [engine, seconds]);
+}
+
+/**
+ * Hook equivalente a setInterval en tiempo de juego (respeta pausa y time scale)
+ * @param {Engine} engine - Engine
+ * @param {number|null} seconds - Intervalo en segundos de juego (null para detenerlo)
+ * @param {Function} callback - Función a ejecutar
+ */
+export function useGameInterval(engine, seconds, callback) {
+  const callbackRef = useRef(callback);
+  callbackRef.current = callback;
+
+  useEffect(() => {
+    if (seconds === null || seconds === undefined) return;
+
+    const handle = engine.scheduler.every(seconds, () => callbackRef.current());
+    return () => handle.cancel();
+  }, [engine, seconds]);
+}
+
 export default Game;
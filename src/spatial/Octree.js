@@ -0,0 +1,400 @@
+/**
+ * Octree
+ * Árbol de octantes de puntos: cada nodo se divide en 8 al superar maxItems
+ * Se adapta a la densidad (ciudades densas, mapas con zonas vacías) y no necesita
+ * elegir un tamaño de celda. Si un punto queda fuera de los límites, la raíz crece.
+ *
+ * Misma interfaz que SpatialHash
+ */
+
+import { insertSorted } from './SpatialHash.js';
+
+/**
+ * Nodo del octree: caja [min, max] con puntos (hoja) o 8 hijos
+ */
+class OctreeNode {
+  constructor(minX, minY, minZ, size, depth, parent = null) {
+    this.minX = minX;
+    this.minY = minY;
+    this.minZ = minZ;
+    this.size = size;
+    this.depth = depth;
+    this.parent = parent;
+    this.records = new Set();
+    this.children = null;
+    this.count = 0; // Puntos en el subárbol
+  }
+
+  contains(x, y, z) {
+    return x >= this.minX && x < this.minX + this.size &&
+      y >= this.minY && y < this.minY + this.size &&
+      z >= this.minZ && z < this.minZ + this.size;
+  }
+
+  /**
+   * Índice del hijo que contiene un punto
+   */
+  childIndex(x, y, z) {
+    const half = this.size / 2;
+    return (x >= this.minX + half ? 1 : 0) |
+      (y >= this.minY + half ? 2 : 0) |
+      (z >= this.minZ + half ? 4 : 0);
+  }
+
+  /**
+   * Distancia al cuadrado de un punto a la caja (0 si está dentro)
+   */
+  distanceSq(x, y, z) {
+    const dx = Math.max(this.minX - x, 0, x - (this.minX + this.size));
+    const dy = Math.max(this.minY - y, 0, y - (this.minY + this.size));
+    const dz = Math.max(this.minZ - z, 0, z - (this.minZ + this.size));
+    return dx * dx + dy * dy + dz * dz;
+  }
+
+  intersectsBox(min, max) {
+    return min.x < this.minX + this.size && max.x >= this.minX &&
+      min.y < this.minY + this.size && max.y >= this.minY &&
+      min.z < this.minZ + this.size && max.z >= this.minZ;
+  }
+}
+
+class Octree {
+  /**
+   * @param {Object} options - Opciones
+   * @param {Object} options.bounds - Región inicial { min: { x, y, z }, max: { x, y, z } }
+   * @param {number} options.maxItems - Puntos por hoja antes de dividirla
+   * @param {number} options.maxDepth - Profundidad máxima (por debajo de ella las hojas crecen)
+   */
+  constructor(options = {}) {
+    const bounds = options.bounds || { min: { x: -512, y: -512, z: -512 }, max: { x: 512, y: 512, z: 512 } };
+    const size = Math.max(
+      bounds.max.x - bounds.min.x,
+      bounds.max.y - bounds.min.y,
+      bounds.max.z - bounds.min.z
+    );
+
+    this.maxItems = options.maxItems || 8;
+    this.maxDepth = options.maxDepth || 10;
+    this.root = new OctreeNode(bounds.min.x, bounds.min.y, bounds.min.z, size, 0);
+    this.records = new Map(); // item -> { item, x, y, z, node }
+  }
+
+  /**
+   * Número de puntos
+   */
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Agrega un punto (si ya existe, lo mueve)
+   */
+  insert(item, x, y, z) {
+    if (this.records.has(item)) {
+      this.update(item, x, y, z);
+      return;
+    }
+
+    const record = { item, x, y, z, node: null };
+    this.records.set(item, record);
+    this._insertRecord(record);
+  }
+
+  /**
+   * Mueve un punto; si sigue dentro de su hoja no se toca el árbol
+   */
+  update(item, x, y, z) {
+    const record = this.records.get(item);
+    if (!record) {
+      this.insert(item, x, y, z);
+      return;
+    }
+
+    record.x = x;
+    record.y = y;
+    record.z = z;
+
+    if (record.node.contains(x, y, z)) return;
+
+    this._removeRecord(record);
+    this._insertRecord(record);
+  }
+
+  /**
+   * Quita un punto
+   */
+  remove(item) {
+    const record = this.records.get(item);
+    if (!record) return false;
+
+    this._removeRecord(record);
+    this.records.delete(item);
+    return true;
+  }
+
+  has(item) {
+    return this.records.has(item);
+  }
+
+  _insertRecord(record) {
+    // Un NaN o Infinity haría crecer la raíz sin fin
+    if (!Number.isFinite(record.x) || !Number.isFinite(record.y) || !Number.isFinite(record.z)) {
+      this.records.delete(record.item);
+      throw new Error('Octree: point coordinates must be finite numbers');
+    }
+
+    while (!this.root.contains(record.x, record.y, record.z)) {
+      this._grow(record.x, record.y, record.z);
+    }
+
+    let node = this.root;
+    while (true) {
+      node.count++;
+      if (!node.children) break;
+      node = node.children[node.childIndex(record.x, record.y, record.z)];
+    }
+
+    node.records.add(record);
+    record.node = node;
+
+    if (node.records.size > this.maxItems && node.depth < this.maxDepth) {
+      this._split(node);
+    }
+  }
+
+  _removeRecord(record) {
+    const leaf = record.node;
+    leaf.records.delete(record);
+    record.node = null;
+
+    let node = leaf;
+    while (node) {
+      node.count--;
+      node = node.parent;
+    }
+
+    // Fusionar los hijos del antepasado más alto que ya cabe en una hoja
+    let collapse = null;
+    for (let current = leaf.parent; current; current = current.parent) {
+      if (current.count <= this.maxItems) collapse = current;
+    }
+    if (collapse) this._collapse(collapse);
+  }
+
+  /**
+   * Divide una hoja en 8 hijos y reparte sus puntos
+   */
+  _split(node) {
+    const half = node.size / 2;
+    node.children = [];
+    for (let i = 0; i < 8; i++) {
+      node.children.push(new OctreeNode(
+        node.minX + (i & 1 ? half : 0),
+        node.minY + (i & 2 ? half : 0),
+        node.minZ + (i & 4 ? half : 0),
+        half,
+        node.depth + 1,
+        node
+      ));
+    }
+
+    const records = node.records;
+    node.records = new Set();
+    records.forEach(record => {
+      const child = node.children[node.childIndex(record.x, record.y, record.z)];
+      child.records.add(record);
+      child.count++;
+      record.node = child;
+    });
+
+    node.children.forEach(child => {
+      if (child.records.size > this.maxItems && child.depth < this.maxDepth) {
+        this._split(child);
+      }
+    });
+  }
+
+  /**
+   * Convierte un nodo en hoja con todos los puntos de su subárbol
+   */
+  _collapse(node) {
+    if (!node.children) return;
+
+    const records = new Set();
+    const gather = (current) => {
+      current.records.forEach(record => records.add(record));
+      if (current.children) current.children.forEach(gather);
+    };
+    gather(node);
+
+    node.children = null;
+    node.records = records;
+    records.forEach(record => { record.node = node; });
+  }
+
+  /**
+   * Duplica la raíz hacia un punto exterior (la raíz actual pasa a ser uno de sus hijos)
+   */
+  _grow(x, y, z) {
+    const old = this.root;
+    const size = old.size;
+    const minX = x < old.minX ? old.minX - size : old.minX;
+    const minY = y < old.minY ? old.minY - size : old.minY;
+    const minZ = z < old.minZ ? old.minZ - size : old.minZ;
+
+    const root = new OctreeNode(minX, minY, minZ, size * 2, 0);
+    root.count = old.count;
+
+    if (old.count === 0) {
+      this.root = root;
+      return;
+    }
+
+    root.children = [];
+    for (let i = 0; i < 8; i++) {
+      const childMinX = minX + (i & 1 ? size : 0);
+      const childMinY = minY + (i & 2 ? size : 0);
+      const childMinZ = minZ + (i & 4 ? size : 0);
+      if (childMinX === old.minX && childMinY === old.minY && childMinZ === old.minZ) {
+        old.parent = root;
+        root.children.push(old);
+      } else {
+        root.children.push(new OctreeNode(childMinX, childMinY, childMinZ, size, 1, root));
+      }
+    }
+
+    // Las profundidades del subárbol anterior aumentan en uno
+    const deepen = (node) => {
+      node.depth++;
+      if (node.children) node.children.forEach(deepen);
+    };
+    deepen(old);
+    this.root = root;
+  }
+
+  /**
+   * Puntos dentro de una caja alineada a los ejes
+   * @returns {Array} Items
+   */
+  queryBox(min, max, filter = null) {
+    const result = [];
+
+    const visit = (node) => {
+      if (node.count === 0 || !node.intersectsBox(min, max)) return;
+
+      node.records.forEach(record => {
+        if (
+          record.x >= min.x && record.x <= max.x &&
+          record.y >= min.y && record.y <= max.y &&
+          record.z >= min.z && record.z <= max.z &&
+          (!filter || filter(record.item))
+        ) {
+          result.push(record.item);
+        }
+      });
+
+      if (node.children) node.children.forEach(visit);
+    };
+    visit(this.root);
+
+    return result;
+  }
+
+  /**
+   * Puntos a distancia <= radius del centro
+   * @returns {Array} Items
+   */
+  queryRadius(center, radius, filter = null) {
+    const result = [];
+    const radiusSq = radius * radius;
+
+    const visit = (node) => {
+      if (node.count === 0 || node.distanceSq(center.x, center.y, center.z) > radiusSq) return;
+
+      node.records.forEach(record => {
+        const dx = record.x - center.x;
+        const dy = record.y - center.y;
+        const dz = record.z - center.z;
+        if (dx * dx + dy * dy + dz * dz <= radiusSq && (!filter || filter(record.item))) {
+          result.push(record.item);
+        }
+      });
+
+      if (node.children) node.children.forEach(visit);
+    };
+    visit(this.root);
+
+    return result;
+  }
+
+  /**
+   * Los count puntos más cercanos, ordenados por distancia
+   * Visita primero los hijos más cercanos y descarta los que no pueden mejorar el resultado
+   * @param {Object} options - { count = 1, maxDistance = Infinity, filter }
+   * @returns {Array} [{ item, distance }]
+   */
+  nearest(point, options = {}) {
+    const count = options.count || 1;
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+    const filter = options.filter || null;
+    const found = [];
+    const limit = () => (found.length === count ? found[count - 1].distanceSq : maxDistance * maxDistance);
+
+    const visit = (node) => {
+      if (node.count === 0 || node.distanceSq(point.x, point.y, point.z) > limit()) return;
+
+      node.records.forEach(record => {
+        const dx = record.x - point.x;
+        const dy = record.y - point.y;
+        const dz = record.z - point.z;
+        const distanceSq = dx * dx + dy * dy + dz * dz;
+        if (distanceSq > limit() || (found.length === count && distanceSq >= limit())) return;
+        if (filter && !filter(record.item)) return;
+
+        insertSorted(found, { item: record.item, distanceSq }, count);
+      });
+
+      if (node.children) {
+        node.children
+          .map(child => ({ child, distanceSq: child.distanceSq(point.x, point.y, point.z) }))
+          .sort((a, b) => a.distanceSq - b.distanceSq)
+          .forEach(({ child }) => visit(child));
+      }
+    };
+    visit(this.root);
+
+    return found.map(entry => ({ item: entry.item, distance: Math.sqrt(entry.distanceSq) }));
+  }
+
+  /**
+   * Vacía el árbol (conserva los límites actuales)
+   */
+  clear() {
+    const root = this.root;
+    this.root = new OctreeNode(root.minX, root.minY, root.minZ, root.size, 0);
+    this.records.clear();
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    let nodes = 0;
+    let depth = 0;
+    const visit = (node) => {
+      nodes++;
+      depth = Math.max(depth, node.depth);
+      if (node.children) node.children.forEach(visit);
+    };
+    visit(this.root);
+
+    return {
+      type: 'octree',
+      items: this.records.size,
+      nodes,
+      depth
+    };
+  }
+}
+
+export default Octree;
@@ -0,0 +1,318 @@
+/**
+ * SpatialHash
+ * Rejilla uniforme de celdas cúbicas: cada punto se guarda en la celda que lo contiene
+ * Inserción y movimiento en O(1); las consultas solo recorren las celdas que tocan.
+ * Adecuado para mundos abiertos con densidad más o menos uniforme (el tamaño de celda
+ * debería rondar el radio típico de las consultas).
+ *
+ * Interfaz común con Octree: insert/update (item, x, y, z), remove, has, size,
+ * queryBox, queryRadius, nearest y clear
+ */
+
+class SpatialHash {
+  /**
+   * @param {Object} options - Opciones
+   * @param {number} options.cellSize - Lado de cada celda
+   */
+  constructor(options = {}) {
+    this.cellSize = options.cellSize || 10;
+    this.cells = new Map(); // 'cx,cy,cz' -> Set<record>
+    this.records = new Map(); // item -> { item, x, y, z, key }
+  }
+
+  /**
+   * Número de puntos
+   */
+  get size() {
+    return this.records.size;
+  }
+
+  /**
+   * Clave de la celda que contiene una coordenada
+   */
+  _cell(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  _key(cx, cy, cz) {
+    return `${cx},${cy},${cz}`;
+  }
+
+  /**
+   * Agrega un punto (si ya existe, lo mueve)
+   */
+  insert(item, x, y, z) {
+    if (this.records.has(item)) {
+      this.update(item, x, y, z);
+      return;
+    }
+
+    const record = { item, x, y, z, key: this._key(this._cell(x), this._cell(y), this._cell(z)) };
+    this.records.set(item, record);
+    this._addToCell(record);
+  }
+
+  /**
+   * Mueve un punto; solo cambia de celda si cruza su borde
+   */
+  update(item, x, y, z) {
+    const record = this.records.get(item);
+    if (!record) {
+      this.insert(item, x, y, z);
+      return;
+    }
+
+    record.x = x;
+    record.y = y;
+    record.z = z;
+
+    const key = this._key(this._cell(x), this._cell(y), this._cell(z));
+    if (key !== record.key) {
+      this._removeFromCell(record);
+      record.key = key;
+      this._addToCell(record);
+    }
+  }
+
+  /**
+   * Quita un punto
+   */
+  remove(item) {
+    const record = this.records.get(item);
+    if (!record) return false;
+
+    this._removeFromCell(record);
+    this.records.delete(item);
+    return true;
+  }
+
+  has(item) {
+    return this.records.has(item);
+  }
+
+  _addToCell(record) {
+    let cell = this.cells.get(record.key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(record.key, cell);
+    }
+    cell.add(record);
+  }
+
+  _removeFromCell(record) {
+    const cell = this.cells.get(record.key);
+    if (!cell) return;
+
+    cell.delete(record);
+    if (cell.size === 0) {
+      this.cells.delete(record.key);
+    }
+  }
+
+  /**
+   * Recorre las celdas de un rango (en coordenadas de celda)
+   */
+  _forEachCell(minX, minY, minZ, maxX, maxY, maxZ, callback) {
+    // Rango más grande que la cantidad de celdas ocupadas: es más barato recorrerlas todas
+    const volume = (maxX - minX + 1) * (maxY - minY + 1) * (maxZ - minZ + 1);
+    if (volume > this.cells.size) {
+      this.cells.forEach((cell, key) => {
+        const [cx, cy, cz] = key.split(',').map(Number);
+        if (cx >= minX && cx <= maxX && cy >= minY && cy <= maxY && cz >= minZ && cz <= maxZ) {
+          callback(cell);
+        }
+      });
+      return;
+    }
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        for (let cz = minZ; cz <= maxZ; cz++) {
+          const cell = this.cells.get(this._key(cx, cy, cz));
+          if (cell) callback(cell);
+        }
+      }
+    }
+  }
+
+  /**
+   * Puntos dentro de una caja alineada a los ejes
+   * @param {Object} min - { x, y, z }
+   * @param {Object} max - { x, y, z }
+   * @param {Function} filter - (item) => boolean (opcional)
+   * @returns {Array} Items
+   */
+  queryBox(min, max, filter = null) {
+    const result = [];
+
+    this._forEachCell(
+      this._cell(min.x), this._cell(min.y), this._cell(min.z),
+      this._cell(max.x), this._cell(max.y), this._cell(max.z),
+      (cell) => {
+        cell.forEach(record => {
+          if (
+            record.x >= min.x && record.x <= max.x &&
+            record.y >= min.y && record.y <= max.y &&
+            record.z >= min.z && record.z <= max.z &&
+            (!filter || filter(record.item))
+          ) {
+            result.push(record.item);
+          }
+        });
+      }
+    );
+
+    return result;
+  }
+
+  /**
+   * Puntos a distancia <= radius del centro
+   * @returns {Array} Items
+   */
+  queryRadius(center, radius, filter = null) {
+    const result = [];
+    const radiusSq = radius * radius;
+
+    this._forEachCell(
+      this._cell(center.x - radius), this._cell(center.y - radius), this._cell(center.z - radius),
+      this._cell(center.x + radius), this._cell(center.y + radius), this._cell(center.z + radius),
+      (cell) => {
+        cell.forEach(record => {
+          const dx = record.x - center.x;
+          const dy = record.y - center.y;
+          const dz = record.z - center.z;
+          if (dx * dx + dy * dy + dz * dz <= radiusSq && (!filter || filter(record.item))) {
+            result.push(record.item);
+          }
+        });
+      }
+    );
+
+    return result;
+  }
+
+  /**
+   * Los count puntos más cercanos, ordenados por distancia
+   * Recorre capas de celdas alrededor del punto hasta que ninguna celda sin visitar
+   * pueda tener un punto más cercano que los encontrados
+   * @param {Object} point - { x, y, z }
+   * @param {Object} options - { count = 1, maxDistance = Infinity, filter }
+   * @returns {Array} [{ item, distance }]
+   */
+  nearest(point, options = {}) {
+    const count = options.count || 1;
+    const maxDistance = options.maxDistance !== undefined ? options.maxDistance : Infinity;
+    const filter = options.filter || null;
+    const found = []; // [{ item, distanceSq }] ordenado
+
+    if (this.records.size === 0) return [];
+
+    const cx = this._cell(point.x);
+    const cy = this._cell(point.y);
+    const cz = this._cell(point.z);
+    const maxDistanceSq = maxDistance * maxDistance;
+
+    // Capa máxima: la que alcanza maxDistance o la celda ocupada más lejana
+    let maxRing = Number.isFinite(maxDistance) ? Math.ceil(maxDistance / this.cellSize) + 1 : 0;
+    if (!Number.isFinite(maxDistance)) {
+      this.cells.forEach((cell, key) => {
+        const [x, y, z] = key.split(',').map(Number);
+        maxRing = Math.max(maxRing, Math.abs(x - cx), Math.abs(y - cy), Math.abs(z - cz));
+      });
+    }
+
+    const visit = (cell) => {
+      cell.forEach(record => {
+        const dx = record.x - point.x;
+        const dy = record.y - point.y;
+        const dz = record.z - point.z;
+        const distanceSq = dx * dx + dy * dy + dz * dz;
+        if (distanceSq > maxDistanceSq) return;
+        if (found.length === count && distanceSq >= found[count - 1].distanceSq) return;
+        if (filter && !filter(record.item)) return;
+
+        insertSorted(found, { item: record.item, distanceSq }, count);
+      });
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Una celda de la capa ring está al menos a (ring - 1) * cellSize del punto
+      if (found.length === count) {
+        const limit = (ring - 1) * this.cellSize;
+        if (limit > 0 && limit * limit > found[count - 1].distanceSq) break;
+      }
+
+      if (ring === 0) {
+        const cell = this.cells.get(this._key(cx, cy, cz));
+        if (cell) visit(cell);
+        continue;
+      }
+
+      // Capas con más celdas que las ocupadas: se recorren las ocupadas restantes de una vez
+      if (24 * ring * ring > this.cells.size) {
+        this.cells.forEach((cell, key) => {
+          const [x, y, z] = key.split(',').map(Number);
+          if (Math.max(Math.abs(x - cx), Math.abs(y - cy), Math.abs(z - cz)) >= ring) visit(cell);
+        });
+        break;
+      }
+
+      this._forEachRingCell(cx, cy, cz, ring, visit);
+    }
+
+    return found.map(entry => ({ item: entry.item, distance: Math.sqrt(entry.distanceSq) }));
+  }
+
+  /**
+   * Recorre las celdas de la superficie del cubo de radio ring (en celdas)
+   */
+  _forEachRingCell(cx, cy, cz, ring, callback) {
+    for (let x = cx - ring; x <= cx + ring; x++) {
+      for (let y = cy - ring; y <= cy + ring; y++) {
+        const onFace = Math.abs(x - cx) === ring || Math.abs(y - cy) === ring;
+        // En las caras x/y se recorre toda la columna z; si no, solo sus extremos
+        const step = onFace ? 1 : ring * 2;
+        for (let z = cz - ring; z <= cz + ring; z += step) {
+          const cell = this.cells.get(this._key(x, y, z));
+          if (cell) callback(cell);
+        }
+      }
+    }
+  }
+
+  /**
+   * Vacía el índice
+   */
+  clear() {
+    this.cells.clear();
+    this.records.clear();
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      type: 'hash',
+      items: this.records.size,
+      cells: this.cells.size,
+      cellSize: this.cellSize
+    };
+  }
+}
+
+/**
+ * Inserta en una lista ordenada por distancia, limitada a count elementos
+ */
+export function insertSorted(list, entry, count) {
+  let index = list.length;
+  while (index > 0 && list[index - 1].distanceSq > entry.distanceSq) {
+    index--;
+  }
+  list.splice(index, 0, entry);
+  if (list.length > count) {
+    list.pop();
+  }
+}
+
+export default SpatialHash;
@@ -0,0 +1,270 @@
+/**
+ * SpatialIndex
+ * Índice espacial de las entidades de un world según su transform (posición de mundo si
+ * TransformSystem la calculó). Lo crea el world al usar queryRadius, queryBox o nearest.
+ *
+ * Las entidades entran y salen con sus eventos (entityAdded, componentAdded...). Los
+ * movimientos siguen el mismo seguimiento de cambios que los filtros changed: las
+ * entidades con el transform marcado (updateComponent, markChanged o TransformSystem al
+ * recalcular la posición de mundo) quedan pendientes y se reindexan antes de la
+ * siguiente consulta; el resto no se vuelve a leer. Un cambio directo (transform.x += ...)
+ * necesita markChanged, updateEntity() o sync(true).
+ *
+ * @example
+ * const world = new World({ spatial: { type: 'octree' } });
+ * world.queryRadius(player.getComponent('transform'), 10, { tags: ['enemy'] });
+ * world.nearest(position, { components: ['pickup'] });
+ */
+
+import SpatialHash from './SpatialHash.js';
+import Octree from './Octree.js';
+
+class SpatialIndex {
+  /**
+   * @param {World} world - World indexado
+   * @param {Object} options - Opciones
+   * @param {string} options.type - 'hash' (por defecto) u 'octree'
+   * @param {Object} options.structure - Estructura propia con la interfaz de SpatialHash
+   * @param {string} options.component - Componente con la posición (por defecto 'transform')
+   * @param {number} options.cellSize - Tamaño de celda del hash
+   * @param {Object} options.bounds - Región inicial del octree
+   */
+  constructor(world, options = {}) {
+    this.world = world;
+    this.component = options.component || 'transform';
+    this.type = options.structure ? 'custom' : (options.type || 'hash');
+
+    if (options.structure) {
+      this.structure = options.structure;
+    } else if (this.type === 'octree') {
+      this.structure = new Octree(options);
+    } else if (this.type === 'hash') {
+      this.structure = new SpatialHash(options);
+    } else {
+      throw new Error(`Unknown spatial index type '${this.type}' (expected hash or octree)`);
+    }
+
+    this.tracked = new Map(); // entity -> { x, y, z } indexada (null: sin posición válida)
+    this.dirty = new Set(); // Entidades con el transform cambiado desde la última sincronización
+
+    this.stats = {
+      syncs: 0,
+      processed: 0, // Entidades releídas al sincronizar
+      moved: 0,
+      queries: 0
+    };
+
+    this._unsubscribe = [
+      world.on('entityAdded', (entity) => this._track(entity)),
+      world.on('entityRemoved', (entity) => this._untrack(entity)),
+      world.on('componentAdded', (entity, type) => {
+        if (type === this.component) this._track(entity);
+      }),
+      world.on('componentRemoved', (entity, type) => {
+        if (type === this.component) this._untrack(entity);
+      }),
+      world.on('componentChanged', (entity, type) => {
+        if (type === this.component && this.tracked.has(entity)) this.dirty.add(entity);
+      })
+    ];
+
+    world.entities.forEach(entity => this._track(entity));
+  }
+
+  /**
+   * Empieza a seguir una entidad del world con el componente de posición
+   */
+  _track(entity) {
+    if (this.tracked.has(entity) || !entity.hasComponent(this.component)) return;
+    // Las entidades en cola se indexan al procesarse (entityAdded)
+    if (this.world.entities.get(entity.id) !== entity) return;
+
+    this.tracked.set(entity, null);
+    this._refresh(entity);
+  }
+
+  _untrack(entity) {
+    if (!this.tracked.has(entity)) return;
+
+    this.tracked.delete(entity);
+    this.dirty.delete(entity);
+    this.structure.remove(entity);
+  }
+
+  /**
+   * Posición de mundo de una entidad (la local si no tiene jerarquía)
+   */
+  _readPosition(entity) {
+    const transform = entity.getComponent(this.component);
+    if (!transform) return null;
+
+    const position = transform.world || transform;
+    if (!Number.isFinite(position.x) || !Number.isFinite(position.y || 0) || !Number.isFinite(position.z || 0)) {
+      return null;
+    }
+    return position;
+  }
+
+  /**
+   * Actualiza una entidad en la estructura si su posición cambió
+   * @returns {boolean} true si se movió
+   */
+  _refresh(entity) {
+    const indexed = this.tracked.get(entity);
+    const position = this._readPosition(entity);
+
+    if (!position) {
+      // Sin posición válida (NaN mientras se inicializa): fuera de las consultas
+      if (indexed) {
+        this.structure.remove(entity);
+        this.tracked.set(entity, null);
+      }
+      return false;
+    }
+
+    const x = position.x;
+    const y = position.y || 0;
+    const z = position.z || 0;
+
+    if (indexed && indexed.x === x && indexed.y === y && indexed.z === z) {
+      return false;
+    }
+
+    this.structure.update(entity, x, y, z);
+    this.tracked.set(entity, { x, y, z });
+    return true;
+  }
+
+  /**
+   * Actualiza en el momento la posición indexada de una entidad
+   * Útil dentro de un mismo sistema que mueve entidades y consulta después
+   */
+  updateEntity(entity) {
+    if (this.tracked.has(entity)) {
+      this.dirty.delete(entity);
+      this._refresh(entity);
+    }
+  }
+
+  /**
+   * Reindexa las entidades con el transform cambiado
+   * @param {boolean} all - Releer todas las entidades (cambios directos sin markChanged)
+   */
+  sync(all = false) {
+    const entities = all ? this.tracked.keys() : this.dirty;
+    if (!all && this.dirty.size === 0) return;
+
+    this.stats.syncs++;
+    for (const entity of entities) {
+      this.stats.processed++;
+      if (this._refresh(entity)) this.stats.moved++;
+    }
+    this.dirty.clear();
+  }
+
+  /**
+   * Construye el filtro de entidades de las consultas
+   * @param {Object} options - { tags, components, filter, includeInactive }
+   */
+  _createFilter(options) {
+    const tags = toList(options.tags);
+    const components = toList(options.components);
+    const filter = options.filter || null;
+    const includeInactive = options.includeInactive || false;
+
+    return (entity) =>
+      (includeInactive || entity.active) &&
+      tags.every(tag => entity.hasTag(tag)) &&
+      components.every(type => entity.hasComponent(type)) &&
+      (!filter || filter(entity));
+  }
+
+  /**
+   * En modo determinista los resultados salen ordenados por id
+   */
+  _order(entities) {
+    return this.world.deterministic ? entities.sort((a, b) => a.id - b.id) : entities;
+  }
+
+  /**
+   * Entidades a distancia <= radius de un punto
+   * @param {Object} center - { x, y, z }
+   * @param {number} radius - Radio
+   * @param {Object} options - { tags, components, filter, includeInactive }
+   * @returns {Entity[]}
+   */
+  queryRadius(center, radius, options = {}) {
+    this.sync();
+    this.stats.queries++;
+    return this._order(this.structure.queryRadius(toPoint(center), radius, this._createFilter(options)));
+  }
+
+  /**
+   * Entidades dentro de una caja alineada a los ejes
+   * @param {Object} min - { x, y, z }
+   * @param {Object} max - { x, y, z }
+   * @param {Object} options - { tags, components, filter, includeInactive }
+   * @returns {Entity[]}
+   */
+  queryBox(min, max, options = {}) {
+    this.sync();
+    this.stats.queries++;
+    return this._order(this.structure.queryBox(toPoint(min), toPoint(max), this._createFilter(options)));
+  }
+
+  /**
+   * Entidades más cercanas a un punto, ordenadas por distancia
+   * @param {Object} point - { x, y, z }
+   * @param {Object} options - { count = 1, maxDistance, tags, components, filter, includeInactive }
+   * @returns {Array} [{ entity, distance }]
+   */
+  nearest(point, options = {}) {
+    this.sync();
+    this.stats.queries++;
+    return this.structure.nearest(toPoint(point), {
+      count: options.count || 1,
+      maxDistance: options.maxDistance,
+      filter: this._createFilter(options)
+    }).map(({ item, distance }) => ({ entity: item, distance }));
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      tracked: this.tracked.size,
+      ...this.stats,
+      ...this.structure.getStats()
+    };
+  }
+
+  /**
+   * Deja de seguir el world
+   */
+  destroy() {
+    this._unsubscribe.forEach(unsubscribe => unsubscribe());
+    this._unsubscribe = [];
+    this.tracked.clear();
+    this.dirty.clear();
+    this.structure.clear();
+  }
+}
+
+/**
+ * Acepta un valor suelto o una lista
+ */
+function toList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Normaliza un punto (admite transforms, Vec3 o { x, y, z } con ejes omitidos)
+ */
+function toPoint(value) {
+  const position = value.world || value;
+  return { x: position.x || 0, y: position.y || 0, z: position.z || 0 };
+}
+
+export default SpatialIndex;
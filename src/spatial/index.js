@@ -0,0 +1,8 @@
+/**
+ * Spatial Index
+ * Exporta las estructuras espaciales y el índice de entidades del world
+ */
+
+export { default as SpatialHash } from './SpatialHash.js';
+export { default as Octree } from './Octree.js';
+export { default as SpatialIndex } from './SpatialIndex.js';
@@ -6,6 +6,8 @@
 
 import System from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
+import Vec3 from '../math/Vec3.js';
+import { BehaviorTreeRegistry } from '../ai/BehaviorTree.js';
 
 /**
  * AssetType - Tipos de assets soportados
@@ -16,7 +18,9 @@ const AssetType = {
   AUDIO: 'audio',
   FONT: 'font',
   DATA: 'data',
-  VIDEO: 'video'
+  VIDEO: 'video',
+  PREFAB: 'prefab',
+  BEHAVIOR_TREE: 'behaviorTree'
 };
 
 /**
@@ -140,11 +144,20 @@ class AssetSystem extends System {
     this.config = {
       maxConcurrentLoads: 3,
       maxCacheSize: 100 * 1024 * 1024, // 100MB
-      preloadDistance: 100, // Distancia para precargar assets
+      preloadDistance: 0, // Distancia para precargar assets (componente preload; 0: desactivado)
+      preloadHysteresis: 1.25, // Los precargados se liberan más allá de preloadDistance * este factor
+      preloadInterval: 0.5, // Segundos entre comprobaciones de distancia
       autoUnload: true,
       autoUnloadDelay: 30000 // 30 segundos
     };
 
+    // Precarga por distancia: assets de las entidades con componente preload { assets: [ids] }
+    this.preloadOrigin = null; // { x, y, z } fijado con setPreloadOrigin (por defecto la cámara activa)
+    // id -> 'loading' | 'loaded' | 'releasing' (se alejó mientras cargaba) | 'missing' | 'failed'
+    // Los 'loaded' tienen una referencia propia
+    this.preloaded = new Map();
+    this._preloadTimer = 0;
+
     this.stats = {
       totalLoaded: 0,
       totalSize: 0,
@@ -221,6 +234,16 @@ class AssetSystem extends System {
         this.cache.set(asset.uri, asset.data);
       }
 
+      // Los prefabs se registran en el world al cargarse
+      if (asset.type === AssetType.PREFAB) {
+        this.registerPrefabs(asset.data);
+      }
+
+      // Los árboles de comportamiento se compilan y registran al cargarse
+      if (asset.type === AssetType.BEHAVIOR_TREE) {
+        this.registerBehaviorTrees(asset.data);
+      }
+
       asset.status = AssetStatus.LOADED;
       asset.loadedAt = Date.now();
       asset.refCount = 1;
@@ -283,6 +306,8 @@ class AssetSystem extends System {
         return { uri: asset.uri };
 
       case AssetType.DATA:
+      case AssetType.PREFAB:
+      case AssetType.BEHAVIOR_TREE:
         return await AssetLoader.loadData(asset.uri, options);
 
       case AssetType.FONT:
@@ -363,6 +388,65 @@ class AssetSystem extends System {
     return asset && asset.status === AssetStatus.LOADED;
   }
 
+  // ===== Prefabs =====
+
+  /**
+   * Registra en el world los prefabs de un JSON
+   * Acepta un prefab ({ name, extends, components, tags, children }) o
+   * un paquete ({ prefabs: { orc: {...}, goblin: {...} } })
+   * Los prefabs ya registrados se actualizan y propagan los cambios a sus instancias
+   * @returns {string[]} Nombres registrados
+   */
+  registerPrefabs(data) {
+    if (!this.world) {
+      throw new Error('AssetSystem must be registered in a world to load prefabs');
+    }
+
+    const pending = data.prefabs
+      ? Object.entries(data.prefabs)
+      : [[data.name, data]];
+
+    pending.forEach(([name]) => {
+      if (!name) throw new Error('Prefab JSON requires a name');
+    });
+
+    // Registrar primero las bases de las que dependen los demás
+    const registered = [];
+    while (pending.length > 0) {
+      const index = pending.findIndex(([, definition]) =>
+        !definition.extends ||
+        this.world.prefabs.has(definition.extends) ||
+        !pending.some(([name]) => name === definition.extends)
+      );
+      const [[name, definition]] = pending.splice(index === -1 ? 0 : index, 1);
+
+      if (this.world.prefabs.has(name)) {
+        this.world.updatePrefab(name, definition);
+      } else {
+        this.world.registerPrefab(name, definition);
+      }
+      registered.push(name);
+    }
+
+    this.emitter.emit('prefabsRegistered', { names: registered });
+
+    return registered;
+  }
+
+  // ===== Behavior Trees =====
+
+  /**
+   * Registra los árboles de comportamiento de un JSON
+   * Acepta un árbol ({ name, root }) o un paquete ({ trees: { guard: { root }, ... } })
+   * Los árboles ya registrados se reemplazan (las entidades que los usan se reinician)
+   * @returns {string[]} Nombres registrados
+   */
+  registerBehaviorTrees(data) {
+    const names = BehaviorTreeRegistry.load(data);
+    this.emitter.emit('behaviorTreesRegistered', { names });
+    return names;
+  }
+
   // ===== Batch Loading =====
 
   /**
@@ -399,6 +483,119 @@ class AssetSystem extends System {
     return await this.loadAssets(assetsToLoad);
   }
 
+  // ===== Distance Preloading =====
+
+  /**
+   * Fija el punto desde el que se precarga (null: la cámara activa)
+   */
+  setPreloadOrigin(x, y, z) {
+    this.preloadOrigin = x === null ? null : { x, y, z };
+  }
+
+  /**
+   * Posición desde la que se mide preloadDistance
+   */
+  _getPreloadOrigin() {
+    if (this.preloadOrigin) return this.preloadOrigin;
+
+    const camera = this.world.getEntitiesWithComponents('transform', 'camera')
+      .find(entity => entity.getComponent('camera').active);
+    if (!camera) return null;
+
+    const transform = camera.getComponent('transform');
+    return transform.world || transform;
+  }
+
+  /**
+   * Carga los assets de las entidades con preload cercanas y libera los que quedaron lejos
+   * Usa el índice espacial del world (queryRadius)
+   */
+  _preloadNearbyAssets() {
+    const origin = this._getPreloadOrigin();
+    if (!origin) return;
+
+    const distance = this.config.preloadDistance;
+    const keepDistance = distance * this.config.preloadHysteresis;
+    const candidates = this.world.queryRadius(origin, keepDistance, { components: ['preload'] });
+
+    const wanted = new Set(); // Dentro de preloadDistance: cargar
+    const kept = new Set(); // Dentro del margen: conservar si ya están
+    candidates.forEach(entity => {
+      const ids = entity.getComponent('preload').assets || [];
+      const near = Vec3.distance(origin, this._getPosition(entity)) <= distance;
+      ids.forEach(id => (near ? wanted : kept).add(id));
+    });
+
+    wanted.forEach(id => {
+      const state = this.preloaded.get(id);
+      if (state === undefined) {
+        this._preloadAsset(id);
+      } else if (state === 'releasing') {
+        // Volvió antes de terminar la carga: se reutiliza la que está en curso
+        this.preloaded.set(id, 'loading');
+      }
+    });
+
+    this.preloaded.forEach((state, id) => {
+      if (wanted.has(id) || kept.has(id)) return;
+
+      // Los que siguen cargando se liberan al terminar (_preloadAsset)
+      if (state === 'loading' || state === 'releasing') {
+        this.preloaded.set(id, 'releasing');
+        return;
+      }
+
+      // missing/failed se olvidan: se reintentan al volver a acercarse
+      this.preloaded.delete(id);
+      if (state === 'loaded') {
+        this.unloadAsset(id);
+        this.emitter.emit('assetPreloadReleased', { id });
+      }
+    });
+  }
+
+  /**
+   * Carga un asset por cercanía (mantiene una referencia mientras siga cerca)
+   */
+  _preloadAsset(id) {
+    if (!this.assets.has(id)) {
+      console.warn(`AssetSystem: preload of unregistered asset '${id}'`);
+      // Marcado para no repetir el aviso mientras siga cerca
+      this.preloaded.set(id, 'missing');
+      return;
+    }
+
+    this.preloaded.set(id, 'loading');
+
+    this.loadAsset(id)
+      .then(() => {
+        if (this.preloaded.get(id) === 'loading') {
+          this.preloaded.set(id, 'loaded');
+          this.emitter.emit('assetPreloaded', { id });
+        } else {
+          // Se alejó mientras cargaba
+          if (this.preloaded.get(id) === 'releasing') this.preloaded.delete(id);
+          this.unloadAsset(id);
+        }
+      })
+      .catch(() => {
+        // El error ya se emitió como assetLoadError; no reintentar mientras siga cerca
+        if (this.preloaded.get(id) === 'loading') {
+          this.preloaded.set(id, 'failed');
+        } else if (this.preloaded.get(id) === 'releasing') {
+          this.preloaded.delete(id);
+        }
+      });
+  }
+
+  /**
+   * Posición de mundo de una entidad
+   */
+  _getPosition(entity) {
+    const transform = entity.getComponent('transform');
+    return transform.world || transform;
+  }
+
   // ===== Auto Management =====
 
   /**
@@ -431,8 +628,14 @@ class AssetSystem extends System {
       this._autoUnloadUnused();
     }
 
-    // TODO: Implementar precarga basada en distancia
-    // this._preloadNearbyAssets();
+    // Precarga basada en distancia
+    if (this.config.preloadDistance > 0) {
+      this._preloadTimer += deltaTime;
+      if (this._preloadTimer >= this.config.preloadInterval) {
+        this._preloadTimer = 0;
+        this._preloadNearbyAssets();
+      }
+    }
   }
 
   // ===== Events =====
@@ -452,7 +655,8 @@ class AssetSystem extends System {
       ...this.stats,
       registered: this.assets.size,
       loading: this.loading.size,
-      cached: this.cache.size
+      cached: this.cache.size,
+      preloaded: this.preloaded.size
     };
   }
 
@@ -467,6 +671,7 @@ class AssetSystem extends System {
 
   destroy() {
     super.destroy();
+    this.preloaded.clear();
 
     // Descargar todos los assets
     this.assets.forEach((asset, id) => {
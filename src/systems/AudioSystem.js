@@ -6,6 +6,9 @@
 
 import System from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
+import { TransformHelpers } from '../components/3d/Transform.js';
+import Vec3 from '../math/Vec3.js';
+import MathUtils from '../math/MathUtils.js';
 
 /**
  * AudioCategory - Categorías de audio para control de volumen
@@ -45,7 +48,15 @@ class SoundInstance {
  * AudioSystem
  */
 class AudioSystem extends System {
-  constructor(adapter) {
+  /**
+   * @param {Object} adapter - Adapter de audio de la plataforma
+   * @param {Object} options - Opciones
+   * @param {number} options.cullDistance - Las fuentes más lejanas del listener no se actualizan y quedan en silencio (0: sin culling)
+   * @param {boolean} options.useSpatialIndex - Buscar las fuentes cercanas con world.queryRadius
+   *   El índice espacial solo reindexa los transforms marcados (markChanged); antes de cada consulta
+   *   se releen las posiciones de las fuentes para ver también los cambios directos (transform.x = ...)
+   */
+  constructor(adapter, options = {}) {
     super('AudioSystem', [], 50); // Prioridad media
     this.adapter = adapter;
     this.emitter = new EventEmitter();
@@ -73,6 +84,12 @@ class AudioSystem extends System {
       forward: { x: 0, y: 0, z: -1 },
       up: { x: 0, y: 1, z: 0 }
     };
+
+    // Culling por distancia de las fuentes 3D (componente audioSource)
+    this.cullDistance = options.cullDistance || 0;
+    this.useSpatialIndex = options.useSpatialIndex !== false;
+    this.culled = new Set(); // instanceIds silenciados por estar lejos
+    this._audibleInstances = new Set(); // instanceIds actualizados en el último frame
   }
 
   init(world) {
@@ -160,6 +177,7 @@ class AudioSystem extends System {
       onEnd: () => {
         if (!instance.loop) {
           this.instances.delete(instanceId);
+          this.culled.delete(instanceId);
           this.emitter.emit('soundEnded', { instanceId, id });
         }
       }
@@ -182,6 +200,7 @@ class AudioSystem extends System {
     this.adapter.stopSound(instance.sound);
     instance.playing = false;
     this.instances.delete(instanceId);
+    this.culled.delete(instanceId);
 
     this.emitter.emit('soundStopped', { instanceId });
   }
@@ -272,7 +291,7 @@ class AudioSystem extends System {
   }
 
   _calculateFinalVolume(instance) {
-    if (this.muted) return 0;
+    if (this.muted || this.culled.has(instance.id)) return 0;
 
     let volume = instance.volume;
     volume *= this.categoryVolumes[instance.category] || 1;
@@ -280,10 +299,7 @@ class AudioSystem extends System {
 
     // Si es audio 3D, aplicar atenuación por distancia
     if (instance.is3D) {
-      const distance = this._calculateDistance(
-        this.listener.position,
-        instance.position3D
-      );
+      const distance = Vec3.distance(this.listener.position, instance.position3D);
       const attenuation = this._calculateAttenuation(
         distance,
         instance.refDistance,
@@ -345,19 +361,63 @@ class AudioSystem extends System {
     }
   }
 
-  _calculateDistance(pos1, pos2) {
-    const dx = pos2.x - pos1.x;
-    const dy = pos2.y - pos1.y;
-    const dz = pos2.z - pos1.z;
-    return Math.sqrt(dx * dx + dy * dy + dz * dz);
-  }
-
   _calculateAttenuation(distance, refDistance, maxDistance) {
     if (distance <= refDistance) return 1;
     if (distance >= maxDistance) return 0;
 
     // Atenuación lineal
-    return 1 - ((distance - refDistance) / (maxDistance - refDistance));
+    return 1 - MathUtils.inverseLerp(refDistance, maxDistance, distance);
+  }
+
+  // ===== Culling =====
+
+  /**
+   * Cambia la distancia de culling (0 la desactiva y restaura los sonidos silenciados)
+   */
+  setCullDistance(distance) {
+    this.cullDistance = Math.max(0, distance);
+
+    if (this.cullDistance === 0 && this.culled.size > 0) {
+      this.culled.clear();
+      this._audibleInstances.clear();
+      this._updateAllVolumes();
+    }
+  }
+
+  /**
+   * Entidades con audioSource a actualizar este frame
+   * Con cullDistance solo las cercanas al listener (con el índice espacial si está disponible)
+   */
+  _getAudibleSources() {
+    if (this.cullDistance > 0 && this.useSpatialIndex && typeof this.world.queryRadius === 'function') {
+      const index = this.world.getSpatialIndex();
+      this.world.getEntitiesWithComponents('transform', 'audioSource').forEach(entity => index.updateEntity(entity));
+
+      return this.world.queryRadius(this.listener.position, this.cullDistance, { components: ['audioSource'] })
+        .filter(entity => entity.hasComponent('transform'));
+    }
+
+    const entities = this.world.getEntitiesWithComponents('transform', 'audioSource');
+    if (this.cullDistance <= 0) return entities;
+
+    return entities.filter(entity => {
+      const transform = TransformHelpers.getWorldTransform(entity.getComponent('transform'));
+      return Vec3.distance(this.listener.position, transform) <= this.cullDistance;
+    });
+  }
+
+  /**
+   * Silencia una instancia que quedó fuera de la distancia de culling
+   */
+  _cullInstance(instanceId) {
+    const instance = this.instances.get(instanceId);
+    if (!instance || this.culled.has(instanceId)) return;
+
+    this.culled.add(instanceId);
+    if (instance.playing) {
+      this.adapter.setVolume(instance.sound, 0);
+    }
+    this.emitter.emit('soundCulled', { instanceId });
   }
 
   // ===== System Update =====
@@ -365,14 +425,28 @@ class AudioSystem extends System {
   update(deltaTime) {
     super.update(deltaTime);
 
+    // Actualizar listener desde cámara activa (antes que las fuentes: el culling depende de él)
+    const cameras = this.world.getEntitiesWithComponents('transform', 'camera');
+    const activeCamera = cameras.find(e => e.getComponent('camera').active);
+
+    if (activeCamera) {
+      const transform = TransformHelpers.getWorldTransform(activeCamera.getComponent('transform'));
+      this.setListenerPosition(transform.x, transform.y, transform.z);
+    }
+
     // Actualizar posiciones de audio 3D automáticamente desde componentes
-    const entities = this.world.getEntitiesWithComponents('transform', 'audioSource');
+    const audible = new Set();
 
-    entities.forEach(entity => {
-      const transform = entity.getComponent('transform');
+    this._getAudibleSources().forEach(entity => {
+      const transform = TransformHelpers.getWorldTransform(entity.getComponent('transform'));
       const audioSource = entity.getComponent('audioSource');
 
       if (audioSource.instanceId && audioSource.is3D) {
+        audible.add(audioSource.instanceId);
+        if (this.culled.delete(audioSource.instanceId)) {
+          this.emitter.emit('soundUnculled', { instanceId: audioSource.instanceId });
+        }
+
         this.setSoundPosition(
           audioSource.instanceId,
           transform.x,
@@ -382,14 +456,25 @@ class AudioSystem extends System {
       }
     });
 
-    // Actualizar listener desde cámara activa
-    const cameras = this.world.getEntitiesWithComponents('transform', 'camera');
-    const activeCamera = cameras.find(e => e.getComponent('camera').active);
-
-    if (activeCamera) {
-      const transform = activeCamera.getComponent('transform');
-      this.setListenerPosition(transform.x, transform.y, transform.z);
+    // Las que salieron del radio se silencian una vez y dejan de actualizarse
+    if (this.cullDistance > 0) {
+      this._audibleInstances.forEach(instanceId => {
+        if (!audible.has(instanceId)) this._cullInstance(instanceId);
+      });
     }
+    this._audibleInstances = audible;
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      sounds: this.sounds.size,
+      instances: this.instances.size,
+      audible: this._audibleInstances.size,
+      culled: this.culled.size
+    };
   }
 
   // ===== Event Listeners =====
@@ -0,0 +1,173 @@
+/**
+ * BehaviorTreeSystem
+ * Ejecuta los árboles de comportamiento de las entidades con componente 'behaviorTree'
+ * Cada entidad se evalúa a una frecuencia configurable (ticks por segundo), no cada frame
+ */
+
+import System from '../core/System.js';
+import { BehaviorTreeRegistry, Blackboard } from '../ai/BehaviorTree.js';
+import { TransformHelpers } from '../components/3d/Transform.js';
+import '../components/logic/BehaviorTree.js';
+
+/**
+ * BehaviorTreeSystem - IA de NPCs
+ *
+ * Las acciones reciben un contexto por entidad:
+ * { entity, world, blackboard, deltaTime, raycast(origin, direction, maxDistance), canSee(target, maxDistance) }
+ * raycast usa PhysicsSystem.raycast ignorando el propio cuerpo de la entidad
+ */
+class BehaviorTreeSystem extends System {
+  /**
+   * @param {Object} config - Configuración
+   * @param {number} config.rate - Ticks por segundo por defecto (0: cada frame)
+   */
+  constructor(config = {}) {
+    super('BehaviorTreeSystem', ['behaviorTree'], 55, { before: ['StateMachineSystem', 'TransformSystem'] });
+
+    this.config = {
+      rate: 10,
+      ...config
+    };
+
+    this.instances = new Map(); // entity -> { instance, context, accumulator }
+
+    this.stats = {
+      agents: 0,
+      ticks: 0
+    };
+  }
+
+  /**
+   * Ejecuta los árboles que toca evaluar este frame
+   */
+  process(entities, deltaTime) {
+    this.stats.agents = entities.length;
+
+    entities.forEach(entity => {
+      const component = entity.getComponent('behaviorTree');
+      if (!component.enabled) return;
+
+      // El árbol puede estar cargándose todavía desde el AssetSystem
+      const tree = BehaviorTreeRegistry.get(component.tree);
+      if (!tree) return;
+
+      const agent = this._getAgent(entity, component, tree);
+      agent.accumulator += deltaTime;
+
+      const rate = component.rate !== null ? component.rate : this.config.rate;
+      if (rate > 0 && agent.accumulator < 1 / rate) return;
+
+      agent.context.deltaTime = agent.accumulator;
+      agent.accumulator = 0;
+
+      component.status = tree.tick(agent.instance, agent.context);
+      this.stats.ticks++;
+    });
+  }
+
+  /**
+   * Obtiene (o crea) el estado de ejecución de una entidad
+   * Si el árbol se reemplaza (p. ej. al recargar el asset) la ejecución se reinicia
+   */
+  _getAgent(entity, component, tree) {
+    let agent = this.instances.get(entity);
+
+    if (!agent || agent.instance.tree !== tree || agent.instance.blackboard.data !== component.blackboard) {
+      const instance = tree.createInstance(new Blackboard(component.blackboard));
+      agent = {
+        instance,
+        accumulator: agent ? agent.accumulator : 0,
+        context: {
+          entity,
+          world: this.world,
+          blackboard: instance.blackboard,
+          deltaTime: 0,
+          raycast: (origin, direction, maxDistance) => this.raycast(entity, origin, direction, maxDistance),
+          canSee: (target, maxDistance) => this.canSee(entity, target, maxDistance)
+        }
+      };
+      this.instances.set(entity, agent);
+    }
+
+    return agent;
+  }
+
+  /**
+   * Raycast desde una entidad (su propio cuerpo no bloquea el rayo)
+   * @returns {Object|null} Impacto de PhysicsSystem.raycast o null sin física
+   */
+  raycast(entity, origin, direction, maxDistance = 100) {
+    const physics = this.world ? this.world.getSystem('PhysicsSystem') : null;
+    if (!physics) return null;
+
+    return physics.raycast(origin, direction, maxDistance, { exclude: entity });
+  }
+
+  /**
+   * Verifica la línea de visión entre dos entidades
+   * Sin PhysicsSystem solo se comprueba la distancia
+   * @param {Entity} entity - Quien mira
+   * @param {Entity|number} target - Entidad (o id) objetivo
+   * @param {number} maxDistance - Alcance de la vista
+   */
+  canSee(entity, target, maxDistance = 50) {
+    const targetEntity = typeof target === 'number' ? this.world.getEntity(target) : target;
+    if (!targetEntity || !targetEntity.active) return false;
+
+    const from = entity.getComponent('transform');
+    const to = targetEntity.getComponent('transform');
+    if (!from || !to) return false;
+
+    const origin = TransformHelpers.getWorldTransform(from);
+    const destination = TransformHelpers.getWorldTransform(to);
+    const dx = destination.x - origin.x;
+    const dy = destination.y - origin.y;
+    const dz = destination.z - origin.z;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (distance > maxDistance) return false;
+    if (distance === 0) return true;
+
+    const direction = { x: dx / distance, y: dy / distance, z: dz / distance };
+    const hit = this.raycast(entity, origin, direction, distance);
+
+    return !hit || hit.entity === targetEntity || hit.distance >= distance;
+  }
+
+  /**
+   * Reinicia la ejecución del árbol de una entidad (el blackboard se conserva)
+   */
+  resetTree(entity) {
+    const agent = this.instances.get(entity);
+    if (agent) {
+      agent.instance.reset();
+    }
+  }
+
+  /**
+   * Limpia el estado de las entidades eliminadas
+   */
+  onEntityRemoved(entity) {
+    this.instances.delete(entity);
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      trees: BehaviorTreeRegistry.trees.size
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    this.instances.clear();
+    super.destroy();
+  }
+}
+
+export default BehaviorTreeSystem;
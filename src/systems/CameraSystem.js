@@ -4,8 +4,12 @@
  * Maneja múltiples cámaras, controles, interpolación y transiciones
  */
 
-import System from '../core/System.js';
+import System, { SystemPhase } from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
+import { TransformHelpers } from '../components/3d/Transform.js';
+import Vec3 from '../math/Vec3.js';
+import Quat from '../math/Quat.js';
+import MathUtils from '../math/MathUtils.js';
 import * as THREE from 'three';
 
 /**
@@ -13,7 +17,7 @@ import * as THREE from 'three';
  */
 class CameraSystem extends System {
   constructor() {
-    super('CameraSystem', ['camera'], 70); // Alta prioridad
+    super('CameraSystem', ['camera'], 70, { phase: SystemPhase.LATE_UPDATE }); // Después de mover las entidades
 
     this.emitter = new EventEmitter();
 
@@ -43,6 +47,9 @@ class CameraSystem extends System {
     this.transitions = new Map(); // cameraId -> transition
     this.lerpSpeed = 0.1;
 
+    this._quat = new Quat();
+    this._target = new Vec3();
+
     // Configuración multiplataforma
     this.platformSettings = {
       web: {
@@ -117,6 +124,7 @@ class CameraSystem extends System {
     // Si es la cámara activa, desactivar
     if (this.activeCamera === entity) {
       this.activeCamera = null;
+      if (this.world) this.world.removeResource('activeCamera');
     }
 
     // Limpiar controles
@@ -135,6 +143,9 @@ class CameraSystem extends System {
    * Actualiza el sistema
    */
   update(deltaTime) {
+    // Seguir el transform de las entidades (en espacio de mundo)
+    this._syncTransforms();
+
     // Actualizar transiciones
     this._updateTransitions(deltaTime);
 
@@ -145,6 +156,28 @@ class CameraSystem extends System {
     this._updateFPS(deltaTime);
   }
 
+  /**
+   * Copia la transformación de mundo de cada entidad a su cámara
+   * Las cámaras en transición o sin transform no se tocan
+   */
+  _syncTransforms() {
+    this.cameras.forEach((cameraData, entity) => {
+      const transform = entity.getComponent('transform');
+      if (!transform || this.transitions.has(entity)) return;
+
+      const world = TransformHelpers.getWorldTransform(transform);
+      cameraData.camera.position.set(world.x, world.y, world.z);
+
+      if (cameraData.component.target) {
+        const target = cameraData.component.target;
+        cameraData.camera.lookAt(target.x || 0, target.y || 0, target.z || 0);
+      } else {
+        const q = TransformHelpers.getQuaternion(world, this._quat);
+        cameraData.camera.quaternion.set(q.x, q.y, q.z, q.w);
+      }
+    });
+  }
+
   /**
    * Crea una cámara a partir del componente
    */
@@ -301,12 +334,8 @@ class CameraSystem extends System {
         camera.position.lerpVectors(transition.from.position, transition.to.position, easedProgress);
 
         if (transition.from.target && transition.to.target) {
-          const target = new THREE.Vector3().lerpVectors(
-            new THREE.Vector3(transition.from.target.x, transition.from.target.y, transition.from.target.z),
-            new THREE.Vector3(transition.to.target.x, transition.to.target.y, transition.to.target.z),
-            easedProgress
-          );
-          camera.lookAt(target);
+          const target = Vec3.lerp(transition.from.target, transition.to.target, easedProgress, this._target);
+          camera.lookAt(target.x, target.y, target.z);
         }
       }
 
@@ -346,6 +375,14 @@ class CameraSystem extends System {
     // Actualizar estadísticas
     this.stats.activeCamera = entity;
 
+    // Publicar como recurso: world.getResource('activeCamera') -> { entity, camera }
+    if (this.world) {
+      this.world.setResource('activeCamera', {
+        entity,
+        camera: this.cameras.get(entity).camera
+      }, { serialize: false });
+    }
+
     // Emitir evento
     this.emitter.emit('activeCameraChanged', {
       previous: previousCamera,
@@ -454,9 +491,10 @@ class CameraSystem extends System {
     const cameraData = this.activeCamera ? this.cameras.get(this.activeCamera) : null;
     if (!cameraData || !cameraData.controls) return;
 
-    cameraData.controls.distance = Math.max(
+    cameraData.controls.distance = MathUtils.clamp(
+      cameraData.controls.distance + delta,
       this.controlSettings.minDistance,
-      Math.min(this.controlSettings.maxDistance, cameraData.controls.distance + delta)
+      this.controlSettings.maxDistance
     );
 
     // Actualizar posición de la cámara
@@ -540,6 +578,49 @@ class CameraSystem extends System {
     }
   }
 
+  /**
+   * Guarda la cámara activa y el estado de los controles orbitales
+   */
+  snapshot() {
+    const controls = {};
+    this.cameras.forEach((cameraData, entity) => {
+      if (cameraData.controls) {
+        const { target, distance, azimuthAngle, polarAngle } = cameraData.controls;
+        controls[entity.id] = {
+          target: { x: target.x, y: target.y, z: target.z },
+          distance,
+          azimuthAngle,
+          polarAngle
+        };
+      }
+    });
+
+    return {
+      activeCamera: this.activeCamera ? this.activeCamera.id : null,
+      controls
+    };
+  }
+
+  /**
+   * Restaura la cámara activa y los controles
+   */
+  restore(state) {
+    Object.entries(state.controls || {}).forEach(([id, saved]) => {
+      const cameraData = this.cameras.get(this.world.getEntity(Number(id)));
+      if (!cameraData || !cameraData.controls) return;
+
+      const { target, ...angles } = saved;
+      Object.assign(cameraData.controls, angles);
+      cameraData.controls.target = new THREE.Vector3(target.x, target.y, target.z);
+      this._updateCameraPosition(cameraData);
+    });
+
+    const active = state.activeCamera !== null && this.world.getEntity(state.activeCamera);
+    if (active && this.cameras.has(active)) {
+      this.setActiveCamera(active);
+    }
+  }
+
   /**
    * Event listeners
    */
@@ -559,6 +640,9 @@ class CameraSystem extends System {
     this.cameras.forEach(cameraData => this._disposeCamera(cameraData));
     this.cameras.clear();
 
+    if (this.activeCamera && this.world) {
+      this.world.removeResource('activeCamera');
+    }
     this.activeCamera = null;
     this.cameraStack = [];
     this.transitions.clear();
@@ -4,7 +4,7 @@
  * Muestra información en tiempo real sobre rendimiento y estado del juego
  */
 
-import System from '../core/System.js';
+import System, { SystemPhase } from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
 
 /**
@@ -12,7 +12,7 @@ import EventEmitter from '../utils/EventEmitter.js';
  */
 class DebugSystem extends System {
   constructor() {
-    super('DebugSystem', [], 0); // Prioridad mínima
+    super('DebugSystem', [], 0, { phase: SystemPhase.RENDER, after: ['RenderSystem'] }); // Prioridad mínima
 
     this.emitter = new EventEmitter();
 
@@ -53,6 +53,11 @@ class DebugSystem extends System {
       // Systems
       systems: new Map(),
       systemUpdateTime: new Map(),
+      frameBudget: 0,
+
+      // State machines
+      stateMachines: [],
+      stateTransitions: [],
 
       // Network (if applicable)
       latency: 0,
@@ -72,6 +77,7 @@ class DebugSystem extends System {
     this.meshSystem = null;
     this.lightSystem = null;
     this.physicsSystem = null;
+    this.stateMachineSystem = null;
 
     // Performance tracking
     this.frameStartTime = 0;
@@ -109,6 +115,7 @@ class DebugSystem extends System {
     this.meshSystem = this.world.getSystem('MeshSystem');
     this.lightSystem = this.world.getSystem('LightSystem');
     this.physicsSystem = this.world.getSystem('PhysicsSystem');
+    this.stateMachineSystem = this.world.getSystem('StateMachineSystem');
   }
 
   /**
@@ -208,16 +215,30 @@ class DebugSystem extends System {
       });
     }
 
+    // Recolectar estado de las máquinas de estados
+    if (this.stateMachineSystem) {
+      const info = this.stateMachineSystem.getDebugInfo();
+      this.stats.stateMachines = info.machines;
+      this.stats.stateTransitions = info.history;
+    }
+
     // Actualizar historial
     this._updateHistory();
 
-    // Actualizar estadísticas de sistemas
+    // Actualizar estadísticas de sistemas (perfil del world: media de la ventana móvil)
     if (this.world) {
-      this.world.systems.forEach(system => {
-        const updateTime = this.stats.systemUpdateTime.get(system.name) || 0;
-        this.stats.systems.set(system.name, {
-          updateTime,
-          priority: system.priority
+      const profile = this.world.getProfile();
+      this.stats.frameBudget = profile.frameBudget;
+      this.stats.systems.clear();
+
+      profile.systems.forEach(entry => {
+        this.stats.systems.set(entry.label, {
+          updateTime: entry.time.avg,
+          maxTime: entry.time.max,
+          entities: entry.entities,
+          allocated: entry.allocated ? entry.allocated.avg : null,
+          overBudget: entry.overBudget,
+          priority: entry.system.priority
         });
       });
     }
@@ -275,6 +296,7 @@ class DebugSystem extends System {
     this._createRenderPanel();
     this._createEntitiesPanel();
     this._createSystemsPanel();
+    this._createStateMachinesPanel();
     this._createMemoryPanel();
 
     // Agregar al DOM
@@ -355,6 +377,18 @@ class DebugSystem extends System {
     this.container.appendChild(panel);
   }
 
+  /**
+   * Crea panel de máquinas de estados
+   */
+  _createStateMachinesPanel() {
+    const panel = this._createPanel('State Machines', 'state-machines');
+    panel.innerHTML = `
+      <div class="rof-debug-section" id="debug-state-machines-list"></div>
+      <div class="rof-debug-section" id="debug-state-transitions" style="color: #888; font-size: 10px;"></div>
+    `;
+    this.container.appendChild(panel);
+  }
+
   /**
    * Crea panel de memoria
    */
@@ -467,15 +501,43 @@ class DebugSystem extends System {
       systemsList.innerHTML = '';
       this.stats.systems.forEach((data, name) => {
         const div = document.createElement('div');
-        div.style.cssText = 'margin: 2px 0;';
+        const budget = this.stats.frameBudget ? (data.updateTime / this.stats.frameBudget) * 100 : 0;
+        const allocated = data.allocated !== null ? ` · ${(data.allocated / 1024).toFixed(1)}KB` : '';
+        div.style.cssText = `margin: 2px 0;${data.overBudget ? ' color: #f55;' : ''}`;
         div.innerHTML = `
           <span style="display: inline-block; width: 100px;">${name}:</span>
           <span class="rof-debug-value">${data.updateTime.toFixed(3)}ms</span>
-          <span style="color: #888; font-size: 10px;">(prio: ${data.priority})</span>
+          <span style="color: #888; font-size: 10px;">(max ${data.maxTime.toFixed(2)}ms · ${budget.toFixed(0)}% · ${data.entities} ent${allocated} · prio: ${data.priority})</span>
         `;
         systemsList.appendChild(div);
       });
     }
+
+    // State machines: estado actual y últimas transiciones
+    const machinesList = document.getElementById('debug-state-machines-list');
+    if (machinesList) {
+      machinesList.innerHTML = '';
+      this.stats.stateMachines.forEach(data => {
+        const div = document.createElement('div');
+        div.style.cssText = 'margin: 2px 0;';
+        div.innerHTML = `
+          <span style="display: inline-block; width: 100px;">#${data.entity} ${data.machine}:</span>
+          <span class="rof-debug-value">${data.state}</span>
+          <span style="color: #888; font-size: 10px;">(${data.time.toFixed(1)}s${data.previous ? ` · from ${data.previous}` : ''})</span>
+        `;
+        machinesList.appendChild(div);
+      });
+    }
+
+    const transitionsList = document.getElementById('debug-state-transitions');
+    if (transitionsList) {
+      transitionsList.innerHTML = '';
+      this.stats.stateTransitions.slice(-5).reverse().forEach(transition => {
+        const div = document.createElement('div');
+        div.textContent = `#${transition.entity} ${transition.from || '∅'} → ${transition.to}${transition.event ? ` (${transition.event})` : ''}`;
+        transitionsList.appendChild(div);
+      });
+    }
   }
 
   /**
@@ -574,6 +636,8 @@ class DebugSystem extends System {
     this.stats.entitiesByComponent.clear();
     this.stats.systems.clear();
     this.stats.systemUpdateTime.clear();
+    this.stats.stateMachines = [];
+    this.stats.stateTransitions = [];
 
     this.emitter.removeAllListeners();
 
@@ -4,7 +4,7 @@
  * Maneja mouse, teclado, touch y gestos
  */
 
-import System from '../core/System.js';
+import System, { SystemPhase } from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
 import Platform from '../utils/Platform.js';
 
@@ -59,7 +59,7 @@ class InputState {
  */
 class InputSystem extends System {
   constructor(adapter) {
-    super('InputSystem', [], 100); // Prioridad alta
+    super('InputSystem', [], 100, { phase: SystemPhase.PRE_UPDATE }); // Se lee antes que el resto
     this.adapter = adapter;
     this.state = new InputState();
     this.emitter = new EventEmitter();
@@ -72,6 +72,9 @@ class InputSystem extends System {
   init(world) {
     super.init(world);
     this.adapter.init(this.state, this.emitter);
+
+    // Estado compartido sin depender de InputSystem: world.getResource('input')
+    world.setResource('input', this.state, { serialize: false });
   }
 
   update(deltaTime) {
@@ -208,6 +211,10 @@ class InputSystem extends System {
    */
 
   destroy() {
+    if (this.world && this.world.getResource('input') === this.state) {
+      this.world.removeResource('input');
+    }
+
     super.destroy();
     this.adapter.destroy();
     this.emitter.removeAllListeners();
@@ -6,6 +6,7 @@
 import System from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
 import { LightComponent } from '../components/3d/Light.js';
+import { TransformHelpers } from '../components/3d/Transform.js';
 
 /**
  * LightSystem - Gestión de luces 3D
@@ -51,6 +52,11 @@ class LightSystem extends System {
 
     // Escena para agregar luces
     this.scene = null;
+
+    this.config = {
+      // Solo sincroniza los transforms cambiados (requiere entity.markChanged tras modificarlos en el sitio)
+      syncOnlyChanged: false
+    };
   }
 
   /**
@@ -147,10 +153,27 @@ class LightSystem extends System {
    * Actualiza el sistema
    */
   update(deltaTime) {
+    // Seguir el transform de las entidades (en espacio de mundo)
+    this._syncTransforms();
+
     // Actualizar helpers si están habilitados
     this._updateHelpers();
   }
 
+  /**
+   * Copia la posición de mundo de cada entidad con transform a su luz
+   */
+  _syncTransforms() {
+    this.lights.forEach((lightData, entity) => {
+      const transform = entity.getComponent('transform');
+      if (!transform || !lightData.light.position) return;
+      if (this.config.syncOnlyChanged && !this.hasChanged(entity, 'transform')) return;
+
+      const world = TransformHelpers.getWorldTransform(transform);
+      lightData.light.position.set(world.x, world.y, world.z);
+    });
+  }
+
   /**
    * Crea una luz a partir del componente
    */
@@ -0,0 +1,371 @@
+/**
+ * LockstepSystem
+ * Simulación en lockstep determinista: los peers solo intercambian inputs por tick y cada
+ * uno simula el mismo world. Un paso fijo solo se ejecuta cuando están los inputs de todos
+ * los jugadores para ese tick; si falta alguno, el world espera (stall).
+ *
+ * El input local de un tick se envía inputDelay ticks antes de simularlo para ocultar la
+ * latencia. Tras cada paso se calcula una huella del world (Checksum) y se envía a los
+ * peers; si no coincide se piden los hashes por componente y se emite 'desync' con el
+ * informe de qué entidades y componentes divergieron.
+ *
+ * Requisitos de determinismo: world.random en lugar de Math.random, la lógica solo en
+ * fixedUpdate y sin depender del tiempo real. Activa world.setDeterministic().
+ *
+ * Mensajes (JSON):
+ * - { type: 'lockstep:input', player, tick, input }
+ * - { type: 'lockstep:checksum', player, tick, hash }
+ * - { type: 'lockstep:desyncRequest', player, tick }
+ * - { type: 'lockstep:hashes', player, tick, parts }
+ *
+ * @example
+ * world.registerSystem(new LockstepSystem({
+ *   playerId: 1,
+ *   players: [1, 2],
+ *   sample: (input, tick) => ({ orders: pendingOrders.splice(0) }),
+ *   apply: (inputs, tick, world) => inputs.forEach(({ player, input }) => issueOrders(world, player, input))
+ * }));
+ * lockstep.addPeer(2, new WebSocketTransport(url));
+ */
+
+import System from '../core/System.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import { computeChecksum, compareChecksums } from '../network/Checksum.js';
+
+class LockstepSystem extends System {
+  /**
+   * @param {Object} config - Configuración
+   * @param {*} config.playerId - Jugador local
+   * @param {Array} config.players - Todos los jugadores (incluido el local)
+   * @param {Function} config.sample - (inputSystem, tick) => input serializable del jugador local
+   * @param {Function} config.apply - (inputs [{ player, input }], tick, world) => void; antes de cada paso
+   * @param {number} config.inputDelay - Ticks entre tomar un input y simularlo
+   * @param {number} config.checksumInterval - Ticks entre huellas (1: cada tick)
+   * @param {number} config.historySize - Huellas guardadas para los informes de desync
+   * @param {Object} config.checksum - Opciones de computeChecksum (components, ignore)
+   */
+  constructor(config = {}) {
+    super('LockstepSystem', [], 0);
+
+    if (config.playerId === undefined || !Array.isArray(config.players) || !config.players.includes(config.playerId)) {
+      throw new Error('LockstepSystem needs a playerId included in players');
+    }
+    if (typeof config.apply !== 'function') {
+      throw new Error('LockstepSystem needs an apply(inputs, tick, world) function');
+    }
+
+    this.config = {
+      sample: () => null,
+      inputDelay: 2,
+      checksumInterval: 1,
+      historySize: 120,
+      checksum: {},
+      ...config
+    };
+
+    // Orden fijo de los jugadores: apply() recibe los inputs siempre en el mismo orden
+    this.players = [...config.players].sort();
+    this.playerId = config.playerId;
+    this.emitter = new EventEmitter();
+    this.peers = new Map(); // playerId -> { transport, unsubscribe }
+
+    this.tick = 0; // Próximo tick a simular
+    this.inputs = new Map(); // tick -> Map<player, input>
+    this._nextLocalTick = 0; // Próximo tick con input local por tomar
+    this.checksums = new Map(); // tick -> { hash, parts }
+    this.remoteChecksums = new Map(); // tick -> Map<player, hash>
+    this.desyncs = []; // Informes
+    this._pendingReports = new Map(); // 'player:tick' -> info del desync a la espera de hashes
+    this._warnedSkipped = false;
+
+    this.stats = {
+      ticks: 0,
+      stalls: 0,
+      checksums: 0,
+      desyncs: 0
+    };
+  }
+
+  /**
+   * Se registra como condición de los pasos fijos del world
+   */
+  init(world) {
+    super.init(world);
+    world.setFixedStepGate(this);
+    world.setDeterministic(true);
+  }
+
+  /**
+   * El lockstep avanza en los pasos fijos
+   */
+  update() {}
+
+  /**
+   * Agrega un peer (transporte hacia otro jugador o hacia un relay)
+   */
+  addPeer(playerId, transport) {
+    if (this.peers.has(playerId)) {
+      this.removePeer(playerId);
+    }
+
+    const unsubscribe = [
+      transport.on('message', (message) => this._onMessage(message)),
+      transport.on('close', () => this.emitter.emit('peerDisconnected', playerId))
+    ];
+    this.peers.set(playerId, { transport, unsubscribe });
+
+    // Un peer que se une tarde recibe los inputs locales ya enviados y aún no simulados
+    this.inputs.forEach((inputs, tick) => {
+      if (inputs.has(this.playerId)) {
+        transport.send({ type: 'lockstep:input', player: this.playerId, tick, input: inputs.get(this.playerId) });
+      }
+    });
+  }
+
+  /**
+   * Quita un peer
+   */
+  removePeer(playerId) {
+    const peer = this.peers.get(playerId);
+    if (!peer) return;
+
+    this.peers.delete(playerId);
+    peer.unsubscribe.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Envía un mensaje a todos los peers
+   */
+  _broadcast(message) {
+    this.peers.forEach(peer => peer.transport.send(message));
+  }
+
+  /**
+   * Procesa un mensaje de un peer
+   */
+  _onMessage(message) {
+    switch (message && message.type) {
+      case 'lockstep:input':
+        // Inputs de ticks ya simulados llegarían tarde: no pueden cambiar nada
+        if (message.tick >= this.tick) {
+          this._setInput(message.tick, message.player, message.input);
+        }
+        break;
+
+      case 'lockstep:checksum':
+        this._onRemoteChecksum(message.player, message.tick, message.hash);
+        break;
+
+      case 'lockstep:desyncRequest': {
+        const checksum = this.checksums.get(message.tick);
+        const peer = this.peers.get(message.player);
+        if (checksum && peer) {
+          peer.transport.send({ type: 'lockstep:hashes', player: this.playerId, tick: message.tick, parts: checksum.parts });
+        }
+        break;
+      }
+
+      case 'lockstep:hashes':
+        this._onRemoteHashes(message.player, message.tick, message.parts);
+        break;
+
+      default:
+        this.emitter.emit('message', message);
+    }
+  }
+
+  /**
+   * Guarda el input de un jugador para un tick
+   */
+  _setInput(tick, player, input) {
+    if (!this.inputs.has(tick)) {
+      this.inputs.set(tick, new Map());
+    }
+    this.inputs.get(tick).set(player, input === undefined ? null : input);
+  }
+
+  /**
+   * Toma y envía los inputs locales hasta tick + inputDelay
+   */
+  _sampleLocalInputs() {
+    const inputSystem = this.world.getSystem('InputSystem');
+
+    while (this._nextLocalTick <= this.tick + this.config.inputDelay) {
+      const tick = this._nextLocalTick++;
+      // Los primeros ticks no tienen input: nadie pudo enviarlo a tiempo
+      const input = tick < this.config.inputDelay ? null : this.config.sample(inputSystem, tick);
+
+      this._setInput(tick, this.playerId, input);
+      this._broadcast({ type: 'lockstep:input', player: this.playerId, tick, input });
+    }
+  }
+
+  /**
+   * Verifica si están los inputs de todos los jugadores para un tick
+   * Los primeros inputDelay ticks se simulan sin inputs
+   */
+  isTickReady(tick) {
+    if (tick < this.config.inputDelay) return true;
+
+    const inputs = this.inputs.get(tick);
+    return Boolean(inputs) && this.players.every(player => inputs.has(player));
+  }
+
+  /**
+   * Antes de cada paso fijo: espera los inputs y los aplica
+   * @returns {boolean} false si falta algún input (el paso no se ejecuta)
+   */
+  beforeFixedStep() {
+    if (!this.enabled) return true;
+
+    this._sampleLocalInputs();
+
+    if (!this.isTickReady(this.tick)) {
+      this.stats.stalls++;
+      this.emitter.emit('stall', this.tick);
+      return false;
+    }
+
+    const inputs = this.inputs.get(this.tick) || new Map();
+    this.config.apply(
+      this.players.map(player => ({ player, input: inputs.has(player) ? inputs.get(player) : null })),
+      this.tick,
+      this.world
+    );
+    return true;
+  }
+
+  /**
+   * Después de cada paso fijo: huella del estado y avance del tick
+   */
+  afterFixedStep() {
+    if (!this.enabled) return;
+
+    const tick = this.tick;
+    this.inputs.delete(tick);
+    this.tick++;
+    this.stats.ticks++;
+
+    if (tick % this.config.checksumInterval === 0) {
+      this._recordChecksum(tick);
+    }
+  }
+
+  /**
+   * Calcula, guarda y envía la huella de un tick
+   */
+  _recordChecksum(tick) {
+    const checksum = computeChecksum(this.world, this.config.checksum);
+    if (checksum.skipped.length > 0 && !this._warnedSkipped) {
+      this._warnedSkipped = true;
+      console.warn(`LockstepSystem: components not serializable, left out of checksums: ${checksum.skipped.join(', ')}`);
+    }
+
+    this.checksums.set(tick, checksum);
+    if (this.checksums.size > this.config.historySize) {
+      this.checksums.delete(this.checksums.keys().next().value);
+    }
+    this.stats.checksums++;
+
+    this._broadcast({ type: 'lockstep:checksum', player: this.playerId, tick, hash: checksum.hash });
+
+    // Huellas remotas que llegaron antes que la local
+    const remote = this.remoteChecksums.get(tick);
+    if (remote) {
+      this.remoteChecksums.delete(tick);
+      remote.forEach((hash, player) => this._compare(player, tick, hash));
+    }
+  }
+
+  /**
+   * Procesa la huella de un peer
+   */
+  _onRemoteChecksum(player, tick, hash) {
+    if (this.checksums.has(tick)) {
+      this._compare(player, tick, hash);
+      return;
+    }
+
+    // El peer va por delante: se compara al calcular la local
+    if (tick >= this.tick) {
+      if (!this.remoteChecksums.has(tick)) {
+        this.remoteChecksums.set(tick, new Map());
+      }
+      this.remoteChecksums.get(tick).set(player, hash);
+    }
+  }
+
+  /**
+   * Compara una huella remota con la local; si difieren pide el detalle
+   */
+  _compare(player, tick, remoteHash) {
+    const local = this.checksums.get(tick);
+    if (!local || local.hash === remoteHash) return;
+
+    this.stats.desyncs++;
+    this._pendingReports.set(`${player}:${tick}`, { tick, player, localHash: local.hash, remoteHash });
+    this.emitter.emit('desyncDetected', { tick, player });
+
+    const peer = this.peers.get(player);
+    if (peer) {
+      peer.transport.send({ type: 'lockstep:desyncRequest', player: this.playerId, tick });
+    }
+  }
+
+  /**
+   * Construye el informe de desync con los hashes por componente del peer
+   */
+  _onRemoteHashes(player, tick, parts) {
+    const key = `${player}:${tick}`;
+    const pending = this._pendingReports.get(key);
+    const local = this.checksums.get(tick);
+    if (!pending || !local) return;
+
+    this._pendingReports.delete(key);
+    const report = { ...pending, ...compareChecksums(local.parts, parts) };
+    this.desyncs.push(report);
+    this.emitter.emit('desync', report);
+  }
+
+  /**
+   * Suscribe a eventos: 'stall' (tick), 'desyncDetected' ({ tick, player }),
+   * 'desync' (informe), 'peerDisconnected' (playerId), 'message'
+   */
+  on(event, callback) {
+    return this.emitter.on(event, callback);
+  }
+
+  off(event, callback) {
+    this.emitter.off(event, callback);
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      tick: this.tick,
+      peers: this.peers.size,
+      bufferedTicks: this.inputs.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    Array.from(this.peers.keys()).forEach(playerId => this.removePeer(playerId));
+    if (this.world) {
+      this.world.setFixedStepGate(null);
+    }
+    this.inputs.clear();
+    this.checksums.clear();
+    this.remoteChecksums.clear();
+    this._pendingReports.clear();
+    this.emitter.removeAllListeners();
+    super.destroy();
+  }
+}
+
+export default LockstepSystem;
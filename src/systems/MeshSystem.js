@@ -4,15 +4,19 @@
  */
 
 import System from '../core/System.js';
+import * as THREE from 'three';
 import EventEmitter from '../utils/EventEmitter.js';
 import { MeshComponent } from '../components/3d/Mesh.js';
+import { TransformHelpers } from '../components/3d/Transform.js';
+import Quat from '../math/Quat.js';
+import Vec3 from '../math/Vec3.js';
 
 /**
  * MeshSystem - Gestión de mallas 3D
  */
 class MeshSystem extends System {
   constructor() {
-    super('MeshSystem', ['transform', 'mesh'], 60); // Prioridad alta (después de Physics)
+    super('MeshSystem', ['transform', 'mesh'], 60, { before: ['PhysicsSystem'] }); // Guarda el paso fijo previo antes que Physics
 
     this.emitter = new EventEmitter();
 
@@ -40,8 +44,17 @@ class MeshSystem extends System {
       enableInstancing: true,
       enableFrustumCulling: true,
       enableLOD: true,
+      enableInterpolation: true,
+      // Solo sincroniza los transforms cambiados (requiere entity.markChanged tras modificarlos en el sitio)
+      syncOnlyChanged: false,
       maxInstancesPerMesh: 1000
     };
+
+    // Transformaciones del paso fijo anterior (para interpolación)
+    this.previousTransforms = new Map(); // entity -> transform
+
+    // Mesh de cada posición del almacenamiento tipado de transform
+    this._synced = { meshes: [], layoutVersion: -1, capacity: 0 };
   }
 
   /**
@@ -66,6 +79,7 @@ class MeshSystem extends System {
     if (!meshData) return;
 
     this.meshes.set(entity, meshData);
+    this._synced.layoutVersion = -1;
 
     // Actualizar estadísticas
     this.stats.totalMeshes++;
@@ -92,6 +106,8 @@ class MeshSystem extends System {
     this._disposeMesh(meshData);
 
     this.meshes.delete(entity);
+    this.previousTransforms.delete(entity);
+    this._synced.layoutVersion = -1;
 
     // Actualizar estadísticas
     this.stats.totalMeshes--;
@@ -106,6 +122,25 @@ class MeshSystem extends System {
     this.emitter.emit('meshRemoved', { entity, mesh: meshData });
   }
 
+  /**
+   * Guarda la transformación previa a cada paso fijo
+   * Se ejecuta antes que la física (mayor prioridad)
+   */
+  fixedUpdate(fixedDeltaTime) {
+    if (!this.config.enableInterpolation) return;
+
+    this.meshes.forEach((meshData, entity) => {
+      const transform = entity.getComponent('transform');
+      if (!transform || !this._shouldInterpolate(entity, transform)) return;
+
+      const previous = this.previousTransforms.get(entity) || { quaternion: new Quat() };
+      Object.assign(previous, transform, {
+        quaternion: TransformHelpers.getQuaternion(transform, previous.quaternion)
+      });
+      this.previousTransforms.set(entity, previous);
+    });
+  }
+
   /**
    * Actualiza el sistema
    */
@@ -157,7 +192,7 @@ class MeshSystem extends System {
       }
 
       // Aplicar transformación inicial
-      this._applyTransform(mesh, transform);
+      this._applyTransform(mesh, TransformHelpers.getWorldTransform(transform));
 
       // Configurar propiedades de renderizado
       mesh.castShadow = meshComponent.castShadow;
@@ -257,7 +292,10 @@ class MeshSystem extends System {
   _applyTransform(mesh, transform) {
     mesh.position.set(transform.x, transform.y, transform.z);
 
-    if (transform.rotationX !== undefined) {
+    if (transform.quaternion) {
+      const q = transform.quaternion;
+      mesh.quaternion.set(q.x, q.y, q.z, q.w);
+    } else if (transform.rotationX !== undefined) {
       mesh.rotation.set(
         transform.rotationX,
         transform.rotationY || 0,
@@ -278,33 +316,133 @@ class MeshSystem extends System {
    * Actualiza las transformaciones de todos los meshes
    */
   _updateTransforms() {
+    const alpha = this.world ? this.world.alpha : 1;
+    const storage = this.world ? this.world.getComponentStorage('transform') : null;
+
+    if (storage) {
+      this._updateTypedTransforms(storage, alpha);
+      return;
+    }
+
     this.meshes.forEach((meshData, entity) => {
       const transform = entity.getComponent('transform');
-      if (transform && meshData.mesh) {
-        this._applyTransform(meshData.mesh, transform);
-      }
+      if (!transform || !meshData.mesh) return;
+
+      this._syncTransform(entity, meshData.mesh, transform, alpha);
     });
   }
 
+  /**
+   * Sincroniza el transform de una entidad con su mesh
+   */
+  _syncTransform(entity, mesh, transform, alpha) {
+    const previous = this.previousTransforms.get(entity);
+    if (previous && this.config.enableInterpolation && this._shouldInterpolate(entity, transform)) {
+      this._applyTransform(mesh, this._interpolateTransform(previous, transform, alpha));
+    } else if (!this.config.syncOnlyChanged || this.hasChanged(entity, 'transform')) {
+      this._applyTransform(mesh, TransformHelpers.getWorldTransform(transform));
+    }
+  }
+
+  /**
+   * Sincroniza los transforms leyendo directamente las columnas del almacenamiento tipado
+   * Escribe lo mismo que _applyTransform; las entidades hijas, interpoladas o con cuaternión
+   * usan el camino general
+   */
+  _updateTypedTransforms(storage, alpha) {
+    const { x, y, z, rotationX, rotationY, rotationZ, scaleX, scaleY, scaleZ } = storage.fields;
+    const { meshes } = this._getSyncState(storage);
+    const { entities, views } = storage;
+    const syncOnlyChanged = this.config.syncOnlyChanged;
+
+    for (let i = 0; i < storage.count; i++) {
+      const mesh = meshes[i];
+      if (!mesh) continue;
+
+      const entity = entities[i];
+      const transform = views[i];
+
+      if (entity.parent || transform.quaternion || this.previousTransforms.has(entity)) {
+        this._syncTransform(entity, mesh, transform, alpha);
+        continue;
+      }
+
+      if (syncOnlyChanged && !this.hasChanged(entity, 'transform')) continue;
+
+      mesh.position.set(x[i], y[i], z[i]);
+      mesh.rotation.set(rotationX[i], rotationY[i], rotationZ[i]);
+      mesh.scale.set(scaleX[i], scaleY[i], scaleZ[i]);
+    }
+  }
+
+  /**
+   * Mesh de cada posición del almacenamiento
+   * Se reconstruye si el almacenamiento reordena posiciones o cambian los meshes
+   */
+  _getSyncState(storage) {
+    const synced = this._synced;
+
+    if (synced.layoutVersion !== storage.layoutVersion || synced.capacity !== storage.capacity) {
+      synced.meshes = storage.entities.map(entity => {
+        const meshData = this.meshes.get(entity);
+        return meshData ? meshData.mesh : null;
+      });
+      synced.layoutVersion = storage.layoutVersion;
+      synced.capacity = storage.capacity;
+    }
+
+    return synced;
+  }
+
+  /**
+   * Indica si la entidad se mueve en el paso fijo y debe interpolarse
+   * Por defecto solo las entidades con rigidbody; transform.interpolate lo fuerza
+   * Las entidades hijas no se interpolan: usan su transformación de mundo
+   */
+  _shouldInterpolate(entity, transform) {
+    if (entity.parent) {
+      return false;
+    }
+    if (transform.interpolate !== undefined) {
+      return transform.interpolate;
+    }
+    return entity.hasComponent('rigidbody');
+  }
+
+  /**
+   * Interpola entre la transformación del paso fijo anterior y la actual
+   * La rotación se interpola con slerp
+   */
+  _interpolateTransform(previous, current, alpha) {
+    const lerp = (a, b) => (a === undefined || b === undefined) ? b : a + (b - a) * alpha;
+    const position = Vec3.lerp(previous, current, alpha);
+
+    return {
+      x: position.x,
+      y: position.y,
+      z: position.z,
+      quaternion: Quat.slerp(previous.quaternion, TransformHelpers.getQuaternion(current), alpha),
+      scaleX: lerp(previous.scaleX, current.scaleX),
+      scaleY: lerp(previous.scaleY, current.scaleY),
+      scaleZ: lerp(previous.scaleZ, current.scaleZ)
+    };
+  }
+
   /**
    * Configura un instanced mesh
    */
   _setupInstancedMesh(meshData, entity) {
     const mesh = meshData.mesh;
-    const transform = entity.getComponent('transform');
+    const localTransform = entity.getComponent('transform');
+
+    if (!localTransform || !meshData.instanceMatrix) return;
 
-    if (!transform || !meshData.instanceMatrix) return;
+    const transform = TransformHelpers.getWorldTransform(localTransform);
 
     // Configurar matriz de instancia
     meshData.instanceMatrix.compose(
       new THREE.Vector3(transform.x, transform.y, transform.z),
-      new THREE.Quaternion().setFromEuler(
-        new THREE.Euler(
-          transform.rotationX || 0,
-          transform.rotationY || 0,
-          transform.rotationZ || 0
-        )
-      ),
+      new THREE.Quaternion().copy(TransformHelpers.getQuaternion(transform)),
       new THREE.Vector3(
         transform.scaleX || 1,
         transform.scaleY || 1,
@@ -493,6 +631,7 @@ class MeshSystem extends System {
     // Liberar todas las mallas
     this.meshes.forEach(meshData => this._disposeMesh(meshData));
     this.meshes.clear();
+    this.previousTransforms.clear();
 
     // Limpiar caches
     this.clearGeometryCache();
@@ -0,0 +1,270 @@
+/**
+ * NetworkClientSystem
+ * Lado cliente de la replicación: reconstruye los snapshots del servidor a partir de los
+ * deltas, los guarda en un buffer de interpolación y refleja en el world el estado de
+ * hace interpolationDelay segundos (entre dos snapshots ya recibidos)
+ *
+ * Las entidades replicadas se crean y destruyen solas; su componente 'networked' lleva
+ * el netId (id de la entidad en el servidor) y el owner
+ *
+ * En las entidades propias (owner === clientId) los tipos de predictedComponents no se
+ * sobrescriben con el estado interpolado: los lleva PredictionSystem
+ */
+
+import System, { SystemPhase } from '../core/System.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import SnapshotBuffer from '../network/SnapshotBuffer.js';
+import { applyDelta } from '../network/Replication.js';
+
+class NetworkClientSystem extends System {
+  /**
+   * @param {Object} transport - Transporte conectado al servidor
+   * @param {Object} config - Configuración
+   * @param {number} config.interpolationDelay - Retardo de la vista (segundos); ~2 intervalos de envío
+   * @param {number} config.bufferSize - Snapshots máximos en el buffer de interpolación
+   * @param {number} config.historySize - Snapshots completos guardados como base (el del servidor)
+   */
+  constructor(transport, config = {}) {
+    // Antes de la lógica del frame: los sistemas ven ya el estado replicado
+    super('NetworkClientSystem', [], 90, { phase: SystemPhase.PRE_UPDATE });
+
+    if (!transport) {
+      throw new Error('NetworkClientSystem needs a transport');
+    }
+
+    this.transport = transport;
+    this.config = {
+      interpolationDelay: 0.1,
+      bufferSize: 32,
+      historySize: 64,
+      ...config
+    };
+
+    this.emitter = new EventEmitter();
+    this.clientId = null;
+    this.buffer = new SnapshotBuffer(this.config.bufferSize);
+    this.states = new Map(); // tick -> snapshot completo (bases de los deltas)
+    this.latestTick = 0;
+    this.renderTime = null;
+    this.entities = new Map(); // netId -> entity
+    this._applied = new Map(); // netId -> { tipo: datos aplicados }
+
+    // Último estado autoritativo (sin interpolar) y último input aplicado por el servidor
+    this.latestState = null;
+    this.inputAck = 0;
+    this.predictedComponents = new Set();
+
+    this.stats = {
+      snapshotsReceived: 0,
+      snapshotsDropped: 0,
+      resyncs: 0
+    };
+
+    this._unsubscribe = [
+      transport.on('message', (message) => this._onMessage(message)),
+      transport.on('close', () => this.emitter.emit('disconnected'))
+    ];
+  }
+
+  /**
+   * Procesa un mensaje del servidor
+   */
+  _onMessage(message) {
+    switch (message && message.type) {
+      case 'welcome':
+        this.clientId = message.clientId;
+        this.emitter.emit('connected', message.clientId);
+        break;
+
+      case 'snapshot':
+        this._onSnapshot(message);
+        break;
+
+      default:
+        this.emitter.emit('message', message);
+    }
+  }
+
+  /**
+   * Reconstruye un snapshot y lo agrega al buffer
+   */
+  _onSnapshot(message) {
+    // Repetido o desordenado (canales no fiables)
+    if (message.tick <= this.latestTick) {
+      this.stats.snapshotsDropped++;
+      return;
+    }
+
+    let baseline = {};
+    if (message.baseline !== null) {
+      baseline = this.states.get(message.baseline);
+      if (!baseline) {
+        // Sin la base no se puede decodificar: pedir un snapshot completo
+        this.stats.resyncs++;
+        this.transport.send({ type: 'resync' });
+        return;
+      }
+    }
+
+    // El servidor no vuelve a usar bases anteriores a la confirmada ni fuera de su historial
+    const oldest = Math.max(message.baseline || 0, message.tick - this.config.historySize);
+    this.states.forEach((state, tick) => {
+      if (tick < oldest) this.states.delete(tick);
+    });
+
+    const state = applyDelta(baseline, message);
+    this.states.set(message.tick, state);
+    this.latestTick = message.tick;
+    this.latestState = state;
+    this.inputAck = message.inputAck || 0;
+    this.buffer.push(message.tick, message.time, state);
+    this.stats.snapshotsReceived++;
+
+    this.transport.send({ type: 'ack', tick: message.tick });
+    this.emitter.emit('snapshot', message.tick);
+  }
+
+  /**
+   * Avanza el reloj de la vista y aplica el estado interpolado
+   */
+  update(deltaTime) {
+    if (!this.enabled || this.buffer.size === 0) return;
+
+    const target = this.buffer.latestTime - this.config.interpolationDelay;
+    if (this.renderTime === null) {
+      this.renderTime = target;
+    } else {
+      this.renderTime += deltaTime;
+      // Deriva grande (pausa, pérdida de paquetes): saltar al objetivo
+      if (Math.abs(this.renderTime - target) > this.config.interpolationDelay) {
+        this.renderTime = target;
+      }
+      this.renderTime = Math.min(this.renderTime, this.buffer.latestTime);
+    }
+
+    const state = this.buffer.sample(this.renderTime);
+    this.buffer.prune(this.renderTime);
+    this.applyState(state);
+  }
+
+  /**
+   * Refleja un snapshot en el world
+   * Solo se actualizan los componentes cuyos datos cambiaron (los filtros changed siguen siendo útiles)
+   */
+  applyState(state) {
+    Object.entries(state).forEach(([netId, components]) => {
+      let entity = this.entities.get(netId);
+      const applied = this._applied.get(netId) || {};
+
+      if (!entity) {
+        entity = this.world.createEntity();
+        this.entities.set(netId, entity);
+        this.emitter.emit('entitySpawned', entity, netId);
+      }
+
+      const local = this.isLocal(components);
+      Object.entries(components).forEach(([type, data]) => {
+        if (applied[type] === data) return;
+        if (local && this.predictedComponents.has(type) && entity.hasComponent(type)) return;
+
+        // Copia: el juego puede modificar el componente sin tocar las bases de los deltas
+        const copy = JSON.parse(JSON.stringify(data));
+        if (entity.hasComponent(type)) {
+          entity.updateComponent(type, copy);
+        } else {
+          entity.addComponent(type, copy);
+        }
+      });
+
+      Object.keys(applied).forEach(type => {
+        if (!(type in components)) {
+          entity.removeComponent(type);
+        }
+      });
+
+      this._applied.set(netId, components);
+    });
+
+    Array.from(this.entities.keys()).forEach(netId => {
+      if (!(netId in state)) {
+        this._despawn(netId);
+      }
+    });
+  }
+
+  /**
+   * Verifica si una entidad replicada pertenece a este cliente
+   * @param {Object} components - Componentes replicados de la entidad
+   */
+  isLocal(components) {
+    return this.clientId !== null &&
+      Boolean(components.networked) &&
+      components.networked.owner === this.clientId;
+  }
+
+  /**
+   * Destruye una entidad replicada
+   */
+  _despawn(netId) {
+    const entity = this.entities.get(netId);
+    this.entities.delete(netId);
+    this._applied.delete(netId);
+    this.emitter.emit('entityDespawned', entity, netId);
+    entity.destroy();
+  }
+
+  /**
+   * Obtiene la entidad local de un netId
+   */
+  getEntity(netId) {
+    return this.entities.get(String(netId)) || null;
+  }
+
+  /**
+   * Envía un mensaje al servidor
+   */
+  send(message) {
+    this.transport.send(message);
+  }
+
+  /**
+   * Suscribe a eventos: 'connected', 'disconnected', 'snapshot', 'message',
+   * 'entitySpawned', 'entityDespawned'
+   */
+  on(event, callback) {
+    return this.emitter.on(event, callback);
+  }
+
+  off(event, callback) {
+    this.emitter.off(event, callback);
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      clientId: this.clientId,
+      latestTick: this.latestTick,
+      buffered: this.buffer.size,
+      entities: this.entities.size,
+      interpolationDelay: this.config.interpolationDelay,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    Array.from(this.entities.keys()).forEach(netId => this._despawn(netId));
+    this._unsubscribe.forEach(unsubscribe => unsubscribe());
+    this._unsubscribe = [];
+    this.buffer.clear();
+    this.states.clear();
+    this.emitter.removeAllListeners();
+    super.destroy();
+  }
+}
+
+export default NetworkClientSystem;
@@ -0,0 +1,241 @@
+/**
+ * NetworkServerSystem
+ * Lado autoritativo de la replicación: envía a cada cliente snapshots de las entidades
+ * 'networked' comprimidos como delta respecto al último snapshot que ese cliente confirmó
+ *
+ * Protocolo (mensajes JSON):
+ * - servidor -> cliente: { type: 'welcome', clientId, sendRate }
+ * - servidor -> cliente: { type: 'snapshot', tick, time, baseline, inputAck, changed, removedComponents, removed }
+ * - cliente -> servidor: { type: 'ack', tick } | { type: 'resync' }
+ * - cliente -> servidor: { type: 'input', seq, input } (se encola para ServerInputSystem;
+ *   inputAck es el último seq aplicado)
+ * Cualquier otro mensaje se emite como 'message' (clientId, message)
+ */
+
+import System, { SystemPhase } from '../core/System.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import { ReplicationRegistry, diffStates } from '../network/Replication.js';
+
+class NetworkServerSystem extends System {
+  /**
+   * @param {Object} config - Configuración
+   * @param {number} config.sendRate - Snapshots por segundo
+   * @param {number} config.historySize - Snapshots guardados como base de los deltas
+   */
+  constructor(config = {}) {
+    // Después de la simulación: se envía el estado final del frame
+    super('NetworkServerSystem', ['networked'], 0, { phase: SystemPhase.LATE_UPDATE });
+
+    this.config = {
+      sendRate: 20,
+      historySize: 64,
+      ...config
+    };
+
+    this.emitter = new EventEmitter();
+    this.clients = new Map(); // clientId -> { id, connection, lastAck, inputs, lastInput, unsubscribe }
+    this.history = new Map(); // tick -> snapshot de replicación
+    this.tick = 0;
+    this.time = 0;
+    this._accumulator = 0;
+    this._nextClientId = 1;
+
+    this.stats = {
+      snapshotsSent: 0,
+      fullSnapshots: 0,
+      deltaSnapshots: 0
+    };
+  }
+
+  /**
+   * Agrega la conexión de un cliente (un transporte ya conectado)
+   * @returns {number} clientId
+   */
+  addConnection(connection) {
+    const clientId = this._nextClientId++;
+    const client = { id: clientId, connection, lastAck: null, inputs: [], lastInput: 0, unsubscribe: [] };
+
+    client.unsubscribe = [
+      connection.on('message', (message) => this._onMessage(client, message)),
+      connection.on('close', () => this.removeConnection(clientId))
+    ];
+    this.clients.set(clientId, client);
+
+    connection.send({ type: 'welcome', clientId, sendRate: this.config.sendRate });
+    this.emitter.emit('clientConnected', clientId);
+    return clientId;
+  }
+
+  /**
+   * Quita un cliente (y cierra su conexión)
+   */
+  removeConnection(clientId) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    this.clients.delete(clientId);
+    client.unsubscribe.forEach(unsubscribe => unsubscribe());
+    client.connection.close();
+    this.emitter.emit('clientDisconnected', clientId);
+  }
+
+  /**
+   * Procesa un mensaje de un cliente
+   */
+  _onMessage(client, message) {
+    switch (message && message.type) {
+      case 'ack':
+        if (client.lastAck === null || message.tick > client.lastAck) {
+          client.lastAck = message.tick;
+        }
+        break;
+
+      case 'resync':
+        client.lastAck = null;
+        break;
+
+      case 'input': {
+        // Repetidos o desordenados se descartan
+        const last = client.inputs.length > 0 ? client.inputs[client.inputs.length - 1].seq : client.lastInput;
+        if (message.seq > last) {
+          client.inputs.push({ seq: message.seq, input: message.input });
+        }
+        break;
+      }
+
+      default:
+        this.emitter.emit('message', client.id, message);
+    }
+  }
+
+  /**
+   * Envía snapshots a la frecuencia configurada
+   */
+  update(deltaTime) {
+    if (!this.enabled) return;
+
+    this.time += deltaTime;
+    this._accumulator += deltaTime;
+
+    const interval = 1 / this.config.sendRate;
+    if (this._accumulator < interval) return;
+    // Si el frame fue largo se envía un solo snapshot
+    this._accumulator %= interval;
+
+    this.sendSnapshot();
+  }
+
+  /**
+   * Captura el estado actual y lo envía a todos los clientes
+   */
+  sendSnapshot() {
+    this.tick++;
+    const state = this.captureState();
+
+    this.history.set(this.tick, state);
+    if (this.history.size > this.config.historySize) {
+      this.history.delete(this.history.keys().next().value);
+    }
+
+    this.clients.forEach(client => {
+      const baseline = client.lastAck !== null ? this.history.get(client.lastAck) : null;
+      const delta = diffStates(baseline || {}, state);
+
+      client.connection.send({
+        type: 'snapshot',
+        tick: this.tick,
+        time: this.time,
+        baseline: baseline ? client.lastAck : null,
+        inputAck: client.lastInput,
+        ...delta
+      });
+
+      this.stats.snapshotsSent++;
+      if (baseline) {
+        this.stats.deltaSnapshots++;
+      } else {
+        this.stats.fullSnapshots++;
+      }
+    });
+  }
+
+  /**
+   * Snapshot de replicación del world: componentes replicados de las entidades 'networked'
+   * @returns {Object} { netId: { tipo: datos } }
+   */
+  captureState() {
+    const state = {};
+
+    this.getEntities().forEach(entity => {
+      const networked = entity.getComponent('networked');
+      if (networked.netId === null) {
+        networked.netId = entity.id;
+      }
+
+      const components = {};
+      entity.toJSON().components.forEach(({ type, data }) => {
+        if (ReplicationRegistry.has(type)) {
+          components[type] = data;
+        }
+      });
+      state[networked.netId] = components;
+    });
+
+    // Copia: el historial no debe cambiar cuando los sistemas modifican los componentes
+    return JSON.parse(JSON.stringify(state));
+  }
+
+  /**
+   * Envía un mensaje a un cliente
+   */
+  send(clientId, message) {
+    const client = this.clients.get(clientId);
+    if (!client) {
+      console.warn(`NetworkServerSystem: unknown client ${clientId}`);
+      return;
+    }
+    client.connection.send(message);
+  }
+
+  /**
+   * Envía un mensaje a todos los clientes
+   */
+  broadcast(message) {
+    this.clients.forEach(client => client.connection.send(message));
+  }
+
+  /**
+   * Suscribe a eventos: 'clientConnected', 'clientDisconnected', 'message'
+   */
+  on(event, callback) {
+    return this.emitter.on(event, callback);
+  }
+
+  off(event, callback) {
+    this.emitter.off(event, callback);
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      clients: this.clients.size,
+      tick: this.tick,
+      entities: this.getEntities().length,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    Array.from(this.clients.keys()).forEach(clientId => this.removeConnection(clientId));
+    this.history.clear();
+    this.emitter.removeAllListeners();
+    super.destroy();
+  }
+}
+
+export default NetworkServerSystem;
@@ -6,6 +6,9 @@
 
 import System from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
+import Mat4 from '../math/Mat4.js';
+import Quat from '../math/Quat.js';
+import { TransformHelpers } from '../components/3d/Transform.js';
 
 /**
  * PhysicsSystem - Sistema de física 3D
@@ -16,18 +19,24 @@ class PhysicsSystem extends System {
 
     this.worldConfig = {
       gravity: { x: 0, y: -9.81, z: 0 },
-      timestep: '1/60',
+      timestep: 1 / 60, // Se sincroniza con el paso fijo del Engine
       enableSleeping: true,
       ...worldConfig
     };
 
     this.emitter = new EventEmitter();
     this.physicsWorld = null;
+    this.eventQueue = null;
     this.rigidBodies = new Map(); // entity -> rigidbody
     this.colliders = new Map(); // entity -> colliders
+    this.colliderEntities = new Map(); // collider handle -> entity (raycasts)
     this.joints = new Map(); // joint id -> joint
 
     this._initialized = false;
+    this._inverseParent = new Mat4();
+    this._quat = new Quat();
+    this._parentQuat = new Quat();
+    this._euler = {};
   }
 
   async init(world) {
@@ -47,7 +56,11 @@ class PhysicsSystem extends System {
       this.physicsWorld.timestep = this.worldConfig.timestep;
       this.physicsWorld.enableSleeping = this.worldConfig.enableSleeping;
 
+      // Cola de eventos de colisión (se vacía tras cada step)
+      this.eventQueue = new RAPIER.EventQueue(true);
+
       this._initialized = true;
+      this._setupCollisionCallbacks();
       this.emitter.emit('physicsInitialized', { rapier: RAPIER });
 
       console.log('✅ PhysicsSystem initialized with Rapier');
@@ -85,9 +98,12 @@ class PhysicsSystem extends System {
   /**
    * Crea un rigid body
    */
-  _createRigidBody(entity, rigidbodyConfig, transform) {
+  _createRigidBody(entity, rigidbodyConfig, localTransform) {
     if (!this._initialized) return;
 
+    // Rapier trabaja en espacio de mundo
+    const transform = this._getWorldTransform(entity, localTransform);
+
     const bodyDesc = this._getBodyDescription(rigidbodyConfig);
     const body = this.physicsWorld.createRigidBody(bodyDesc);
 
@@ -100,15 +116,7 @@ class PhysicsSystem extends System {
     );
 
     // Configurar rotación inicial
-    body.setRotation(
-      {
-        x: transform.rotationX || 0,
-        y: transform.rotationY || 0,
-        z: transform.rotationZ || 0,
-        w: 1
-      },
-      true
-    );
+    body.setRotation(TransformHelpers.getQuaternion(transform, this._quat), true);
 
     this.rigidBodies.set(entity, {
       body,
@@ -130,6 +138,7 @@ class PhysicsSystem extends System {
     if (!bodyData) return;
 
     const colliderDesc = this._getColliderDescription(colliderConfig);
+    colliderDesc.setActiveEvents(window.RAPIER.ActiveEvents.COLLISION_EVENTS);
     const collider = this.physicsWorld.createCollider(
       colliderDesc,
       bodyData.body
@@ -143,6 +152,7 @@ class PhysicsSystem extends System {
       config: colliderConfig,
       type: colliderConfig.shape || 'box'
     });
+    this.colliderEntities.set(collider.handle, entity);
   }
 
   /**
@@ -248,6 +258,7 @@ class PhysicsSystem extends System {
     const entityColliders = this.colliders.get(entity);
     if (entityColliders) {
       entityColliders.forEach(({ collider }) => {
+        this.colliderEntities.delete(collider.handle);
         if (this.physicsWorld) {
           this.physicsWorld.removeCollider(collider, true);
         }
@@ -257,40 +268,39 @@ class PhysicsSystem extends System {
   }
 
   /**
-   * Actualiza el sistema físico
+   * Avanza la simulación física un paso fijo
+   * El Engine la llama desde su acumulador, así la física y el frame coinciden
    */
-  update(deltaTime) {
+  fixedUpdate(fixedDeltaTime) {
     if (!this._initialized || !this.physicsWorld) return;
 
+    if (this.physicsWorld.timestep !== fixedDeltaTime) {
+      this.physicsWorld.timestep = fixedDeltaTime;
+    }
+
     // Actualizar rigid bodies kinematic desde transform
     this.rigidBodies.forEach((bodyData, entity) => {
-      const transform = entity.getComponent('transform');
-      if (!transform) return;
+      const localTransform = entity.getComponent('transform');
+      if (!localTransform) return;
 
       const { body, type } = bodyData;
 
-      // Actualizar kinematic bodies desde transform
+      // Actualizar kinematic bodies desde transform (en espacio de mundo)
       if (type === 'kinematic' || type === 'kinematicVelocity') {
+        const transform = this._getWorldTransform(entity, localTransform);
         body.setTranslation(
           transform.x,
           transform.y,
           transform.z,
           true
         );
-        body.setRotation(
-          {
-            x: transform.rotationX || 0,
-            y: transform.rotationY || 0,
-            z: transform.rotationZ || 0,
-            w: 1
-          },
-          true
-        );
+        body.setRotation(TransformHelpers.getQuaternion(transform, this._quat), true);
       }
     });
 
     // Avanzar simulación física
-    this.physicsWorld.step();
+    this.physicsWorld.step(this.eventQueue);
+    this._drainCollisionEvents();
 
     // Aplicar transformaciones de vuelta a las entidades
     this.rigidBodies.forEach((bodyData, entity) => {
@@ -299,20 +309,75 @@ class PhysicsSystem extends System {
 
       const { body } = bodyData;
 
-      // Obtener posición
+      // Obtener posición (de mundo a local si tiene padre)
       const translation = body.translation();
-      transform.x = translation.x;
-      transform.y = translation.y;
-      transform.z = translation.z;
-
-      // Obtener rotación
-      const rotation = body.rotation();
-      transform.rotationX = rotation.x;
-      transform.rotationY = rotation.y;
-      transform.rotationZ = rotation.z;
+      this._toLocalPosition(entity, translation, transform);
+
+      // Obtener rotación (cuaternión de Rapier, de mundo a local si tiene padre)
+      this._toLocalRotation(entity, body.rotation(), transform);
+
+      entity.markChanged('transform');
     });
   }
 
+  /**
+   * Obtiene la transformación de mundo actualizada de una entidad
+   * El paso fijo corre antes que TransformSystem, así que las hijas se recalculan aquí
+   */
+  _getWorldTransform(entity, transform) {
+    if (entity.parent && this.world) {
+      const transformSystem = this.world.getSystem('TransformSystem');
+      if (transformSystem) {
+        return transformSystem.updateEntity(entity);
+      }
+    }
+    return TransformHelpers.getWorldTransform(transform);
+  }
+
+  /**
+   * Convierte una posición de mundo a local respecto al padre y la escribe en el transform
+   */
+  _toLocalPosition(entity, position, transform) {
+    const parentTransform = entity.parent && entity.parent.getComponent('transform');
+    const parentMatrix = parentTransform && parentTransform.worldMatrix;
+
+    if (!parentMatrix) {
+      transform.x = position.x;
+      transform.y = position.y;
+      transform.z = position.z;
+      return;
+    }
+
+    this._inverseParent.copy(parentMatrix).invert().transformPoint(position, transform);
+  }
+
+  /**
+   * Convierte una rotación de mundo a local respecto al padre y la escribe en el transform
+   * Si el transform usa cuaternión se actualiza; si no, se convierte a Euler
+   */
+  _toLocalRotation(entity, rotation, transform) {
+    const parentTransform = entity.parent && entity.parent.getComponent('transform');
+    const parentWorld = parentTransform && parentTransform.world;
+
+    this._quat.copy(rotation);
+
+    if (parentWorld && parentWorld.quaternion) {
+      this._parentQuat.copy(parentWorld.quaternion).invert();
+      this._quat.premultiply(this._parentQuat);
+    }
+
+    if (transform.quaternion) {
+      const q = this._quat;
+      TransformHelpers.setQuaternion(transform, q.x, q.y, q.z, q.w);
+      return;
+    }
+
+    this._quat.toEuler(this._euler);
+    transform.rotationX = this._euler.x;
+    transform.rotationY = this._euler.y;
+    transform.rotationZ = this._euler.z;
+  }
+
   /**
    * Aplica fuerza a un rigid body
    */
@@ -403,9 +468,51 @@ class PhysicsSystem extends System {
   }
 
   /**
-   * Raycast
+   * Guarda el estado dinámico de los rigid bodies (por id de entidad)
+   * La posición y rotación ya están en los transforms; se guardan las velocidades
+   */
+  snapshot() {
+    const bodies = {};
+    this.rigidBodies.forEach((bodyData, entity) => {
+      bodies[entity.id] = {
+        linvel: this.getLinearVelocity(entity),
+        angvel: this.getAngularVelocity(entity),
+        sleeping: bodyData.body.isSleeping ? bodyData.body.isSleeping() : false
+      };
+    });
+
+    return { bodies };
+  }
+
+  /**
+   * Restaura las velocidades de los rigid bodies recreados por World.restore()
    */
-  raycast(origin, direction, maxDistance = 100) {
+  restore(state) {
+    Object.entries(state.bodies || {}).forEach(([id, saved]) => {
+      const entity = this.world.getEntity(Number(id));
+      const bodyData = entity && this.rigidBodies.get(entity);
+      if (!bodyData) return;
+
+      this.setLinearVelocity(entity, saved.linvel);
+      this.setAngularVelocity(entity, saved.angvel);
+
+      if (saved.sleeping && bodyData.body.sleep) {
+        bodyData.body.sleep();
+      }
+    });
+  }
+
+  /**
+   * Raycast
+   * @param {Object} origin - Origen { x, y, z } en espacio de mundo
+   * @param {Object} direction - Dirección { x, y, z } (normalizada: distance se mide en sus unidades)
+   * @param {number} maxDistance - Distancia máxima
+   * @param {Object} options - Opciones
+   * @param {Entity} options.exclude - Entidad cuyo rigid body se ignora (p. ej. quien mira)
+   * @param {boolean} options.solid - Si el origen está dentro de un collider, impacta en distancia 0 (true por defecto)
+   * @returns {Object|null} { entity, distance, point, normal, collider, toi } o null si no impacta
+   */
+  raycast(origin, direction, maxDistance = 100, options = {}) {
     if (!this._initialized || !this.physicsWorld) return null;
 
     const RAPIER = window.RAPIER;
@@ -414,13 +521,33 @@ class PhysicsSystem extends System {
       { x: direction.x, y: direction.y, z: direction.z }
     );
 
-    const hit = this.physicsWorld.castRay(ray, maxDistance, true);
+    const excluded = options.exclude ? this.rigidBodies.get(options.exclude) : null;
+    const hit = this.physicsWorld.castRayAndGetNormal(
+      ray,
+      maxDistance,
+      options.solid !== undefined ? options.solid : true,
+      undefined,
+      undefined,
+      undefined,
+      excluded ? excluded.body : undefined
+    );
 
     if (hit) {
+      // Rapier renombró toi a timeOfImpact
+      const toi = hit.timeOfImpact !== undefined ? hit.timeOfImpact : hit.toi;
+
       return {
+        ...hit,
         collider: hit.collider,
-        toi: hit.toi,
-        ...hit
+        toi,
+        entity: this.colliderEntities.get(hit.collider.handle) || null,
+        distance: toi,
+        point: {
+          x: origin.x + direction.x * toi,
+          y: origin.y + direction.y * toi,
+          z: origin.z + direction.z * toi
+        },
+        normal: hit.normal ? { x: hit.normal.x, y: hit.normal.y, z: hit.normal.z } : null
       };
     }
 
@@ -550,7 +677,9 @@ class PhysicsSystem extends System {
     if (!this._initialized) return null;
 
     const colliderDesc = this._getTriggerDescription(config);
+    colliderDesc.setActiveEvents(window.RAPIER.ActiveEvents.COLLISION_EVENTS);
     const trigger = this.physicsWorld.createCollider(colliderDesc);
+    this.colliderEntities.set(trigger.handle, entity);
 
     // Marcar como trigger
     trigger.setSensor(true);
@@ -606,8 +735,11 @@ class PhysicsSystem extends System {
     if (!this.triggers || !this.triggers.has(entity)) return;
 
     const triggerData = this.triggers.get(entity);
-    if (triggerData.collider && this.physicsWorld) {
-      this.physicsWorld.removeCollider(triggerData.collider, true);
+    if (triggerData.collider) {
+      this.colliderEntities.delete(triggerData.collider.handle);
+      if (this.physicsWorld) {
+        this.physicsWorld.removeCollider(triggerData.collider, true);
+      }
     }
 
     this.triggers.delete(entity);
@@ -751,6 +883,30 @@ class PhysicsSystem extends System {
     }
   }
 
+  /**
+   * Emite los eventos de colisión del último step
+   * Cada contacto se emite una vez por participante: { entity, other, started }
+   * en el emitter del sistema y como (entity, other, data) en el world
+   */
+  _drainCollisionEvents() {
+    if (!this.eventQueue) return;
+
+    this.eventQueue.drainCollisionEvents((handle1, handle2, started) => {
+      const first = this.colliderEntities.get(handle1);
+      const second = this.colliderEntities.get(handle2);
+      if (!first || !second) return;
+
+      const event = started ? 'collisionStart' : 'collisionEnd';
+      [[first, second], [second, first]].forEach(([entity, other]) => {
+        const data = { entity, other, started };
+        this.emitter.emit(event, data);
+        if (this.world) {
+          this.world.emit(event, entity, other, data);
+        }
+      });
+    });
+  }
+
   /**
    * Collision callbacks
    */
@@ -826,8 +982,14 @@ class PhysicsSystem extends System {
       this.physicsWorld = null;
     }
 
+    if (this.eventQueue) {
+      this.eventQueue.free();
+      this.eventQueue = null;
+    }
+
     this.rigidBodies.clear();
     this.colliders.clear();
+    this.colliderEntities.clear();
     this.joints.clear();
     this.emitter.removeAllListeners();
 
@@ -0,0 +1,267 @@
+/**
+ * PredictionSystem
+ * Predicción en el cliente de las entidades propias (owner === clientId) y reconciliación
+ * con el servidor
+ *
+ * En cada paso fijo se toma un input con controller.sample(), se guarda con un número de
+ * secuencia, se envía al servidor (ServerInputSystem) y se simula en local sin esperar.
+ * Cuando llega un snapshot, la entidad vuelve al estado autoritativo y se re-simulan los
+ * inputs que el servidor aún no aplicó (los posteriores a inputAck). La diferencia con lo
+ * que se veía se reparte en los pasos siguientes (smoothing) salvo que supere snapDistance.
+ *
+ * @example
+ * const controller = {
+ *   components: ['transform'],
+ *   smooth: { transform: ['x', 'z'] },
+ *   sample: (input) => ({ x: input.isKeyDown('d') - input.isKeyDown('a'), z: 0 }),
+ *   simulate: (entity, command, deltaTime) => {
+ *     const transform = entity.getComponent('transform');
+ *     transform.x += command.x * 5 * deltaTime;
+ *   }
+ * };
+ * clientWorld.registerSystem(new PredictionSystem(controller));
+ * serverWorld.registerSystem(new ServerInputSystem(controller));
+ */
+
+import System from '../core/System.js';
+
+class PredictionSystem extends System {
+  /**
+   * @param {Object} controller - Controller compartido con ServerInputSystem
+   * @param {string[]} controller.components - Componentes predichos (los modifica simulate)
+   * @param {Object} controller.smooth - Campos numéricos a suavizar { tipo: [campos] }
+   * @param {Function} controller.sample - (inputSystem, entities) => input serializable
+   * @param {Function} controller.simulate - (entity, input, deltaTime) => void; determinista
+   * @param {Object} config - Configuración
+   * @param {number} config.smoothing - Tiempo (s) en el que se reduce la corrección a ~37% (0: sin suavizado)
+   * @param {number} config.snapDistance - Error a partir del cual se corrige de golpe
+   * @param {number} config.maxPending - Inputs sin confirmar guardados como máximo
+   */
+  constructor(controller, config = {}) {
+    super('PredictionSystem', [], 0, { after: ['NetworkClientSystem'] });
+
+    if (!controller || typeof controller.simulate !== 'function' || typeof controller.sample !== 'function') {
+      throw new Error('PredictionSystem expects a controller with sample() and simulate() functions');
+    }
+    if (!Array.isArray(controller.components) || controller.components.length === 0) {
+      throw new Error('PredictionSystem controller must list its predicted components');
+    }
+
+    this.controller = controller;
+    this.config = {
+      smoothing: 0.1,
+      snapDistance: 2,
+      maxPending: 120,
+      ...config
+    };
+
+    this.seq = 0;
+    this.pending = []; // [{ seq, input, deltaTime }] sin confirmar por el servidor
+    this.corrections = new Map(); // entity -> { 'tipo.campo': error pendiente }
+    this._reconciledTick = 0;
+    this._known = new WeakSet(); // Entidades propias ya reconciliadas al menos una vez
+
+    this.stats = {
+      predictedSteps: 0,
+      reconciliations: 0,
+      replayedInputs: 0,
+      corrections: 0,
+      snaps: 0
+    };
+  }
+
+  /**
+   * La predicción corre en los pasos fijos
+   */
+  update() {}
+
+  /**
+   * Reconcilia si llegó un snapshot y predice un paso
+   */
+  fixedUpdate(fixedDeltaTime) {
+    if (!this.enabled) return;
+
+    const client = this.world.getSystem('NetworkClientSystem');
+    if (!client || client.clientId === null) return;
+
+    this.controller.components.forEach(type => client.predictedComponents.add(type));
+
+    const entities = this.getLocalEntities(client);
+    this.corrections.forEach((offsets, entity) => {
+      if (!entities.includes(entity)) this.corrections.delete(entity);
+    });
+
+    const newSnapshot = client.latestTick !== this._reconciledTick;
+
+    if (newSnapshot) {
+      this.pending = this.pending.filter(command => command.seq > client.inputAck);
+      this._reconciledTick = client.latestTick;
+      this.stats.reconciliations++;
+    }
+
+    entities.forEach(entity => {
+      // Una entidad propia recién aparecida empieza desde el estado autoritativo sin suavizado
+      if (!this._known.has(entity)) {
+        this._known.add(entity);
+        this._reconcile(client, entity, false);
+      } else if (newSnapshot) {
+        this._reconcile(client, entity, true);
+      }
+    });
+
+    if (entities.length === 0) return;
+
+    const input = this.controller.sample(this.world.getSystem('InputSystem'), entities);
+    const command = { seq: ++this.seq, input, deltaTime: fixedDeltaTime };
+
+    this.pending.push(command);
+    if (this.pending.length > this.config.maxPending) {
+      this.pending.shift();
+    }
+
+    client.send({ type: 'input', seq: command.seq, input });
+    entities.forEach(entity => this._step(entity, input, fixedDeltaTime));
+    this.stats.predictedSteps++;
+  }
+
+  /**
+   * Entidades replicadas propias con todos los componentes predichos
+   */
+  getLocalEntities(client) {
+    return Array.from(client.entities.values()).filter(entity => {
+      const networked = entity.getComponent('networked');
+      return networked && networked.owner === client.clientId &&
+        this.controller.components.every(type => entity.hasComponent(type));
+    });
+  }
+
+  /**
+   * Simula un paso sobre el estado sin corrección y después reduce la corrección visible
+   */
+  _step(entity, input, deltaTime) {
+    const offsets = this.corrections.get(entity);
+    if (offsets) this._applyOffsets(entity, offsets, -1);
+
+    this.controller.simulate(entity, input, deltaTime);
+
+    if (offsets) {
+      const decay = Math.exp(-deltaTime / this.config.smoothing);
+      let remaining = 0;
+      Object.keys(offsets).forEach(key => {
+        offsets[key] *= decay;
+        remaining = Math.max(remaining, Math.abs(offsets[key]));
+      });
+
+      this._applyOffsets(entity, offsets, 1);
+      if (remaining < 1e-4) {
+        this.corrections.delete(entity);
+      }
+    }
+
+    this._markChanged(entity);
+  }
+
+  /**
+   * Vuelve al estado autoritativo, re-simula los inputs pendientes y calcula la corrección
+   * @param {boolean} smooth - Repartir el error en los pasos siguientes
+   */
+  _reconcile(client, entity, smooth) {
+    const netId = String(entity.getComponent('networked').netId);
+    const authoritative = client.latestState && client.latestState[netId];
+    if (!authoritative) return;
+
+    // Lo que se ve ahora: simulación local más la corrección en curso
+    const shown = this._readSmoothFields(entity);
+
+    this.controller.components.forEach(type => {
+      if (authoritative[type]) {
+        entity.updateComponent(type, JSON.parse(JSON.stringify(authoritative[type])));
+      }
+    });
+
+    this.pending.forEach(command => this.controller.simulate(entity, command.input, command.deltaTime));
+    this.stats.replayedInputs += this.pending.length;
+
+    const corrected = this._readSmoothFields(entity);
+    const previous = this.corrections.get(entity) || {};
+    const offsets = {};
+    let error = 0; // Salto visible
+    let mispredicted = false; // La simulación local difería del servidor
+    Object.keys(corrected).forEach(key => {
+      offsets[key] = shown[key] - corrected[key];
+      error = Math.max(error, Math.abs(offsets[key]));
+      if (Math.abs(offsets[key] - (previous[key] || 0)) >= 1e-4) mispredicted = true;
+    });
+
+    if (!smooth || this.config.smoothing <= 0 || error < 1e-4 || error > this.config.snapDistance) {
+      this.corrections.delete(entity);
+      if (smooth && mispredicted) this.stats.snaps++;
+    } else {
+      this.corrections.set(entity, offsets);
+      this._applyOffsets(entity, offsets, 1);
+      if (mispredicted) this.stats.corrections++;
+    }
+
+    this._markChanged(entity);
+  }
+
+  /**
+   * Lee los campos a suavizar { 'tipo.campo': valor }
+   */
+  _readSmoothFields(entity) {
+    const values = {};
+    Object.entries(this.controller.smooth || {}).forEach(([type, fields]) => {
+      const component = entity.getComponent(type);
+      if (!component) return;
+      fields.forEach(field => {
+        if (typeof component[field] === 'number') {
+          values[`${type}.${field}`] = component[field];
+        }
+      });
+    });
+    return values;
+  }
+
+  /**
+   * Suma (sign 1) o resta (sign -1) la corrección a los componentes
+   */
+  _applyOffsets(entity, offsets, sign) {
+    Object.entries(offsets).forEach(([key, offset]) => {
+      const [type, field] = key.split('.');
+      const component = entity.getComponent(type);
+      if (component) {
+        component[field] += offset * sign;
+      }
+    });
+  }
+
+  /**
+   * Marca los componentes predichos como modificados (filtros changed y observadores)
+   */
+  _markChanged(entity) {
+    this.controller.components.forEach(type => entity.markChanged(type));
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      seq: this.seq,
+      pending: this.pending.length,
+      correcting: this.corrections.size,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    this.pending = [];
+    this.corrections.clear();
+    super.destroy();
+  }
+}
+
+export default PredictionSystem;
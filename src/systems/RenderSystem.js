@@ -3,7 +3,7 @@
  * Sistema principal de renderizado que coordina todo el proceso de dibujo
  */
 
-import System from '../core/System.js';
+import System, { SystemPhase } from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
 import * as THREE from 'three';
 
@@ -12,7 +12,7 @@ import * as THREE from 'three';
  */
 class RenderSystem extends System {
   constructor() {
-    super('RenderSystem', ['transform'], 10); // Prioridad muy baja (ejecutar al final)
+    super('RenderSystem', ['transform'], 10, { phase: SystemPhase.RENDER }); // Ejecutar al final
 
     this.emitter = new EventEmitter();
 
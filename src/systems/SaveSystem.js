@@ -0,0 +1,351 @@
+/**
+ * SaveSystem
+ * Partidas guardadas en slots con nombre, versionado de esquema y migraciones
+ * Las partidas se construyen con Entity.toJSON() y los recursos serializables del world;
+ * el almacenamiento lo hace un adaptador intercambiable (localStorage, IndexedDB,
+ * AsyncStorage, archivos o memoria)
+ *
+ * @example
+ * const saves = new SaveSystem(new LocalStorageAdapter(), { version: 2 });
+ * saves.registerMigration(1, (save) => { ... ; return save; });
+ * world.registerSystem(saves);
+ * await saves.save('slot1', { metadata: { level: 'forest' }, thumbnail: true });
+ * await saves.load('slot1');
+ */
+
+import System from '../core/System.js';
+import Entity from '../core/Entity.js';
+import EventEmitter from '../utils/EventEmitter.js';
+import MemoryStorageAdapter from '../adapters/memory/MemoryStorageAdapter.js';
+
+/**
+ * Qué entidades se guardan
+ * - OPT_OUT: todas salvo las que tienen el tag 'nosave'
+ * - OPT_IN: solo las que tienen el tag 'save'
+ */
+export const SaveMode = {
+  OPT_OUT: 'optOut',
+  OPT_IN: 'optIn'
+};
+
+class SaveSystem extends System {
+  /**
+   * @param {Object} adapter - Adaptador de almacenamiento (getItem, setItem, removeItem, keys)
+   * @param {Object} config - Configuración
+   * @param {number} config.version - Versión actual del esquema de las partidas
+   * @param {string} config.prefix - Prefijo de las claves en el almacenamiento
+   * @param {string} config.mode - SaveMode
+   * @param {Object} config.migrations - Migraciones { versiónOrigen: (save) => save }
+   */
+  constructor(adapter = null, config = {}) {
+    super('SaveSystem', [], 5);
+
+    this.adapter = adapter || new MemoryStorageAdapter();
+    this.emitter = new EventEmitter();
+    this.config = {
+      version: 1,
+      prefix: 'save',
+      mode: SaveMode.OPT_OUT,
+      ...config
+    };
+
+    this.migrations = new Map(); // versión origen -> migración a la siguiente
+    Object.entries(config.migrations || {}).forEach(([fromVersion, migrate]) => {
+      this.registerMigration(Number(fromVersion), migrate);
+    });
+
+    this.stats = {
+      saves: 0,
+      loads: 0,
+      migrations: 0
+    };
+  }
+
+  /**
+   * No procesa entidades cada frame
+   */
+  update() {}
+
+  /**
+   * Registra una migración de una versión a la siguiente
+   * @param {number} fromVersion - Versión que migra (a fromVersion + 1)
+   * @param {Function} migrate - (save) => save; puede modificar el objeto y devolverlo
+   */
+  registerMigration(fromVersion, migrate) {
+    if (typeof migrate !== 'function') {
+      throw new Error(`Save migration from version ${fromVersion} must be a function`);
+    }
+    this.migrations.set(fromVersion, migrate);
+  }
+
+  /**
+   * Verifica si una entidad se incluye en las partidas
+   */
+  isSaveable(entity) {
+    if (entity.hasTag('nosave')) return false;
+    if (this.config.mode === SaveMode.OPT_IN) {
+      return entity.hasTag('save');
+    }
+    return true;
+  }
+
+  /**
+   * Clave de los datos de un slot
+   */
+  _dataKey(slot) {
+    return `${this.config.prefix}:data:${slot}`;
+  }
+
+  /**
+   * Clave de la cabecera de un slot (lo que muestra un menú de partidas)
+   */
+  _headerKey(slot) {
+    return `${this.config.prefix}:header:${slot}`;
+  }
+
+  /**
+   * Construye los datos de una partida a partir del world
+   * @returns {Object} Datos serializables a JSON
+   */
+  serialize() {
+    // Incluye las entidades inactivas (getAllEntities() las omite)
+    const entities = Array.from(this.world.entities.values()).filter(entity => this.isSaveable(entity));
+
+    return JSON.parse(JSON.stringify({
+      version: this.config.version,
+      entities: entities.map(entity => entity.toJSON()),
+      resources: this.world.getSerializableResources()
+    }));
+  }
+
+  /**
+   * Guarda la partida en un slot (lo reemplaza si existe)
+   * @param {string} slot - Nombre del slot
+   * @param {Object} options - Opciones
+   * @param {Object} options.metadata - Datos libres para el menú (nivel, tiempo jugado...)
+   * @param {string|boolean} options.thumbnail - Data URL o true para capturar el canvas de RenderSystem
+   * @returns {Promise<Object>} Cabecera del slot
+   */
+  async save(slot, options = {}) {
+    if (!this.world) {
+      throw new Error('SaveSystem must be registered in a world to save');
+    }
+
+    const data = this.serialize();
+    const header = {
+      slot,
+      version: data.version,
+      savedAt: Date.now(),
+      entities: data.entities.length,
+      metadata: options.metadata || {},
+      thumbnail: options.thumbnail === true
+        ? this._captureThumbnail()
+        : (options.thumbnail || null)
+    };
+
+    // Primero los datos: una cabecera sin datos sería un slot roto en el menú
+    await this.adapter.setItem(this._dataKey(slot), JSON.stringify(data));
+    await this.adapter.setItem(this._headerKey(slot), JSON.stringify(header));
+
+    this.stats.saves++;
+    this.emitter.emit('saved', header);
+    return header;
+  }
+
+  /**
+   * Captura el canvas de RenderSystem como data URL
+   * El renderer necesita preserveDrawingBuffer o capturar justo después de render()
+   */
+  _captureThumbnail() {
+    const renderSystem = this.world.getSystem('RenderSystem');
+    const canvas = renderSystem && renderSystem.renderer && renderSystem.renderer.domElement;
+
+    if (!canvas || typeof canvas.toDataURL !== 'function') {
+      console.warn('SaveSystem: no canvas available for the thumbnail');
+      return null;
+    }
+
+    try {
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      console.warn('SaveSystem: could not capture the thumbnail:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Lee los datos de un slot aplicando las migraciones pendientes (sin tocar el world)
+   * @returns {Promise<Object|null>} null si el slot no existe
+   */
+  async read(slot) {
+    const raw = await this.adapter.getItem(this._dataKey(slot));
+    if (raw === null || raw === undefined) return null;
+
+    return this.migrate(JSON.parse(raw), slot);
+  }
+
+  /**
+   * Lleva los datos de una partida a la versión actual
+   * @param {Object} data - Datos guardados
+   * @param {string} slot - Slot (para los mensajes de error)
+   */
+  migrate(data, slot = null) {
+    const target = this.config.version;
+    const name = slot !== null ? `Save '${slot}'` : 'Save';
+    let version = data.version || 1;
+
+    if (version > target) {
+      throw new Error(`${name} has version ${version}, newer than the supported version ${target}`);
+    }
+
+    while (version < target) {
+      const migrate = this.migrations.get(version);
+      if (!migrate) {
+        throw new Error(`${name} needs a migration from version ${version}`);
+      }
+
+      data = migrate(data) || data;
+      version++;
+      data.version = version;
+      this.stats.migrations++;
+    }
+
+    return data;
+  }
+
+  /**
+   * Carga un slot en el world
+   * Reemplaza las entidades guardables actuales por las de la partida (con ids nuevos);
+   * las entidades excluidas siguen intactas
+   * @returns {Promise<Entity[]>} Entidades creadas
+   */
+  async load(slot) {
+    if (!this.world) {
+      throw new Error('SaveSystem must be registered in a world to load');
+    }
+
+    const data = await this.read(slot);
+    if (!data) {
+      throw new Error(`Save slot '${slot}' does not exist`);
+    }
+
+    const entities = this.apply(data);
+
+    this.stats.loads++;
+    this.emitter.emit('loaded', { slot, version: data.version, entities });
+    return entities;
+  }
+
+  /**
+   * Aplica los datos de una partida (ya migrados) al world
+   * @returns {Entity[]} Entidades creadas
+   */
+  apply(data) {
+    const world = this.world;
+
+    Array.from(world.entities.values())
+      .filter(entity => this.isSaveable(entity))
+      .forEach(entity => entity.destroy());
+    world.processEntityQueue();
+
+    // Ids nuevos: los guardados pueden estar en uso por entidades excluidas
+    const idMap = new Map();
+    const created = data.entities.map(json => {
+      const entity = Entity.fromJSON(world, { ...json, parent: null, relations: [] });
+      idMap.set(json.id, entity);
+      world.addEntity(entity);
+      return entity;
+    });
+    world.processEntityQueue();
+
+    // Jerarquía y relaciones entre entidades guardadas
+    data.entities.forEach((json, index) => {
+      const parent = idMap.get(json.parent);
+      if (parent) {
+        created[index].setParent(parent);
+      }
+
+      const relations = (json.relations || [])
+        .filter(relation => idMap.has(relation.target))
+        .map(relation => ({ ...relation, target: idMap.get(relation.target).id }));
+      created[index].restoreRelations(relations);
+    });
+
+    Object.entries(data.resources || {}).forEach(([name, value]) => {
+      world.setResource(name, value, { serialize: true });
+    });
+
+    return created;
+  }
+
+  /**
+   * Lista las cabeceras de los slots guardados (más reciente primero)
+   * @returns {Promise<Object[]>}
+   */
+  async listSlots() {
+    const prefix = this._headerKey('');
+    const keys = await this.adapter.keys(prefix);
+    const headers = await Promise.all(keys.map(key => this.adapter.getItem(key)));
+
+    return headers
+      .filter(raw => raw !== null && raw !== undefined)
+      .map(raw => JSON.parse(raw))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Obtiene la cabecera de un slot
+   * @returns {Promise<Object|null>}
+   */
+  async getSlot(slot) {
+    const raw = await this.adapter.getItem(this._headerKey(slot));
+    return raw === null || raw === undefined ? null : JSON.parse(raw);
+  }
+
+  /**
+   * Verifica si existe un slot
+   */
+  async hasSlot(slot) {
+    return (await this.getSlot(slot)) !== null;
+  }
+
+  /**
+   * Elimina un slot
+   */
+  async deleteSlot(slot) {
+    await this.adapter.removeItem(this._headerKey(slot));
+    await this.adapter.removeItem(this._dataKey(slot));
+    this.emitter.emit('deleted', { slot });
+  }
+
+  /**
+   * Suscribe a eventos: 'saved', 'loaded', 'deleted'
+   */
+  on(event, callback) {
+    return this.emitter.on(event, callback);
+  }
+
+  off(event, callback) {
+    this.emitter.off(event, callback);
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return {
+      version: this.config.version,
+      ...this.stats
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    this.emitter.removeAllListeners();
+    super.destroy();
+  }
+}
+
+export default SaveSystem;
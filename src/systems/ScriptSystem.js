@@ -0,0 +1,205 @@
+/**
+ * ScriptSystem
+ * Ejecuta los scripts de las entidades con componente 'script'
+ * Crea las instancias al ver la entidad por primera vez y llama a sus hooks
+ */
+
+import System from '../core/System.js';
+import { ScriptRegistry } from '../components/logic/Script.js';
+
+/**
+ * ScriptSystem - Ciclo de vida de los scripts
+ *
+ * - onStart(): una vez, antes del primer onUpdate/onFixedUpdate
+ * - onUpdate(deltaTime): cada frame
+ * - onFixedUpdate(fixedDeltaTime): en cada paso fijo
+ * - onCollision(other, data) / onCollisionEnd(other, data): eventos de PhysicsSystem
+ * - onDestroy(): al destruir la entidad, quitar el componente o eliminar el sistema
+ *
+ * Un error en un hook se registra con console.error y no detiene al resto de scripts
+ */
+class ScriptSystem extends System {
+  constructor() {
+    super('ScriptSystem', ['script'], 50, { before: ['TransformSystem'] });
+
+    this.instances = new Map(); // entity -> Script[]
+    this._missing = new Set(); // Scripts no registrados (se avisa una vez)
+    this._unsubscribe = [];
+
+    this._onCollisionStart = (entity, other, data) => this._dispatchCollision(entity, 'onCollision', other, data);
+    this._onCollisionEnd = (entity, other, data) => this._dispatchCollision(entity, 'onCollisionEnd', other, data);
+  }
+
+  /**
+   * Inicializa el sistema
+   */
+  init(world) {
+    super.init(world);
+
+    this._unsubscribe = [
+      world.on('collisionStart', this._onCollisionStart),
+      world.on('collisionEnd', this._onCollisionEnd),
+      // Antes de que Entity.destroy limpie los componentes
+      world.on('entityDestroying', (entity) => this._destroyScripts(entity)),
+      world.observe('script', 'removed', (entity) => this._destroyScripts(entity))
+    ];
+  }
+
+  /**
+   * Actualiza los scripts
+   */
+  process(entities, deltaTime) {
+    entities.forEach(entity => this._run(entity, 'onUpdate', deltaTime));
+  }
+
+  /**
+   * Paso fijo de los scripts
+   */
+  fixedUpdate(fixedDeltaTime) {
+    if (!this.enabled) return;
+
+    this.getEntities().forEach(entity => this._run(entity, 'onFixedUpdate', fixedDeltaTime));
+  }
+
+  /**
+   * Ejecuta un hook en los scripts de una entidad
+   * Todos sus scripts pasan por onStart antes del primer hook de cualquiera de ellos
+   */
+  _run(entity, hook, deltaTime) {
+    const scripts = this._getScripts(entity);
+
+    scripts.forEach(script => this._start(script));
+    scripts.forEach(script => {
+      if (script.enabled) {
+        this._call(script, hook, deltaTime);
+      }
+    });
+  }
+
+  /**
+   * Obtiene (o crea) las instancias de scripts de una entidad
+   */
+  _getScripts(entity) {
+    let scripts = this.instances.get(entity);
+    if (scripts) return scripts;
+
+    const component = entity.getComponent('script');
+    scripts = [];
+
+    component.scripts.forEach(entry => {
+      const script = ScriptRegistry.create(entry.name);
+      if (!script) {
+        if (!this._missing.has(entry.name)) {
+          this._missing.add(entry.name);
+          console.warn(`Script '${entry.name}' is not registered in ScriptRegistry`);
+        }
+        return;
+      }
+
+      script.name = entry.name;
+      script.entity = entity;
+      script.world = this.world;
+      script.params = entry.params;
+      script.enabled = entry.enabled;
+      scripts.push(script);
+    });
+
+    this.instances.set(entity, scripts);
+    return scripts;
+  }
+
+  /**
+   * Llama a onStart la primera vez que el script está habilitado
+   */
+  _start(script) {
+    if (script.enabled && !script.started) {
+      script.started = true;
+      this._call(script, 'onStart');
+    }
+  }
+
+  /**
+   * Llama a un hook si el script lo implementa
+   */
+  _call(script, hook, ...args) {
+    if (typeof script[hook] !== 'function') return;
+
+    try {
+      script[hook](...args);
+    } catch (error) {
+      console.error(`Error in script '${script.name}' ${hook} (entity ${script.entity.id}):`, error);
+    }
+  }
+
+  /**
+   * Reenvía un evento de colisión a los scripts de la entidad
+   */
+  _dispatchCollision(entity, hook, other, data) {
+    const scripts = this.instances.get(entity);
+    if (!scripts) return;
+
+    scripts.forEach(script => {
+      if (script.enabled && script.started) {
+        this._call(script, hook, other, data);
+      }
+    });
+  }
+
+  /**
+   * Llama a onDestroy y olvida las instancias de una entidad
+   */
+  _destroyScripts(entity) {
+    const scripts = this.instances.get(entity);
+    if (!scripts) return;
+
+    this.instances.delete(entity);
+    scripts.forEach(script => {
+      if (script.started) {
+        this._call(script, 'onDestroy');
+      }
+    });
+  }
+
+  /**
+   * Obtiene una instancia de script de una entidad
+   */
+  getScript(entity, name) {
+    const scripts = this.instances.get(entity);
+    return (scripts && scripts.find(script => script.name === name)) || null;
+  }
+
+  /**
+   * Callback cuando se elimina una entidad
+   */
+  onEntityRemoved(entity) {
+    this._destroyScripts(entity);
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    let scripts = 0;
+    this.instances.forEach(list => {
+      scripts += list.length;
+    });
+
+    return {
+      entities: this.instances.size,
+      scripts
+    };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    Array.from(this.instances.keys()).forEach(entity => this._destroyScripts(entity));
+    this._unsubscribe.forEach(unsubscribe => unsubscribe());
+    this._unsubscribe = [];
+    this._missing.clear();
+    super.destroy();
+  }
+}
+
+export default ScriptSystem;
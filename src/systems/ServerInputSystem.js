@@ -0,0 +1,87 @@
+/**
+ * ServerInputSystem
+ * Aplica en el servidor los inputs que envían los clientes (PredictionSystem) sobre sus
+ * entidades, con el mismo controller y el mismo paso fijo que usa la predicción
+ * El último seq aplicado viaja en los snapshots como inputAck para la reconciliación
+ */
+
+import System from '../core/System.js';
+
+class ServerInputSystem extends System {
+  /**
+   * @param {Object} controller - Controller compartido con PredictionSystem ({ components, simulate })
+   * @param {Object} config - Configuración
+   * @param {number} config.maxBuffered - Inputs en cola antes de aplicar varios por paso
+   */
+  constructor(controller, config = {}) {
+    super('ServerInputSystem', ['networked'], 0, { before: ['NetworkServerSystem'] });
+
+    if (!controller || typeof controller.simulate !== 'function') {
+      throw new Error('ServerInputSystem expects a controller with a simulate(entity, input, deltaTime) function');
+    }
+
+    this.controller = controller;
+    this.config = {
+      maxBuffered: 4,
+      ...config
+    };
+
+    this.stats = {
+      inputsApplied: 0
+    };
+  }
+
+  /**
+   * Los inputs se aplican en los pasos fijos
+   */
+  update() {}
+
+  /**
+   * Aplica un input por cliente y paso (varios si la cola creció tras un corte)
+   */
+  fixedUpdate(fixedDeltaTime) {
+    if (!this.enabled) return;
+
+    const server = this.world.getSystem('NetworkServerSystem');
+    if (!server) return;
+
+    const owned = new Map(); // clientId -> entity[]
+    this.getEntities().forEach(entity => {
+      const owner = entity.getComponent('networked').owner;
+      if (owner === null) return;
+      if (!owned.has(owner)) owned.set(owner, []);
+      owned.get(owner).push(entity);
+    });
+
+    server.clients.forEach(client => {
+      const queued = client.inputs.length;
+      if (queued === 0) return;
+
+      const count = queued > this.config.maxBuffered ? queued - this.config.maxBuffered + 1 : 1;
+      const entities = owned.get(client.id) || [];
+
+      client.inputs.splice(0, count).forEach(command => {
+        entities.forEach(entity => this._simulate(entity, command.input, fixedDeltaTime));
+        client.lastInput = command.seq;
+        this.stats.inputsApplied++;
+      });
+    });
+  }
+
+  /**
+   * Simula un input sobre una entidad y marca sus componentes como modificados
+   */
+  _simulate(entity, input, deltaTime) {
+    this.controller.simulate(entity, input, deltaTime);
+    (this.controller.components || []).forEach(type => entity.markChanged(type));
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+export default ServerInputSystem;
@@ -0,0 +1,235 @@
+/**
+ * StateMachineSystem
+ * Ejecuta las máquinas de estados de las entidades con componente 'stateMachine'
+ * Evalúa eventos, guardas y transiciones temporizadas y llama a onEnter/onExit/onUpdate
+ */
+
+import System from '../core/System.js';
+import { StateMachineHelpers } from '../components/logic/StateMachine.js';
+
+/**
+ * StateMachineSystem - Máquinas de estados declarativas
+ *
+ * Por cada entidad y frame:
+ * 1. Entra en el estado inicial si todavía no tiene estado
+ * 2. Procesa los eventos encolados (primera transición con ese evento cuya guarda pase)
+ * 3. Suma el tiempo en el estado y llama a onUpdate
+ * 4. Evalúa las transiciones automáticas (sin evento): 'after' segundos y/o guarda
+ *
+ * Cada transición se emite como 'stateChanged' en la entidad ({ from, to, event, payload })
+ * y en el world (entity, { from, to, event, payload })
+ */
+class StateMachineSystem extends System {
+  constructor() {
+    super('StateMachineSystem', ['stateMachine'], 60, { before: ['TransformSystem'] });
+
+    this.maxHistory = 20;
+    this.history = []; // Últimas transiciones (para DebugSystem)
+    this._missing = new Set(); // Definiciones no encontradas (se avisa una vez)
+
+    this.stats = {
+      machines: 0,
+      transitions: 0,
+      events: 0
+    };
+  }
+
+  /**
+   * Actualiza las máquinas de estados
+   */
+  process(entities, deltaTime) {
+    this.stats.machines = entities.length;
+
+    entities.forEach(entity => {
+      const machine = entity.getComponent('stateMachine');
+      const definition = this._getDefinition(machine);
+      if (!definition) return;
+
+      if (!(machine.state in definition.states)) {
+        if (machine.state !== null) {
+          console.warn(`Entity ${entity.id} state '${machine.state}' is not defined, entering '${definition.initial}'`);
+        }
+        this._enter(entity, machine, definition, definition.initial, { from: null, event: null, payload: null });
+      }
+
+      this._processEvents(entity, machine, definition);
+
+      machine.time += deltaTime;
+      const state = definition.states[machine.state];
+      if (state.onUpdate) {
+        state.onUpdate(entity, machine, deltaTime);
+      }
+
+      // Solo una transición automática por frame (evita bucles entre estados)
+      const transition = this._findTransition(entity, machine, state, null, null);
+      if (transition) {
+        this._transition(entity, machine, definition, transition.to, null, null);
+      }
+    });
+  }
+
+  /**
+   * Procesa los eventos encolados en orden
+   */
+  _processEvents(entity, machine, definition) {
+    if (machine.events.length === 0) return;
+
+    const events = machine.events.splice(0);
+    events.forEach(({ event, payload }) => {
+      this.stats.events++;
+      const state = definition.states[machine.state];
+      const transition = this._findTransition(entity, machine, state, event, payload);
+      if (transition) {
+        this._transition(entity, machine, definition, transition.to, event, payload);
+      }
+    });
+  }
+
+  /**
+   * Busca la primera transición aplicable del estado actual
+   * Con event === null solo se consideran las transiciones automáticas
+   */
+  _findTransition(entity, machine, state, event, payload) {
+    const transitions = state.transitions || [];
+
+    return transitions.find(transition => {
+      if ((transition.event || null) !== event) return false;
+      if (transition.after !== undefined && machine.time < transition.after) return false;
+      return !transition.guard || transition.guard(entity, machine, payload);
+    }) || null;
+  }
+
+  /**
+   * Cambia de estado: onExit del actual, onEnter del nuevo y eventos
+   */
+  _transition(entity, machine, definition, to, event, payload) {
+    const from = machine.state;
+    const info = { from, to, event, payload };
+
+    const current = definition.states[from];
+    if (current && current.onExit) {
+      current.onExit(entity, machine, info);
+    }
+
+    this._enter(entity, machine, definition, to, info);
+  }
+
+  /**
+   * Entra en un estado
+   */
+  _enter(entity, machine, definition, to, info) {
+    const detail = { ...info, to };
+
+    machine.previous = info.from;
+    machine.state = to;
+    machine.time = 0;
+    machine.transitions++;
+    this.stats.transitions++;
+
+    const state = definition.states[to];
+    if (state.onEnter) {
+      state.onEnter(entity, machine, detail);
+    }
+
+    entity.markChanged('stateMachine');
+
+    this.history.push({ entity: entity.id, ...detail });
+    if (this.history.length > this.maxHistory) {
+      this.history.shift();
+    }
+
+    entity.emit('stateChanged', detail);
+    this.world.emit('stateChanged', entity, detail);
+  }
+
+  /**
+   * Resuelve la definición de una máquina (avisa una vez si no existe)
+   */
+  _getDefinition(machine) {
+    const definition = StateMachineHelpers.getDefinition(machine);
+
+    if (!definition && !this._missing.has(machine.machine)) {
+      this._missing.add(machine.machine);
+      console.warn(`State machine '${machine.machine}' is not defined in StateMachineRegistry`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Envía un evento a la máquina de una entidad (se procesa en el próximo update)
+   * @returns {boolean} false si la entidad no tiene máquina de estados
+   */
+  send(entity, event, payload = null) {
+    const machine = entity.getComponent('stateMachine');
+    if (!machine) {
+      console.warn(`Entity ${entity.id} has no stateMachine component`);
+      return false;
+    }
+
+    StateMachineHelpers.send(machine, event, payload);
+    return true;
+  }
+
+  /**
+   * Fuerza un estado inmediatamente (sin evaluar guardas)
+   * @throws {Error} Si el estado no existe en la definición
+   */
+  setState(entity, state, payload = null) {
+    const machine = entity.getComponent('stateMachine');
+    const definition = machine ? this._getDefinition(machine) : null;
+    if (!definition) return false;
+
+    if (!(state in definition.states)) {
+      throw new Error(`State machine '${typeof machine.machine === 'string' ? machine.machine : 'inline'}' has no state '${state}'`);
+    }
+
+    this._transition(entity, machine, definition, state, null, payload);
+    return true;
+  }
+
+  /**
+   * Obtiene el estado actual de una entidad (null si no tiene)
+   */
+  getState(entity) {
+    const machine = entity.getComponent('stateMachine');
+    return machine ? machine.state : null;
+  }
+
+  /**
+   * Estado de todas las máquinas (para DebugSystem)
+   */
+  getDebugInfo() {
+    return {
+      machines: this.getEntities().map(entity => {
+        const machine = entity.getComponent('stateMachine');
+        return {
+          entity: entity.id,
+          machine: typeof machine.machine === 'string' ? machine.machine : 'inline',
+          state: machine.state,
+          previous: machine.previous,
+          time: machine.time
+        };
+      }),
+      history: [...this.history]
+    };
+  }
+
+  /**
+   * Obtiene estadísticas
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Limpieza
+   */
+  destroy() {
+    this.history = [];
+    this._missing.clear();
+    super.destroy();
+  }
+}
+
+export default StateMachineSystem;
@@ -0,0 +1,281 @@
+/**
+ * TransformSystem
+ * Sistema de jerarquía de transformaciones (padre/hijo)
+ * Calcula las transformaciones en espacio de mundo de las entidades con padre o hijos
+ */
+
+import System from '../core/System.js';
+import Mat4 from '../math/Mat4.js';
+
+const TRANSFORM_KEYS = [
+  'x', 'y', 'z',
+  'rotationX', 'rotationY', 'rotationZ',
+  'scaleX', 'scaleY', 'scaleZ'
+];
+
+const QUATERNION_KEYS = ['x', 'y', 'z', 'w'];
+
+/**
+ * TransformSystem - Transformaciones locales y de mundo
+ *
+ * El componente 'transform' es local respecto al padre. Para las entidades de una
+ * jerarquía este sistema escribe (no enumerables, no se serializan):
+ * - transform.world: { x, y, z, rotationX, rotationY, rotationZ, quaternion, scaleX, scaleY, scaleZ }
+ * - transform.worldMatrix: Mat4
+ * Solo se recalculan los subárboles cuyo transform local cambió.
+ */
+class TransformSystem extends System {
+  constructor() {
+    super('TransformSystem', ['transform'], 80, {
+      before: ['MeshSystem', 'LightSystem', 'CameraSystem', 'AudioSystem']
+    });
+
+    this.roots = new Set(); // Entidades sin padre que tienen hijos
+    this.nodes = new Map(); // entity -> { local: number[], localMatrix: Mat4, worldMatrix: Mat4 }
+
+    this._identity = new Mat4();
+    this._onParentChanged = this._onParentChanged.bind(this);
+
+    this.stats = {
+      roots: 0,
+      nodes: 0,
+      recomputed: 0
+    };
+  }
+
+  /**
+   * Inicializa el sistema
+   */
+  init(world) {
+    super.init(world);
+
+    world.on('parentChanged', this._onParentChanged);
+
+    // Registrar jerarquías ya existentes
+    world.getAllEntities().forEach(entity => this._refreshRoot(entity));
+  }
+
+  /**
+   * Mantiene el conjunto de raíces cuando cambia un padre
+   */
+  _onParentChanged(entity, previousParent, parent) {
+    this._refreshRoot(entity);
+    if (previousParent) this._refreshRoot(previousParent);
+    if (parent) this._refreshRoot(parent);
+
+    // El subárbol debe recalcularse con el nuevo padre
+    this._markSubtreeDirty(entity);
+  }
+
+  /**
+   * Agrega o quita una entidad del conjunto de raíces
+   */
+  _refreshRoot(entity) {
+    if (!entity.parent && entity.children.size > 0) {
+      this.roots.add(entity);
+    } else {
+      this.roots.delete(entity);
+    }
+
+    if (!entity.parent && entity.children.size === 0) {
+      // Ya no forma parte de ninguna jerarquía: world vuelve a ser el local
+      this.nodes.delete(entity);
+
+      const transform = entity.getComponent('transform');
+      if (transform) {
+        delete transform.world;
+        delete transform.worldMatrix;
+      }
+    }
+  }
+
+  /**
+   * Fuerza el recálculo de un subárbol
+   */
+  _markSubtreeDirty(entity) {
+    const node = this.nodes.get(entity);
+    if (node) {
+      node.local = null;
+    }
+    entity.children.forEach(child => this._markSubtreeDirty(child));
+  }
+
+  /**
+   * Elimina una entidad del sistema
+   */
+  onEntityRemoved(entity) {
+    this.roots.delete(entity);
+    this.nodes.delete(entity);
+  }
+
+  /**
+   * Actualiza las transformaciones de mundo de todas las jerarquías
+   */
+  update(deltaTime) {
+    this.stats.recomputed = 0;
+
+    this.roots.forEach(root => {
+      this._updateNode(root, this._identity, false);
+    });
+
+    this.stats.roots = this.roots.size;
+    this.stats.nodes = this.nodes.size;
+  }
+
+  /**
+   * Recorre un nodo y sus hijos recalculando solo lo que cambió
+   */
+  _updateNode(entity, parentMatrix, parentDirty) {
+    let node = this.nodes.get(entity);
+    if (!node) {
+      node = { local: null, localMatrix: new Mat4(), worldMatrix: new Mat4() };
+      this.nodes.set(entity, node);
+    }
+
+    const transform = entity.getComponent('transform');
+    let dirty = parentDirty;
+
+    if (transform) {
+      // Entity.updateComponent reemplaza el objeto: pierde world/worldMatrix
+      if (this._hasLocalChanged(node, transform) || !transform.worldMatrix) {
+        node.local = this._snapshotLocal(transform);
+        node.localMatrix.composeTransform(transform);
+        dirty = true;
+      }
+    } else if (node.local !== null) {
+      // Sin transform: se comporta como identidad
+      node.local = null;
+      node.localMatrix.identity();
+      dirty = true;
+    }
+
+    if (dirty) {
+      node.worldMatrix.multiplyMatrices(parentMatrix, node.localMatrix);
+      if (transform) {
+        this._writeWorld(transform, node.worldMatrix);
+        // La transformación de mundo cambió (filtros changed de otros sistemas)
+        entity.markChanged('transform');
+      }
+      this.stats.recomputed++;
+    }
+
+    entity.children.forEach(child => {
+      this._updateNode(child, node.worldMatrix, dirty);
+    });
+  }
+
+  /**
+   * Compara el transform local con el último calculado
+   */
+  _hasLocalChanged(node, transform) {
+    if (!node.local) return true;
+
+    for (let i = 0; i < TRANSFORM_KEYS.length; i++) {
+      if (node.local[i] !== transform[TRANSFORM_KEYS[i]]) {
+        return true;
+      }
+    }
+
+    const quaternion = transform.quaternion;
+    const offset = TRANSFORM_KEYS.length;
+
+    if (!quaternion) {
+      return node.local.length !== offset;
+    }
+
+    if (node.local.length === offset) return true;
+
+    for (let i = 0; i < QUATERNION_KEYS.length; i++) {
+      if (node.local[offset + i] !== quaternion[QUATERNION_KEYS[i]]) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Copia los valores locales usados para detectar cambios
+   */
+  _snapshotLocal(transform) {
+    const local = TRANSFORM_KEYS.map(key => transform[key]);
+
+    if (transform.quaternion) {
+      QUATERNION_KEYS.forEach(key => local.push(transform.quaternion[key]));
+    }
+
+    return local;
+  }
+
+  /**
+   * Escribe la transformación de mundo en el componente (propiedades no enumerables)
+   */
+  _writeWorld(transform, worldMatrix) {
+    if (!Object.prototype.hasOwnProperty.call(transform, 'world')) {
+      Object.defineProperty(transform, 'world', {
+        value: {},
+        writable: true,
+        enumerable: false,
+        configurable: true
+      });
+      Object.defineProperty(transform, 'worldMatrix', {
+        value: new Mat4(),
+        writable: true,
+        enumerable: false,
+        configurable: true
+      });
+    }
+
+    transform.worldMatrix.copy(worldMatrix);
+    worldMatrix.decomposeTransform(transform.world);
+  }
+
+  /**
+   * Recalcula en el momento la transformación de mundo de una entidad
+   * Útil fuera del orden del frame (ej: física en el paso fijo)
+   * @returns {Object|null} Transformación de mundo
+   */
+  updateEntity(entity) {
+    const transform = entity.getComponent('transform');
+    if (!transform) return null;
+
+    const chain = [];
+    for (let current = entity; current; current = current.parent) {
+      chain.unshift(current);
+    }
+
+    const matrix = new Mat4();
+    const local = new Mat4();
+    chain.forEach(node => {
+      const nodeTransform = node.getComponent('transform');
+      if (nodeTransform) {
+        matrix.multiply(local.composeTransform(nodeTransform));
+      }
+    });
+
+    this._writeWorld(transform, matrix);
+    return transform.world;
+  }
+
+  /**
+   * Obtiene estadísticas del sistema
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+
+  /**
+   * Limpieza final
+   */
+  destroy() {
+    if (this.world) {
+      this.world.off('parentChanged', this._onParentChanged);
+    }
+
+    this.roots.clear();
+    this.nodes.clear();
+
+    super.destroy();
+  }
+}
+
+export default TransformSystem;
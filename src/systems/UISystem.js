@@ -6,6 +6,7 @@
 
 import System from '../core/System.js';
 import EventEmitter from '../utils/EventEmitter.js';
+import Vec2 from '../math/Vec2.js';
 
 /**
  * UISystem - Sistema de interfaz de usuario
@@ -635,18 +636,18 @@ class UISystem extends System {
    * Actualiza navegación por teclado/gamepad
    */
   _updateNavigation() {
-    // Obtener input system
-    const inputSystem = this.world.getSystem('InputSystem');
-    if (!inputSystem) return;
+    // Estado del input (recurso publicado por InputSystem)
+    const input = this.world.getResource('input');
+    if (!input) return;
 
     // Navegación básica con flechas
-    if (inputSystem.wasKeyJustPressed('arrowleft')) {
+    if (input.keysJustPressed.has('arrowleft')) {
       this._navigateFocus('left');
-    } else if (inputSystem.wasKeyJustPressed('arrowright')) {
+    } else if (input.keysJustPressed.has('arrowright')) {
       this._navigateFocus('right');
-    } else if (inputSystem.wasKeyJustPressed('arrowup')) {
+    } else if (input.keysJustPressed.has('arrowup')) {
       this._navigateFocus('up');
-    } else if (inputSystem.wasKeyJustPressed('arrowdown')) {
+    } else if (input.keysJustPressed.has('arrowdown')) {
       this._navigateFocus('down');
     }
   }
@@ -744,7 +745,7 @@ class UISystem extends System {
       case 'down':
         return pos2.y - pos1.y > 0 ? dy * dy : Infinity;
       default:
-        return Math.sqrt(dx * dx + dy * dy);
+        return Vec2.distance(pos1, pos2);
     }
   }
 
@@ -971,16 +972,16 @@ class UISystem extends System {
 
   _updateButton(element, deltaTime) {
     // El botón responde a input y cambia visualmente
-    const inputSystem = this.world.getSystem('InputSystem');
-    if (!inputSystem) return;
+    const input = this.world.getResource('input');
+    if (!input) return;
 
     const transform = element.entity.getComponent('transform');
     const uiState = element.entity.getComponent('uiState') || {};
 
-    const pointer = inputSystem.getPointerPosition();
+    const pointer = input.pointer;
     const isHovering = this._isPointInElement(pointer, element);
 
-    if (isHovering && inputSystem.isPointerDown()) {
+    if (isHovering && pointer.isDown) {
       // Presionado
       uiState.scale = { x: 0.95, y: 0.95 };
     } else if (isHovering) {
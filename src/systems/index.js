@@ -13,4 +13,14 @@ export { default as CameraSystem } from './CameraSystem.js';
 export { default as LightSystem } from './LightSystem.js';
 export { default as MeshSystem } from './MeshSystem.js';
 export { default as SkyboxSystem } from './SkyboxSystem.js';
-export { default as DebugSystem } from './DebugSystem.js';
\ No newline at end of file
+export { default as DebugSystem } from './DebugSystem.js';
+export { default as TransformSystem } from './TransformSystem.js';
+export { default as StateMachineSystem } from './StateMachineSystem.js';
+export { default as BehaviorTreeSystem } from './BehaviorTreeSystem.js';
+export { default as ScriptSystem } from './ScriptSystem.js';
+export { default as SaveSystem, SaveMode } from './SaveSystem.js';
+export { default as NetworkServerSystem } from './NetworkServerSystem.js';
+export { default as NetworkClientSystem } from './NetworkClientSystem.js';
+export { default as ServerInputSystem } from './ServerInputSystem.js';
+export { default as PredictionSystem } from './PredictionSystem.js';
+export { default as LockstepSystem } from './LockstepSystem.js';